@@ -0,0 +1,235 @@
+/**
+ * Migration Script: Move local files into the storage backend
+ *
+ * Notebook sources uploaded before the storage layer have a `filePath` on
+ * the API server's disk, and invoices were written to <repo>/invoices.
+ * This copies each file to the backend selected by STORAGE_DRIVER (local
+ * or S3/MinIO), records the new `storageKey` / `invoiceKey` and drops the
+ * legacy path. Usage was already charged at upload, so nothing is
+ * re-charged here.
+ *
+ * Run: node scripts/migrate-storage.js [--dry-run] [--delete-local] [--recount]
+ *   --dry-run       Report what would move without copying anything
+ *   --delete-local  Remove each legacy file once its copy is recorded
+ *   --recount       Recompute every user's storageUsed from their sources and chat attachments afterwards
+ *
+ * Safe to re-run — only entries without a storage key are moved. Files
+ * that no longer exist on disk are reported and left untouched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const config = require('../src/config/env');
+const Message = require('../src/models/Message');
+const Notebook = require('../src/models/Notebook');
+const Payment = require('../src/models/Payment');
+const User = require('../src/models/User');
+const storageService = require('../src/services/storage.service');
+
+const args = new Set(process.argv.slice(2));
+const dryRun = args.has('--dry-run');
+const deleteLocal = args.has('--delete-local');
+const recount = args.has('--recount');
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.epub': 'application/epub+zip',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.webm': 'audio/webm',
+  '.flac': 'audio/flac',
+  '.aac': 'audio/aac',
+};
+
+const stats = { moved: 0, missing: 0, failed: 0, bytes: 0 };
+
+/**
+ * Copy one legacy file to `key`, returning false when the file is gone
+ */
+async function copyToStorage(filePath, key) {
+  let size;
+  try {
+    ({ size } = await fs.promises.stat(filePath));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    console.warn(`   ⚠️  Missing on disk: ${filePath}`);
+    stats.missing++;
+    return false;
+  }
+
+  if (!dryRun) {
+    await storageService.put(key, fs.createReadStream(filePath), {
+      contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      contentLength: size,
+    });
+  }
+  stats.bytes += size;
+  return true;
+}
+
+async function removeLegacyFile(filePath) {
+  if (deleteLocal && !dryRun) {
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+async function migrateSources() {
+  const cursor = Notebook.find({
+    sources: { $elemMatch: { filePath: { $exists: true, $ne: null }, storageKey: { $exists: false } } },
+  }).select('sources._id sources.name sources.filePath sources.storageKey').cursor();
+
+  for await (const notebook of cursor) {
+    for (const source of notebook.sources) {
+      if (!source.filePath || source.storageKey) continue;
+
+      const key = storageService.sourceKey(notebook._id, path.basename(source.filePath));
+      try {
+        if (!(await copyToStorage(source.filePath, key))) continue;
+
+        if (!dryRun) {
+          await Notebook.updateOne(
+            { _id: notebook._id, 'sources._id': source._id },
+            { $set: { 'sources.$.storageKey': key }, $unset: { 'sources.$.filePath': '' } }
+          );
+          await removeLegacyFile(source.filePath);
+        }
+        stats.moved++;
+        console.log(`   ✓ ${source.name} → ${key}`);
+      } catch (err) {
+        stats.failed++;
+        console.error(`   ❌ ${source.filePath}: ${err.message}`);
+      }
+    }
+  }
+}
+
+async function migrateInvoices() {
+  const payments = await Payment.find({
+    invoiceUrl: /^\/invoices\//,
+    invoiceKey: { $exists: false },
+  }).select('invoiceId invoiceUrl');
+
+  for (const payment of payments) {
+    const filePath = path.join(__dirname, '..', payment.invoiceUrl);
+    const key = storageService.invoiceKey(payment.invoiceId);
+    try {
+      if (!(await copyToStorage(filePath, key))) continue;
+
+      if (!dryRun) {
+        await Payment.updateOne(
+          { _id: payment._id },
+          { $set: { invoiceKey: key, invoiceUrl: `/api/invoices/download/${payment._id}` } }
+        );
+        await removeLegacyFile(filePath);
+      }
+      stats.moved++;
+      console.log(`   ✓ ${payment.invoiceId} → ${key}`);
+    } catch (err) {
+      stats.failed++;
+      console.error(`   ❌ ${filePath}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * storageUsed = everything charged for the user's sources (uploaded files
+ * and inline content) wherever those notebooks are, trash included, the
+ * playback copies of their audio sources, and the files and previews they
+ * uploaded to chat messages
+ */
+async function recountStorageUsed() {
+  const totals = new Map();
+  const add = (userId, bytes) => {
+    if (!userId || !bytes) return;
+    totals.set(userId.toString(), (totals.get(userId.toString()) || 0) + bytes);
+  };
+
+  const sources = await Notebook.aggregate([
+    { $unwind: '$sources' },
+    {
+      $group: {
+        _id: { $ifNull: ['$sources.uploadedBy', '$userId'] },
+        bytes: { $sum: { $ifNull: ['$sources.size', 0] } },
+      },
+    },
+  ]);
+  sources.forEach(({ _id, bytes }) => add(_id, bytes));
+
+  // Playback copies are charged to the uploader but their size isn't
+  // recorded on the source, so it's read from the storage backend
+  const playbackCopies = await Notebook.aggregate([
+    { $unwind: '$sources' },
+    { $match: { 'sources.playbackKey': { $type: 'string' }, 'sources.uploadedBy': { $ne: null } } },
+    { $project: { _id: 0, key: '$sources.playbackKey', userId: '$sources.uploadedBy' } },
+  ]);
+  for (const { key, userId } of playbackCopies) {
+    const stored = await storageService.stat(key);
+    add(userId, stored?.size);
+  }
+
+  // Uploaded chat files and their thumbnails, charged to the sender; links
+  // to client-hosted files have no storageKey and cost nothing
+  const attachments = await Message.aggregate([
+    { $unwind: '$attachments' },
+    { $match: { 'attachments.storageKey': { $type: 'string' } } },
+    {
+      $group: {
+        _id: '$sender',
+        bytes: {
+          $sum: { $add: [{ $ifNull: ['$attachments.size', 0] }, { $ifNull: ['$attachments.thumbnailSize', 0] }] },
+        },
+      },
+    },
+  ]);
+  attachments.forEach(({ _id, bytes }) => add(_id, bytes));
+
+  if (dryRun) {
+    console.log(`   Would recount storage for ${totals.size} users`);
+    return;
+  }
+
+  await User.updateMany({ _id: { $nin: [...totals.keys()] } }, { $set: { storageUsed: 0 } });
+  for (const [userId, bytes] of totals) {
+    await User.updateOne({ _id: userId }, { $set: { storageUsed: bytes } });
+  }
+  console.log(`   ✓ Recounted storage for ${totals.size} users`);
+}
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri);
+    console.log('✅ Connected to MongoDB');
+    console.log(`📦 Storage driver: ${config.storage.driver}${dryRun ? ' (dry run)' : ''}`);
+
+    console.log('🔄 Moving notebook source files...');
+    await migrateSources();
+
+    console.log('🔄 Moving invoice PDFs...');
+    await migrateInvoices();
+
+    if (recount) {
+      console.log('🔄 Recounting storage usage...');
+      await recountStorageUsed();
+    }
+
+    console.log(`✅ Migration complete: ${stats.moved} files (${(stats.bytes / 1024 / 1024).toFixed(1)} MB) moved`);
+    console.log(`   (${stats.missing} missing on disk, ${stats.failed} failed)`);
+    if (stats.failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('✅ Disconnected from MongoDB');
+  }
+};
+
+migrate();
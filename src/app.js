@@ -28,6 +28,7 @@ const gamificationRoutes = require('./routes/gamification.routes');
 const focusRoutes = require('./routes/focus.routes');
 const recycleBinRoutes = require ('./routes/recycleBin.routes');
 const apiKeyRoutes = require('./routes/apiKey.routes');
+const fileRoutes = require('./routes/file.routes');
 
 const { notFound, errorHandler } = require('./middlewares/errorHandler');
 const { ensureCsrfToken, verifyCsrfToken } = require('./middlewares/csrf.middleware');
@@ -107,6 +108,7 @@ app.use('/api/gamification', gamificationRoutes);
 app.use('/api/focus', focusRoutes);
 app.use('/api/recycle-bin', recycleBinRoutes);
 app.use('/api/apikeys', apiKeyRoutes);
+app.use('/api/files', fileRoutes);
 
 
 // Root route
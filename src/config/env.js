@@ -136,6 +136,37 @@ const config = {
     from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
     fromName: process.env.EMAIL_FROM_NAME || 'Collabry',
   },
+  audio: {
+    // Generate waveform peaks for audio sources while processing them
+    waveformPeaks: process.env.AUDIO_WAVEFORM_PEAKS !== 'false',
+    // Make AAC playback copies of Ogg/WebM audio sources while processing them
+    transcodePlayback: process.env.AUDIO_TRANSCODE_PLAYBACK !== 'false',
+  },
+  sourceQueue: {
+    // Also consume the source processing queue in the API process (dev setups without the worker)
+    inline: process.env.SOURCE_QUEUE_INLINE === 'true',
+    concurrency: parseInt(process.env.SOURCE_QUEUE_CONCURRENCY, 10) || 2,
+  },
+  storage: {
+    // 'local' (disk under STORAGE_LOCAL_ROOT) or 's3' (any S3-compatible store)
+    driver: process.env.STORAGE_DRIVER || 'local',
+    signedUrlExpiresIn: parseInt(process.env.STORAGE_SIGNED_URL_TTL, 10) || 900,
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_ACCESS_SECRET,
+    // Origin of this API for local signed URLs (relative URLs when unset)
+    publicUrl: process.env.STORAGE_PUBLIC_URL || '',
+    local: {
+      root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../uploads'),
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || '',
+    },
+  },
   // Remove trailing slashes from frontend URL to ensure CORS works correctly
   frontendUrl: (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, ''),
 };
@@ -1,6 +1,7 @@
 const asyncHandler = require('../utils/asyncHandler');
 const User = require('../models/User');
 const boardService = require('../services/board.service');
+const sourceQueue = require('../services/sourceQueue.service');
 const PlatformSettings = require('../models/PlatformSettings');
 const AppError = require('../utils/AppError');
 
@@ -355,6 +356,38 @@ const getBoardStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    List source processing jobs that ran out of retries
+ * @route   GET /api/admin/source-jobs/dead
+ * @access  Private/Admin
+ */
+const getDeadSourceJobs = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  const result = await sourceQueue.listDeadLetters({ page, limit });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Put a dead source processing job back on the queue
+ * @route   POST /api/admin/source-jobs/:id/retry
+ * @access  Private/Admin
+ */
+const retrySourceJob = asyncHandler(async (req, res) => {
+  const job = await sourceQueue.retryDeadLetter(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Job queued for retry',
+    data: job
+  });
+});
+
 /**
  * @desc    Get platform settings (Admin)
  * @route   GET /api/admin/settings
@@ -410,6 +443,8 @@ module.exports = {
   suspendBoard,
   forceDeleteBoard,
   getBoardStats,
+  getDeadSourceJobs,
+  retrySourceJob,
   getSettings,
   updateSettings,
 };
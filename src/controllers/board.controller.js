@@ -1,6 +1,10 @@
 const boardService = require('../services/board.service');
+const boardHistoryService = require('../services/boardHistory.service');
+const boardThumbnailService = require('../services/boardThumbnail.service');
+const storageService = require('../services/storage.service');
 const asyncHandler = require('../utils/asyncHandler');
 const AppError = require('../utils/AppError');
+const { sendFileWithRanges } = require('../utils/fileStreaming');
 const notificationService = require('../services/notification.service');
 const { getIO } = require('../socket');
 const { emitNotificationToUser } = require('../socket/notificationNamespace');
@@ -254,6 +258,49 @@ exports.inviteMember = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Export the board as SVG, PDF or JSON
+ * @route   GET /api/boards/:id/export?format=svg|pdf|json&page=
+ * @access  Private (Owner/Editor, or viewers when the board allows export)
+ */
+exports.exportBoard = asyncHandler(async (req, res) => {
+  const { content, fileName, contentType } = await boardService.exportBoard(req.params.id, req.user._id, req.query.format || 'svg', {
+    page: req.query.page
+  });
+
+  res.attachment(fileName);
+  res.type(contentType);
+  res.send(content);
+});
+
+/**
+ * @desc    Get the board's generated thumbnail (WebP)
+ * @route   GET /api/boards/:id/thumbnail
+ * @access  Private (Members, or anyone for public boards)
+ */
+exports.getThumbnail = asyncHandler(async (req, res) => {
+  const { key, contentType } = await boardThumbnailService.getThumbnail(req.params.id, req.user._id);
+
+  // Remote backends serve the object themselves
+  const localPath = storageService.localPath(key);
+  if (!localPath) {
+    return res.redirect(302, await storageService.getSignedUrl(key, { contentType }));
+  }
+
+  try {
+    // Board.thumbnail carries a version (?v=), so that URL never changes content
+    await sendFileWithRanges(req, res, localPath, {
+      contentType,
+      cacheControl: req.query.v ? 'private, max-age=86400' : 'private, no-cache'
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new AppError('Thumbnail file is missing', 404);
+    }
+    throw err;
+  }
+});
+
 /**
  * @desc    Search boards
  * @route   GET /api/boards/search
@@ -279,3 +326,65 @@ exports.searchBoards = asyncHandler(async (req, res) => {
     data: boards
   });
 });
+
+/**
+ * @desc    List a board's version history
+ * @route   GET /api/boards/:id/history
+ * @access  Private (Members)
+ */
+exports.getHistory = asyncHandler(async (req, res) => {
+  const result = await boardHistoryService.listSnapshots(req.params.id, req.user._id, {
+    limit: req.query.limit,
+    before: req.query.before
+  });
+
+  res.json({
+    success: true,
+    count: result.snapshots.length,
+    hasMore: result.hasMore,
+    data: result.snapshots
+  });
+});
+
+/**
+ * @desc    Save a named snapshot of the board
+ * @route   POST /api/boards/:id/history
+ * @access  Private (Owner/Editor)
+ */
+exports.createSnapshot = asyncHandler(async (req, res) => {
+  const snapshot = await boardHistoryService.createSnapshot(req.params.id, req.user._id, req.body.name);
+
+  res.status(201).json({
+    success: true,
+    data: snapshot
+  });
+});
+
+/**
+ * @desc    Preview the shapes on the board at a snapshot
+ * @route   GET /api/boards/:id/history/:snapshotId
+ * @access  Private (Members)
+ */
+exports.previewSnapshot = asyncHandler(async (req, res) => {
+  const preview = await boardHistoryService.previewSnapshot(req.params.id, req.params.snapshotId, req.user._id);
+
+  res.json({
+    success: true,
+    data: preview
+  });
+});
+
+/**
+ * @desc    Restore the board to a snapshot
+ * @route   POST /api/boards/:id/history/:snapshotId/restore
+ * @access  Private (Owner/Editor)
+ */
+exports.restoreSnapshot = asyncHandler(async (req, res) => {
+  const result = await boardHistoryService.restoreSnapshot(req.params.id, req.params.snapshotId, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Board restored',
+    data: result
+  });
+});
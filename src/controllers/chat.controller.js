@@ -1,5 +1,11 @@
 const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/AppError');
+const { sendFileWithRanges } = require('../utils/fileStreaming');
+const chatExport = require('../utils/chatExport');
 const chatService = require('../services/chat.service');
+const chatAttachmentService = require('../services/chatAttachment.service');
+const storageService = require('../services/storage.service');
+const { emitToConversation, emitThreadUpdate } = require('../socket/chatNamespace');
 
 class ChatController {
   // Send message
@@ -7,9 +13,68 @@ class ChatController {
     const userId = req.user._id;
     const message = await chatService.sendMessage(userId, req.body);
 
+    emitToConversation(message, 'message:new', message);
+    if (message.threadId) {
+      await emitThreadUpdate(message.threadId);
+    }
+
     res.status(201).json({ message });
   });
 
+  // Send message with uploaded files (multipart: files[] plus the usual message fields)
+  uploadMessage = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    if (!req.files?.length) {
+      throw new AppError('No files uploaded', 400);
+    }
+
+    const { attachments, ...data } = req.body;
+    const message = await chatService.sendMessage(userId, data, req.files);
+
+    emitToConversation(message, 'message:new', message);
+    if (message.threadId) {
+      await emitThreadUpdate(message.threadId);
+    }
+
+    res.status(201).json({ message });
+  });
+
+  // Download an attachment (?variant=thumbnail for its preview, ?download=1 to save it)
+  getAttachment = asyncHandler(async (req, res) => {
+    const { messageId, attachmentId } = req.params;
+    const userId = req.user._id;
+
+    const attachment = await chatService.getAttachment(userId, messageId, attachmentId);
+    const { key, contentType, fileName, inline } = chatAttachmentService.resolveDownload(attachment, req.query.variant);
+    const asDownload = !inline || req.query.download === '1';
+
+    // Remote backends serve the object themselves
+    const localPath = storageService.localPath(key);
+    if (!localPath) {
+      return res.redirect(302, await storageService.getSignedUrl(key, {
+        contentType,
+        ...(asDownload && { fileName }),
+      }));
+    }
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (asDownload) {
+      res.attachment(fileName);
+    } else {
+      res.set('Content-Disposition', 'inline');
+    }
+
+    try {
+      // Stored objects never change, so the browser may keep them
+      await sendFileWithRanges(req, res, localPath, { contentType, cacheControl: 'private, max-age=86400' });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new AppError('Attachment file is missing', 404);
+      }
+      throw err;
+    }
+  });
+
   // Get messages
   getMessages = asyncHandler(async (req, res) => {
     const userId = req.user._id;
@@ -26,6 +91,38 @@ class ChatController {
     res.json({ messages, count: messages.length });
   });
 
+  // Search messages across the user's conversations
+  searchMessages = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { results, page, hasMore } = await chatService.searchMessages(userId, req.query);
+
+    res.json({ results, count: results.length, page, hasMore });
+  });
+
+  // Export a conversation (?format=json|txt|html, optional from/to)
+  exportConversation = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { type } = req.params; // direct or group
+    const format = req.query.format || 'json';
+
+    if (!chatExport.FORMATS[format]) {
+      throw new AppError('Format must be one of: json, txt, html', 400);
+    }
+
+    const { conversation, messages } = await chatService.exportConversation(userId, type, req.query);
+    const baseName = conversation.title.replace(/[^\w\- ]+/g, '').trim() || 'chat';
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`${baseName} ${date}.${chatExport.FORMATS[format].extension}`);
+    res.type(chatExport.FORMATS[format].contentType);
+    chatExport.exportConversation(conversation, messages, format)
+      .on('error', (err) => {
+        console.error(`[Chat Export] Failed to stream ${type} conversation:`, err.message);
+        res.destroy(err);
+      })
+      .pipe(res);
+  });
+
   // Get conversations
   getConversations = asyncHandler(async (req, res) => {
     const userId = req.user._id;
@@ -64,6 +161,75 @@ class ChatController {
 
     res.json(result);
   });
+
+  // Get thread replies
+  getThread = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const { root, replies } = await chatService.getThread(userId, messageId, req.query);
+
+    res.json({ root, replies, count: replies.length });
+  });
+
+  // Add reaction
+  addReaction = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const message = await chatService.addReaction(messageId, userId, req.body.emoji);
+    emitToConversation(message, 'message:reactions', { messageId: message._id, reactions: message.reactions });
+
+    res.json({ messageId: message._id, reactions: message.reactions });
+  });
+
+  // Remove reaction
+  removeReaction = asyncHandler(async (req, res) => {
+    const { messageId, emoji } = req.params;
+    const userId = req.user._id;
+
+    const message = await chatService.removeReaction(messageId, userId, emoji);
+    emitToConversation(message, 'message:reactions', { messageId: message._id, reactions: message.reactions });
+
+    res.json({ messageId: message._id, reactions: message.reactions });
+  });
+
+  // Pin message
+  pinMessage = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const message = await chatService.pinMessage(messageId, userId);
+    emitToConversation(message, 'message:pinned', message);
+
+    res.json({ message });
+  });
+
+  // Unpin message
+  unpinMessage = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const message = await chatService.unpinMessage(messageId, userId);
+    emitToConversation(message, 'message:unpinned', { messageId: message._id });
+
+    res.json({ message: 'Message unpinned successfully' });
+  });
+
+  // Get pinned messages
+  getPinnedMessages = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { type } = req.params; // direct or group
+    const conversationType = type || req.query.conversationType;
+
+    if (!conversationType) {
+      return res.status(400).json({ message: 'Conversation type is required' });
+    }
+
+    const messages = await chatService.getPinnedMessages(userId, conversationType, req.query);
+
+    res.json({ messages, count: messages.length });
+  });
 }
 
 module.exports = new ChatController();
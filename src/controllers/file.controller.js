@@ -0,0 +1,30 @@
+const path = require('path');
+const AppError = require('../utils/AppError');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendFileWithRanges } = require('../utils/fileStreaming');
+const storageService = require('../services/storage.service');
+
+/**
+ * @desc    Download a file through a signed URL (local storage driver)
+ * @route   GET /api/files/:token
+ * @access  Public (the signed token is the authorization)
+ */
+exports.downloadSignedFile = asyncHandler(async (req, res) => {
+  const grant = storageService.verifySignedToken(req.params.token);
+
+  if (!grant) {
+    throw new AppError('Download link is invalid or has expired', 403);
+  }
+
+  const localPath = storageService.localPath(grant.key);
+  if (!localPath || !(await storageService.stat(grant.key))) {
+    throw new AppError('File not found', 404);
+  }
+
+  if (grant.fileName) {
+    res.attachment(grant.fileName);
+  }
+  res.type(grant.contentType || path.extname(grant.fileName || grant.key) || 'application/octet-stream');
+
+  await sendFileWithRanges(req, res, localPath);
+});
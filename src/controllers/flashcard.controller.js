@@ -0,0 +1,236 @@
+const flashcardService = require('../services/flashcard.service');
+
+class FlashcardController {
+  /**
+   * Create flashcard set
+   * POST /api/visual-aids/flashcards/sets
+   */
+  async createSet(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const set = await flashcardService.createSet(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: set
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all flashcard sets for user
+   * GET /api/visual-aids/flashcards/sets
+   */
+  async getSets(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const { subject, notebookId } = req.query;
+
+      const sets = await flashcardService.getUserSets(userId, { subject, notebookId });
+
+      res.json({
+        success: true,
+        count: sets.length,
+        data: sets
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get single flashcard set with cards
+   * GET /api/visual-aids/flashcards/sets/:id
+   */
+  async getSetById(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const set = await flashcardService.getSetById(id, userId, isAdmin);
+
+      res.json({
+        success: true,
+        data: set
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update flashcard set
+   * PUT /api/visual-aids/flashcards/sets/:id
+   */
+  async updateSet(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const set = await flashcardService.updateSet(id, userId, req.body, isAdmin);
+
+      res.json({
+        success: true,
+        data: set
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete flashcard set
+   * DELETE /api/visual-aids/flashcards/sets/:id
+   */
+  async deleteSet(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const result = await flashcardService.deleteSet(id, userId, isAdmin);
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add card(s) to a set
+   * POST /api/visual-aids/flashcards/sets/:id/cards
+   */
+  async addCards(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+      const cards = Array.isArray(req.body.cards) ? req.body.cards : req.body;
+
+      const created = await flashcardService.addCards(id, userId, cards, isAdmin);
+
+      res.status(201).json({
+        success: true,
+        count: created.length,
+        data: created
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a card
+   * PUT /api/visual-aids/flashcards/cards/:cardId
+   */
+  async updateCard(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const isAdmin = req.user.role === 'admin';
+      const { cardId } = req.params;
+
+      const card = await flashcardService.updateCard(cardId, userId, req.body, isAdmin);
+
+      res.json({
+        success: true,
+        data: card
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a card
+   * DELETE /api/visual-aids/flashcards/cards/:cardId
+   */
+  async deleteCard(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const isAdmin = req.user.role === 'admin';
+      const { cardId } = req.params;
+
+      const result = await flashcardService.deleteCard(cardId, userId, isAdmin);
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get cards due for review today
+   * GET /api/visual-aids/flashcards/due
+   */
+  async getDueCards(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const { setId } = req.query;
+      const limit = parseInt(req.query.limit) || 100;
+
+      const cards = await flashcardService.getDueCards(userId, { setId, limit });
+
+      res.json({
+        success: true,
+        count: cards.length,
+        data: cards
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Grade a card (again/hard/good/easy)
+   * POST /api/visual-aids/flashcards/cards/:cardId/review
+   */
+  async reviewCard(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const { cardId } = req.params;
+      const { grade } = req.body;
+
+      const card = await flashcardService.reviewCard(cardId, userId, grade);
+
+      res.json({
+        success: true,
+        data: card
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get retention statistics for a set
+   * GET /api/visual-aids/flashcards/sets/:id/stats
+   */
+  async getSetStats(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const stats = await flashcardService.getSetStats(id, userId, isAdmin);
+
+      res.json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FlashcardController();
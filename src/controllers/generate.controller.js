@@ -1,6 +1,7 @@
 const aiService = require('../services/ai.service');
 const quizService = require('../services/quiz.service');
 const mindMapService = require('../services/mindmap.service');
+const { QUESTION_TYPES } = require('../utils/quizQuestionTypes');
 
 class GenerateController {
   /**
@@ -20,6 +21,7 @@ class GenerateController {
         fileName: file?.originalname,
         count,
         difficulty,
+        questionTypes: req.body.questionTypes,
         save,
         saveType: typeof save,
         subjectId,
@@ -35,6 +37,19 @@ class GenerateController {
         });
       }
 
+      // Question types may arrive as an array (JSON) or comma-separated string (multipart)
+      const requestedTypes = Array.isArray(req.body.questionTypes)
+        ? req.body.questionTypes
+        : String(req.body.questionTypes || '').split(',').map(t => t.trim()).filter(Boolean);
+      const invalidTypes = requestedTypes.filter(t => !QUESTION_TYPES.includes(t));
+      if (invalidTypes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid question types: ${invalidTypes.join(', ')}`
+        });
+      }
+      const questionTypes = requestedTypes.length > 0 ? requestedTypes : undefined;
+
       let generatedQuestions;
 
       // If file is uploaded, use the AI engine's file endpoint
@@ -46,7 +61,8 @@ class GenerateController {
             count: count || 5,
             difficulty: difficulty || 'medium',
             useRag: req.body.useRag === true ? true : false,
-            topic: req.body.topic || null
+            topic: req.body.topic || null,
+            questionTypes
           },
           token
         );
@@ -69,7 +85,8 @@ class GenerateController {
             count: count || 5,
             difficulty: difficulty || 'medium',
             useRag: req.body.useRag === true ? true : false, // Explicitly disable RAG unless requested
-            topic: req.body.topic || null
+            topic: req.body.topic || null,
+            questionTypes
           },
           token
         );
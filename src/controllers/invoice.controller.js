@@ -1,7 +1,7 @@
 const asyncHandler = require('../utils/asyncHandler');
 const invoiceService = require('../services/invoice.service');
 const Payment = require('../models/Payment');
-const path = require('path');
+const storageService = require('../services/storage.service');
 const fs = require('fs');
 
 /**
@@ -106,32 +106,38 @@ const downloadInvoice = asyncHandler(async (req, res) => {
     });
   }
 
-  if (!payment.invoiceUrl) {
+  if (!payment.invoiceKey) {
     return res.status(404).json({
       success: false,
       error: 'Invoice not generated yet',
     });
   }
 
-  const invoicesDir = path.resolve(__dirname, '../..', 'invoices');
-  const filePath = path.resolve(__dirname, '../..', payment.invoiceUrl);
-
-  // Prevent path traversal — resolved path must stay within the invoices directory
-  if (!filePath.startsWith(invoicesDir)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid invoice path',
-    });
+  const fileName = `invoice-${payment.invoiceId}.pdf`;
+  const localPath = storageService.localPath(payment.invoiceKey);
+
+  // Remote storage: hand out a short-lived link to the bucket instead of proxying
+  if (!localPath) {
+    if (!(await storageService.stat(payment.invoiceKey))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice file not found',
+      });
+    }
+    return res.redirect(302, await storageService.getSignedUrl(payment.invoiceKey, {
+      fileName,
+      contentType: 'application/pdf',
+    }));
   }
 
-  if (!fs.existsSync(filePath)) {
+  if (!fs.existsSync(localPath)) {
     return res.status(404).json({
       success: false,
       error: 'Invoice file not found',
     });
   }
 
-  res.download(filePath, `invoice-${payment.invoiceId}.pdf`);
+  res.download(localPath, fileName);
 });
 
 module.exports = {
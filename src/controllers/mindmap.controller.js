@@ -173,6 +173,48 @@ class MindMapController {
     }
   }
 
+  /**
+   * Diff two versions of a mind map
+   * GET /api/visual-aids/mindmaps/:id/versions/:a/diff/:b
+   */
+  async diffVersions(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id, a, b } = req.params;
+
+      const diff = await mindMapService.diffVersions(id, userId, a, b, isAdmin);
+
+      res.json({
+        success: true,
+        data: diff
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Restore an older version as the new current version (same mind map ID)
+   * POST /api/visual-aids/mindmaps/:id/versions/:v/restore
+   */
+  async restoreVersion(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id, v } = req.params;
+
+      const mindMap = await mindMapService.restoreVersion(id, userId, v, isAdmin);
+
+      res.json({
+        success: true,
+        data: mindMap
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Archive mind map
    * POST /api/visual-aids/mindmaps/:id/archive
@@ -193,6 +235,54 @@ class MindMapController {
       next(error);
     }
   }
+
+  /**
+   * Export mind map as Markdown, OPML, FreeMind or Mermaid
+   * GET /api/visual-aids/mindmaps/:id/export?format=markdown|opml|freemind|mermaid
+   */
+  async exportMindMap(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+      const format = (req.query.format || 'markdown').toLowerCase();
+
+      const { content, fileName, contentType } = await mindMapService.exportMindMap(id, userId, format, isAdmin);
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import mind map from an OPML or Markdown outline (file upload or raw content)
+   * POST /api/visual-aids/mindmaps/import
+   */
+  async importMindMap(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { content, format, title, subjectId } = req.body;
+      const file = req.file; // Multer file object
+
+      const mindMap = await mindMapService.importMindMap(userId, {
+        content: file ? file.buffer.toString('utf8') : content,
+        format: format ? String(format).toLowerCase() : undefined,
+        fileName: file?.originalname,
+        title,
+        subject: subjectId
+      });
+
+      res.status(201).json({
+        success: true,
+        data: mindMap
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new MindMapController();
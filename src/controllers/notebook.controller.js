@@ -1,74 +1,40 @@
 const Notebook = require('../models/Notebook');
 const Quiz = require('../models/Quiz');
 const MindMap = require('../models/MindMap');
+const FlashcardSet = require('../models/FlashcardSet');
 const Friendship = require('../models/Friendship');
 const AppError = require('../utils/AppError');
 const asyncHandler = require('../utils/asyncHandler');
 const axios = require('axios');
-const fs = require('fs').promises;
 const path = require('path');
-const pdfParse = require('pdf-parse');
 const cheerio = require('cheerio');
+const { DOCUMENT_TYPES, extractDocument, documentTypeForFile } = require('../utils/documentExtractors');
+const { sendFileWithRanges } = require('../utils/fileStreaming');
+const { generatePeaks, downsamplePeaks, requestBins } = require('../utils/audioPeaks');
 const notificationService = require('../services/notification.service');
-const transcriptionService = require('../services/transcription.service');
+const sourceIngestion = require('../services/sourceIngestion.service');
+const sourceQueue = require('../services/sourceQueue.service');
+const storageService = require('../services/storage.service');
+const notebookSearch = require('../services/notebookSearch.service');
+const notebookBundle = require('../services/notebookBundle.service');
+const notebookChat = require('../services/notebookChat.service');
+const sourceCitation = require('../services/sourceCitation.service');
+const config = require('../config/env');
 const { getIO } = require('../socket');
 const { emitNotificationToUser } = require('../socket/notificationNamespace');
 
 const AI_ENGINE_URL = process.env.AI_ENGINE_URL || 'http://localhost:8000';
 
-// Ensure uploads directory exists
-const UPLOADS_DIR = path.join(__dirname, '../../uploads/sources');
-fs.mkdir(UPLOADS_DIR, { recursive: true }).catch(console.error);
-
-const formatTime = (seconds) => {
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${mins}:${secs.toString().padStart(2, '0')}`;
+const AUDIO_CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.webm': 'audio/webm',
+  '.flac': 'audio/flac',
+  '.aac': 'audio/aac'
 };
 
-/**
- * Helper function to extract text content from source
- */
-async function extractSourceContent(source) {
-  if (source.type === 'audio' && source.transcriptionSegments?.length > 0) {
-    return source.transcriptionSegments
-      .map(seg => `[${formatTime(seg.start)}] ${seg.text}`)
-      .join('\n');
-  }
-
-  // Check for cached content first
-  if (source.content && source.content.trim().length > 0) {
-    return source.content;
-  }
-
-  if (source.type === 'text' || source.type === 'audio') {
-    return source.content || source.transcription || '';
-  } else if (source.type === 'pdf' || source.type === 'document') {
-    if (source.filePath) {
-      try {
-        console.log(`Extracting text from PDF: ${source.filePath}`);
-        const dataBuffer = await fs.readFile(source.filePath);
-        const pdfData = await pdfParse(dataBuffer, {
-          max: 0,
-          verbosity: 0
-        });
-        const text = pdfData.text;
-        console.log(`✓ Extracted ${text.length} characters from PDF: ${source.name}`);
-        if (!text || text.length < 10) {
-          return `[PDF Document: ${source.name} - No text content extracted.]`;
-        }
-        return text;
-      } catch (err) {
-        console.error('Failed to extract text from PDF:', err.message);
-        return `[PDF Document: ${source.name} - Unable to extract text. Error: ${err.message}]`;
-      }
-    }
-  } else if (source.type === 'website') {
-    return source.content || `[Website: ${source.url}]`;
-  }
-  return '';
-}
-
 function normalizeWebsiteUrl(url) {
   const raw = String(url || '').trim();
   if (!raw) return null;
@@ -158,131 +124,27 @@ async function scrapeWebsite(url) {
 }
 
 /**
- * Ingest source content into AI engine's RAG system
+ * Create the AI engine session for a notebook.
+ * Returns the session id, or undefined when the AI engine is unavailable.
  */
-async function ingestSourceToRAG(notebook, source, authToken) {
+async function createAiSession(notebook, token) {
   try {
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`RAG INGESTION: ${source.name}`);
-    console.log(`${'='.repeat(70)}`);
-
-    // Extract content from source
-    const content = await extractSourceContent(source);
-
-    console.log(`Extracted content length: ${content.length} characters`);
-
-    // Skip if extraction failed or content is an error message
-    if (!content || content.length < 10) {
-      console.log('⚠ Skipping RAG ingest - no content or too short');
-      return;
-    }
-
-    // Skip if content is an error placeholder
-    if (content.startsWith('[PDF Document:') && content.includes('Unable to extract')) {
-      console.log('⚠ Skipping RAG ingest - PDF extraction failed');
-      return;
-    }
-
-    // Send to AI engine's ingest endpoint
-    console.log(`Sending to AI engine: ${AI_ENGINE_URL}/ai/upload`);
-
-    const response = await axios.post(
-      `${AI_ENGINE_URL}/ai/upload`,
+    const aiResponse = await axios.post(
+      `${AI_ENGINE_URL}/ai/sessions`,
       {
-        content: content,
-        filename: source.name,
-        metadata: {
-          notebook_id: notebook._id.toString(),
-          source_id: source._id.toString(),
-          session_id: notebook.aiSessionId,
-          source_type: source.type,
-          url: source.url
-        }
+        title: notebook.title || 'New Notebook Session',
+        notebook_id: notebook._id
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 second timeout
-      }
+      { headers: { Authorization: token } }
     );
-
-    console.log(`✓ RAG ingestion request sent!`);
-    console.log(`  Task ID: ${response.data.task_id}`);
-    console.log(`  Initial Status: ${response.data.status}`);
-
-    // Poll task status until completed
-    const taskId = response.data.task_id;
-    let status = response.data.status;
-    let attempts = 0;
-    const maxAttempts = 30; // 30 seconds max
-
-    while (status === 'processing' && attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-      attempts++;
-
-      try {
-        const statusResponse = await axios.get(
-          `${AI_ENGINE_URL}/ai/upload/status/${taskId}`,
-          {
-            headers: { 'Authorization': `Bearer ${authToken}` },
-            timeout: 5000
-          }
-        );
-        status = statusResponse.data.status;
-        console.log(`  Polling (${attempts}s): ${status}`);
-
-        if (status === 'failed' && statusResponse.data && statusResponse.data.error) {
-          console.error(`  ❌ Ingestion error: ${statusResponse.data.error}`);
-        }
-
-        // If task is unknown (server restarted), assume it completed
-        if (status === 'unknown') {
-          console.log(`  ℹ Task status unknown (server may have restarted), assuming completed`);
-          status = 'completed';
-          break;
-        }
-      } catch (pollErr) {
-        console.warn(`  Warning: Failed to poll task status:`, pollErr.message);
-        // If it's a 404, the task likely completed and was cleaned up
-        if (pollErr.response && pollErr.response.status === 404) {
-          console.log(`  ℹ Task not found (404), assuming completed`);
-          status = 'completed';
-        }
-        // If it's a 403, there's an auth issue - log details but continue
-        else if (pollErr.response && pollErr.response.status === 403) {
-          console.error(`  ⚠️ Auth error (403) accessing task status - user_id mismatch?`);
-          console.error(`  Response:`, pollErr.response.data);
-          // Don't assume completed for 403 - this is a real error
-          status = 'failed';
-        }
-        break; // Stop polling on error
-      }
-    }
-
-    if (status === 'completed') {
-      console.log(`✅ RAG ingestion completed successfully!`);
-    } else if (status === 'failed') {
-      console.error(`❌ RAG ingestion failed!`);
-    } else {
-      console.warn(`⚠ RAG ingestion timeout (still ${status})`);
-    }
-    console.log(`${'='.repeat(70)}\n`);
-  } catch (err) {
-    console.error(`\n${'='.repeat(70)}`);
-    console.error('❌ RAG INGESTION FAILED');
-    console.error(`Error: ${err.message}`);
-    if (err.response) {
-      console.error(`Response status: ${err.response.status}`);
-      console.error(`Response data:`, err.response.data);
-    }
-    console.error(`${'='.repeat(70)}\n`);
-    // Don't throw - this is async and shouldn't block source addition
+    return aiResponse.data.id;
+  } catch (error) {
+    console.error('Failed to create AI session:', error.message);
+    // Continue without AI session - can be created later
+    return undefined;
   }
 }
 
-
 /**
  * @desc    Get all notebooks for current user
  * @route   GET /api/notebook/notebooks
@@ -308,7 +170,7 @@ exports.getNotebooks = asyncHandler(async (req, res) => {
     deletedAt: null
   })
     .sort({ lastAccessed: -1 })
-    .select('-sources.content'); // Don't send full content in list
+    .select('-sources.content -sources.waveform'); // Don't send full content in list
 
   res.json({
     success: true,
@@ -317,6 +179,39 @@ exports.getNotebooks = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Search sources, transcriptions, artifacts and titles across the user's notebooks
+ * @route   GET /api/notebook/search?q=&limit=&notebookId=
+ * @access  Private
+ */
+exports.searchNotebooks = asyncHandler(async (req, res) => {
+  const q = String(req.query.q || '').trim();
+
+  if (q.length < 2) {
+    throw new AppError('Search query must be at least 2 characters', 400);
+  }
+  if (q.length > 200) {
+    throw new AppError('Search query must be at most 200 characters', 400);
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+  const { notebookId } = req.query;
+  const mongoose = require('mongoose');
+  if (notebookId && !mongoose.isValidObjectId(notebookId)) {
+    throw new AppError('Invalid notebook ID', 400);
+  }
+
+  const { terms, results } = await notebookSearch.search(req.user._id, q, { limit, notebookId });
+
+  res.json({
+    success: true,
+    query: q,
+    terms,
+    count: results.length,
+    data: results
+  });
+});
+
 /**
  * @desc    Get single notebook by ID
  * @route   GET /api/notebook/notebooks/:id
@@ -381,21 +276,7 @@ exports.createNotebook = asyncHandler(async (req, res) => {
   });
 
   // Create AI session for this notebook
-  const token = req.headers.authorization;
-  try {
-    const aiResponse = await axios.post(
-      `${AI_ENGINE_URL}/ai/sessions`,
-      {
-        title: title || 'New Notebook Session',
-        notebook_id: notebook._id
-      },
-      { headers: { Authorization: token } }
-    );
-    notebook.aiSessionId = aiResponse.data.id;
-  } catch (error) {
-    console.error('Failed to create AI session:', error.message);
-    // Continue without AI session - can be created later
-  }
+  notebook.aiSessionId = await createAiSession(notebook, req.headers.authorization);
 
   await notebook.save();
 
@@ -405,6 +286,56 @@ exports.createNotebook = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Export notebook as a zip bundle (sources, extracted text, transcriptions, quizzes, mind maps)
+ * @route   GET /api/notebook/notebooks/:id/export
+ * @access  Private
+ */
+exports.exportNotebook = asyncHandler(async (req, res) => {
+  const notebook = await Notebook.findById(req.params.id).select('-sources.waveform');
+
+  if (!notebook || notebook.deletedAt) {
+    throw new AppError('Notebook not found', 404);
+  }
+
+  if (!notebook.canAccess(req.user._id)) {
+    throw new AppError('You do not have access to this notebook', 403);
+  }
+
+  const zip = await notebookBundle.exportNotebook(notebook);
+  const baseName = (notebook.title || 'notebook').replace(/[^\w\- ]+/g, '').trim() || 'notebook';
+
+  res.attachment(`${baseName}.collabry.zip`);
+  res.type('application/zip');
+  zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+    .on('error', (err) => {
+      console.error(`[Export] Failed to stream notebook ${notebook._id}:`, err.message);
+      res.destroy(err);
+    })
+    .pipe(res);
+});
+
+/**
+ * @desc    Import a notebook from an export bundle
+ * @route   POST /api/notebook/notebooks/import
+ * @access  Private
+ */
+exports.importNotebook = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Please upload a notebook bundle (.zip) as "bundle"', 400);
+  }
+
+  const { notebook, skipped } = await notebookBundle.importNotebook(req.user._id, req.file.buffer, {
+    createSession: (created) => createAiSession(created, req.headers.authorization)
+  });
+
+  res.status(201).json({
+    success: true,
+    data: notebook,
+    skipped
+  });
+});
+
 /**
  * @desc    Update notebook
  * @route   PUT /api/notebook/notebooks/:id
@@ -478,8 +409,10 @@ exports.addSource = asyncHandler(async (req, res) => {
     throw new AppError('You do not have permission to add sources to this notebook', 403);
   }
 
-  const { type, name, url, content } = req.body;
+  const { name, url, content } = req.body;
   const file = req.file;
+  // Structured documents can be sent as a generic 'document' upload
+  const type = (req.body.type === 'document' && documentTypeForFile(file?.originalname)) || req.body.type;
 
   const source = {
     type,
@@ -495,20 +428,23 @@ exports.addSource = asyncHandler(async (req, res) => {
       throw new AppError('File is required for PDF/document sources', 400);
     }
 
-    // Save file to local storage
-    const fileName = `${Date.now()}-${file.originalname}`;
-    const filePath = path.join(UPLOADS_DIR, fileName);
-    await fs.writeFile(filePath, file.buffer);
-
-    source.filePath = filePath;
     source.size = file.size;
 
     // PERFORMANCE: Extract text immediately during upload for caching
     try {
       console.log(`[PERF] Early extraction for ${source.name}`);
-      const text = await extractSourceContent(source);
-      if (text && !text.startsWith('[PDF Document:')) {
-        source.content = text;
+      if (type === 'pdf') {
+        // Page offsets let AI citations point at a page
+        const { text, sections } = await sourceIngestion.extractPdf(file.buffer);
+        if (text.trim().length >= 10) {
+          source.content = text;
+          source.sections = sections;
+        }
+      } else {
+        const text = await sourceIngestion.extractContent(source, file.buffer);
+        if (text && !text.startsWith('[PDF Document:')) {
+          source.content = text;
+        }
       }
     } catch (err) {
       console.warn(`[PERF] Early extraction failed: ${err.message}`);
@@ -535,14 +471,28 @@ exports.addSource = asyncHandler(async (req, res) => {
       throw new AppError('Audio file is required for audio sources', 400);
     }
 
-    // Save audio file to local storage
-    const fileName = `${Date.now()}-${file.originalname}`;
-    const filePath = path.join(UPLOADS_DIR, fileName);
-    await fs.writeFile(filePath, file.buffer);
-
-    source.filePath = filePath;
     source.size = file.size;
     source.transcriptionStatus = 'pending';
+  } else if (DOCUMENT_TYPES.includes(type)) {
+    // Markdown and CSV can also be pasted as plain content
+    if (!file && !(content && (type === 'markdown' || type === 'csv'))) {
+      throw new AppError(`File is required for ${type} sources`, 400);
+    }
+
+    const buffer = file ? file.buffer : Buffer.from(content, 'utf8');
+    source.size = buffer.length;
+
+    let extracted;
+    try {
+      extracted = await extractDocument(buffer, type, { name: source.name });
+    } catch (err) {
+      throw new AppError(`Could not read ${type} file: ${err.message}`, 422);
+    }
+    if (!extracted.text.trim()) {
+      throw new AppError('No text content could be extracted from this document', 422);
+    }
+    source.content = extracted.text;
+    source.sections = extracted.sections;
   } else if (type === 'text') {
     if (!content) {
       throw new AppError('Content is required for text sources', 400);
@@ -553,18 +503,29 @@ exports.addSource = asyncHandler(async (req, res) => {
     throw new AppError('Invalid source type', 400);
   }
 
-  notebook.sources.push(source);
-  await notebook.save();
+  // Uploaded files go to the storage backend, which also charges them to the
+  // uploader's storage; inline content is charged directly
+  const storesFile = Boolean(file) && (type === 'pdf' || type === 'document' || type === 'audio' || DOCUMENT_TYPES.includes(type));
+  if (storesFile) {
+    const stored = await storageService.put(storageService.sourceKey(notebook._id, file.originalname), file.buffer, {
+      contentType: file.mimetype,
+      ownerId: req.user._id
+    });
+    source.storageKey = stored.key;
+  } else if (source.size > 0) {
+    await storageService.adjustUsage(req.user._id, source.size);
+  }
 
-  // Track storage usage
-  const sourceSize = source.size || 0;
-  if (sourceSize > 0) {
-    const User = require('../models/User');
-    await User.findByIdAndUpdate(req.user._id, { $inc: { storageUsed: sourceSize } });
+  notebook.sources.push(source);
+  try {
+    await notebook.save();
+  } catch (err) {
+    await storageService.releaseSource(source);
+    throw err;
   }
 
   // Track file upload milestone
-  if (type === 'pdf' || type === 'document' || type === 'audio') {
+  if (storesFile) {
     const { trackFileUpload } = require('../middleware/usageEnforcement');
     await trackFileUpload(req.user._id);
   }
@@ -572,10 +533,8 @@ exports.addSource = asyncHandler(async (req, res) => {
   // Get the added source with its ID
   const addedSource = notebook.sources[notebook.sources.length - 1];
 
-  // START BACKGROUND PROCESSING (Transcription -> Ingestion)
-  // We don't await this so the user gets a 201 immediately
-  const authToken = req.headers.authorization?.split(' ')[1];
-  processSourceInBackground(notebook._id, addedSource._id, authToken, req.user._id);
+  // Transcription and RAG ingestion run on the worker's source queue
+  await sourceQueue.enqueue({ notebookId: notebook._id, sourceId: addedSource._id, userId: req.user._id });
 
   res.status(201).json({
     success: true,
@@ -583,90 +542,6 @@ exports.addSource = asyncHandler(async (req, res) => {
   });
 });
 
-/**
- * Background worker to handle transcription and RAG ingestion
- */
-async function processSourceInBackground(notebookId, sourceId, authToken, uploaderId) {
-  try {
-    console.log(`[BACKGROUND] Starting processing for source ${sourceId} in notebook ${notebookId}`);
-    
-    // 1. Fetch fresh notebook and source
-    const notebook = await Notebook.findById(notebookId);
-    if (!notebook) return;
-    const source = notebook.sources.id(sourceId);
-    if (!source) return;
-
-    const io = getIO();
-    const room = `notebook:${notebookId}`;
-
-    // 2. Handle Transcription (if audio and not already done)
-    if (source.type === 'audio' && source.transcriptionStatus !== 'completed') {
-      try {
-        source.transcriptionStatus = 'processing';
-        await notebook.save();
-        
-        // Broadcast start
-        if (io) io.of('/notebook-collab').to(room).emit('source:update', { action: 'updated', source });
-
-        const results = await transcriptionService.transcribeAudio(source.filePath, source.name);
-        
-        source.transcription = results.text;
-        source.content = results.text;
-        source.duration = results.duration;
-        source.transcriptionSegments = results.segments;
-        source.transcriptionStatus = 'completed';
-        await notebook.save();
-
-        console.log(`[BACKGROUND] Transcription completed for ${source.name}`);
-        if (io) io.of('/notebook-collab').to(room).emit('source:update', { action: 'updated', source });
-      } catch (err) {
-        console.error(`[BACKGROUND] Transcription failed:`, err.message);
-        source.transcriptionStatus = 'failed';
-        source.transcriptionError = err.message;
-        source.content = `[Audio File: ${source.name} - Transcription failed: ${err.message}]`;
-        await notebook.save();
-        if (io) io.of('/notebook-collab').to(room).emit('source:update', { action: 'updated', source });
-      }
-    }
-
-    // 3. Handle RAG Ingestion
-    if (authToken && notebook.aiSessionId) {
-      try {
-        source.ragStatus = 'processing';
-        await notebook.save();
-        if (io) io.of('/notebook-collab').to(room).emit('source:update', { action: 'updated', source });
-
-        await ingestSourceToRAG(notebook, source, authToken);
-        
-        // Re-fetch source status (ingestSourceToRAG doesn't update source object in this scope)
-        // Wait, ingestSourceToRAG should ideally update the source status. 
-        // Let's modify ingestSourceToRAG to update the database.
-        
-        source.ragStatus = 'completed';
-        await notebook.save();
-        console.log(`[BACKGROUND] RAG Ingestion completed for ${source.name}`);
-
-        // Notify user via notification system
-        try {
-          const notification = await notificationService.notifyDocumentProcessed(uploaderId, source.name);
-          emitNotificationToUser(io, uploaderId, notification);
-        } catch (e) { /* ignore */ }
-
-        if (io) io.of('/notebook-collab').to(room).emit('source:update', { action: 'updated', source });
-      } catch (err) {
-        console.error(`[BACKGROUND] RAG Ingestion failed:`, err.message);
-        source.ragStatus = 'failed';
-        source.ragError = err.message;
-        await notebook.save();
-        if (io) io.of('/notebook-collab').to(room).emit('source:update', { action: 'updated', source });
-      }
-    }
-
-  } catch (err) {
-    console.error(`[BACKGROUND] Fatal error in background processing:`, err);
-  }
-}
-
 /**
  * @desc    Remove source from notebook
  * @route   DELETE /api/notebook/notebooks/:id/sources/:sourceId
@@ -693,15 +568,8 @@ exports.removeSource = asyncHandler(async (req, res) => {
     throw new AppError('You do not have permission to remove this source', 403);
   }
 
-  // Delete file if exists
-  if (source.filePath) {
-    try {
-      await fs.unlink(source.filePath);
-      console.log(`✓ Deleted file: ${source.filePath}`);
-    } catch (error) {
-      console.error(`Failed to delete file: ${source.filePath}`, error.message);
-    }
-  }
+  // Delete the stored file and reclaim the uploader's storage
+  await storageService.releaseSource(source);
 
   // Delete from FAISS index
   if (notebook.aiSessionId) {
@@ -717,13 +585,6 @@ exports.removeSource = asyncHandler(async (req, res) => {
     }
   }
 
-  // Reclaim storage
-  const sourceSize = source.size || 0;
-  if (sourceSize > 0) {
-    const User = require('../models/User');
-    await User.findByIdAndUpdate(req.user._id, { $inc: { storageUsed: -sourceSize } });
-  }
-
   source.deleteOne();
   await notebook.save();
 
@@ -766,8 +627,46 @@ exports.toggleSource = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get source content (for chat context)
- * @route   GET /api/notebook/notebooks/:id/sources/:sourceId/content
+ * @desc    Queue a source for transcription and RAG ingestion again
+ * @route   POST /api/notebook/notebooks/:id/sources/:sourceId/reprocess
+ * @access  Private
+ */
+exports.reprocessSource = asyncHandler(async (req, res) => {
+  const notebook = await Notebook.findById(req.params.id);
+
+  if (!notebook) {
+    throw new AppError('Notebook not found', 404);
+  }
+
+  if (!notebook.hasPermission(req.user._id, 'canAddSources')) {
+    throw new AppError('You do not have permission to reprocess sources in this notebook', 403);
+  }
+
+  const source = notebook.sources.id(req.params.sourceId);
+
+  if (!source) {
+    throw new AppError('Source not found', 404);
+  }
+
+  const job = await sourceQueue.reprocess(notebook, source, req.user._id);
+
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job._id,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      progress: job.progress,
+      runAt: job.runAt
+    }
+  });
+});
+
+/**
+ * @desc    Get source content (for chat context); with from/to, also the
+ *          highlighted excerpt of that character range (for citations)
+ * @route   GET /api/notebook/notebooks/:id/sources/:sourceId/content?from=&to=
  * @access  Private
  */
 exports.getSourceContent = asyncHandler(async (req, res) => {
@@ -790,11 +689,16 @@ exports.getSourceContent = asyncHandler(async (req, res) => {
   let content = '';
 
   try {
-    content = await extractSourceContent(source);
+    content = await sourceIngestion.extractContent(source);
   } catch (error) {
     content = `[Error extracting content: ${source.name}]`;
   }
 
+  const { from, to } = req.query;
+  const excerpt = from !== undefined
+    ? await sourceCitation.getExcerpt(notebook, source, from, to)
+    : undefined;
+
   res.json({
     success: true,
     data: {
@@ -806,11 +710,43 @@ exports.getSourceContent = asyncHandler(async (req, res) => {
       transcription: source.transcription,
       transcriptionSegments: source.transcriptionSegments,
       transcriptionStatus: source.transcriptionStatus,
-      duration: source.duration
+      duration: source.duration,
+      ...(excerpt && { excerpt })
     }
   });
 });
 
+/**
+ * @desc    Resolve chunk references from the AI engine into citations
+ *          (source, character range, PDF page/section, audio timestamp)
+ * @route   POST /api/notebook/notebooks/:id/citations
+ * @access  Private
+ */
+exports.resolveCitations = asyncHandler(async (req, res) => {
+  const { chunks } = req.body;
+
+  if (!Array.isArray(chunks)) {
+    throw new AppError('chunks must be an array', 400);
+  }
+
+  const notebook = await Notebook.findById(req.params.id);
+
+  if (!notebook) {
+    throw new AppError('Notebook not found', 404);
+  }
+
+  if (!notebook.canAccess(req.user._id)) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const citations = await sourceCitation.resolve(notebook, chunks);
+
+  res.json({
+    success: true,
+    data: citations
+  });
+});
+
 /**
  * @desc    Stream audio source file
  * @route   GET /api/notebook/notebooks/:id/sources/:sourceId/audio
@@ -829,34 +765,126 @@ exports.streamAudioSource = asyncHandler(async (req, res) => {
 
   const source = notebook.sources.id(req.params.sourceId);
 
-  if (!source || source.type !== 'audio' || !source.filePath) {
+  if (!source || source.type !== 'audio' || !source.storageKey) {
     throw new AppError('Audio source not found or invalid', 404);
   }
 
-  try {
-    const stats = await fs.stat(source.filePath);
-    
-    // Set appropriate content type
-    const ext = path.extname(source.filePath).toLowerCase();
-    let contentType = 'audio/mpeg'; // default
-    if (ext === '.wav') contentType = 'audio/wav';
-    else if (ext === '.m4a') contentType = 'audio/mp4';
-    else if (ext === '.ogg') contentType = 'audio/ogg';
-
-    res.writeHead(200, {
-      'Content-Type': contentType,
-      'Content-Length': stats.size,
-      'Accept-Ranges': 'bytes'
-    });
+  // Ogg/WebM uploads have an AAC copy that every browser can play
+  const key = source.playbackKey || source.storageKey;
+  const contentType = AUDIO_CONTENT_TYPES[path.extname(key).toLowerCase()] || 'audio/mpeg';
+
+  // Remote backends serve ranges themselves, send the player there
+  const localPath = storageService.localPath(key);
+  if (!localPath) {
+    return res.redirect(302, await storageService.getSignedUrl(key, { contentType }));
+  }
 
-    const stream = require('fs').createReadStream(source.filePath);
-    stream.pipe(res);
+  try {
+    await sendFileWithRanges(req, res, localPath, { contentType });
   } catch (err) {
     console.error(`[AUDIO STREAM] Error: ${err.message}`);
+    if (err.code === 'ENOENT') {
+      throw new AppError('Audio file is missing', 404);
+    }
     throw new AppError('Error streaming audio file', 500);
   }
 });
 
+/**
+ * @desc    Get waveform peaks for an audio source (generated on first request)
+ * @route   GET /api/notebook/notebooks/:id/sources/:sourceId/waveform
+ * @access  Private
+ */
+exports.getAudioWaveform = asyncHandler(async (req, res) => {
+  const notebook = await Notebook.findById(req.params.id);
+
+  if (!notebook) {
+    throw new AppError('Notebook not found', 404);
+  }
+
+  if (!notebook.canAccess(req.user._id)) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const source = notebook.sources.id(req.params.sourceId);
+
+  if (!source || source.type !== 'audio' || !source.storageKey) {
+    throw new AppError('Audio source not found or invalid', 404);
+  }
+
+  const stored = source.toObject().waveform;
+  let waveform = stored?.peaks?.length ? stored : null;
+
+  // The stored peaks are generated once at the default resolution
+  if (!waveform) {
+    const generated = await storageService.withLocalFile(
+      source.storageKey,
+      filePath => generatePeaks(filePath)
+    ).catch((err) => {
+      console.error(`[WAVEFORM] ${source.name}: ${err.message}`);
+      return null;
+    });
+    if (!generated) {
+      throw new AppError('Waveform could not be generated for this audio file', 422);
+    }
+
+    waveform = { ...generated, generatedAt: new Date() };
+    await Notebook.updateOne(
+      { _id: notebook._id, 'sources._id': source._id },
+      { $set: { 'sources.$.waveform': waveform } }
+    );
+  }
+
+  // Smaller resolutions are cut down from the stored peaks, never stored
+  if (req.query.bins) {
+    const peaks = downsamplePeaks(waveform.peaks, requestBins(req.query.bins));
+    waveform = { ...waveform, peaks, bins: peaks.length };
+  }
+
+  res.json({
+    success: true,
+    data: waveform
+  });
+});
+
+/**
+ * @desc    Get a time-limited download URL for an uploaded source file
+ * @route   GET /api/notebook/notebooks/:id/sources/:sourceId/download
+ * @access  Private
+ */
+exports.getSourceDownloadUrl = asyncHandler(async (req, res) => {
+  const notebook = await Notebook.findById(req.params.id);
+
+  if (!notebook) {
+    throw new AppError('Notebook not found', 404);
+  }
+
+  if (!notebook.canAccess(req.user._id)) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const source = notebook.sources.id(req.params.sourceId);
+
+  if (!source || !source.storageKey) {
+    throw new AppError('Source has no downloadable file', 404);
+  }
+
+  // Source names are often edited titles, keep the file's extension on the download
+  const extension = path.extname(source.storageKey);
+  const fileName = path.extname(source.name) ? source.name : `${source.name}${extension}`;
+
+  const expiresIn = config.storage.signedUrlExpiresIn;
+  const url = await storageService.getSignedUrl(source.storageKey, { expiresIn, fileName });
+
+  res.json({
+    success: true,
+    data: {
+      url,
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    }
+  });
+});
+
 /**
  * @desc    Link artifact to notebook
  * @route   POST /api/notebook/notebooks/:id/artifacts
@@ -884,8 +912,16 @@ exports.linkArtifact = asyncHandler(async (req, res) => {
     // MindMap model stores owner in `createdBy`
     const mindmap = await MindMap.findOne({ _id: referenceId, createdBy: req.user._id });
     if (!mindmap) throw new AppError('Mind map not found', 404);
+  } else if (type === 'flashcards') {
+    // FlashcardSet model stores owner in `createdBy`
+    const set = await FlashcardSet.findOne({ _id: referenceId, createdBy: req.user._id });
+    if (!set) throw new AppError('Flashcard set not found', 404);
+    if (!set.notebookId) {
+      set.notebookId = notebook._id;
+      await set.save();
+    }
   }
-  // Note: flashcards and infographic types don't have backend collections yet
+  // Note: infographic types don't have a backend collection yet
   // They store data inline in the artifact
 
   // Check if already linked
@@ -907,7 +943,7 @@ exports.linkArtifact = asyncHandler(async (req, res) => {
     title: title || `${type.charAt(0).toUpperCase() + type.slice(1)}`
   };
 
-  // Add inline data if provided (for flashcards, infographics)
+  // Add inline data if provided (for infographics)
   if (data) {
     artifactData.data = data;
   }
@@ -956,6 +992,31 @@ exports.unlinkArtifact = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get the notebook's AI chat history (oldest first)
+ * @route   GET /api/notebook/notebooks/:id/chat?limit=&before=
+ * @access  Private
+ */
+exports.getChatHistory = asyncHandler(async (req, res) => {
+  const notebook = await Notebook.findById(req.params.id).select('userId collaborators deletedAt');
+
+  if (!notebook) {
+    throw new AppError('Notebook not found', 404);
+  }
+
+  if (!notebook.canAccess(req.user._id)) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const messages = await notebookChat.getHistory(notebook._id, req.query);
+
+  res.json({
+    success: true,
+    data: messages,
+    streaming: notebookChat.getActiveStreams(notebook._id).map(({ messageId, content, author }) => ({ messageId, content, author }))
+  });
+});
+
 /**
  * @desc    Get selected sources content for chat context
  * @route   GET /api/notebook/notebooks/:id/context
@@ -984,7 +1045,7 @@ exports.getNotebookContext = asyncHandler(async (req, res) => {
     if (!content || content.length < 10) {
       try {
         console.log(`[PERF] Lazy caching content for source: ${source.name}`);
-        content = await extractSourceContent(source);
+        content = await sourceIngestion.extractContent(source);
         if (content && !content.startsWith('[PDF Document:')) {
           source.content = content;
           hasMisingContent = true;
@@ -166,6 +166,88 @@ class QuizController {
     }
   }
 
+  /**
+   * Start (or resume) a timed attempt
+   * POST /api/visual-aids/quizzes/:id/attempts/start
+   */
+  async startAttempt(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      const session = await quizService.startAttempt(id, userId);
+
+      res.status(201).json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an attempt (session while in progress, result once submitted)
+   * GET /api/visual-aids/quizzes/attempts/:attemptId
+   */
+  async getAttempt(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { attemptId } = req.params;
+
+      const attempt = await quizService.getAttempt(attemptId, userId);
+
+      res.json({
+        success: true,
+        data: attempt
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Save answers for an in-progress attempt
+   * PUT /api/visual-aids/quizzes/attempts/:attemptId/answers
+   */
+  async saveAnswers(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { attemptId } = req.params;
+      const { answers } = req.body;
+
+      const progress = await quizService.saveAnswers(attemptId, userId, answers);
+
+      res.json({
+        success: true,
+        data: progress
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Submit an in-progress attempt
+   * POST /api/visual-aids/quizzes/attempts/:attemptId/submit
+   */
+  async submitStartedAttempt(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { attemptId } = req.params;
+      const { answers } = req.body;
+
+      const result = await quizService.submitStartedAttempt(attemptId, userId, answers);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get user's quiz attempts
    * GET /api/visual-aids/quizzes/attempts
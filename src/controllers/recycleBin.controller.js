@@ -1,8 +1,12 @@
 const Notebook = require('../models/Notebook');
 const Board = require('../models/Board');
+const BoardUpdate = require('../models/BoardUpdate');
+const BoardSnapshot = require('../models/BoardSnapshot');
+const NotebookChatMessage = require('../models/NotebookChatMessage');
 const AppError = require('../utils/AppError');
 const asyncHandler = require('../utils/asyncHandler');
-const fs = require('fs').promises;
+const storageService = require('../services/storage.service');
+const boardThumbnailService = require('../services/boardThumbnail.service');
 const axios = require('axios');
 
 const AI_ENGINE_URL = process.env.AI_ENGINE_URL || 'http://localhost:8000';
@@ -116,7 +120,10 @@ exports.permanentlyDeleteItem = asyncHandler(async (req, res) => {
         const board = await Board.findOne({ _id: id, owner: userId, deletedAt: { $ne: null } });
         if (!board) throw new AppError('Board not found in recycle bin', 404);
 
+        await boardThumbnailService.removeThumbnails([board._id]);
         await board.deleteOne();
+        await BoardUpdate.deleteMany({ boardId: board._id });
+        await BoardSnapshot.deleteMany({ boardId: board._id });
 
         return res.json({ success: true, message: 'Board permanently deleted' });
     }
@@ -139,8 +146,12 @@ exports.emptyRecycleBin = asyncHandler(async (req, res) => {
         await permanentlyDeleteNotebook(notebook, authToken);
     }
 
-    // Delete all trashed boards
-    await Board.deleteMany({ owner: userId, deletedAt: { $ne: null } });
+    // Delete all trashed boards with their canvas update logs, history and thumbnails
+    const trashedBoardIds = await Board.find({ owner: userId, deletedAt: { $ne: null } }).distinct('_id');
+    await boardThumbnailService.removeThumbnails(trashedBoardIds);
+    await Board.deleteMany({ _id: { $in: trashedBoardIds } });
+    await BoardUpdate.deleteMany({ boardId: { $in: trashedBoardIds } });
+    await BoardSnapshot.deleteMany({ boardId: { $in: trashedBoardIds } });
 
     res.json({
         success: true,
@@ -154,15 +165,9 @@ exports.emptyRecycleBin = asyncHandler(async (req, res) => {
  * Hard-delete a notebook: remove files, AI sessions, and the DB document.
  */
 async function permanentlyDeleteNotebook(notebook, authToken) {
-    // Delete all source files from disk
+    // Delete stored source files and reclaim the uploaders' storage
     for (const source of notebook.sources) {
-        if (source.filePath) {
-            try {
-                await fs.unlink(source.filePath);
-            } catch (err) {
-                console.error(`Failed to delete file: ${source.filePath}`, err.message);
-            }
-        }
+        await storageService.releaseSource(source);
     }
 
     // Delete AI session and FAISS documents
@@ -182,6 +187,7 @@ async function permanentlyDeleteNotebook(notebook, authToken) {
         }
     }
 
+    await NotebookChatMessage.deleteMany({ notebookId: notebook._id });
     await notebook.deleteOne();
 }
 
@@ -1,4 +1,5 @@
 const studyTaskService = require('../services/studyTask.service');
+const flashcardService = require('../services/flashcard.service');
 const notificationService = require('../services/notification.service');
 const { GamificationService } = require('../services/gamification.service');
 const { getIO } = require('../socket');
@@ -126,10 +127,19 @@ class StudyTaskController {
       
       console.log('[getTodayTasks] Found tasks:', tasks.length);
 
+      // Spaced-repetition reviews due today (non-blocking for the task list)
+      let flashcardReviews = { totalDue: 0, sets: [] };
+      try {
+        flashcardReviews = await flashcardService.getDueSummary(userId);
+      } catch (err) {
+        console.error('[getTodayTasks] Failed to load flashcard reviews:', err.message);
+      }
+
       res.json({
         success: true,
         count: tasks.length,
         data: tasks,
+        flashcardReviews,
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,54 @@
+const cron = require('node-cron');
+const quizService = require('../services/quiz.service');
+
+let task = null;
+
+/**
+ * Auto-submit timed quiz attempts whose deadline has passed.
+ *
+ * Attempts are also submitted lazily when the taker comes back, this job
+ * covers the ones that are abandoned so their scores and stats still count.
+ */
+async function submitExpiredQuizAttempts() {
+    try {
+        const submitted = await quizService.submitExpiredAttempts();
+
+        if (submitted > 0) {
+            console.log(`[quizAttemptExpiry] Auto-submitted ${submitted} expired quiz attempt(s).`);
+        }
+    } catch (err) {
+        console.error('[quizAttemptExpiry] Error submitting expired attempts:', err.message);
+    }
+}
+
+/**
+ * Start the cron job — runs every minute.
+ */
+function startQuizAttemptExpiryJob() {
+    // Run once on startup to catch attempts that expired while the worker was down
+    submitExpiredQuizAttempts();
+
+    task = cron.schedule('* * * * *', submitExpiredQuizAttempts, {
+        scheduled: true,
+        timezone: 'UTC',
+    });
+
+    console.log('[quizAttemptExpiry] Cron job started (every minute).');
+}
+
+/**
+ * Stop the cron job gracefully.
+ */
+function stopQuizAttemptExpiryJob() {
+    if (task) {
+        task.stop();
+        task = null;
+        console.log('[quizAttemptExpiry] Cron job stopped.');
+    }
+}
+
+module.exports = {
+    startQuizAttemptExpiryJob,
+    stopQuizAttemptExpiryJob,
+    submitExpiredQuizAttempts, // exported for testing
+};
@@ -1,6 +1,11 @@
 const cron = require('node-cron');
 const Notebook = require('../models/Notebook');
 const Board = require('../models/Board');
+const BoardUpdate = require('../models/BoardUpdate');
+const BoardSnapshot = require('../models/BoardSnapshot');
+const NotebookChatMessage = require('../models/NotebookChatMessage');
+const storageService = require('../services/storage.service');
+const boardThumbnailService = require('../services/boardThumbnail.service');
 
 const RETENTION_DAYS = 30;
 
@@ -23,16 +28,13 @@ async function purgeExpiredTrashItems() {
         if (expiredNotebooks.length > 0) {
             console.log(`[recycleBinCleanup] Found ${expiredNotebooks.length} expired notebook(s) to purge.`);
 
-            const fs = require('fs').promises;
-
             for (const notebook of expiredNotebooks) {
                 try {
-                    // Delete source files from disk
+                    // Delete stored source files and reclaim the uploaders' storage
                     for (const source of notebook.sources) {
-                        if (source.filePath) {
-                            try { await fs.unlink(source.filePath); } catch { /* file may already be gone */ }
-                        }
+                        await storageService.releaseSource(source);
                     }
+                    await NotebookChatMessage.deleteMany({ notebookId: notebook._id });
                     await notebook.deleteOne();
                     console.log(`[recycleBinCleanup] Purged notebook ${notebook._id} (deleted ${notebook.deletedAt.toISOString()}).`);
                 } catch (err) {
@@ -42,7 +44,11 @@ async function purgeExpiredTrashItems() {
         }
 
         // ── Boards ─────────────────────────────────────────────────────────────────
-        const boardResult = await Board.deleteMany({ deletedAt: { $lt: cutoff } });
+        const expiredBoardIds = await Board.find({ deletedAt: { $lt: cutoff } }).distinct('_id');
+        await boardThumbnailService.removeThumbnails(expiredBoardIds);
+        const boardResult = await Board.deleteMany({ _id: { $in: expiredBoardIds } });
+        await BoardUpdate.deleteMany({ boardId: { $in: expiredBoardIds } });
+        await BoardSnapshot.deleteMany({ boardId: { $in: expiredBoardIds } });
 
         if (boardResult.deletedCount > 0) {
             console.log(`[recycleBinCleanup] Purged ${boardResult.deletedCount} expired board(s).`);
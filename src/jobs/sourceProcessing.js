@@ -0,0 +1,78 @@
+const config = require('../config/env');
+const sourceQueue = require('../services/sourceQueue.service');
+
+// How often the queue is checked for due jobs
+const POLL_INTERVAL_MS = 2000;
+
+let timer = null;
+let draining = false;
+let running = 0;
+const inFlight = new Set();
+
+/**
+ * Claim and start due source jobs until the concurrency limit is reached.
+ *
+ * Jobs run in the background; the next poll tops the pool back up as
+ * they finish.
+ */
+async function drainSourceQueue() {
+    if (draining) return;
+    draining = true;
+
+    try {
+        while (timer && running < config.sourceQueue.concurrency) {
+            const job = await sourceQueue.claimNext();
+            if (!job) break;
+
+            running++;
+            const work = sourceQueue.process(job).finally(() => {
+                running--;
+                inFlight.delete(work);
+            });
+            inFlight.add(work);
+        }
+    } catch (err) {
+        console.error('[sourceProcessing] Error claiming jobs:', err.message);
+    } finally {
+        draining = false;
+    }
+}
+
+/**
+ * Start consuming the source processing queue — polls every 2 seconds.
+ */
+function startSourceProcessingJob() {
+    if (timer) return;
+
+    timer = setInterval(drainSourceQueue, POLL_INTERVAL_MS);
+
+    // Pick up sources a crash left in 'processing' before this queue tracked them
+    sourceQueue.recoverStuckSources()
+        .then(count => {
+            if (count > 0) console.log(`[sourceProcessing] Re-queued ${count} stuck source(s).`);
+        })
+        .catch(err => console.error('[sourceProcessing] Error recovering stuck sources:', err.message));
+
+    drainSourceQueue();
+
+    console.log(`[sourceProcessing] Queue consumer started (concurrency ${config.sourceQueue.concurrency}).`);
+}
+
+/**
+ * Stop claiming new jobs. Resolves once the running jobs have finished;
+ * jobs that don't finish in time are picked up again when their lock expires.
+ */
+async function stopSourceProcessingJob() {
+    if (!timer) return;
+
+    clearInterval(timer);
+    timer = null;
+    console.log(`[sourceProcessing] Queue consumer stopped, waiting for ${inFlight.size} running job(s).`);
+    await Promise.allSettled([...inFlight]);
+}
+
+module.exports = {
+    startSourceProcessingJob,
+    stopSourceProcessingJob,
+    drainSourceQueue, // exported for testing
+};
@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { QUESTION_TYPES } = require('../utils/quizQuestionTypes');
 
 /**
  * Validation middleware runner
@@ -17,6 +18,18 @@ const validate = (req, res, next) => {
   next();
 };
 
+/**
+ * Rules for the cards array of a flashcard set
+ */
+const cardRules = [
+  body('cards.*.question')
+    .trim()
+    .notEmpty().withMessage('Card question is required'),
+  body('cards.*.answer')
+    .trim()
+    .notEmpty().withMessage('Card answer is required')
+];
+
 /**
  * Flashcard Set validation
  */
@@ -32,6 +45,9 @@ const validateFlashcardSet = [
   body('subject')
     .optional({ checkFalsy: true })
     .isMongoId().withMessage('Invalid subject ID'),
+  body('notebookId')
+    .optional({ checkFalsy: true })
+    .isMongoId().withMessage('Invalid notebook ID'),
   body('sourceType')
     .optional()
     .isIn(['manual', 'ai', 'study_buddy']).withMessage('Invalid source type'),
@@ -41,6 +57,28 @@ const validateFlashcardSet = [
   body('tags')
     .optional()
     .isArray().withMessage('Tags must be an array'),
+  body('cards')
+    .optional()
+    .isArray().withMessage('Cards must be an array'),
+  ...cardRules,
+  validate
+];
+
+/**
+ * Validation for cards added to an existing set. The body may be
+ * { cards: [...] }, a bare array or a single card, so it is wrapped
+ * into { cards } first.
+ */
+const validateFlashcardCards = [
+  (req, res, next) => {
+    if (!Array.isArray(req.body?.cards)) {
+      req.body = { cards: Array.isArray(req.body) ? req.body : [req.body || {}] };
+    }
+    next();
+  },
+  body('cards')
+    .isArray({ min: 1 }).withMessage('At least one card is required'),
+  ...cardRules,
   validate
 ];
 
@@ -157,10 +195,30 @@ const validateQuiz = [
     .optional()
     .trim()
     .notEmpty().withMessage('Question text is required'),
+  body('questions.*.type')
+    .optional()
+    .isIn(QUESTION_TYPES).withMessage('Invalid question type'),
   body('questions.*.options')
     .optional()
     .isArray().withMessage('Options must be an array')
-    .custom((options) => options.length >= 2).withMessage('At least 2 options required'),
+    .custom((options, { req, path }) => {
+      // Numeric and fill-in-the-blank questions have no options to choose from
+      const index = Number(path.match(/questions\[(\d+)\]/)?.[1]);
+      const type = req.body.questions?.[index]?.type;
+      return ['numeric', 'fill_blank'].includes(type) || options.length >= 2;
+    }).withMessage('At least 2 options required'),
+  body('questions.*.correctAnswers')
+    .optional()
+    .isArray().withMessage('Correct answers must be an array'),
+  body('questions.*.correctOrder')
+    .optional()
+    .isArray().withMessage('Correct order must be an array'),
+  body('questions.*.acceptedAnswers')
+    .optional()
+    .isArray().withMessage('Accepted answers must be an array'),
+  body('questions.*.tolerance')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Tolerance must be zero or positive'),
   body('questions.*.correctAnswer')
     .optional()
     .trim()
@@ -185,6 +243,7 @@ const validateQuiz = [
 
 module.exports = {
   validateFlashcardSet,
+  validateFlashcardCards,
   validateFlashcard,
   validateMindMap,
   validateQuiz
@@ -75,6 +75,11 @@ const boardSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Users who changed the canvas since the last history snapshot
+  editorsSinceSnapshot: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   isPublic: {
     type: Boolean,
     default: false
@@ -116,6 +121,15 @@ const boardSchema = new mongoose.Schema({
   thumbnail: {
     type: String // URL to thumbnail image
   },
+  // Generated thumbnail in file storage (see boardThumbnail.service)
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  thumbnailUpdatedAt: {
+    type: Date,
+    default: null
+  },
   tags: [{
     type: String,
     trim: true
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Saved version of a board's canvas.
+ *
+ * 'auto' snapshots are taken while a board is being edited (at most every
+ * few minutes, of the state before the next batch of changes), 'manual' ones
+ * are named by a member, and 'pre-restore' ones keep the state a restore
+ * replaced so it can be undone.
+ */
+const boardSnapshotSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['auto', 'manual', 'pre-restore'],
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Snapshot name cannot exceed 100 characters']
+  },
+  // Full Yjs state of the board at the time
+  state: {
+    type: Buffer,
+    required: true
+  },
+  shapeCount: {
+    type: Number,
+    default: 0
+  },
+  // Who took it (manual and pre-restore snapshots)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Who changed the board since the previous snapshot
+  editors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // For pre-restore snapshots, the snapshot that was restored
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BoardSnapshot',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+boardSnapshotSchema.index({ boardId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BoardSnapshot', boardSnapshotSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Incremental Yjs update to a board's canvas.
+ *
+ * API instances append the changes their clients made instead of
+ * overwriting Board.yjsState, so replicas editing the same board never lose
+ * each other's work. A board's document is Board.yjsState (the last
+ * compaction) plus all of its updates; compaction folds the updates back
+ * into yjsState and deletes them.
+ */
+const boardUpdateSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  // Yjs update (one or more merged client updates)
+  update: {
+    type: Buffer,
+    required: true
+  },
+  // API instance that wrote it
+  instanceId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+boardUpdateSchema.index({ boardId: 1, _id: 1 });
+
+module.exports = mongoose.model('BoardUpdate', boardUpdateSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const reviewLogSchema = new mongoose.Schema({
+  grade: {
+    type: String,
+    enum: ['again', 'hard', 'good', 'easy'],
+    required: true
+  },
+  interval: {
+    type: Number, // in days, after this review
+    required: true
+  },
+  easeFactor: {
+    type: Number,
+    required: true
+  },
+  reviewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const flashcardSchema = new mongoose.Schema({
+  setId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlashcardSet',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true
+  },
+  answer: {
+    type: String,
+    required: [true, 'Answer is required'],
+    trim: true
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  explanation: {
+    type: String,
+    trim: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  order: {
+    type: Number,
+    default: 0
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0
+  },
+
+  // ─── SM-2 scheduling state ───────────────────────────────────
+  state: {
+    type: String,
+    enum: ['new', 'learning', 'review'],
+    default: 'new'
+  },
+  easeFactor: {
+    type: Number,
+    default: 2.5
+  },
+  interval: {
+    type: Number, // in days
+    default: 0
+  },
+  repetitions: {
+    type: Number, // consecutive successful reviews
+    default: 0
+  },
+  lapses: {
+    type: Number,
+    default: 0
+  },
+  dueDate: {
+    type: Date,
+    default: Date.now
+  },
+  lastReviewedAt: {
+    type: Date,
+    default: null
+  },
+  // First review, when the card left 'new' (counts against newCardsPerDay)
+  introducedAt: {
+    type: Date,
+    default: null
+  },
+  reviewLog: [reviewLogSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+flashcardSchema.index({ setId: 1, order: 1 });
+flashcardSchema.index({ createdBy: 1, dueDate: 1 });
+flashcardSchema.index({ setId: 1, dueDate: 1 });
+flashcardSchema.index({ setId: 1, lastReviewedAt: 1 });
+
+module.exports = mongoose.models.Flashcard || mongoose.model('Flashcard', flashcardSchema);
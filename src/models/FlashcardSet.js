@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const flashcardSetSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  subject: {
+    type: String,
+    required: false,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Notebook this deck was generated from (linked through Notebook.artifacts)
+  notebookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null
+  },
+  sourceType: {
+    type: String,
+    enum: ['manual', 'ai', 'study_buddy'],
+    default: 'manual'
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'shared'],
+    default: 'private'
+  },
+  settings: {
+    newCardsPerDay: {
+      type: Number,
+      min: 0,
+      default: 20
+    },
+    maxReviewsPerDay: {
+      type: Number,
+      min: 0,
+      default: 200
+    }
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  cardCount: {
+    type: Number,
+    default: 0
+  },
+  lastStudiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+flashcardSetSchema.index({ createdBy: 1, subject: 1 });
+flashcardSetSchema.index({ createdBy: 1, createdAt: -1 });
+flashcardSetSchema.index({ notebookId: 1 });
+
+module.exports = mongoose.models.FlashcardSet || mongoose.model('FlashcardSet', flashcardSetSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const ATTACHMENT_TYPES = ['image', 'file', 'audio', 'video'];
+
 const messageSchema = new mongoose.Schema(
   {
     sender: {
@@ -27,7 +29,11 @@ const messageSchema = new mongoose.Schema(
     },
     content: {
       type: String,
-      required: true,
+      // A message may be just attachments (which are dropped when it's deleted)
+      required: function () {
+        return !this.isDeleted && !this.attachments?.length;
+      },
+      default: '',
       maxlength: 5000,
     },
     messageType: {
@@ -37,16 +43,81 @@ const messageSchema = new mongoose.Schema(
     },
     attachments: [
       {
+        // Client-hosted file (older clients); uploads use storageKey instead
         url: String,
-        type: String,
+        type: {
+          type: String,
+          enum: ATTACHMENT_TYPES,
+        },
         name: String,
         size: Number,
+        // Sniffed from the file content on upload
+        mimeType: String,
+        storageKey: String,
+        // WebP thumbnail for images and the first page of PDFs
+        thumbnailKey: String,
+        thumbnailSize: Number,
+        thumbnailUrl: String,
+        width: Number,
+        height: Number,
       },
     ],
     replyTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Message',
     },
+    // Thread replies point at the thread's root message
+    threadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+    // Thread summary, kept on the root message
+    thread: {
+      replyCount: {
+        type: Number,
+        default: 0,
+      },
+      lastReplyAt: Date,
+      participants: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+    },
+    // One entry per user and emoji
+    reactions: [
+      {
+        _id: false,
+        emoji: {
+          type: String,
+          required: true,
+          maxlength: 32,
+        },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        reactedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Users @mentioned in a group message
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    pinnedAt: Date,
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     isEdited: {
       type: Boolean,
       default: false,
@@ -75,10 +146,27 @@ const messageSchema = new mongoose.Schema(
   }
 );
 
+// Older clients sent their own attachment types (such as MIME types), and
+// messages stored before the enum may hold them: those are kept as files
+// instead of failing the save
+messageSchema.pre('validate', function () {
+  for (const attachment of this.attachments || []) {
+    if (attachment.type && !ATTACHMENT_TYPES.includes(attachment.type)) {
+      attachment.type = 'file';
+    }
+  }
+});
+
 // Indexes for efficient queries
 messageSchema.index({ conversationType: 1, participants: 1, createdAt: -1 });
 messageSchema.index({ conversationType: 1, group: 1, createdAt: -1 });
 messageSchema.index({ sender: 1, createdAt: -1 });
+messageSchema.index({ threadId: 1, createdAt: 1 });
+// Message search; no stemming or stop words since chats aren't all in English
+messageSchema.index(
+  { content: 'text', 'attachments.name': 'text' },
+  { weights: { content: 2, 'attachments.name': 1 }, default_language: 'none', name: 'message_search' }
+);
 
 const Message = mongoose.model('Message', messageSchema);
 
@@ -93,6 +93,11 @@ const mindMapSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'MindMap'
   },
+  // Set when this version was created by restoring an older snapshot
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MindMap'
+  },
   isArchived: {
     type: Boolean,
     default: false
@@ -109,6 +114,16 @@ const mindMapSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // CRDT state for real-time editing (see socket/yjsMindMapDoc.js)
+  yjsState: {
+    type: Buffer,
+    default: null,
+    select: false
+  },
+  yjsUpdatedAt: {
+    type: Date,
+    default: null
+  },
   metadata: {
     layout: {
       type: String,
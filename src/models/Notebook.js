@@ -40,17 +40,20 @@ const CollaboratorSchema = new mongoose.Schema({
 const SourceSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['pdf', 'text', 'website', 'audio'],  // Replaced 'notes' with 'audio'
+    enum: ['pdf', 'text', 'website', 'audio', 'docx', 'pptx', 'epub', 'markdown', 'csv'],  // Replaced 'notes' with 'audio'
     required: true
   },
   name: {
     type: String,
     required: true
   },
-  filePath: String, // For uploaded files (local storage)
+  storageKey: String, // Uploaded file in the storage backend (see storage.service)
+  filePath: String, // Legacy local path, moved to storageKey by scripts/migrate-storage.js
   url: String, // For websites or audio file URLs
   content: String, // For text or transcriptions
   size: Number, // File size in bytes
+  sections: [mongoose.Schema.Types.Mixed], // Structure markers (headings, slides, chapters, PDF pages) with text offsets
+  pagesBackfilledAt: Date, // PDFs indexed before page tracking: when finding their pages was tried (once)
   
   // Audio-specific fields
   audioUrl: String, // Cloud storage URL for audio file
@@ -63,6 +66,13 @@ const SourceSchema = new mongoose.Schema({
   },
   transcriptionError: String, // Error message if transcription failed
   transcriptionSegments: [mongoose.Schema.Types.Mixed], // Granular timing data
+  playbackKey: String, // AAC copy for browsers that can't play the original (Ogg/WebM in Safari)
+  waveform: {
+    peaks: [Number], // Peak amplitude per bin, 0..1
+    bins: Number,
+    duration: Number, // Seconds, as decoded
+    generatedAt: Date
+  },
   
   // RAG-specific fields
   ragStatus: {
@@ -186,6 +196,22 @@ const NotebookSchema = new mongoose.Schema({
 NotebookSchema.index({ userId: 1, createdAt: -1 });
 NotebookSchema.index({ userId: 1, lastAccessed: -1 });
 NotebookSchema.index({ 'collaborators.userId': 1 });
+// Notebook search (see notebookSearch.service); weights follow its field weights
+NotebookSchema.index(
+  {
+    title: 'text',
+    description: 'text',
+    'artifacts.title': 'text',
+    'sources.name': 'text',
+    'sources.content': 'text',
+    'sources.transcription': 'text'
+  },
+  {
+    weights: { title: 3, 'artifacts.title': 2, 'sources.name': 2, description: 1, 'sources.content': 1, 'sources.transcription': 1 },
+    default_language: 'none',
+    name: 'notebook_search'
+  }
+);
 // Note: shareCode index is created automatically by 'unique: true' in schema
 
 // ─── Middleware ──────────────────────────────────────────────────────
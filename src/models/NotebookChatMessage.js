@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// ─── Cited Source Schema ─────────────────────────────────────────────
+const CitedSourceSchema = new mongoose.Schema({
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Source name when the answer was given (the source may be removed later)
+  name: String,
+  type: { type: String },
+  // Chunk reference from the AI engine's retrieval, when it sent one
+  chunkId: String,
+  // Character range in the source's indexed text (null when the chunk wasn't found)
+  start: Number,
+  end: Number,
+  page: Number,
+  section: {
+    kind: String,
+    title: String,
+    number: Number
+  },
+  // Seconds into an audio source
+  timestamp: {
+    start: Number,
+    end: Number
+  },
+  excerpt: {
+    type: String,
+    maxlength: 2000
+  }
+}, { _id: false });
+
+// ─── Notebook Chat Message Schema ────────────────────────────────────
+/**
+ * One turn of a notebook's shared AI chat. User turns are stored when they
+ * are sent, assistant turns when their stream completes (or is cut off).
+ */
+const NotebookChatMessageSchema = new mongoose.Schema({
+  notebookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    required: true
+  },
+  // Client-generated id, also used by the ai:token stream
+  messageId: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    default: '',
+    maxlength: 100000
+  },
+  // Who sent it; for assistant turns, who asked the question
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorName: String,
+  sources: [CitedSourceSchema],
+  // The streaming client left before the answer was complete
+  interrupted: {
+    type: Boolean,
+    default: false
+  },
+  // Assistant turns: the text and sources were sent by the asking client,
+  // not received by the server from the AI engine
+  relayed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// ─── Indexes ─────────────────────────────────────────────────────────
+NotebookChatMessageSchema.index({ notebookId: 1, messageId: 1 }, { unique: true });
+NotebookChatMessageSchema.index({ notebookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotebookChatMessage', NotebookChatMessageSchema);
@@ -38,6 +38,9 @@ const notificationSchema = new mongoose.Schema(
         'ai_session_complete',
         'notebook_invite',
 
+        // Chat
+        'chat_mention',
+
         // Reports/Admin
         'report_submitted',
         'report_resolved',
@@ -51,6 +51,10 @@ const paymentSchema = new mongoose.Schema(
     invoiceUrl: {
       type: String,
     },
+    // PDF in the storage backend
+    invoiceKey: {
+      type: String,
+    },
     
     // Description
     description: {
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
+const { QUESTION_TYPES, validateQuestion } = require('../utils/quizQuestionTypes');
 
 const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'multiple_choice'
+  },
   question: {
     type: String,
     required: true,
@@ -11,11 +17,44 @@ const questionSchema = new mongoose.Schema({
     required: true,
     trim: true
   }],
+  // Single answer for multiple_choice, true_false, numeric and fill_blank
   correctAnswer: {
     type: String,
-    required: true,
+    required: function () {
+      return !['multi_select', 'ordering'].includes(this.type);
+    },
     trim: true
   },
+  // multi_select: every option that must be picked
+  correctAnswers: [{
+    type: String,
+    trim: true
+  }],
+  // ordering: items in the correct order (falls back to options order)
+  correctOrder: [{
+    type: String,
+    trim: true
+  }],
+  // numeric: accepted absolute difference from correctAnswer
+  tolerance: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // fill_blank: alternative spellings/phrasings also marked correct
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // multi_select/ordering: award a share of the points for partly right answers
+  partialCredit: {
+    type: Boolean,
+    default: true
+  },
   explanation: {
     type: String,
     trim: true
@@ -35,6 +74,17 @@ const questionSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Only questions being added or edited: older stored questions may not meet
+// these rules and must not block saving the rest of the quiz
+questionSchema.pre('validate', function () {
+  if (!this.isNew && !this.isModified()) return;
+
+  const error = validateQuestion(this);
+  if (error) {
+    this.invalidate('type', error, this.type);
+  }
+});
+
 const quizSchema = new mongoose.Schema({
   title: {
     type: String,
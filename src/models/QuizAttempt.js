@@ -5,20 +5,61 @@ const answerSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     required: true
   },
+  // String for single-answer questions, array for multi_select/ordering
   userAnswer: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.Mixed,
+    default: ''
   },
   isCorrect: {
     type: Boolean,
     required: true
   },
+  // Share of the question's points earned (0..1, partial credit)
+  credit: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  pointsEarned: {
+    type: Number,
+    default: 0
+  },
   timeSpent: {
     type: Number, // in seconds
     default: 0
   }
 }, { _id: false });
 
+// Answers saved while a timed attempt is still in progress (graded on submit)
+const draftAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  answer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: ''
+  },
+  timeSpent: {
+    type: Number, // in seconds, as reported by the client
+    default: 0
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Option order issued to this attempt when shuffleOptions is on
+const optionOrderSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  options: [String]
+}, { _id: false });
+
 const quizAttemptSchema = new mongoose.Schema({
   quizId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -30,6 +71,35 @@ const quizAttemptSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Lifecycle: one-shot submissions are created directly as 'submitted'
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'submitted'
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  deadline: {
+    type: Date, // null when the quiz has no time limit
+    default: null
+  },
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the quiz doesn't allow retakes; unique per user and quiz so
+  // concurrent starts or submits can't both create an attempt
+  onlyAttempt: {
+    type: Boolean,
+    default: false
+  },
+  questionOrder: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  optionOrder: [optionOrderSchema],
+  draftAnswers: [draftAnswerSchema],
   answers: [answerSchema],
   score: {
     type: Number,
@@ -56,6 +126,22 @@ const quizAttemptSchema = new mongoose.Schema({
   completedAt: {
     type: Date,
     default: Date.now
+  },
+  // 'live' attempts come from a hosted group quiz room (/quiz-live)
+  mode: {
+    type: String,
+    enum: ['solo', 'live'],
+    default: 'solo'
+  },
+  live: {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    },
+    roomCode: String,
+    points: Number, // speed-weighted game points, not the percentage score
+    rank: Number,
+    participants: Number
   }
 }, {
   timestamps: true
@@ -64,5 +150,16 @@ const quizAttemptSchema = new mongoose.Schema({
 // Indexes
 quizAttemptSchema.index({ quizId: 1, userId: 1 });
 quizAttemptSchema.index({ userId: 1, completedAt: -1 });
+// At most one open attempt per user and quiz
+quizAttemptSchema.index(
+  { quizId: 1, userId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+quizAttemptSchema.index(
+  { quizId: 1, userId: 1, onlyAttempt: 1 },
+  { unique: true, partialFilterExpression: { onlyAttempt: true } }
+);
+quizAttemptSchema.index({ status: 1, deadline: 1 });
+quizAttemptSchema.index({ 'live.groupId': 1, completedAt: -1 }, { sparse: true });
 
 module.exports = mongoose.models.QuizAttempt || mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const wrongAnswerSchema = new mongoose.Schema({
+  answer: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * Running per-question aggregates for a quiz.
+ * Updated incrementally on every submitted attempt so statistics never
+ * need to scan the full QuizAttempt collection.
+ */
+const quizQuestionStatsSchema = new mongoose.Schema({
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  answeredCount: {
+    type: Number,
+    default: 0
+  },
+  correctCount: {
+    type: Number,
+    default: 0
+  },
+  totalTimeSpent: {
+    type: Number, // in seconds
+    default: 0
+  },
+  // Sums of the attempt's overall score, used for the point-biserial
+  // discrimination index without keeping every attempt around
+  sumScore: {
+    type: Number,
+    default: 0
+  },
+  sumScoreSquared: {
+    type: Number,
+    default: 0
+  },
+  sumScoreWhenCorrect: {
+    type: Number,
+    default: 0
+  },
+  wrongAnswers: [wrongAnswerSchema],
+  calibratedDifficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', null],
+    default: null
+  },
+  calibratedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+quizQuestionStatsSchema.index({ quizId: 1, questionId: 1 }, { unique: true });
+
+module.exports = mongoose.models.QuizQuestionStats || mongoose.model('QuizQuestionStats', quizQuestionStatsSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * Queued processing (transcription + RAG ingestion) of a notebook source.
+ *
+ * Jobs are claimed by the worker with a lock that expires, so a job whose
+ * worker died is picked up again instead of leaving the source stuck.
+ * Jobs that run out of attempts stay in the collection with status 'dead'
+ * (the dead-letter list) until an admin retries them.
+ */
+const sourceJobSchema = new mongoose.Schema({
+  notebookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // User the AI engine calls are made on behalf of
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['upload', 'reprocess', 'recovery', 'retry'],
+    default: 'upload'
+  },
+  // Remove the source's existing RAG documents before ingesting again
+  replaceExisting: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'active', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Earliest time the job may run (pushed back on retries)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  progress: {
+    stage: {
+      type: String,
+      enum: ['queued', 'transcribing', 'waveform', 'transcoding', 'extracting', 'ingesting', 'done'],
+      default: 'queued'
+    },
+    percent: { type: Number, min: 0, max: 100, default: 0 },
+    message: String
+  },
+  // AI engine upload task, kept so a retry resumes polling instead of re-uploading
+  aiTaskId: String,
+  lastError: String,
+  failures: [{
+    attempt: Number,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }],
+  completedAt: Date,
+  deadAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+sourceJobSchema.index({ status: 1, runAt: 1 });
+sourceJobSchema.index({ status: 1, lockedUntil: 1 });
+sourceJobSchema.index({ sourceId: 1, status: 1 });
+// At most one open job per source
+sourceJobSchema.index(
+  { sourceId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['queued', 'active'] } } }
+);
+sourceJobSchema.index({ notebookId: 1 });
+// Finished jobs are only kept for a week
+sourceJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.models.SourceJob || mongoose.model('SourceJob', sourceJobSchema);
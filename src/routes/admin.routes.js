@@ -108,6 +108,24 @@ router.put('/boards/:id/suspend', ...adminAuth, adminController.suspendBoard);
  */
 router.delete('/boards/:id/force', ...adminAuth, adminController.forceDeleteBoard);
 
+// ============================================================================
+// SOURCE PROCESSING QUEUE (Admin only)
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/source-jobs/dead
+ * @desc    List dead-lettered source processing jobs
+ * @access  Private/Admin only
+ */
+router.get('/source-jobs/dead', ...adminAuth, adminController.getDeadSourceJobs);
+
+/**
+ * @route   POST /api/admin/source-jobs/:id/retry
+ * @desc    Retry a dead-lettered source processing job
+ * @access  Private/Admin only
+ */
+router.post('/source-jobs/:id/retry', ...adminAuth, adminController.retrySourceJob);
+
 // ============================================================================
 // PLATFORM SETTINGS ROUTES (Admin only)
 // ============================================================================
@@ -77,6 +77,19 @@ const validateObjectId = [
   validate
 ];
 
+const validateSnapshotId = [
+  param('snapshotId').isMongoId().withMessage('Invalid snapshot ID'),
+  validate
+];
+
+const validateSnapshotCreation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Snapshot name is required')
+    .isLength({ max: 100 }).withMessage('Snapshot name cannot exceed 100 characters'),
+  validate
+];
+
 // All routes require authentication
 router.use(protect);
 
@@ -108,6 +121,24 @@ router.route('/:id/members/:userId')
   .delete(validateObjectId, boardController.removeMember)
   .patch(validateObjectId, validateMemberRoleUpdate, boardController.updateMemberRole);
 
+// Thumbnail and export
+router.get('/:id/thumbnail', validateObjectId, boardController.getThumbnail);
+
+router.get('/:id/export',
+  validateObjectId,
+  query('format').optional().isIn(['svg', 'pdf', 'json']).withMessage('Format must be one of: svg, pdf, json'),
+  validate,
+  boardController.exportBoard
+);
+
+// Version history
+router.route('/:id/history')
+  .get(validateObjectId, boardController.getHistory)
+  .post(validateObjectId, validateSnapshotCreation, boardController.createSnapshot);
+
+router.get('/:id/history/:snapshotId', validateObjectId, validateSnapshotId, boardController.previewSnapshot);
+router.post('/:id/history/:snapshotId/restore', validateObjectId, validateSnapshotId, boardController.restoreSnapshot);
+
 // Board CRUD by ID (must be after specific routes)
 router.route('/:id')
   .get(validateObjectId, boardController.getBoard)
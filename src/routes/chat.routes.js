@@ -1,9 +1,21 @@
 const express = require('express');
+const multer = require('multer');
 const chatController = require('../controllers/chat.controller');
+const chatAttachmentService = require('../services/chatAttachment.service');
 const { protect } = require('../middlewares/auth.middleware');
+const { checkStorageLimit } = require('../middleware/usageEnforcement');
 
 const router = express.Router();
 
+// Chat uploads are held in memory for type sniffing and thumbnails
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: chatAttachmentService.MAX_ATTACHMENT_BYTES,
+    files: chatAttachmentService.MAX_ATTACHMENTS_PER_MESSAGE,
+  },
+});
+
 // All routes require authentication
 router.use(protect);
 
@@ -14,6 +26,27 @@ router.get('/messages/:type', chatController.getMessages);
 router.put('/messages/:messageId', chatController.editMessage);
 router.delete('/messages/:messageId', chatController.deleteMessage);
 
+// Attachments
+router.post('/messages/upload', checkStorageLimit, upload.array('files'), chatController.uploadMessage);
+router.get('/messages/:messageId/attachments/:attachmentId', chatController.getAttachment);
+
+// Threads
+router.get('/messages/:messageId/thread', chatController.getThread);
+
+// Reactions
+router.post('/messages/:messageId/reactions', chatController.addReaction);
+router.delete('/messages/:messageId/reactions/:emoji', chatController.removeReaction);
+
+// Pins
+router.post('/messages/:messageId/pin', chatController.pinMessage);
+router.delete('/messages/:messageId/pin', chatController.unpinMessage);
+router.get('/pins', chatController.getPinnedMessages);
+router.get('/pins/:type', chatController.getPinnedMessages);
+
+// Search and export
+router.get('/search', chatController.searchMessages);
+router.get('/export/:type', chatController.exportConversation);
+
 // Conversations
 router.get('/conversations', chatController.getConversations);
 
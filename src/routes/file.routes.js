@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const fileController = require('../controllers/file.controller');
+
+// Signed download links from the local storage driver. No session needed,
+// the token carries the key and expiry and is checked against its HMAC.
+router.get('/:token', fileController.downloadSignedFile);
+
+module.exports = router;
@@ -11,6 +11,12 @@ const upload = multer({
   limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
+// Notebook bundles hold every source file, so they get more room
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 } // 200MB limit
+});
+
 // ============================================================================
 // NOTEBOOK MANAGEMENT
 // ============================================================================
@@ -21,6 +27,19 @@ router.get('/notebooks/:id', protect, notebookController.getNotebook);
 router.put('/notebooks/:id', protect, notebookController.updateNotebook);
 router.delete('/notebooks/:id', protect, notebookController.deleteNotebook);
 
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+
+router.get('/notebooks/:id/export', protect, notebookController.exportNotebook);
+router.post('/notebooks/import', protect, checkNotebookLimit, checkStorageLimit, bundleUpload.single('bundle'), notebookController.importNotebook);
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+router.get('/search', protect, notebookController.searchNotebooks);
+
 // ============================================================================
 // SOURCE MANAGEMENT
 // ============================================================================
@@ -28,8 +47,12 @@ router.delete('/notebooks/:id', protect, notebookController.deleteNotebook);
 router.post('/notebooks/:id/sources', protect, checkFileUploadLimit, checkStorageLimit, upload.single('file'), notebookController.addSource);
 router.delete('/notebooks/:id/sources/:sourceId', protect, notebookController.removeSource);
 router.patch('/notebooks/:id/sources/:sourceId', protect, notebookController.toggleSource);
+router.post('/notebooks/:id/sources/:sourceId/reprocess', protect, notebookController.reprocessSource);
 router.get('/notebooks/:id/sources/:sourceId/content', protect, notebookController.getSourceContent);
 router.get('/notebooks/:id/sources/:sourceId/audio', protect, notebookController.streamAudioSource);
+router.get('/notebooks/:id/sources/:sourceId/waveform', protect, notebookController.getAudioWaveform);
+router.get('/notebooks/:id/sources/:sourceId/download', protect, notebookController.getSourceDownloadUrl);
+router.post('/notebooks/:id/citations', protect, notebookController.resolveCitations);
 
 // ============================================================================
 // ARTIFACT LINKING
@@ -39,10 +62,11 @@ router.post('/notebooks/:id/artifacts', protect, notebookController.linkArtifact
 router.delete('/notebooks/:id/artifacts/:artifactId', protect, notebookController.unlinkArtifact);
 
 // ============================================================================
-// CONTEXT RETRIEVAL (for AI chat)
+// CONTEXT RETRIEVAL AND HISTORY (for AI chat)
 // ============================================================================
 
 router.get('/notebooks/:id/context', protect, notebookController.getNotebookContext);
+router.get('/notebooks/:id/chat', protect, notebookController.getChatHistory);
 
 // ============================================================================
 // COLLABORATION
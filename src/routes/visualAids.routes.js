@@ -11,12 +11,13 @@ const upload = multer({
 // Import controllers
 const mindMapController = require('../controllers/mindmap.controller');
 const quizController = require('../controllers/quiz.controller');
+const flashcardController = require('../controllers/flashcard.controller');
 const generateController = require('../controllers/generate.controller');
 const subjectController = require('../controllers/subject.controller');
 
 // Import middleware
 const { protect } = require('../middlewares/auth.middleware');
-const { validateFlashcardSet, validateFlashcard, validateMindMap, validateQuiz } = require('../middlewares/validation.middleware');
+const { validateFlashcardSet, validateFlashcardCards, validateFlashcard, validateMindMap, validateQuiz } = require('../middlewares/validation.middleware');
 const { checkAIUsageLimit, checkFileUploadLimit } = require('../middleware/usageEnforcement');
 
 // ============================================================================
@@ -32,8 +33,32 @@ router.delete('/mindmaps/:id', protect, mindMapController.deleteMindMap);
 // Mind Map Versioning
 router.post('/mindmaps/:id/version', protect, mindMapController.createVersion);
 router.get('/mindmaps/:id/versions', protect, mindMapController.getVersionHistory);
+router.get('/mindmaps/:id/versions/:a/diff/:b', protect, mindMapController.diffVersions);
+router.post('/mindmaps/:id/versions/:v/restore', protect, mindMapController.restoreVersion);
 router.post('/mindmaps/:id/archive', protect, mindMapController.archiveMindMap);
 
+// Mind Map Import / Export
+router.post('/mindmaps/import', protect, upload.single('file'), mindMapController.importMindMap);
+router.get('/mindmaps/:id/export', protect, mindMapController.exportMindMap);
+
+// ============================================================================
+// FLASHCARDS ROUTES
+// ============================================================================
+
+router.post('/flashcards/sets', protect, ...validateFlashcardSet, flashcardController.createSet);
+router.get('/flashcards/sets', protect, flashcardController.getSets);
+router.get('/flashcards/sets/:id', protect, flashcardController.getSetById);
+router.put('/flashcards/sets/:id', protect, ...validateFlashcardSet, flashcardController.updateSet);
+router.delete('/flashcards/sets/:id', protect, flashcardController.deleteSet);
+router.post('/flashcards/sets/:id/cards', protect, ...validateFlashcardCards, flashcardController.addCards);
+router.put('/flashcards/cards/:cardId', protect, ...validateFlashcard, flashcardController.updateCard);
+router.delete('/flashcards/cards/:cardId', protect, flashcardController.deleteCard);
+
+// Spaced repetition reviews
+router.get('/flashcards/due', protect, flashcardController.getDueCards);
+router.post('/flashcards/cards/:cardId/review', protect, flashcardController.reviewCard);
+router.get('/flashcards/sets/:id/stats', protect, flashcardController.getSetStats);
+
 // ============================================================================
 // QUIZZES ROUTES
 // ============================================================================
@@ -57,6 +82,12 @@ router.post('/quizzes/from-flashcards/:setId', protect, quizController.createFro
 router.post('/quizzes/:id/attempts', protect, quizController.submitAttempt);
 router.get('/quizzes/attempts', protect, quizController.getUserAttempts);
 
+// Timed Quiz Sessions
+router.post('/quizzes/:id/attempts/start', protect, quizController.startAttempt);
+router.get('/quizzes/attempts/:attemptId', protect, quizController.getAttempt);
+router.put('/quizzes/attempts/:attemptId/answers', protect, quizController.saveAnswers);
+router.post('/quizzes/attempts/:attemptId/submit', protect, quizController.submitStartedAttempt);
+
 // Quiz Statistics
 router.get('/quizzes/:id/statistics', protect, quizController.getStatistics);
 
@@ -6,6 +6,8 @@ const { initializeSocket } = require('./socket');
 const { registerEventListeners } = require('./utils/eventListeners');
 const { getRedisClient, closeRedis } = require('./config/redis');
 const { killPort } = require('./utils/killPort');
+const { relaySourceEvents, stopSourceEventRelay } = require('./socket/sourceJobEvents');
+const { startYjsReplication, stopYjsReplication } = require('./socket/yjsReplication');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -38,16 +40,32 @@ const server = http.createServer(app);
 // Initialize Socket.IO (for chat, notifications, notebook collab)
 const io = initializeSocket(server);
 
+// Push source processing status from the worker to notebook collaborators
+relaySourceEvents(io).catch((err) => {
+  console.warn('⚠️  Source event relay unavailable:', err.message);
+});
+
 // Initialize Yjs WebSocket server (for tldraw board collaboration)
 const { attachYjsWebSocket } = require('./socket/yjsServer');
 attachYjsWebSocket(server);
 
+// Share open board and mind map docs with the other API instances
+startYjsReplication().catch((err) => {
+  console.warn('⚠️  Yjs replication unavailable:', err.message);
+});
+
 // Register Tier-2/3 event listeners
 registerEventListeners();
 
 // NOTE: Cron jobs are now handled by backend-worker service
 // See: backend/src/workers/cron.js
 // This prevents duplicate job execution in multi-replica deployments
+// The source processing queue is safe to consume from several processes, so
+// setups without the worker can run it here with SOURCE_QUEUE_INLINE=true
+if (config.sourceQueue.inline) {
+  const { startSourceProcessingJob } = require('./jobs/sourceProcessing');
+  startSourceProcessingJob();
+}
 
 // Start server with automatic port cleanup
 async function startServer() {
@@ -101,7 +119,9 @@ process.on('SIGTERM', () => {
     });
   }
   
-  // 3. Close Redis connection
+  // 3. Close Redis connections
+  stopSourceEventRelay();
+  stopYjsReplication();
   closeRedis().then(() => {
     console.log('✅ Redis connection closed');
   }).catch((err) => {
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { normalizeGeneratedQuestion, validateQuestion } = require('../utils/quizQuestionTypes');
 
 const AI_ENGINE_BASE_URL = process.env.AI_ENGINE_URL || 'http://localhost:8000';
 
@@ -163,6 +164,7 @@ class AIService {
         num_questions: options.count || 10,
         difficulty: options.difficulty || 'medium',
         include_options: true, // Always generate multiple choice
+        question_types: options.questionTypes || ['multiple_choice'],
         use_rag: options.useRag !== undefined ? options.useRag : false, // Disable RAG by default for now
         topic: options.topic || null // Optional topic for RAG filtering
       }, {
@@ -188,6 +190,12 @@ class AIService {
       console.log('Sample question from AI engine:', JSON.stringify(questions[0], null, 2));
 
       return questions.map((q, idx) => {
+        // Typed questions (multi-select, numeric, ...) have their own shape
+        const questionType = q.type || q.question_type;
+        if (questionType && questionType !== 'multiple_choice') {
+          return normalizeGeneratedQuestion(q, { difficulty: options.difficulty });
+        }
+
         // Clean options - remove empty strings and trim
         let validOptions = (q.options || [])
           .map(opt => typeof opt === 'string' ? opt.trim() : String(opt).trim())
@@ -233,6 +241,10 @@ class AIService {
         }
         
         return transformed;
+      }).filter(q => {
+        const error = q ? validateQuestion(q) : 'Unsupported question type';
+        if (error) console.warn(`Dropping generated question: ${error}`);
+        return !error;
       });
     } catch (error) {
       console.error('AI generateQuiz error:', error.response?.data || error.message);
@@ -258,6 +270,7 @@ class AIService {
       formData.append('num_questions', options.count || 5);
       formData.append('difficulty', options.difficulty || 'medium');
       formData.append('include_options', 'true');
+      formData.append('question_types', (options.questionTypes || ['multiple_choice']).join(','));
       
       console.log('Calling AI engine /ai/qa/generate/file with:', {
         fileName: file.originalname,
@@ -292,6 +305,12 @@ class AIService {
       console.log('Sample question from AI engine (file):', JSON.stringify(questions[0], null, 2));
 
       return questions.map((q, idx) => {
+        // Typed questions (multi-select, numeric, ...) have their own shape
+        const questionType = q.type || q.question_type;
+        if (questionType && questionType !== 'multiple_choice') {
+          return normalizeGeneratedQuestion(q, { difficulty: options.difficulty });
+        }
+
         // Clean options - remove empty strings and trim
         let validOptions = (q.options || [])
           .map(opt => typeof opt === 'string' ? opt.trim() : String(opt).trim())
@@ -337,6 +356,10 @@ class AIService {
         }
         
         return transformed;
+      }).filter(q => {
+        const error = q ? validateQuestion(q) : 'Unsupported question type';
+        if (error) console.warn(`Dropping generated question: ${error}`);
+        return !error;
       });
     } catch (error) {
       console.error('AI generateQuizFromFile error:', error.response?.data || error.message);
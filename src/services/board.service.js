@@ -1,6 +1,13 @@
+const Y = require('yjs');
 const Board = require('../models/Board');
+const BoardUpdate = require('../models/BoardUpdate');
+const BoardSnapshot = require('../models/BoardSnapshot');
 const User = require('../models/User');
 const AppError = require('../utils/AppError');
+const boardThumbnailService = require('./boardThumbnail.service');
+const { EXPORT_FORMATS, listPages, buildScene, toSvg, toPdf } = require('../utils/boardExport');
+const { updateBoardAccess, refreshBoardAccess } = require('../socket/yjsServer');
+const { loadBoardDoc, isSessionRecord } = require('../socket/yjsBoardDoc');
 
 class BoardService {
   /**
@@ -109,7 +116,8 @@ class BoardService {
     }
 
     // Allowed fields to update
-    const allowedUpdates = ['title', 'description', 'isPublic', 'settings', 'tags', 'thumbnail'];
+    const allowedUpdates = ['title', 'description', 'isPublic', 'settings', 'tags'];
+    const wasPublic = board.isPublic;
 
     allowedUpdates.forEach(field => {
       if (updates[field] !== undefined) {
@@ -118,6 +126,11 @@ class BoardService {
     });
 
     await board.save();
+
+    // Non-members viewing the canvas while it was public lose access
+    if (wasPublic && !board.isPublic) {
+      await refreshBoardAccess(board._id);
+    }
     await board.populate('owner', 'name email');
     await board.populate('members.userId', 'name email');
 
@@ -141,6 +154,10 @@ class BoardService {
 
     board.deletedAt = new Date();
     await board.save();
+
+    // Close every open canvas connection
+    await refreshBoardAccess(board._id);
+
     return { message: 'Board moved to recycle bin' };
   }
 
@@ -231,6 +248,10 @@ class BoardService {
     );
 
     await board.save();
+
+    // Close the removed member's open canvas connections
+    updateBoardAccess(boardId, memberUserId, null);
+
     return board;
   }
 
@@ -260,6 +281,9 @@ class BoardService {
     member.role = newRole;
     await board.save();
 
+    // Viewers' open canvas connections become read-only, editors' writable
+    updateBoardAccess(boardId, memberUserId, newRole);
+
     return board;
   }
 
@@ -289,13 +313,86 @@ class BoardService {
     duplicateData.owner = userId;
     duplicateData.members = []; // New board starts with no members except owner
     duplicateData.lastActivity = new Date();
+    // Part of the canvas may only be in the update log; copy it folded into one state
+    const doc = await loadBoardDoc(originalBoard._id.toString());
+    duplicateData.yjsState = Buffer.from(Y.encodeStateAsUpdate(doc));
+    duplicateData.yjsUpdatedAt = new Date();
+    duplicateData.editorsSinceSnapshot = [];
+    doc.destroy();
+    // The copy gets its own thumbnail
+    duplicateData.thumbnail = null;
+    duplicateData.thumbnailKey = null;
+    duplicateData.thumbnailUpdatedAt = null;
 
     const newBoard = await Board.create(duplicateData);
+    boardThumbnailService.schedule(newBoard._id);
     await newBoard.populate('owner', 'name email');
 
     return newBoard;
   }
 
+  /**
+   * Export a board's canvas as SVG, PDF or JSON (its tldraw records).
+   * Owners and editors can always export; viewers only if the board's
+   * allowExport setting is on.
+   * @param {Object} [options]
+   * @param {string} [options.page] - tldraw page id for SVG and PDF (default: the first page)
+   * @returns {Promise<{content: string|Buffer, fileName: string, contentType: string}>}
+   */
+  async exportBoard(boardId, userId, format, { page } = {}) {
+    const target = EXPORT_FORMATS[format];
+    if (!target) {
+      throw new AppError(`Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400);
+    }
+
+    const board = await Board.findOne({ _id: boardId, deletedAt: null })
+      .select('title description owner members isPublic settings');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    const role = board.getUserRole(userId) || (board.isPublic ? 'viewer' : null);
+    if (!role) {
+      throw new AppError('Access denied', 403);
+    }
+    if (role === 'viewer' && board.settings?.allowExport === false) {
+      throw new AppError('Exporting is disabled for this board', 403);
+    }
+
+    const doc = await loadBoardDoc(board._id.toString());
+    const records = new Map(
+      Object.entries(doc.getMap('tldraw').toJSON()).filter(([key]) => !isSessionRecord(key))
+    );
+    doc.destroy();
+
+    const baseName = (board.title || 'board').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'board';
+    const result = { fileName: `${baseName}.${target.extension}`, contentType: target.contentType };
+
+    if (format === 'json') {
+      return {
+        ...result,
+        content: JSON.stringify({
+          board: { id: board._id, title: board.title, description: board.description },
+          exportedAt: new Date().toISOString(),
+          records: [...records.values()]
+        }, null, 2)
+      };
+    }
+
+    const pages = listPages(records);
+    const pageId = page || pages[0]?.id || 'page:page';
+    if (page && !pages.some(p => p.id === page)) {
+      throw new AppError('Page not found', 404);
+    }
+
+    const scene = buildScene(records, pageId);
+    return {
+      ...result,
+      content: format === 'pdf' ? await toPdf(scene, { title: board.title }) : toSvg(scene, { title: board.title })
+    };
+  }
+
   /**
    * Search boards
    */
@@ -491,12 +588,17 @@ class BoardService {
    * Force delete a board (Admin)
    */
   async forceDeleteBoard(boardId) {
+    await boardThumbnailService.removeThumbnails([boardId]);
     const board = await Board.findByIdAndDelete(boardId);
 
     if (!board) {
       throw new AppError('Board not found', 404);
     }
 
+    await BoardUpdate.deleteMany({ boardId: board._id });
+    await BoardSnapshot.deleteMany({ boardId: board._id });
+    await refreshBoardAccess(board._id);
+
     return { message: 'Board deleted permanently' };
   }
 
@@ -0,0 +1,175 @@
+const Board = require('../models/Board');
+const BoardSnapshot = require('../models/BoardSnapshot');
+const AppError = require('../utils/AppError');
+const { docs, changeDoc } = require('../socket/yjsPersistence');
+const { loadBoardDoc, saveSnapshot, snapshotDoc, listShapes, replaceRecords } = require('../socket/yjsBoardDoc');
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * Board History Service
+ * Version history of board canvases: automatic and named snapshots, their
+ * previews, and restoring one as a new change to the live document.
+ * Snapshots are taken by yjsBoardDoc; see BoardSnapshot for the kinds.
+ */
+class BoardHistoryService {
+  /**
+   * Snapshots of a board, newest first
+   * @param {Object} [options]
+   * @param {number} [options.limit=20]
+   * @param {string|Date} [options.before] - Only snapshots taken before this time
+   * @returns {Promise<{snapshots: Array, hasMore: boolean}>} Each snapshot has
+   *   its author, editors and shapeDelta (change in shape count from the previous one)
+   */
+  async listSnapshots(boardId, userId, { limit = DEFAULT_HISTORY_LIMIT, before } = {}) {
+    await this._getBoard(boardId, userId);
+
+    const query = { boardId };
+    if (before) {
+      const date = new Date(before);
+      if (Number.isNaN(date.getTime())) {
+        throw new AppError('Invalid before date', 400);
+      }
+      query.createdAt = { $lt: date };
+    }
+
+    const pageSize = Math.min(parseInt(limit) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    // One extra to tell whether there are more and to diff the last one against
+    const snapshots = await BoardSnapshot.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .select('-state')
+      .populate('createdBy', 'name email')
+      .populate('editors', 'name email')
+      .lean();
+
+    const page = snapshots.slice(0, pageSize).map((snapshot, i) => {
+      const previous = snapshots[i + 1];
+      return {
+        ...snapshot,
+        shapeDelta: previous ? snapshot.shapeCount - previous.shapeCount : null
+      };
+    });
+
+    return { snapshots: page, hasMore: snapshots.length > pageSize };
+  }
+
+  /**
+   * Save the board's current canvas under a name
+   * @returns {Promise<Object>} BoardSnapshot (without state)
+   */
+  async createSnapshot(boardId, userId, name) {
+    const board = await this._getBoard(boardId, userId, { edit: true });
+
+    const doc = await this._currentDoc(board._id.toString());
+    const snapshot = await saveSnapshot(board._id, doc, { kind: 'manual', name, createdBy: userId });
+
+    return this._withoutState(snapshot);
+  }
+
+  /**
+   * Shapes on the board as of a snapshot
+   * @returns {Promise<{snapshot: Object, pages: Array, shapes: Array}>}
+   */
+  async previewSnapshot(boardId, snapshotId, userId) {
+    await this._getBoard(boardId, userId);
+    const snapshot = await this._getSnapshot(boardId, snapshotId);
+
+    const doc = snapshotDoc(snapshot);
+    const pages = [];
+    doc.getMap('tldraw').forEach((record, key) => {
+      if (key.startsWith('page:') && record) {
+        pages.push({ id: key, name: record.name, index: record.index });
+      }
+    });
+    const shapes = listShapes(doc);
+    doc.destroy();
+
+    await snapshot.populate('createdBy', 'name email');
+    return { snapshot: this._withoutState(snapshot), pages, shapes };
+  }
+
+  /**
+   * Bring the canvas back to a snapshot. The current canvas is saved as a
+   * 'pre-restore' snapshot first, and the restore is applied to the live
+   * document as a regular change so connected clients converge on it.
+   * @returns {Promise<{snapshot: Object, backup: Object, removed: number, written: number}>}
+   */
+  async restoreSnapshot(boardId, snapshotId, userId) {
+    const board = await this._getBoard(boardId, userId, { edit: true });
+    const snapshot = await this._getSnapshot(boardId, snapshotId);
+    const docName = board._id.toString();
+
+    const backup = await saveSnapshot(board._id, await this._currentDoc(docName), {
+      kind: 'pre-restore',
+      name: `Before restoring ${snapshot.name ? `"${snapshot.name}"` : snapshot.createdAt.toISOString()}`.slice(0, 100),
+      createdBy: userId,
+      restoredFrom: snapshot._id
+    });
+
+    const target = snapshotDoc(snapshot);
+    const changes = await changeDoc(docName, userId, doc => replaceRecords(doc, target));
+    target.destroy();
+
+    console.log(`[BoardHistory] Restored board ${docName} to snapshot ${snapshot._id} (${changes.removed} removed, ${changes.written} written)`);
+
+    return {
+      snapshot: this._withoutState(snapshot),
+      backup: this._withoutState(backup),
+      ...changes
+    };
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  async _getBoard(boardId, userId, { edit = false } = {}) {
+    const board = await Board.findOne({ _id: boardId, deletedAt: null }).select('owner members isPublic');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    const role = board.getUserRole(userId) || (board.isPublic ? 'viewer' : null);
+    if (!role) {
+      throw new AppError('Access denied', 403);
+    }
+    if (edit && role !== 'owner' && role !== 'editor') {
+      throw new AppError('Only board owners and editors can change the board history', 403);
+    }
+
+    return board;
+  }
+
+  async _getSnapshot(boardId, snapshotId) {
+    const snapshot = await BoardSnapshot.findOne({ _id: snapshotId, boardId });
+
+    if (!snapshot) {
+      throw new AppError('Snapshot not found', 404);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * The canvas as it is now: the live doc if it is open on this instance
+   * (it includes changes not yet saved), otherwise the stored state
+   */
+  async _currentDoc(docName) {
+    const live = docs.get(docName);
+    if (live) {
+      await live.whenLoaded;
+      return live;
+    }
+    return loadBoardDoc(docName);
+  }
+
+  _withoutState(snapshot) {
+    const { state, ...rest } = snapshot.toObject();
+    return rest;
+  }
+}
+
+module.exports = new BoardHistoryService();
@@ -0,0 +1,168 @@
+const sharp = require('sharp');
+const Board = require('../models/Board');
+const AppError = require('../utils/AppError');
+const storageService = require('./storage.service');
+const { loadBoardDoc, isSessionRecord } = require('../socket/yjsBoardDoc');
+const { listPages, buildScene, toSvg } = require('../utils/boardExport');
+
+const THUMBNAIL_WIDTH = 480;
+const THUMBNAIL_HEIGHT = 300;
+const THUMBNAIL_QUALITY = 75;
+const THUMBNAIL_CONTENT_TYPE = 'image/webp';
+
+// Wait for a burst of edits to settle before the first render
+const THUMBNAIL_DELAY_MS = 5 * 1000;
+// Then render each board at most once per interval on this instance
+const THUMBNAIL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Board Thumbnail Service
+ * Renders the first page of a board's stored canvas into a small WebP for
+ * the dashboard cards. yjsPersistence schedules a render whenever a board's
+ * changes are saved; renders are throttled per board.
+ */
+class BoardThumbnailService {
+  constructor() {
+    /** @type {Map<string, {dirty: boolean}>} Boards with a render pending or cooling down */
+    this._boards = new Map();
+  }
+
+  /**
+   * Regenerate a board's thumbnail soon. Changes during the cool-down after
+   * a render are picked up by one more render once it ends.
+   * @param {string} boardId
+   */
+  schedule(boardId) {
+    const id = boardId.toString();
+    const state = this._boards.get(id);
+    if (state) {
+      state.dirty = true;
+      return;
+    }
+
+    this._boards.set(id, { dirty: true });
+    this._wait(id, THUMBNAIL_DELAY_MS);
+  }
+
+  /**
+   * Render and store a board's thumbnail from its stored canvas. Boards with
+   * nothing on their first page lose their thumbnail.
+   * @returns {Promise<string|null>} The new Board.thumbnail URL, or null
+   */
+  async generate(boardId) {
+    const board = await Board.findOne({ _id: boardId, deletedAt: null }).select('thumbnailKey');
+    if (!board) return null;
+
+    const doc = await loadBoardDoc(board._id.toString());
+    const records = new Map(
+      Object.entries(doc.getMap('tldraw').toJSON()).filter(([key]) => !isSessionRecord(key))
+    );
+    doc.destroy();
+
+    const [page] = listPages(records);
+    const scene = page && buildScene(records, page.id);
+
+    if (!scene?.elements.length) {
+      if (board.thumbnailKey) {
+        await storageService.remove(board.thumbnailKey);
+        await Board.updateOne(
+          { _id: board._id },
+          { thumbnail: null, thumbnailKey: null, thumbnailUpdatedAt: null },
+          { timestamps: false }
+        );
+      }
+      return null;
+    }
+
+    const key = storageService.boardThumbnailKey(board._id);
+    await storageService.put(key, await this._render(scene), { contentType: THUMBNAIL_CONTENT_TYPE });
+
+    // The version makes the URL change with the image, so browsers can cache each one
+    const updatedAt = new Date();
+    const thumbnail = `/api/boards/${board._id}/thumbnail?v=${updatedAt.getTime()}`;
+    await Board.updateOne(
+      { _id: board._id, deletedAt: null },
+      { thumbnail, thumbnailKey: key, thumbnailUpdatedAt: updatedAt },
+      { timestamps: false }
+    );
+
+    return thumbnail;
+  }
+
+  /**
+   * Stored thumbnail of a board the user can see
+   * @returns {Promise<{key: string, contentType: string}>}
+   */
+  async getThumbnail(boardId, userId) {
+    const board = await Board.findOne({ _id: boardId, deletedAt: null }).select('owner members isPublic thumbnailKey');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.getUserRole(userId) && !board.isPublic) {
+      throw new AppError('Access denied', 403);
+    }
+
+    if (!board.thumbnailKey) {
+      throw new AppError('Board has no thumbnail yet', 404);
+    }
+
+    return { key: board.thumbnailKey, contentType: THUMBNAIL_CONTENT_TYPE };
+  }
+
+  /**
+   * Delete the stored thumbnails of boards about to be deleted
+   * @param {Array<ObjectId|string>} boardIds
+   */
+  async removeThumbnails(boardIds) {
+    const keys = await Board.find({ _id: { $in: boardIds }, thumbnailKey: { $ne: null } }).distinct('thumbnailKey');
+
+    for (const key of keys) {
+      await storageService.remove(key).catch(err => {
+        console.error(`[Thumbnails] Failed to delete ${key}:`, err.message);
+      });
+    }
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  _wait(id, delay) {
+    const timer = setTimeout(async () => {
+      const state = this._boards.get(id);
+      if (!state.dirty) {
+        this._boards.delete(id);
+        return;
+      }
+
+      state.dirty = false;
+      try {
+        await this.generate(id);
+      } catch (err) {
+        console.error(`[Thumbnails] Failed to render board ${id}:`, err.message);
+      }
+      this._wait(id, THUMBNAIL_INTERVAL_MS);
+    }, delay);
+    // Pending thumbnails don't keep the process alive
+    timer.unref();
+  }
+
+  /**
+   * Rasterize a scene into a WebP, letterboxed on white
+   * @returns {Promise<Buffer>}
+   */
+  async _render(scene) {
+    // Rasterize the SVG at about twice the thumbnail size, not at the board's full size
+    const scale = Math.min(1, (2 * THUMBNAIL_WIDTH) / scene.width, (2 * THUMBNAIL_HEIGHT) / scene.height);
+
+    return sharp(Buffer.from(toSvg(scene)), { density: Math.max(72 * scale, 1) })
+      .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'contain', background: '#ffffff' })
+      .flatten({ background: '#ffffff' })
+      .webp({ quality: THUMBNAIL_QUALITY })
+      .toBuffer();
+  }
+}
+
+module.exports = new BoardThumbnailService();
@@ -1,18 +1,32 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const Friendship = require('../models/Friendship');
 const Group = require('../models/Group');
+const User = require('../models/User');
+const notificationService = require('./notification.service');
+const chatAttachmentService = require('./chatAttachment.service');
+const AppError = require('../utils/AppError');
+const { parseMentions } = require('../utils/chatMentions');
+const { parseQuery, findMatches, buildSnippets } = require('../utils/textSearch');
+
+const MAX_PINS_PER_CONVERSATION = 50;
+const MAX_REACTION_EMOJIS = 50;
+// Participants listed in a thread summary
+const MAX_THREAD_PARTICIPANTS = 10;
+const MAX_SEARCH_RESULTS = 50;
 
 class ChatService {
-  // Send message
-  async sendMessage(userId, data) {
-    const { conversationType, content, messageType, attachments, replyTo, recipientId, groupId } = data;
+  // Send message, optionally with uploaded files (multer buffers) as attachments
+  async sendMessage(userId, data, files = []) {
+    const { conversationType, content, messageType, attachments, replyTo, recipientId, groupId, threadId } = data;
 
     const messageData = {
+      _id: new mongoose.Types.ObjectId(),
       sender: userId,
       conversationType,
       content,
       messageType: messageType || 'text',
-      attachments: attachments || [],
+      attachments: this._linkedAttachments(attachments),
       replyTo,
     };
 
@@ -57,49 +71,61 @@ class ChatService {
       }
 
       messageData.group = groupId;
+      messageData.mentions = await this._resolveMentions(content, group, userId);
     }
 
-    const message = await Message.create(messageData);
-    return await message.populate('sender', 'name email avatar');
-  }
-
-  // Get messages for a conversation
-  async getMessages(userId, conversationType, params) {
-    const { limit = 50, before } = params;
-    let query = { conversationType, isDeleted: false };
-
-    if (conversationType === 'direct') {
-      const { recipientId } = params;
-      if (!recipientId) {
-        throw new Error('Recipient ID is required');
-      }
+    if (threadId) {
+      const root = await this._getThreadRoot(threadId, messageData);
+      messageData.threadId = root._id;
+    }
 
-      // Check if friends
-      const areFriends = await this.areFriends(userId, recipientId);
-      if (!areFriends) {
-        throw new Error('Can only view messages with friends');
+    let stored = [];
+    if (files.length) {
+      const prepared = await chatAttachmentService.prepare(userId, files);
+      stored = await chatAttachmentService.store(
+        userId,
+        messageData._id,
+        this._attachmentFolder(messageData),
+        prepared
+      );
+      messageData.attachments.push(...stored);
+      if (!messageType) {
+        messageData.messageType = chatAttachmentService.messageTypeFor(prepared);
       }
+    }
 
-      query.participants = { $all: [userId, recipientId] };
-    } else if (conversationType === 'group') {
-      const { groupId } = params;
-      if (!groupId) {
-        throw new Error('Group ID is required');
-      }
+    let message;
+    try {
+      message = await Message.create(messageData);
+    } catch (error) {
+      await chatAttachmentService.remove(stored, userId);
+      throw error;
+    }
 
-      // Check membership
-      const group = await Group.findById(groupId);
-      if (!group) {
-        throw new Error('Group not found');
-      }
+    if (message.threadId) {
+      await Message.updateOne(
+        { _id: message.threadId },
+        {
+          $inc: { 'thread.replyCount': 1 },
+          $set: { 'thread.lastReplyAt': message.createdAt },
+        }
+      );
+      await Message.updateOne(
+        { _id: message.threadId, [`thread.participants.${MAX_THREAD_PARTICIPANTS - 1}`]: { $exists: false } },
+        { $addToSet: { 'thread.participants': userId } }
+      );
+    }
 
-      const isMember = group.members.some((m) => m.user.toString() === userId.toString());
-      if (!isMember) {
-        throw new Error('Not a member of this group');
-      }
+    await message.populate('sender', 'name email avatar');
+    await this._notifyMentions(message, message.mentions);
+    return message;
+  }
 
-      query.group = groupId;
-    }
+  // Get messages for a conversation (thread replies are fetched with getThread)
+  async getMessages(userId, conversationType, params) {
+    const { limit = 50, before } = params;
+    const query = await this._conversationQuery(userId, conversationType, params);
+    query.threadId = null;
 
     if (before) {
       query.createdAt = { $lt: new Date(before) };
@@ -114,6 +140,120 @@ class ChatService {
     return messages.reverse();
   }
 
+  // Get a thread: its root message and replies, oldest first
+  async getThread(userId, messageId, { limit = 50, after } = {}) {
+    const { message: root } = await this._getAccessibleMessage(messageId, userId);
+    if (root.threadId) {
+      throw new Error('Message is a thread reply, not a thread');
+    }
+
+    const query = { threadId: root._id, isDeleted: false };
+    if (after) {
+      query.createdAt = { $gt: new Date(after) };
+    }
+
+    const replies = await Message.find(query)
+      .populate('sender', 'name email avatar')
+      .sort({ createdAt: 1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    await root.populate('sender thread.participants', 'name email avatar');
+    return { root, replies };
+  }
+
+  // Search messages in every conversation the user can read.
+  // Filters: senderId, groupId, conversationType, from/to (dates), hasAttachment (true/false)
+  async searchMessages(userId, params = {}) {
+    const { q, senderId, groupId, conversationType, from, to, hasAttachment } = params;
+    const text = String(q || '').trim();
+    const limit = Math.min(parseInt(params.limit) || 20, MAX_SEARCH_RESULTS);
+    const page = Math.max(parseInt(params.page) || 1, 1);
+
+    const filters = [senderId, groupId, conversationType, from, to, hasAttachment].filter((value) => value !== undefined);
+    if (!text && !filters.length) {
+      throw new AppError('Search text or a filter is required', 400);
+    }
+
+    const scope = await this._searchScope(userId, { groupId, conversationType });
+    if (!scope.length) {
+      return { results: [], page, hasMore: false };
+    }
+
+    const query = { $or: scope, isDeleted: false };
+    if (text) {
+      query.$text = { $search: text };
+    }
+    if (senderId) {
+      if (!mongoose.isValidObjectId(senderId)) {
+        throw new AppError('Invalid sender ID', 400);
+      }
+      query.sender = senderId;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = this._parseDate(from);
+      if (to) query.createdAt.$lte = this._parseDate(to);
+    }
+    if (hasAttachment === 'true' || hasAttachment === true) {
+      query['attachments.0'] = { $exists: true };
+    } else if (hasAttachment === 'false' || hasAttachment === false) {
+      query.attachments = { $size: 0 };
+    }
+
+    let find = Message.find(query);
+    find = text
+      ? find.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      : find.sort({ createdAt: -1 });
+
+    const messages = await find
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .populate('sender', 'name email avatar')
+      .populate('group', 'name')
+      .lean();
+
+    const terms = parseQuery(text);
+    const results = messages.slice(0, limit).map(({ score, ...message }) => {
+      const matches = findMatches(message.content, terms);
+      return {
+        message,
+        ...(text && { score: Math.round(score * 1000) / 1000 }),
+        snippets: buildSnippets(message.content, matches, { max: 1 }),
+      };
+    });
+
+    return { results, page, hasMore: messages.length > limit };
+  }
+
+  // Conversation metadata and a cursor over its messages (oldest first) for export
+  async exportConversation(userId, conversationType, params) {
+    const query = await this._conversationQuery(userId, conversationType, params);
+    if (params.from || params.to) {
+      query.createdAt = {};
+      if (params.from) query.createdAt.$gte = this._parseDate(params.from);
+      if (params.to) query.createdAt.$lte = this._parseDate(params.to);
+    }
+
+    let conversation;
+    if (conversationType === 'group') {
+      const group = await Group.findById(params.groupId).select('name');
+      conversation = { type: 'group', id: String(group._id), title: group.name };
+    } else {
+      const [me, peer] = await Promise.all([
+        User.findById(userId).select('name'),
+        User.findById(params.recipientId).select('name'),
+      ]);
+      conversation = { type: 'direct', id: String(params.recipientId), title: `${me?.name || 'You'} and ${peer?.name || 'friend'}` };
+    }
+
+    const messages = Message.find(query)
+      .populate('sender', 'name')
+      .sort({ createdAt: 1 })
+      .cursor();
+
+    return { conversation, messages };
+  }
+
   // Get conversations list (for direct messages)
   async getConversations(userId) {
     // Get all friendships
@@ -201,9 +341,21 @@ class ChatService {
     message.isEdited = true;
     message.editedAt = new Date();
 
+    // Only people newly mentioned by the edit are notified
+    let newMentions = [];
+    if (message.conversationType === 'group') {
+      const group = await Group.findById(message.group);
+      const mentions = await this._resolveMentions(content, group, userId);
+      const previous = new Set(message.mentions.map((id) => id.toString()));
+      newMentions = mentions.filter((id) => !previous.has(id.toString()));
+      message.mentions = mentions;
+    }
+
     await message.save();
 
-    return await message.populate('sender', 'name email avatar');
+    await message.populate('sender', 'name email avatar');
+    await this._notifyMentions(message, newMentions);
+    return message;
   }
 
   // Delete message
@@ -218,13 +370,135 @@ class ChatService {
       throw new Error('Can only delete your own messages');
     }
 
+    // Uploaded files go with the message; their storage is credited back to the sender
+    await chatAttachmentService.remove(message.attachments, message.sender);
+
     message.isDeleted = true;
     message.deletedAt = new Date();
+    message.attachments = [];
     await message.save();
 
+    if (message.threadId) {
+      await this.refreshThreadSummary(message.threadId);
+    }
+
     return { message: 'Message deleted successfully' };
   }
 
+  // Get an attachment of a message the user can read
+  async getAttachment(userId, messageId, attachmentId) {
+    const { message } = await this._getAccessibleMessage(messageId, userId);
+    const attachment = message.attachments.id(attachmentId);
+    if (!attachment) {
+      throw new AppError('Attachment not found', 404);
+    }
+    return attachment;
+  }
+
+  // Add an emoji reaction (each user reacts with a given emoji once)
+  async addReaction(messageId, userId, emoji) {
+    const value = this._validateEmoji(emoji);
+    const { message } = await this._getAccessibleMessage(messageId, userId);
+
+    const alreadyReacted = message.reactions.some(
+      (r) => r.emoji === value && r.user.toString() === userId.toString()
+    );
+    if (alreadyReacted) {
+      return message;
+    }
+
+    const emojis = new Set(message.reactions.map((r) => r.emoji));
+    if (!emojis.has(value) && emojis.size >= MAX_REACTION_EMOJIS) {
+      throw new Error('Too many different reactions on this message');
+    }
+
+    // Conditional push so concurrent requests can't add the same reaction twice
+    return await Message.findOneAndUpdate(
+      { _id: message._id, reactions: { $not: { $elemMatch: { emoji: value, user: userId } } } },
+      { $push: { reactions: { emoji: value, user: userId, reactedAt: new Date() } } },
+      { new: true }
+    ) || await Message.findById(message._id);
+  }
+
+  // Remove the user's reaction
+  async removeReaction(messageId, userId, emoji) {
+    const value = this._validateEmoji(emoji);
+    const { message } = await this._getAccessibleMessage(messageId, userId);
+
+    return await Message.findByIdAndUpdate(
+      message._id,
+      { $pull: { reactions: { emoji: value, user: userId } } },
+      { new: true }
+    );
+  }
+
+  // Pin a message to its conversation
+  async pinMessage(messageId, userId) {
+    const { message, group } = await this._getAccessibleMessage(messageId, userId);
+    this._assertCanPin(message, group, userId);
+
+    if (message.threadId) {
+      throw new Error('Thread replies cannot be pinned');
+    }
+    if (message.pinnedAt) {
+      return message;
+    }
+
+    const pinCount = await Message.countDocuments({
+      ...this._sameConversation(message),
+      pinnedAt: { $ne: null },
+      isDeleted: false,
+    });
+    if (pinCount >= MAX_PINS_PER_CONVERSATION) {
+      throw new Error(`A conversation can have at most ${MAX_PINS_PER_CONVERSATION} pinned messages`);
+    }
+
+    message.pinnedAt = new Date();
+    message.pinnedBy = userId;
+    await message.save();
+
+    return await message.populate('sender pinnedBy', 'name email avatar');
+  }
+
+  // Unpin a message
+  async unpinMessage(messageId, userId) {
+    const { message, group } = await this._getAccessibleMessage(messageId, userId);
+    this._assertCanPin(message, group, userId);
+
+    message.pinnedAt = undefined;
+    message.pinnedBy = undefined;
+    await message.save();
+
+    return message;
+  }
+
+  // Pinned messages of a conversation, most recently pinned first
+  async getPinnedMessages(userId, conversationType, params) {
+    const query = await this._conversationQuery(userId, conversationType, params);
+
+    return await Message.find({ ...query, pinnedAt: { $ne: null } })
+      .populate('sender pinnedBy', 'name email avatar')
+      .sort({ pinnedAt: -1 })
+      .limit(MAX_PINS_PER_CONVERSATION);
+  }
+
+  // Recount a thread's summary from its replies
+  async refreshThreadSummary(rootId) {
+    const replies = await Message.find({ threadId: rootId, isDeleted: false })
+      .select('sender createdAt')
+      .sort({ createdAt: 1 });
+
+    const participants = [...new Set(replies.map((r) => r.sender.toString()))].slice(0, MAX_THREAD_PARTICIPANTS);
+    const thread = {
+      replyCount: replies.length,
+      lastReplyAt: replies.length ? replies[replies.length - 1].createdAt : undefined,
+      participants,
+    };
+
+    await Message.updateOne({ _id: rootId }, { $set: { thread } });
+    return thread;
+  }
+
   // Helper: Check if users are friends
   async areFriends(userId1, userId2) {
     const [user1, user2] =
@@ -238,6 +512,209 @@ class ChatService {
 
     return !!friendship;
   }
+
+  // Helper: Base query for a conversation, after checking the user may read it
+  async _conversationQuery(userId, conversationType, params) {
+    const query = { conversationType, isDeleted: false };
+
+    if (conversationType === 'direct') {
+      const { recipientId } = params;
+      if (!recipientId) {
+        throw new Error('Recipient ID is required');
+      }
+
+      // Check if friends
+      const areFriends = await this.areFriends(userId, recipientId);
+      if (!areFriends) {
+        throw new Error('Can only view messages with friends');
+      }
+
+      query.participants = { $all: [userId, recipientId] };
+    } else if (conversationType === 'group') {
+      const { groupId } = params;
+      if (!groupId) {
+        throw new Error('Group ID is required');
+      }
+
+      // Check membership
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      const isMember = group.members.some((m) => m.user.toString() === userId.toString());
+      if (!isMember) {
+        throw new Error('Not a member of this group');
+      }
+
+      query.group = groupId;
+    } else {
+      throw new Error('Invalid conversation type');
+    }
+
+    return query;
+  }
+
+  // Helper: $or clauses for every conversation the user can search, optionally narrowed
+  async _searchScope(userId, { groupId, conversationType }) {
+    if (conversationType && !['direct', 'group'].includes(conversationType)) {
+      throw new Error('Invalid conversation type');
+    }
+
+    const scope = [];
+    if (groupId) {
+      if (!mongoose.isValidObjectId(groupId)) {
+        throw new AppError('Invalid group ID', 400);
+      }
+      const isMember = await Group.exists({ _id: groupId, 'members.user': userId });
+      if (!isMember) {
+        throw new Error('Not a member of this group');
+      }
+      return [{ conversationType: 'group', group: groupId }];
+    }
+
+    if (conversationType !== 'direct') {
+      const groups = await Group.find({ 'members.user': userId }).select('_id');
+      if (groups.length) {
+        scope.push({ conversationType: 'group', group: { $in: groups.map((g) => g._id) } });
+      }
+    }
+
+    if (conversationType !== 'group') {
+      const friendships = await Friendship.find({
+        $or: [{ user1: userId }, { user2: userId }],
+        status: 'active',
+      }).select('user1 user2');
+      const friendIds = friendships.map((f) => (f.user1.toString() === userId.toString() ? f.user2 : f.user1));
+      if (friendIds.length) {
+        scope.push({ conversationType: 'direct', participants: { $all: [userId], $in: friendIds } });
+      }
+    }
+
+    return scope;
+  }
+
+  // Helper: Date from a query parameter
+  _parseDate(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(`Invalid date: ${value}`, 400);
+    }
+    return date;
+  }
+
+  // Helper: Load a message from a conversation the user can read
+  async _getAccessibleMessage(messageId, userId) {
+    const message = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId) : null;
+    if (!message || message.isDeleted) {
+      throw new Error('Message not found');
+    }
+
+    if (message.conversationType === 'direct') {
+      const isParticipant = message.participants.some((p) => p.toString() === userId.toString());
+      const peerId = message.participants.find((p) => p.toString() !== userId.toString());
+      if (!isParticipant || !peerId || !(await this.areFriends(userId, peerId))) {
+        throw new Error('Can only view messages with friends');
+      }
+      return { message, group: null };
+    }
+
+    const group = await Group.findById(message.group);
+    const isMember = group?.members.some((m) => m.user.toString() === userId.toString());
+    if (!isMember) {
+      throw new Error('Not a member of this group');
+    }
+    return { message, group };
+  }
+
+  // Helper: Links sent by clients keep only url/type/name/size, never storage keys
+  _linkedAttachments(attachments) {
+    if (!Array.isArray(attachments)) return [];
+    return attachments.map(({ url, type, name, size }) => ({ url, type, name, size }));
+  }
+
+  // Helper: Storage folder for a conversation's uploads
+  _attachmentFolder(messageData) {
+    if (messageData.conversationType === 'group') {
+      return `group-${messageData.group}`;
+    }
+    return `direct-${messageData.participants.join('-')}`;
+  }
+
+  // Helper: Thread root for a new reply, which must be in the same conversation
+  async _getThreadRoot(threadId, messageData) {
+    const root = mongoose.isValidObjectId(threadId) ? await Message.findById(threadId) : null;
+    if (!root || root.isDeleted) {
+      throw new Error('Thread not found');
+    }
+
+    const sameConversation = messageData.conversationType === 'group'
+      ? root.group?.toString() === messageData.group.toString()
+      : root.conversationType === 'direct' &&
+        root.participants.map(String).sort().join() === messageData.participants.map(String).sort().join();
+    if (!sameConversation) {
+      throw new Error('Thread belongs to another conversation');
+    }
+
+    // Threads are one level deep: replying inside a thread replies to its root
+    if (root.threadId) {
+      return await this._getThreadRoot(root.threadId, messageData);
+    }
+    return root;
+  }
+
+  // Helper: Filter matching every message of the message's conversation
+  _sameConversation(message) {
+    return message.conversationType === 'group'
+      ? { conversationType: 'group', group: message.group }
+      : { conversationType: 'direct', participants: { $all: message.participants } };
+  }
+
+  // Helper: Either participant pins in direct chats, group admins in groups
+  _assertCanPin(message, group, userId) {
+    if (group && !group.admins.some((admin) => admin.toString() === userId.toString())) {
+      throw new Error('Only group admins can pin messages');
+    }
+  }
+
+  // Helper: Reactions are a single emoji or short :shortcode:
+  _validateEmoji(emoji) {
+    const value = typeof emoji === 'string' ? emoji.trim() : '';
+    if (!value || value.length > 32 || /\s/.test(value)) {
+      throw new Error('Invalid reaction emoji');
+    }
+    return value;
+  }
+
+  // Helper: Group members mentioned in a message, never the sender
+  async _resolveMentions(content, group, senderId) {
+    if (!group || !String(content || '').includes('@')) {
+      return [];
+    }
+
+    const memberIds = group.members
+      .map((m) => m.user)
+      .filter((id) => id.toString() !== senderId.toString());
+    const members = await User.find({ _id: { $in: memberIds } }).select('name email');
+
+    return parseMentions(content, members);
+  }
+
+  // Helper: Notify mentioned members; a failed notification never fails the message
+  async _notifyMentions(message, userIds) {
+    if (!userIds?.length) {
+      return;
+    }
+
+    try {
+      const group = await Group.findById(message.group).select('name');
+      await Promise.all(
+        userIds.map((userId) => notificationService.notifyChatMention(userId, message, group))
+      );
+    } catch (error) {
+      console.error('Failed to send mention notifications:', error.message);
+    }
+  }
 }
 
 module.exports = new ChatService();
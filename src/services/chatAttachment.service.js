@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { getPlanLimits } = require('../middleware/usageEnforcement');
+const { sniffMime } = require('../utils/mimeSniff');
+const { createPreview } = require('../utils/attachmentPreviews');
+const storageService = require('./storage.service');
+
+// Hard cap per file, also the multer limit on the upload route
+const MAX_ATTACHMENT_BYTES = 50 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+// A single attachment may use at most this share of the plan's storage
+const PLAN_SHARE_PER_FILE = 0.1;
+
+// Served inline; everything else is sent as a download
+const INLINE_TYPES = /^(image\/(png|jpeg|gif|webp)|audio\/|video\/|application\/pdf$)/;
+
+/**
+ * Chat Attachment Service
+ * Validates, stores and serves files uploaded to chat messages.
+ *
+ * Files are typed by sniffing their content, limited per file by the
+ * uploader's plan, and charged to the uploader's storage along with their
+ * thumbnails. Objects live under `chat/<conversation>/` in storage and are
+ * removed again when the message is deleted.
+ */
+class ChatAttachmentService {
+  /**
+   * Check uploaded files before anything is stored
+   * @param {ObjectId} userId - Uploader
+   * @param {Array<{buffer: Buffer, originalname: string, size: number}>} files - From multer
+   * @returns {Promise<Array<{file: Object, mime: string, kind: string, ext: string}>>}
+   * @throws AppError 400 (too many files), 413 (file too large), 415 (type not accepted), 429 (storage full)
+   */
+  async prepare(userId, files) {
+    if (files.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      throw new AppError(`A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`, 400);
+    }
+
+    const { maxFileBytes, remainingBytes, storageGB } = await this.limitsFor(userId);
+
+    const prepared = files.map((file) => {
+      const type = sniffMime(file.buffer, file.originalname);
+      if (!type) {
+        throw new AppError(`${file.originalname} is not a supported file type`, 415);
+      }
+      if (file.buffer.length > maxFileBytes) {
+        throw new AppError(`${file.originalname} is larger than the ${formatMB(maxFileBytes)} limit for your plan`, 413);
+      }
+      return { file, ...type };
+    });
+
+    const total = files.reduce((sum, file) => sum + file.buffer.length, 0);
+    if (total > remainingBytes) {
+      throw new AppError(`These files would exceed your storage limit of ${storageGB}GB. Upgrade for more storage.`, 429);
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Upload limits for a user's plan
+   * @returns {Promise<{maxFileBytes: number, remainingBytes: number, storageGB: number}>}
+   */
+  async limitsFor(userId) {
+    const { limits } = await getPlanLimits(userId);
+    const storageBytes = limits.storageGB * 1024 * 1024 * 1024;
+    const user = await User.findById(userId).select('storageUsed');
+
+    return {
+      maxFileBytes: Math.min(MAX_ATTACHMENT_BYTES, Math.floor(storageBytes * PLAN_SHARE_PER_FILE)),
+      remainingBytes: Math.max(0, storageBytes - (user?.storageUsed || 0)),
+      storageGB: limits.storageGB,
+    };
+  }
+
+  /**
+   * Store prepared files and their thumbnails
+   * @param {ObjectId} userId - Charged for the storage
+   * @param {ObjectId} messageId - Message the attachments will belong to (for their URLs)
+   * @param {string} conversationKey - Storage folder of the conversation
+   * @param {Array} prepared - From prepare()
+   * @returns {Promise<Array<Object>>} Message.attachments entries
+   */
+  async store(userId, messageId, conversationKey, prepared) {
+    const attachments = [];
+
+    try {
+      for (const { file, mime, kind, ext } of prepared) {
+        const _id = new mongoose.Types.ObjectId();
+        const name = file.originalname;
+        const stored = await storageService.put(
+          storageService.chatAttachmentKey(conversationKey, withExtension(name, ext)),
+          file.buffer,
+          { contentType: mime, ownerId: userId }
+        );
+
+        const url = `/api/chat/messages/${messageId}/attachments/${_id}`;
+        const attachment = { _id, type: kind, name, size: stored.size, mimeType: mime, storageKey: stored.key, url };
+        attachments.push(attachment);
+
+        const preview = await createPreview(file.buffer, mime);
+        if (preview) {
+          const thumbnail = await storageService.put(`${stored.key}.thumb.webp`, preview.buffer, {
+            contentType: preview.contentType,
+            ownerId: userId,
+          });
+          attachment.thumbnailKey = thumbnail.key;
+          attachment.thumbnailSize = thumbnail.size;
+          attachment.thumbnailUrl = `${url}?variant=thumbnail`;
+          if (preview.original) {
+            attachment.width = preview.original.width;
+            attachment.height = preview.original.height;
+          }
+        }
+      }
+    } catch (err) {
+      await this.remove(attachments, userId);
+      throw err;
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Delete stored attachment objects and credit the owner's storage.
+   * Failures are logged, never thrown, so deleting a message always succeeds.
+   */
+  async remove(attachments, ownerId) {
+    for (const attachment of attachments || []) {
+      for (const key of [attachment.storageKey, attachment.thumbnailKey]) {
+        if (!key) continue;
+        try {
+          await storageService.remove(key, { ownerId });
+        } catch (err) {
+          console.error(`[ChatAttachments] Failed to remove ${key}: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * What to send for an attachment download
+   * @param {Object} attachment - Message.attachments entry
+   * @param {string} [variant] - 'thumbnail' for the preview image
+   * @returns {{key: string, contentType: string, fileName: string, inline: boolean}}
+   * @throws AppError 404 when the attachment has no stored file (or no thumbnail)
+   */
+  resolveDownload(attachment, variant) {
+    if (variant === 'thumbnail') {
+      if (!attachment.thumbnailKey) {
+        throw new AppError('Attachment has no preview', 404);
+      }
+      return { key: attachment.thumbnailKey, contentType: 'image/webp', fileName: `${attachment.name}.webp`, inline: true };
+    }
+
+    if (!attachment.storageKey) {
+      throw new AppError('Attachment file not found', 404);
+    }
+    const contentType = attachment.mimeType || 'application/octet-stream';
+    return { key: attachment.storageKey, contentType, fileName: attachment.name, inline: INLINE_TYPES.test(contentType) };
+  }
+
+  /**
+   * messageType for a message made only of uploads
+   */
+  messageTypeFor(prepared) {
+    const kinds = new Set(prepared.map((p) => p.kind));
+    return kinds.size === 1 ? [...kinds][0] : 'file';
+  }
+}
+
+const formatMB = (bytes) => `${Math.round((bytes / 1024 / 1024) * 10) / 10}MB`;
+
+// Keep the client's file name but with the extension of the sniffed type
+const withExtension = (name, ext) => {
+  const base = name.replace(/\.[^.]*$/, '') || 'file';
+  return `${base}${ext || ''}`;
+};
+
+const chatAttachmentService = new ChatAttachmentService();
+chatAttachmentService.MAX_ATTACHMENT_BYTES = MAX_ATTACHMENT_BYTES;
+chatAttachmentService.MAX_ATTACHMENTS_PER_MESSAGE = MAX_ATTACHMENTS_PER_MESSAGE;
+
+module.exports = chatAttachmentService;
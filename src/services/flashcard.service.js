@@ -0,0 +1,493 @@
+const mongoose = require('mongoose');
+const FlashcardSet = require('../models/FlashcardSet');
+const Flashcard = require('../models/Flashcard');
+const Notebook = require('../models/Notebook');
+const AppError = require('../utils/AppError');
+const { scheduleReview, isRecalled, startOfToday, endOfToday, GRADES, SM2_DEFAULTS } = require('./spacedRepetition');
+
+// Only the most recent reviews are kept on each card for retention stats
+const MAX_REVIEW_LOG = 100;
+const RETENTION_WINDOW_DAYS = 30;
+
+// Daily limits when a set doesn't configure them
+const DEFAULT_NEW_CARDS_PER_DAY = 20;
+const DEFAULT_MAX_REVIEWS_PER_DAY = 200;
+
+const CARD_FIELDS = ['question', 'answer', 'options', 'explanation', 'difficulty', 'tags', 'order', 'confidence'];
+
+class FlashcardService {
+  /**
+   * Create a new flashcard set (optionally with cards and a notebook link)
+   */
+  async createSet(userId, data) {
+    const { cards = [], notebookId, ...setData } = data;
+
+    let notebook = null;
+    if (notebookId) {
+      notebook = await Notebook.findById(notebookId);
+      if (!notebook) {
+        throw new AppError('Notebook not found', 404);
+      }
+      if (!notebook.hasPermission(userId, 'canGenerateArtifacts')) {
+        throw new AppError('You do not have permission to add flashcards to this notebook', 403);
+      }
+    }
+
+    const set = new FlashcardSet({
+      ...setData,
+      notebookId: notebook ? notebook._id : null,
+      createdBy: userId,
+      cardCount: 0
+    });
+    await set.save();
+
+    if (cards.length > 0) {
+      await this.addCards(set._id, userId, cards);
+      set.cardCount = cards.length;
+    }
+
+    if (notebook) {
+      notebook.artifacts.push({
+        type: 'flashcards',
+        referenceId: set._id,
+        title: set.title,
+        createdBy: userId
+      });
+      await notebook.save();
+    }
+
+    return set;
+  }
+
+  /**
+   * Get the user's flashcard sets and those in notebooks they collaborate on
+   * (with optional subject/notebook filter)
+   */
+  async getUserSets(userId, { subject = null, notebookId = null } = {}) {
+    const notebookIds = await Notebook.find({
+      $or: [
+        { userId },
+        { collaborators: { $elemMatch: { userId, status: { $in: ['accepted', null] } } } }
+      ],
+      deletedAt: null
+    }).distinct('_id');
+
+    const query = {
+      $or: [
+        { createdBy: userId },
+        { notebookId: { $in: notebookIds } }
+      ]
+    };
+
+    if (subject) {
+      query.subject = subject;
+    }
+
+    if (notebookId) {
+      query.notebookId = notebookId;
+    }
+
+    return FlashcardSet.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ updatedAt: -1 });
+  }
+
+  /**
+   * Get a flashcard set with its cards
+   */
+  async getSetById(setId, userId, isAdmin = false) {
+    const set = await FlashcardSet.findById(setId).populate('createdBy', 'name email');
+
+    if (!set) {
+      throw new AppError('Flashcard set not found', 404);
+    }
+
+    if (!isAdmin && set.visibility === 'private' && set.createdBy._id.toString() !== userId.toString()) {
+      throw new AppError('Unauthorized access to private flashcard set', 403);
+    }
+
+    const cards = await Flashcard.find({ setId }).select('-reviewLog').sort({ order: 1 });
+
+    return { ...set.toObject(), cards };
+  }
+
+  /**
+   * Update a flashcard set
+   */
+  async updateSet(setId, userId, updates, isAdmin = false) {
+    const set = await this._getOwnedSet(setId, userId, isAdmin);
+
+    const allowedUpdates = ['title', 'description', 'subject', 'visibility', 'settings', 'tags'];
+    allowedUpdates.forEach(field => {
+      if (updates[field] !== undefined) {
+        set[field] = updates[field];
+      }
+    });
+
+    await set.save();
+    return set;
+  }
+
+  /**
+   * Delete a flashcard set, its cards and any notebook artifact links
+   */
+  async deleteSet(setId, userId, isAdmin = false) {
+    const set = await this._getOwnedSet(setId, userId, isAdmin);
+
+    await Flashcard.deleteMany({ setId: set._id });
+    // Artifacts linked through the API store referenceId as a string
+    const referenceIds = [set._id, set._id.toString()];
+    await Notebook.updateMany(
+      { artifacts: { $elemMatch: { type: 'flashcards', referenceId: { $in: referenceIds } } } },
+      { $pull: { artifacts: { type: 'flashcards', referenceId: { $in: referenceIds } } } }
+    );
+    await set.deleteOne();
+
+    return { message: 'Flashcard set deleted successfully' };
+  }
+
+  /**
+   * Add one or more cards to a set
+   */
+  async addCards(setId, userId, cards, isAdmin = false) {
+    const set = await this._getOwnedSet(setId, userId, isAdmin);
+    const list = Array.isArray(cards) ? cards : [cards];
+
+    const lastCard = await Flashcard.findOne({ setId: set._id }).sort({ order: -1 }).select('order');
+    let nextOrder = lastCard ? lastCard.order + 1 : 0;
+
+    const docs = list.map(card => {
+      const doc = { setId: set._id, createdBy: set.createdBy };
+      CARD_FIELDS.forEach(field => {
+        if (card[field] !== undefined) doc[field] = card[field];
+      });
+      if (doc.order === undefined) doc.order = nextOrder++;
+      return doc;
+    });
+
+    const created = await Flashcard.insertMany(docs);
+    await FlashcardSet.updateOne({ _id: set._id }, { $inc: { cardCount: created.length } });
+
+    return created;
+  }
+
+  /**
+   * Update card content (scheduling state is only changed through reviews)
+   */
+  async updateCard(cardId, userId, updates, isAdmin = false) {
+    const card = await this._getOwnedCard(cardId, userId, isAdmin);
+
+    CARD_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        card[field] = updates[field];
+      }
+    });
+
+    await card.save();
+    return card;
+  }
+
+  /**
+   * Delete a card
+   */
+  async deleteCard(cardId, userId, isAdmin = false) {
+    const card = await this._getOwnedCard(cardId, userId, isAdmin);
+
+    await card.deleteOne();
+    await FlashcardSet.updateOne({ _id: card.setId }, { $inc: { cardCount: -1 } });
+
+    return { message: 'Flashcard deleted successfully' };
+  }
+
+  /**
+   * Get cards due for review today across the user's sets (or a single set).
+   * Cards already in review are returned first, then new cards. Each set's
+   * maxReviewsPerDay and newCardsPerDay limits are per day: cards already
+   * reviewed or introduced today count against them.
+   */
+  async getDueCards(userId, { setId = null, limit = 100 } = {}) {
+    const setQuery = { createdBy: userId };
+    if (setId) {
+      setQuery._id = setId;
+    }
+
+    const sets = await FlashcardSet.find(setQuery).select('title settings');
+    if (setId && sets.length === 0) {
+      throw new AppError('Flashcard set not found', 404);
+    }
+
+    const dueBefore = endOfToday();
+    const studied = await this._studiedToday(sets.map(set => set._id));
+    const cards = [];
+
+    for (const set of sets) {
+      const { reviews: maxReviews, fresh: maxNew } = this._remainingToday(set.settings, studied.get(set._id.toString()));
+
+      // limit(0) would mean no limit
+      const [reviews, fresh] = await Promise.all([
+        maxReviews > 0
+          ? Flashcard.find({ setId: set._id, state: { $ne: 'new' }, dueDate: { $lt: dueBefore } })
+            .select('-reviewLog')
+            .sort({ dueDate: 1 })
+            .limit(maxReviews)
+          : [],
+        maxNew > 0
+          ? Flashcard.find({ setId: set._id, state: 'new' })
+            .select('-reviewLog')
+            .sort({ order: 1 })
+            .limit(maxNew)
+          : []
+      ]);
+
+      cards.push(...reviews, ...fresh);
+    }
+
+    return cards
+      .sort((a, b) => {
+        if (a.state === 'new' && b.state !== 'new') return 1;
+        if (a.state !== 'new' && b.state === 'new') return -1;
+        return a.dueDate - b.dueDate;
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Per-set due counts for the study planner's today view
+   */
+  async getDueSummary(userId) {
+    const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+    const dueBefore = endOfToday();
+
+    const summary = await Flashcard.aggregate([
+      { $match: { createdBy: userObjectId, dueDate: { $lt: dueBefore } } },
+      {
+        $group: {
+          _id: '$setId',
+          reviewCount: { $sum: { $cond: [{ $eq: ['$state', 'new'] }, 0, 1] } },
+          newCount: { $sum: { $cond: [{ $eq: ['$state', 'new'] }, 1, 0] } },
+          oldestDue: { $min: '$dueDate' }
+        }
+      },
+      {
+        $lookup: {
+          from: FlashcardSet.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'set'
+        }
+      },
+      { $unwind: '$set' },
+      {
+        $project: {
+          _id: 0,
+          setId: '$_id',
+          title: '$set.title',
+          subject: '$set.subject',
+          notebookId: '$set.notebookId',
+          settings: '$set.settings',
+          reviewCount: 1,
+          newCount: 1,
+          oldestDue: 1
+        }
+      },
+      { $sort: { oldestDue: 1 } }
+    ]);
+
+    const studied = await this._studiedToday(summary.map(s => s.setId));
+    summary.forEach(s => {
+      const remaining = this._remainingToday(s.settings, studied.get(s.setId.toString()));
+      s.reviewCount = Math.min(s.reviewCount, remaining.reviews);
+      s.newCount = Math.min(s.newCount, remaining.fresh);
+      delete s.settings;
+    });
+
+    return {
+      totalDue: summary.reduce((sum, s) => sum + s.reviewCount + s.newCount, 0),
+      sets: summary
+    };
+  }
+
+  /**
+   * Grade a card and reschedule it with SM-2
+   */
+  async reviewCard(cardId, userId, grade) {
+    if (!GRADES.includes(grade)) {
+      throw new AppError(`Grade must be one of: ${GRADES.join(', ')}`, 400);
+    }
+
+    // Scheduling state is personal to the deck owner
+    const card = await this._getOwnedCard(cardId, userId, false);
+    const now = new Date();
+    const next = scheduleReview(card, grade, now);
+
+    if (card.state === 'new') card.introducedAt = now;
+    Object.assign(card, next);
+    card.lastReviewedAt = now;
+    card.reviewLog.push({
+      grade,
+      interval: next.interval,
+      easeFactor: next.easeFactor,
+      reviewedAt: now
+    });
+    if (card.reviewLog.length > MAX_REVIEW_LOG) {
+      card.reviewLog = card.reviewLog.slice(-MAX_REVIEW_LOG);
+    }
+
+    await card.save();
+    await FlashcardSet.updateOne({ _id: card.setId }, { lastStudiedAt: now });
+
+    const result = card.toObject();
+    delete result.reviewLog;
+    return result;
+  }
+
+  /**
+   * Retention and progress statistics for a set
+   */
+  async getSetStats(setId, userId, isAdmin = false) {
+    const set = await this._getOwnedSet(setId, userId, isAdmin);
+    const dueBefore = endOfToday();
+    const windowStart = new Date(Date.now() - RETENTION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const [cardStats] = await Flashcard.aggregate([
+      { $match: { setId: set._id } },
+      {
+        $group: {
+          _id: null,
+          totalCards: { $sum: 1 },
+          newCards: { $sum: { $cond: [{ $eq: ['$state', 'new'] }, 1, 0] } },
+          learningCards: { $sum: { $cond: [{ $eq: ['$state', 'learning'] }, 1, 0] } },
+          reviewCards: { $sum: { $cond: [{ $eq: ['$state', 'review'] }, 1, 0] } },
+          matureCards: { $sum: { $cond: [{ $gte: ['$interval', SM2_DEFAULTS.matureInterval] }, 1, 0] } },
+          dueToday: {
+            $sum: {
+              $cond: [{ $and: [{ $ne: ['$state', 'new'] }, { $lt: ['$dueDate', dueBefore] }] }, 1, 0]
+            }
+          },
+          totalLapses: { $sum: '$lapses' },
+          averageEaseFactor: {
+            $avg: { $cond: [{ $eq: ['$state', 'new'] }, null, '$easeFactor'] }
+          },
+          averageInterval: {
+            $avg: { $cond: [{ $eq: ['$state', 'new'] }, null, '$interval'] }
+          }
+        }
+      }
+    ]);
+
+    const gradeCounts = await Flashcard.aggregate([
+      { $match: { setId: set._id } },
+      { $unwind: '$reviewLog' },
+      { $match: { 'reviewLog.reviewedAt': { $gte: windowStart } } },
+      { $group: { _id: '$reviewLog.grade', count: { $sum: 1 } } }
+    ]);
+
+    const grades = { again: 0, hard: 0, good: 0, easy: 0 };
+    gradeCounts.forEach(g => { grades[g._id] = g.count; });
+    const totalReviews = Object.values(grades).reduce((sum, n) => sum + n, 0);
+    const recalled = Object.entries(grades)
+      .filter(([grade]) => isRecalled(grade))
+      .reduce((sum, [, n]) => sum + n, 0);
+
+    const stats = cardStats || {
+      totalCards: 0,
+      newCards: 0,
+      learningCards: 0,
+      reviewCards: 0,
+      matureCards: 0,
+      dueToday: 0,
+      totalLapses: 0,
+      averageEaseFactor: null,
+      averageInterval: null
+    };
+    delete stats._id;
+
+    return {
+      setId: set._id,
+      title: set.title,
+      ...stats,
+      lastStudiedAt: set.lastStudiedAt,
+      retention: {
+        windowDays: RETENTION_WINDOW_DAYS,
+        totalReviews,
+        grades,
+        retentionRate: totalReviews > 0 ? (recalled / totalReviews) * 100 : null
+      }
+    };
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * Cards introduced and reviews done today, per set
+   * @returns {Promise<Map<string, {introduced: number, reviewed: number}>>}
+   */
+  async _studiedToday(setIds) {
+    const dayStart = startOfToday();
+
+    const counts = await Flashcard.aggregate([
+      { $match: { setId: { $in: setIds }, lastReviewedAt: { $gte: dayStart } } },
+      {
+        $project: {
+          setId: 1,
+          introducedToday: { $gte: ['$introducedAt', dayStart] },
+          reviewsToday: {
+            $size: { $filter: { input: '$reviewLog', cond: { $gte: ['$$this.reviewedAt', dayStart] } } }
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$setId',
+          introduced: { $sum: { $cond: ['$introducedToday', 1, 0] } },
+          // Reviews of cards introduced today are part of learning them
+          reviewed: { $sum: { $cond: ['$introducedToday', 0, '$reviewsToday'] } }
+        }
+      }
+    ]);
+
+    return new Map(counts.map(({ _id, introduced, reviewed }) => [_id.toString(), { introduced, reviewed }]));
+  }
+
+  /**
+   * Reviews and new cards a set has left for today
+   */
+  _remainingToday(settings, { introduced = 0, reviewed = 0 } = {}) {
+    return {
+      reviews: Math.max(0, (settings?.maxReviewsPerDay ?? DEFAULT_MAX_REVIEWS_PER_DAY) - reviewed),
+      fresh: Math.max(0, (settings?.newCardsPerDay ?? DEFAULT_NEW_CARDS_PER_DAY) - introduced)
+    };
+  }
+
+  async _getOwnedSet(setId, userId, isAdmin) {
+    const set = await FlashcardSet.findById(setId);
+
+    if (!set) {
+      throw new AppError('Flashcard set not found', 404);
+    }
+
+    if (!isAdmin && set.createdBy.toString() !== userId.toString()) {
+      throw new AppError('Unauthorized to modify this flashcard set', 403);
+    }
+
+    return set;
+  }
+
+  async _getOwnedCard(cardId, userId, isAdmin) {
+    const card = await Flashcard.findById(cardId);
+
+    if (!card) {
+      throw new AppError('Flashcard not found', 404);
+    }
+
+    if (!isAdmin && card.createdBy.toString() !== userId.toString()) {
+      throw new AppError('Unauthorized to modify this flashcard', 403);
+    }
+
+    return card;
+  }
+}
+
+module.exports = new FlashcardService();
@@ -1,6 +1,7 @@
 const FriendRequest = require('../models/FriendRequest');
 const Friendship = require('../models/Friendship');
 const User = require('../models/User');
+const { evictFromDirect } = require('../socket/chatNamespace');
 
 class FriendService {
   // Send friend request
@@ -197,6 +198,8 @@ class FriendService {
 
     await friendship.deleteOne();
 
+    evictFromDirect(friendship.user1, friendship.user2);
+
     return { message: 'Friend removed successfully' };
   }
 
@@ -272,6 +275,9 @@ class FriendService {
     friendship.blockedBy = userId;
     await friendship.save();
 
+    // Neither side may keep reading the conversation once blocked
+    evictFromDirect(friendship.user1, friendship.user2);
+
     return friendship;
   }
 
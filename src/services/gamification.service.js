@@ -293,6 +293,50 @@ class GamificationService {
     }
   }
 
+  // Award XP for completing a quiz (live quizzes add a podium bonus)
+  static async awardQuizCompletionXP(userId, { score = 0, rank = null } = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) throw new Error('User not found');
+
+      let xpEarned = XP_REWARDS.QUIZ_COMPLETE;
+
+      // Bonus XP for strong results
+      if (score >= 90) {
+        xpEarned += 10;
+      }
+
+      // Podium bonus in live quiz rooms
+      if (rank === 1) xpEarned += 15;
+      else if (rank === 2) xpEarned += 10;
+      else if (rank === 3) xpEarned += 5;
+
+      const levelResult = user.addXP(xpEarned);
+
+      user.gamification.stats.quizzesCompleted += 1;
+
+      const newBadges = [];
+      if (user.gamification.stats.quizzesCompleted === 25) {
+        if (user.unlockBadge(BADGES.QUIZ_MASTER)) {
+          newBadges.push(BADGES.QUIZ_MASTER);
+        }
+      }
+
+      await user.save();
+
+      return {
+        xpEarned,
+        totalXP: user.gamification.xp,
+        level: user.gamification.level,
+        leveledUp: levelResult.leveledUp,
+        newBadges,
+      };
+    } catch (error) {
+      console.error('Error awarding quiz XP:', error);
+      throw error;
+    }
+  }
+
   // Get user's gamification stats
   static async getUserStats(userId) {
     try {
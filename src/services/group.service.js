@@ -3,6 +3,7 @@ const User = require('../models/User');
 const crypto = require('crypto');
 const { getLimitsForTier, isUnlimited } = require('../config/plans');
 const { getUserPlan } = require('../middleware/usageEnforcement');
+const { evictFromGroup } = require('../socket/chatNamespace');
 
 class GroupService {
   // Create group
@@ -108,6 +109,9 @@ class GroupService {
 
     await group.deleteOne();
 
+    // Close the group chat for everyone still in it
+    evictFromGroup(groupId);
+
     return { message: 'Group deleted successfully' };
   }
 
@@ -192,6 +196,9 @@ class GroupService {
 
     await group.save();
 
+    // Stop the removed member's open sockets from receiving the group chat
+    evictFromGroup(groupId, [memberId]);
+
     return await group.populate('members.user admins', 'name email avatar');
   }
 
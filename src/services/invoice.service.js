@@ -1,10 +1,9 @@
 const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const path = require('path');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const emailService = require('../utils/emailService');
+const storageService = require('./storage.service');
 
 class InvoiceService {
   /**
@@ -19,29 +18,24 @@ class InvoiceService {
       throw new Error('Payment not found');
     }
 
-    // Create invoices directory if it doesn't exist
-    const invoicesDir = path.join(__dirname, '../../invoices');
-    if (!fs.existsSync(invoicesDir)) {
-      fs.mkdirSync(invoicesDir, { recursive: true });
-    }
-
     // Generate invoice number
     const invoiceNumber = this.generateInvoiceNumber(payment);
-    const fileName = `invoice-${invoiceNumber}.pdf`;
-    const filePath = path.join(invoicesDir, fileName);
 
-    // Create PDF
-    await this.createInvoicePDF(payment, invoiceNumber, filePath);
+    // Create PDF and store it (invoices don't count towards the user's storage)
+    const pdf = await this.createInvoicePDF(payment, invoiceNumber);
+    const { key } = await storageService.put(storageService.invoiceKey(invoiceNumber), pdf, {
+      contentType: 'application/pdf',
+    });
 
     // Update payment with invoice details
     payment.invoiceId = invoiceNumber;
-    payment.invoiceUrl = `/invoices/${fileName}`;
+    payment.invoiceKey = key;
+    payment.invoiceUrl = `/api/invoices/download/${payment._id}`;
     await payment.save();
 
     return {
       invoiceNumber,
       invoiceUrl: payment.invoiceUrl,
-      filePath,
     };
   }
 
@@ -60,13 +54,16 @@ class InvoiceService {
 
   /**
    * Create PDF invoice document
+   * @returns {Promise<Buffer>}
    */
-  async createInvoicePDF(payment, invoiceNumber, filePath) {
+  async createInvoicePDF(payment, invoiceNumber) {
     return new Promise((resolve, reject) => {
       const doc = new PDFDocument({ margin: 50 });
-      const stream = fs.createWriteStream(filePath);
+      const chunks = [];
 
-      doc.pipe(stream);
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
 
       // Header
       doc.fontSize(20).text('INVOICE', { align: 'center' });
@@ -142,9 +139,6 @@ class InvoiceService {
       doc.text('For support, contact us at support@collabry.com', { align: 'center' });
 
       doc.end();
-
-      stream.on('finish', () => resolve());
-      stream.on('error', reject);
     });
   }
 
@@ -155,15 +149,14 @@ class InvoiceService {
     const payment = await Payment.findById(paymentId)
       .populate('user', 'name email');
 
-    if (!payment || !payment.invoiceUrl) {
+    if (!payment || !payment.invoiceKey) {
       throw new Error('Invoice not found');
     }
 
-    const invoicePath = path.join(__dirname, '../..', payment.invoiceUrl);
-    
-    if (!fs.existsSync(invoicePath)) {
+    if (!(await storageService.stat(payment.invoiceKey))) {
       throw new Error('Invoice file not found');
     }
+    const invoicePdf = await storageService.read(payment.invoiceKey);
 
     const subject = `Invoice ${payment.invoiceId} - Collabry`;
     const html = `
@@ -187,7 +180,7 @@ class InvoiceService {
       attachments: [
         {
           filename: `invoice-${payment.invoiceId}.pdf`,
-          path: invoicePath,
+          content: invoicePdf,
         },
       ],
     });
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Group = require('../models/Group');
+const quizService = require('./quiz.service');
+const quizAnalytics = require('./quizAnalytics.service');
+const { GamificationService } = require('./gamification.service');
+const { gradeAnswer, isBlankAnswer, sanitizeQuestion } = require('../utils/quizQuestionTypes');
+const AppError = require('../utils/AppError');
+
+// Game points per question: half for getting it right, half for answering fast
+const CORRECTNESS_POINTS = 500;
+const SPEED_POINTS = 500;
+
+const DEFAULT_QUESTION_SECONDS = 20;
+const MIN_QUESTION_SECONDS = 5;
+const MAX_QUESTION_SECONDS = 120;
+
+// Unambiguous characters only (no 0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * Live Quiz Service
+ * Scoring, authorization and result persistence for hosted group quiz rooms.
+ * Room state itself lives in the /quiz-live namespace.
+ */
+class LiveQuizService {
+  /**
+   * Load everything needed to host a quiz for a group
+   * @returns {Promise<{quiz, group}>}
+   */
+  async prepareHost(userId, groupId, quizId) {
+    const [group, quiz] = await Promise.all([
+      Group.findById(groupId),
+      Quiz.findById(quizId)
+    ]);
+
+    if (!group) {
+      throw new AppError('Group not found', 404);
+    }
+
+    if (!this.isGroupAdmin(group, userId)) {
+      throw new AppError('Only group admins can host a live quiz', 403);
+    }
+
+    if (!quiz) {
+      throw new AppError('Quiz not found', 404);
+    }
+
+    if (quiz.visibility === 'private' && quiz.createdBy.toString() !== userId.toString()) {
+      throw new AppError('Unauthorized access to private quiz', 403);
+    }
+
+    if (quiz.questions.length === 0) {
+      throw new AppError('Quiz has no questions', 400);
+    }
+
+    return { quiz, group };
+  }
+
+  isGroupAdmin(group, userId) {
+    const id = userId.toString();
+    return group.creator.toString() === id ||
+      group.admins.some(admin => admin.toString() === id) ||
+      group.members.some(m => m.user?.toString() === id && m.role === 'admin');
+  }
+
+  isGroupMember(group, userId) {
+    const id = userId.toString();
+    return this.isGroupAdmin(group, userId) || group.members.some(m => m.user?.toString() === id);
+  }
+
+  /**
+   * Generate a room code that isn't in use
+   * @param {(code: string) => boolean} isTaken
+   */
+  generateRoomCode(isTaken = () => false) {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    } while (isTaken(code));
+    return code;
+  }
+
+  /**
+   * Clamp the host's per-question countdown
+   */
+  resolveQuestionSeconds(seconds) {
+    const value = Number(seconds);
+    if (!Number.isFinite(value)) return DEFAULT_QUESTION_SECONDS;
+    return Math.min(MAX_QUESTION_SECONDS, Math.max(MIN_QUESTION_SECONDS, Math.round(value)));
+  }
+
+  /**
+   * Question as pushed to players (no answer key)
+   */
+  toPublicQuestion(quiz, question, index) {
+    return {
+      ...sanitizeQuestion(question),
+      index,
+      total: quiz.questions.length
+    };
+  }
+
+  /**
+   * Grade a live answer and score it by correctness and speed
+   * @param {Object} question - Quiz question
+   * @param {*} answer - Player's answer
+   * @param {number} elapsedMs - Time since the question was pushed
+   * @param {number} durationMs - Countdown length
+   * @returns {{isCorrect: boolean, credit: number, points: number}}
+   */
+  scoreAnswer(question, answer, elapsedMs, durationMs) {
+    if (isBlankAnswer(answer)) {
+      return { isCorrect: false, credit: 0, points: 0 };
+    }
+
+    const { isCorrect, credit } = gradeAnswer(question, answer);
+    if (credit <= 0) {
+      return { isCorrect, credit, points: 0 };
+    }
+
+    const remaining = Math.min(1, Math.max(0, 1 - elapsedMs / durationMs));
+    const points = Math.round(credit * (CORRECTNESS_POINTS + SPEED_POINTS * remaining));
+
+    return { isCorrect, credit, points };
+  }
+
+  /**
+   * Rank players by points; ties share a rank and are broken by total answer time
+   * @param {Array<{userId, name, avatar, points, correctCount, totalTimeMs}>} players
+   */
+  buildLeaderboard(players) {
+    const sorted = [...players].sort((a, b) =>
+      b.points - a.points || a.totalTimeMs - b.totalTimeMs
+    );
+
+    let rank = 0;
+    return sorted.map((player, index) => {
+      const previous = sorted[index - 1];
+      if (!previous || previous.points !== player.points) {
+        rank = index + 1;
+      }
+      return {
+        rank,
+        userId: player.userId,
+        name: player.name,
+        avatar: player.avatar,
+        points: player.points,
+        correctCount: player.correctCount
+      };
+    });
+  }
+
+  /**
+   * Save each player's result as a QuizAttempt and award XP.
+   * Failures for one player don't stop the others.
+   * @returns {Promise<Map<string, {attemptId, score, rank, xp}>>} Results by userId
+   */
+  async saveResults(quiz, { groupId, roomCode, players, startedAt }) {
+    const leaderboard = this.buildLeaderboard(players);
+    const ranks = new Map(leaderboard.map(entry => [entry.userId.toString(), entry.rank]));
+    const results = new Map();
+
+    for (const player of players) {
+      const userId = player.userId.toString();
+      try {
+        const graded = quizService.gradeAnswers(quiz, player.answers);
+        const attempt = await QuizAttempt.create({
+          quizId: quiz._id,
+          userId,
+          status: 'submitted',
+          mode: 'live',
+          ...graded,
+          startedAt,
+          timeSpent: Math.round(player.totalTimeMs / 1000),
+          completedAt: new Date(),
+          live: {
+            groupId,
+            roomCode,
+            points: player.points,
+            rank: ranks.get(userId),
+            participants: players.length
+          }
+        });
+
+        await quizAnalytics.recordAttempt(quiz, attempt);
+
+        let xp = null;
+        try {
+          xp = await GamificationService.awardQuizCompletionXP(userId, {
+            score: attempt.score,
+            rank: ranks.get(userId)
+          });
+        } catch (error) {
+          console.error(`[LiveQuiz] Failed to award XP to ${userId}:`, error.message);
+        }
+
+        results.set(userId, {
+          attemptId: attempt._id,
+          score: attempt.score,
+          passed: attempt.passed,
+          rank: ranks.get(userId),
+          xp
+        });
+      } catch (error) {
+        console.error(`[LiveQuiz] Failed to save result for ${userId}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new LiveQuizService();
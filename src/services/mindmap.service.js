@@ -1,4 +1,19 @@
 const MindMap = require('../models/MindMap');
+const Notebook = require('../models/Notebook');
+const AppError = require('../utils/AppError');
+const {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  exportMindMap,
+  detectImportFormat,
+  importOutline
+} = require('../utils/mindMapFormats');
+const { diffMindMaps } = require('../utils/mindMapDiff');
+const { changeDoc } = require('../socket/yjsPersistence');
+const { mindMapDocName, replaceGraph } = require('../socket/yjsMindMapDoc');
+
+// Imported outlines larger than this are rejected
+const MAX_IMPORT_NODES = 2000;
 
 class MindMapService {
   /**
@@ -55,9 +70,12 @@ class MindMapService {
       throw new Error('Mind map not found');
     }
 
-    // Authorization check
+    // Authorization check (collaborators of a notebook the map belongs to can view it too)
     if (!isAdmin && mindMap.visibility === 'private' && mindMap.createdBy._id.toString() !== userId) {
-      throw new Error('Unauthorized access to private mind map');
+      const role = await this.getCollaboratorRole(mindMap, userId);
+      if (!role) {
+        throw new Error('Unauthorized access to private mind map');
+      }
     }
 
     return mindMap;
@@ -113,9 +131,57 @@ class MindMapService {
     });
 
     await mindMap.save();
+
+    // Nodes/edges also go through the collaborative doc, so an open editing
+    // session merges them instead of overwriting them on its next save
+    if (updates.nodes !== undefined || updates.edges !== undefined) {
+      await changeDoc(mindMapDocName(mindMap._id), userId, doc => replaceGraph(doc, {
+        nodes: updates.nodes !== undefined ? mindMap.nodes.map(node => node.toObject()) : undefined,
+        edges: updates.edges !== undefined ? mindMap.edges.map(edge => edge.toObject()) : undefined
+      }));
+      return MindMap.findById(mindMap._id);
+    }
+
     return mindMap;
   }
 
+  /**
+   * Role of a user on a mind map: 'owner', 'editor' (collaborator who can edit
+   * a notebook the map is linked to), 'viewer', or null without access
+   * @param {string|Object} mindMapOrId - Mind map document or ID
+   */
+  async getCollaboratorRole(mindMapOrId, userId) {
+    const mindMap = mindMapOrId?.createdBy
+      ? mindMapOrId
+      : await MindMap.findById(mindMapOrId).select('createdBy visibility');
+
+    if (!mindMap) {
+      throw new AppError('Mind map not found', 404);
+    }
+
+    const ownerId = mindMap.createdBy._id || mindMap.createdBy;
+    if (ownerId.toString() === userId.toString()) {
+      return 'owner';
+    }
+
+    // Artifact references may be stored as ObjectIds or strings
+    const notebooks = await Notebook.find({
+      artifacts: {
+        $elemMatch: { type: 'mindmap', referenceId: { $in: [mindMap._id, mindMap._id.toString()] } }
+      }
+    }).select('userId collaborators deletedAt');
+
+    const roles = notebooks.map(notebook => notebook.canAccess(userId)).filter(Boolean);
+    if (roles.some(role => role === 'owner' || role === 'editor')) {
+      return 'editor';
+    }
+    if (roles.length > 0 || mindMap.visibility === 'shared') {
+      return 'viewer';
+    }
+
+    return null;
+  }
+
   /**
    * Delete mind map
    */
@@ -157,7 +223,7 @@ class MindMapService {
 
     while (currentId) {
       const version = await MindMap.findById(currentId)
-        .select('title version createdAt updatedAt parentVersion')
+        .select('title version createdAt updatedAt parentVersion restoredFrom')
         .populate('createdBy', 'name');
       
       if (!version) break;
@@ -173,7 +239,91 @@ class MindMapService {
    * Create a new version explicitly
    */
   async createVersion(mindMapId, userId, isAdmin = false) {
-    return this.updateMindMap(mindMapId, userId, {}, true, isAdmin);
+    const mindMap = await MindMap.findById(mindMapId);
+
+    if (!mindMap) {
+      throw new Error('Mind map not found');
+    }
+
+    // Snapshot the current structure as-is
+    return this.updateMindMap(mindMapId, userId, {
+      nodes: mindMap.nodes,
+      edges: mindMap.edges
+    }, true, isAdmin);
+  }
+
+  /**
+   * Diff two versions of a mind map (by version number)
+   */
+  async diffVersions(mindMapId, userId, fromVersion, toVersion, isAdmin = false) {
+    const lineage = await this._getLineage(mindMapId);
+    const head = lineage[lineage.length - 1];
+
+    // Anyone who can view the map, including notebook collaborators
+    if (!isAdmin && !(await this.getCollaboratorRole(head, userId))) {
+      throw new AppError('Unauthorized access', 403);
+    }
+
+    const before = this._findVersion(lineage, fromVersion);
+    const after = this._findVersion(lineage, toVersion);
+
+    return {
+      from: { version: before.version, mindMapId: before._id, createdAt: before.createdAt },
+      to: { version: after.version, mindMapId: after._id, createdAt: after.createdAt },
+      ...diffMindMaps(before, after)
+    };
+  }
+
+  /**
+   * Restore an older version as the new head version. Every existing version
+   * is kept. The map keeps its ID, which notebook artifacts and the live
+   * editing doc refer to: its current state is archived as a version of its
+   * own, and the restored content reaches open editors through the doc.
+   */
+  async restoreVersion(mindMapId, userId, versionNumber, isAdmin = false) {
+    const lineage = await this._getLineage(mindMapId);
+    const head = lineage[lineage.length - 1];
+
+    // Owners and notebook collaborators who can edit
+    if (!isAdmin) {
+      const role = await this.getCollaboratorRole(head, userId);
+      if (role !== 'owner' && role !== 'editor') {
+        throw new AppError('Unauthorized to update this mind map', 403);
+      }
+    }
+
+    const snapshot = this._findVersion(lineage, versionNumber);
+    if (snapshot._id.equals(head._id)) {
+      throw new AppError('This version is already the current version', 400);
+    }
+
+    // The live doc's state stays with the head
+    const current = head.toObject();
+    delete current._id;
+    delete current.__v;
+    delete current.yjsState;
+    const archived = await MindMap.create({ ...current, isArchived: true });
+
+    head.set({
+      title: snapshot.title,
+      topic: snapshot.topic,
+      nodes: snapshot.nodes,
+      edges: snapshot.edges,
+      tags: snapshot.tags,
+      mermaidCode: snapshot.mermaidCode,
+      metadata: snapshot.metadata,
+      version: head.version + 1,
+      parentVersion: archived._id,
+      restoredFrom: snapshot._id
+    });
+    await head.save();
+
+    await changeDoc(mindMapDocName(head._id), userId, doc => replaceGraph(doc, {
+      nodes: head.nodes.map(node => node.toObject()),
+      edges: head.edges.map(edge => edge.toObject())
+    }));
+
+    return MindMap.findById(head._id);
   }
 
   /**
@@ -196,6 +346,116 @@ class MindMapService {
 
     return mindMap;
   }
+
+  /**
+   * Export a mind map as a Markdown outline, OPML, FreeMind or Mermaid document
+   * @returns {Promise<{content: string, fileName: string, contentType: string}>}
+   */
+  async exportMindMap(mindMapId, userId, format, isAdmin = false) {
+    const target = EXPORT_FORMATS[format];
+    if (!target) {
+      throw new AppError(`Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400);
+    }
+
+    const mindMap = await this.getMindMapById(mindMapId, userId, isAdmin);
+    const baseName = (mindMap.title || 'mindmap').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'mindmap';
+
+    return {
+      content: exportMindMap(mindMap, format),
+      fileName: `${baseName}.${target.extension}`,
+      contentType: target.contentType
+    };
+  }
+
+  /**
+   * Create a mind map from an OPML or Markdown outline
+   */
+  async importMindMap(userId, { content, format, fileName, title, subject }) {
+    if (!content || !String(content).trim()) {
+      throw new AppError('Outline content is required', 400);
+    }
+
+    const importFormat = format || detectImportFormat(content, fileName);
+    if (!IMPORT_FORMATS.includes(importFormat)) {
+      throw new AppError(`Unsupported import format. Use one of: ${IMPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const fallbackTitle = title || (fileName ? fileName.replace(/\.[^.]+$/, '') : 'Imported Mind Map');
+    let outline;
+    try {
+      outline = importOutline(String(content), importFormat, fallbackTitle);
+    } catch (error) {
+      throw new AppError(`Could not import outline: ${error.message}`, 400);
+    }
+
+    if (outline.nodes.length > MAX_IMPORT_NODES) {
+      throw new AppError(`Outline is too large (max ${MAX_IMPORT_NODES} nodes)`, 400);
+    }
+
+    return this.createMindMap(userId, {
+      title: (title || outline.title || outline.rootLabel).slice(0, 200),
+      topic: outline.rootLabel,
+      subject: subject || null,
+      sourceType: 'manual',
+      nodes: outline.nodes,
+      edges: outline.edges,
+      metadata: { layout: 'tree' }
+    });
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * All versions related to a mind map, oldest first. Walks back through
+   * parentVersion and forward to the newest descendant, so any version ID
+   * resolves the whole history.
+   */
+  async _getLineage(mindMapId) {
+    const start = await MindMap.findById(mindMapId);
+
+    if (!start) {
+      throw new AppError('Mind map not found', 404);
+    }
+
+    const seen = new Set([start._id.toString()]);
+    const lineage = [start];
+
+    let current = start;
+    while (current.parentVersion && !seen.has(current.parentVersion.toString())) {
+      const parent = await MindMap.findById(current.parentVersion);
+      if (!parent) break;
+      seen.add(parent._id.toString());
+      lineage.unshift(parent);
+      current = parent;
+    }
+
+    current = start;
+    for (;;) {
+      const child = await MindMap.findOne({ parentVersion: current._id }).sort({ version: -1 });
+      if (!child || seen.has(child._id.toString())) break;
+      seen.add(child._id.toString());
+      lineage.push(child);
+      current = child;
+    }
+
+    return lineage;
+  }
+
+  _findVersion(lineage, versionNumber) {
+    const number = Number(versionNumber);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new AppError('Version must be a positive integer', 400);
+    }
+
+    const version = lineage.find(v => v.version === number);
+    if (!version) {
+      throw new AppError(`Version ${number} not found`, 404);
+    }
+
+    return version;
+  }
 }
 
 module.exports = new MindMapService();
@@ -0,0 +1,423 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const JSZip = require('jszip');
+const Notebook = require('../models/Notebook');
+const Quiz = require('../models/Quiz');
+const MindMap = require('../models/MindMap');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { readZipDirectory } = require('../utils/zipDirectory');
+const { getPlanLimits } = require('../middleware/usageEnforcement');
+const sourceIngestion = require('./sourceIngestion.service');
+const sourceQueue = require('./sourceQueue.service');
+const storageService = require('./storage.service');
+
+const BUNDLE_FORMAT = 'collabry-notebook';
+const BUNDLE_VERSION = 1;
+
+// Largest single file accepted from a bundle (matches the source upload limit)
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+// Largest total of all the files a bundle's manifest refers to
+const MAX_BUNDLE_BYTES = 1024 * 1024 * 1024;
+
+const SOURCE_TYPES = Notebook.schema.path('sources').schema.path('type').enumValues;
+
+// Artifacts whose content lives inline on the notebook
+const INLINE_ARTIFACT_TYPES = ['infographic', 'course-finder'];
+
+// Fields carried over when quizzes and mind maps are recreated
+const QUIZ_FIELDS = ['title', 'description', 'subject', 'questions', 'timeLimit', 'passingScore', 'settings', 'tags', 'sourceType'];
+const MINDMAP_FIELDS = ['title', 'topic', 'nodes', 'edges', 'tags', 'mermaidCode', 'metadata', 'sourceType'];
+
+/**
+ * Notebook Bundle Service
+ * Exports a notebook as a portable zip and imports such a zip as a new
+ * notebook, e.g. to move it to another account.
+ *
+ * Bundle layout:
+ *   manifest.json                     notebook, sources and artifacts
+ *   sources/<id>/original<.ext>       uploaded file, when there is one
+ *   sources/<id>/content.txt          extracted text
+ *   sources/<id>/transcription.json   audio transcript with segment timings
+ *   artifacts/quizzes/<id>.json       linked quizzes
+ *   artifacts/mindmaps/<id>.json      linked mind maps
+ */
+class NotebookBundleService {
+  /**
+   * Build the export zip for a notebook
+   * @returns {Promise<JSZip>}
+   */
+  async exportNotebook(notebook) {
+    const zip = new JSZip();
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      notebook: {
+        title: notebook.title,
+        description: notebook.description,
+        createdAt: notebook.createdAt
+      },
+      sources: [],
+      artifacts: []
+    };
+
+    for (const source of notebook.sources) {
+      const dir = `sources/${source._id}`;
+      const entry = {
+        id: source._id,
+        type: source.type,
+        name: source.name,
+        url: source.url,
+        size: source.size,
+        selected: source.selected,
+        dateAdded: source.dateAdded,
+        duration: source.duration,
+        sections: source.sections?.length ? source.sections : undefined,
+        files: {}
+      };
+
+      if (source.storageKey) {
+        try {
+          const file = `${dir}/original${path.extname(source.storageKey)}`;
+          // Media and office files are already compressed
+          zip.file(file, await storageService.read(source.storageKey), { compression: 'STORE' });
+          entry.files.original = file;
+        } catch (err) {
+          console.error(`[Export] Missing file for source ${source._id}: ${err.message}`);
+          entry.missingFile = true;
+        }
+      }
+
+      if (source.transcription || source.transcriptionSegments?.length) {
+        entry.files.transcription = `${dir}/transcription.json`;
+        zip.file(entry.files.transcription, JSON.stringify({
+          text: source.transcription || '',
+          duration: source.duration,
+          segments: source.transcriptionSegments || []
+        }, null, 2));
+      }
+
+      const content = await this._exportableText(source);
+      if (content) {
+        entry.files.content = `${dir}/content.txt`;
+        zip.file(entry.files.content, content);
+      }
+
+      manifest.sources.push(entry);
+    }
+
+    for (const artifact of notebook.artifacts) {
+      manifest.artifacts.push(await this._exportArtifact(zip, notebook, artifact));
+    }
+
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    return zip;
+  }
+
+  /**
+   * Recreate a notebook from an export bundle for userId.
+   * Files are stored and charged to the user, quizzes and mind maps are
+   * recreated as the user's own, and every source is queued for RAG ingestion.
+   *
+   * @param {ObjectId} userId
+   * @param {Buffer} buffer - The zip
+   * @param {Object} options
+   * @param {Function} options.createSession - Creates the AI session for the new notebook
+   * @returns {Promise<{notebook: Object, skipped: Array}>}
+   * @throws AppError 400 (not a bundle), 413 (files too large), 429 (storage limit)
+   */
+  async importNotebook(userId, buffer, { createSession } = {}) {
+    // Entry sizes come from the zip's own directory, so limits are checked before inflating
+    let bundle;
+    try {
+      bundle = { zip: await JSZip.loadAsync(buffer), sizes: readZipDirectory(buffer) };
+    } catch {
+      throw new AppError('Import file is not a valid zip bundle', 400);
+    }
+
+    const manifest = await this._readManifest(bundle);
+    const skipped = [];
+
+    const entries = manifest.sources.filter(entry => {
+      if (SOURCE_TYPES.includes(entry.type)) return true;
+      skipped.push({ kind: 'source', name: entry.name, reason: `Unsupported source type: ${entry.type}` });
+      return false;
+    });
+
+    this._checkBundleSize(bundle, entries, manifest.artifacts || []);
+    await this._checkStorage(userId, entries.reduce((sum, entry) => sum + this._declaredSize(bundle, entry), 0));
+
+    const notebook = new Notebook({
+      userId,
+      title: manifest.notebook?.title || 'Imported Notebook',
+      description: manifest.notebook?.description || ''
+    });
+    if (createSession) {
+      notebook.aiSessionId = await createSession(notebook);
+    }
+
+    const created = { sources: [], quizzes: [], mindMaps: [] };
+    try {
+      for (const entry of entries) {
+        const source = await this._importSource(userId, notebook, {
+          entry,
+          original: await this._readEntry(bundle, entry.files?.original),
+          content: await this._readText(bundle, entry.files?.content),
+          transcription: await this._readJson(bundle, entry.files?.transcription)
+        });
+        created.sources.push(source);
+        notebook.sources.push(source);
+      }
+
+      for (const artifact of manifest.artifacts || []) {
+        const imported = await this._importArtifact(bundle, userId, artifact, created, skipped);
+        if (imported) notebook.artifacts.push(imported);
+      }
+
+      await notebook.save();
+    } catch (err) {
+      // Leave nothing behind from a half-finished import
+      for (const source of created.sources) {
+        await storageService.releaseSource(source);
+      }
+      await Quiz.deleteMany({ _id: { $in: created.quizzes } });
+      await MindMap.deleteMany({ _id: { $in: created.mindMaps } });
+      throw err;
+    }
+
+    for (const source of notebook.sources) {
+      await sourceQueue.enqueue({ notebookId: notebook._id, sourceId: source._id, userId }, { reason: 'upload' });
+    }
+
+    return { notebook, skipped };
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * Source text worth exporting (no "[PDF Document: ...]" placeholders)
+   */
+  async _exportableText(source) {
+    if (source.type === 'audio') {
+      return source.content || source.transcription || '';
+    }
+    try {
+      const text = await sourceIngestion.extractContent(source);
+      return /^\[(PDF )?Document: /.test(text) ? '' : text;
+    } catch {
+      return source.content || '';
+    }
+  }
+
+  async _exportArtifact(zip, notebook, artifact) {
+    const entry = { type: artifact.type, title: artifact.title, createdAt: artifact.createdAt };
+
+    if (artifact.type === 'quiz' || artifact.type === 'mindmap') {
+      const Model = artifact.type === 'quiz' ? Quiz : MindMap;
+      const fields = artifact.type === 'quiz' ? QUIZ_FIELDS : MINDMAP_FIELDS;
+      const doc = await Model.findById(artifact.referenceId).lean().catch(() => null);
+      if (doc) {
+        entry.file = `artifacts/${artifact.type === 'quiz' ? 'quizzes' : 'mindmaps'}/${doc._id}.json`;
+        zip.file(entry.file, JSON.stringify(pick(doc, fields), null, 2));
+      } else {
+        entry.missing = true;
+      }
+    } else if (artifact.data !== undefined) {
+      entry.data = artifact.data;
+    }
+
+    return entry;
+  }
+
+  async _readManifest(bundle) {
+    const manifest = await this._readJson(bundle, 'manifest.json');
+    if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+      throw new AppError('Import file is not a Collabry notebook export (manifest.json missing)', 400);
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+      throw new AppError(`Notebook bundle version ${manifest.version} is newer than this server supports`, 400);
+    }
+    if (!Array.isArray(manifest.sources)) {
+      throw new AppError('Notebook bundle manifest has no source list', 400);
+    }
+    return manifest;
+  }
+
+  /**
+   * Inflate one entry. It may not be larger than the file limit nor grow
+   * past the size it declares.
+   */
+  async _readEntry({ zip, sizes }, name) {
+    if (typeof name !== 'string') return null;
+    const file = zip.file(name);
+    if (!file) return null;
+
+    const declared = sizes.get(name)?.uncompressedSize ?? MAX_ENTRY_BYTES;
+    if (declared > MAX_ENTRY_BYTES) {
+      throw new AppError(`${name} is larger than the ${MAX_ENTRY_BYTES / 1024 / 1024}MB file limit`, 413);
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const stream = file.internalStream('nodebuffer');
+      stream
+        .on('data', (chunk) => {
+          size += chunk.length;
+          if (size > declared) {
+            stream.pause();
+            reject(new AppError(`${name} in the bundle is larger than it declares`, 400));
+            return;
+          }
+          chunks.push(chunk);
+        })
+        .on('error', () => reject(new AppError(`${name} in the bundle is corrupted`, 400)))
+        .on('end', () => resolve(Buffer.concat(chunks, size)))
+        .resume();
+    });
+  }
+
+  async _readText(bundle, name) {
+    const buffer = await this._readEntry(bundle, name);
+    return buffer ? buffer.toString('utf8') : null;
+  }
+
+  async _readJson(bundle, name) {
+    const text = await this._readText(bundle, name);
+    if (text === null) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new AppError(`${name} in the bundle is not valid JSON`, 400);
+    }
+  }
+
+  /**
+   * Refuse bundles whose files add up to more than MAX_BUNDLE_BYTES
+   */
+  _checkBundleSize({ sizes }, entries, artifacts) {
+    const names = new Set([
+      ...entries.flatMap(entry => Object.values(entry.files || {})),
+      ...artifacts.map(artifact => artifact.file)
+    ]);
+    const total = [...names].reduce((sum, name) => sum + (sizes.get(name)?.uncompressedSize || 0), 0);
+
+    if (total > MAX_BUNDLE_BYTES) {
+      throw new AppError(`This bundle unpacks to more than the ${MAX_BUNDLE_BYTES / 1024 / 1024 / 1024}GB import limit`, 413);
+    }
+  }
+
+  /**
+   * Same rule as checkStorageLimit, applied to the bundle's declared sizes
+   */
+  async _checkStorage(userId, incoming) {
+    const { limits } = await getPlanLimits(userId);
+    const user = await User.findById(userId).select('storageUsed');
+    const storageLimit = limits.storageGB * 1024 * 1024 * 1024;
+
+    if ((user?.storageUsed || 0) + incoming > storageLimit) {
+      throw new AppError(`Importing this notebook would exceed your storage limit of ${limits.storageGB}GB. Upgrade for more storage.`, 429);
+    }
+  }
+
+  /**
+   * What _chargedSize will charge for a source, from the declared sizes
+   */
+  _declaredSize({ sizes }, entry) {
+    const { original, content, transcription } = entry.files || {};
+    const size = (name) => (typeof name === 'string' && sizes.get(name)?.uncompressedSize) || 0;
+    return size(original) || size(content) || size(transcription);
+  }
+
+  /**
+   * Bytes a source counts for: its file, or its inline content
+   */
+  _chargedSize({ original, content, transcription }) {
+    if (original) return original.length;
+    return (content || transcription?.text || '').length;
+  }
+
+  async _importSource(userId, notebook, { entry, original, content, transcription }) {
+    const source = {
+      _id: new mongoose.Types.ObjectId(),
+      type: entry.type,
+      name: String(entry.name || 'Untitled Source').slice(0, 300),
+      url: entry.url,
+      selected: entry.selected !== false,
+      dateAdded: new Date(),
+      uploadedBy: userId,
+      size: this._chargedSize({ original, content, transcription })
+    };
+
+    if (Array.isArray(entry.sections)) source.sections = entry.sections;
+
+    if (entry.type === 'audio') {
+      if (transcription?.text) {
+        source.transcription = transcription.text;
+        source.content = transcription.text;
+        source.transcriptionSegments = Array.isArray(transcription.segments) ? transcription.segments : [];
+        source.duration = transcription.duration || entry.duration;
+        source.transcriptionStatus = 'completed';
+      } else {
+        source.transcriptionStatus = 'pending';
+      }
+    } else if (content) {
+      source.content = content;
+    }
+
+    if (original) {
+      const fileName = `${path.basename(source.name, path.extname(source.name))}${path.extname(entry.files.original)}`;
+      const stored = await storageService.put(storageService.sourceKey(notebook._id, fileName), original, {
+        ownerId: userId
+      });
+      source.storageKey = stored.key;
+    } else if (source.size > 0) {
+      await storageService.adjustUsage(userId, source.size);
+    }
+
+    return source;
+  }
+
+  async _importArtifact(bundle, userId, artifact, created, skipped) {
+    const title = String(artifact.title || artifact.type || 'Artifact');
+
+    if (artifact.type === 'quiz' || artifact.type === 'mindmap') {
+      const data = await this._readJson(bundle, artifact.file);
+      if (!data) {
+        skipped.push({ kind: 'artifact', type: artifact.type, title, reason: 'Not included in the bundle' });
+        return null;
+      }
+
+      try {
+        if (artifact.type === 'quiz') {
+          const quiz = await Quiz.create({ ...pick(data, QUIZ_FIELDS), questions: stripIds(data.questions), createdBy: userId });
+          created.quizzes.push(quiz._id);
+          return { type: 'quiz', referenceId: quiz._id, title, createdBy: userId };
+        }
+        const mindMap = await MindMap.create({ ...pick(data, MINDMAP_FIELDS), createdBy: userId });
+        created.mindMaps.push(mindMap._id);
+        return { type: 'mindmap', referenceId: mindMap._id, title, createdBy: userId };
+      } catch (err) {
+        skipped.push({ kind: 'artifact', type: artifact.type, title, reason: err.message });
+        return null;
+      }
+    }
+
+    if (INLINE_ARTIFACT_TYPES.includes(artifact.type) && artifact.data !== undefined) {
+      return { type: artifact.type, referenceId: `imported-${Date.now()}`, title, data: artifact.data, createdBy: userId };
+    }
+
+    // Flashcard sets carry per-user review state and aren't part of bundles
+    skipped.push({ kind: 'artifact', type: artifact.type, title, reason: 'Artifact type is not imported' });
+    return null;
+  }
+}
+
+const pick = (obj, fields) => Object.fromEntries(fields.filter(f => obj[f] !== undefined).map(f => [f, obj[f]]));
+
+const stripIds = (items) => (Array.isArray(items) ? items.map(({ _id, ...rest }) => rest) : []);
+
+module.exports = new NotebookBundleService();
@@ -0,0 +1,276 @@
+const NotebookChatMessage = require('../models/NotebookChatMessage');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const sourceCitation = require('./sourceCitation.service');
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+const MAX_CONTENT_LENGTH = 100000;
+const MAX_MESSAGE_ID_LENGTH = 100;
+
+// A stream with no tokens for this long is treated as abandoned
+const STREAM_IDLE_MS = 2 * 60 * 1000;
+const STREAM_PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Answers that can be streaming at once, from one connection and in one notebook
+const MAX_STREAMS_PER_SOCKET = 3;
+const MAX_STREAMS_PER_NOTEBOOK = 20;
+
+/**
+ * Notebook Chat Service
+ * History of a notebook's shared AI chat, and the answers being streamed.
+ *
+ * The asking client streams the AI engine's answer and relays it to the
+ * notebook room token by token. User turns are stored as they are sent and
+ * assistant turns, marked `relayed`, when their stream completes; in-progress streams are kept
+ * in memory so collaborators who join mid-answer can be caught up.
+ */
+class NotebookChatService {
+  constructor() {
+    // notebookId -> Map(messageId -> { messageId, author, socketId, content, startedAt, updatedAt })
+    this.streams = new Map();
+
+    // Drop abandoned streams even in notebooks nobody joins again
+    this.pruneTimer = setInterval(() => this.pruneStreams(), STREAM_PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Store a question sent to the notebook chat
+   * @param {Object} notebook - Notebook document
+   * @param {ObjectId|string} userId - Sender
+   * @param {Object} message - { id, content } from the client
+   * @returns {Promise<Object>} NotebookChatMessage (the existing one when re-sent)
+   */
+  async addUserMessage(notebook, userId, message) {
+    const messageId = this._messageId(message?.id);
+    const content = typeof message?.content === 'string' ? message.content.trim() : '';
+    if (!content) {
+      throw new AppError('Message content is required', 400);
+    }
+
+    return this._create({
+      notebookId: notebook._id,
+      messageId,
+      role: 'user',
+      content: content.slice(0, MAX_CONTENT_LENGTH),
+      author: userId,
+      authorName: await this._authorName(userId)
+    });
+  }
+
+  /**
+   * In-progress answer for a message, if any
+   */
+  getStream(notebookId, messageId) {
+    return this.streams.get(notebookId.toString())?.get(String(messageId)) || null;
+  }
+
+  /**
+   * Begin buffering an answer streamed by one of userId's connections
+   * @throws {AppError} 429 when the connection or the notebook already has
+   *   the most answers streaming it may have
+   */
+  startStream(notebookId, messageId, userId, socketId) {
+    const id = this._messageId(messageId);
+    const key = notebookId.toString();
+    this._pruneIdle(key);
+
+    const socketStreams = [...this.streams.values()]
+      .reduce((count, streams) => count + [...streams.values()].filter(stream => stream.socketId === socketId).length, 0);
+    if (socketStreams >= MAX_STREAMS_PER_SOCKET) {
+      throw new AppError('Too many answers streaming from this connection', 429);
+    }
+    if ((this.streams.get(key)?.size || 0) >= MAX_STREAMS_PER_NOTEBOOK) {
+      throw new AppError('Too many answers streaming in this notebook', 429);
+    }
+
+    if (!this.streams.has(key)) {
+      this.streams.set(key, new Map());
+    }
+
+    const now = Date.now();
+    const stream = {
+      messageId: id,
+      author: userId.toString(),
+      socketId,
+      content: '',
+      startedAt: now,
+      updatedAt: now
+    };
+    this.streams.get(key).set(stream.messageId, stream);
+    return stream;
+  }
+
+  /**
+   * Add a token to a stream's buffer (ignored past MAX_CONTENT_LENGTH)
+   */
+  appendToken(stream, token) {
+    if (typeof token !== 'string') return;
+    stream.content = (stream.content + token).slice(0, MAX_CONTENT_LENGTH);
+    stream.updatedAt = Date.now();
+  }
+
+  /**
+   * Store a completed answer and end its stream
+   * @param {Object} notebook - Notebook document (cited sources are checked against it)
+   * @param {ObjectId|string} userId - Who asked
+   * @param {string} messageId
+   * @param {Object} [message] - Final { content, sources } from the client; defaults to the streamed text.
+   *   sources are the AI engine's chunk references, resolved with sourceCitation.resolve
+   * @returns {Promise<Object>} NotebookChatMessage
+   */
+  async completeStream(notebook, userId, messageId, message = {}) {
+    const id = this._messageId(messageId);
+    const stream = this.getStream(notebook._id, id);
+    this._endStream(notebook._id, id);
+
+    const content = typeof message.content === 'string' ? message.content : stream?.content || '';
+
+    return this._create({
+      notebookId: notebook._id,
+      messageId: id,
+      role: 'assistant',
+      content: content.slice(0, MAX_CONTENT_LENGTH),
+      author: userId,
+      authorName: await this._authorName(userId),
+      sources: await sourceCitation.resolve(notebook, message.sources),
+      relayed: true
+    });
+  }
+
+  /**
+   * Store what was streamed so far by a connection that went away
+   * @returns {Promise<string[]>} Message ids of the interrupted streams
+   */
+  async interruptStreams(notebookId, socketId) {
+    const streams = [...(this.streams.get(notebookId.toString())?.values() || [])]
+      .filter(stream => stream.socketId === socketId);
+
+    for (const stream of streams) {
+      this._endStream(notebookId, stream.messageId);
+      if (!stream.content) continue;
+
+      await this._create({
+        notebookId,
+        messageId: stream.messageId,
+        role: 'assistant',
+        content: stream.content,
+        author: stream.author,
+        authorName: await this._authorName(stream.author),
+        interrupted: true,
+        relayed: true
+      }).catch(err => console.error(`[NotebookChat] Failed to save interrupted answer ${stream.messageId}:`, err.message));
+    }
+
+    return streams.map(stream => stream.messageId);
+  }
+
+  /**
+   * Answers currently streaming in a notebook, oldest first
+   */
+  getActiveStreams(notebookId) {
+    this._pruneIdle(notebookId.toString());
+    const streams = this.streams.get(notebookId.toString());
+    if (!streams) return [];
+
+    return [...streams.values()].sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Drop streams that have gone idle, in every notebook
+   */
+  pruneStreams() {
+    for (const key of [...this.streams.keys()]) {
+      this._pruneIdle(key);
+    }
+  }
+
+  /**
+   * Chat history, oldest first
+   * @param {ObjectId|string} notebookId
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @param {string|Date} [options.before] - Only turns created before this time
+   */
+  async getHistory(notebookId, { limit = DEFAULT_HISTORY_LIMIT, before } = {}) {
+    const query = { notebookId };
+    if (before) {
+      const date = new Date(before);
+      if (Number.isNaN(date.getTime())) {
+        throw new AppError('Invalid before date', 400);
+      }
+      query.createdAt = { $lt: date };
+    }
+
+    const messages = await NotebookChatMessage.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT));
+
+    return messages.reverse();
+  }
+
+  /**
+   * Delete a notebook's chat history and drop its streams
+   * @returns {Promise<number>} Turns deleted
+   */
+  async clearHistory(notebookId) {
+    this.streams.delete(notebookId.toString());
+    const { deletedCount } = await NotebookChatMessage.deleteMany({ notebookId });
+    return deletedCount;
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * Create a turn; re-sending a message id returns the stored turn
+   */
+  async _create(data) {
+    try {
+      return await NotebookChatMessage.create(data);
+    } catch (err) {
+      if (err.code === 11000) {
+        return NotebookChatMessage.findOne({ notebookId: data.notebookId, messageId: data.messageId });
+      }
+      throw err;
+    }
+  }
+
+  _endStream(notebookId, messageId) {
+    const key = notebookId.toString();
+    const streams = this.streams.get(key);
+    if (!streams) return;
+    streams.delete(messageId);
+    if (!streams.size) {
+      this.streams.delete(key);
+    }
+  }
+
+  _pruneIdle(key) {
+    const streams = this.streams.get(key);
+    if (!streams) return;
+
+    const cutoff = Date.now() - STREAM_IDLE_MS;
+    for (const stream of [...streams.values()]) {
+      if (stream.updatedAt < cutoff) {
+        this._endStream(key, stream.messageId);
+      }
+    }
+  }
+
+  _messageId(value) {
+    if ((typeof value !== 'string' && typeof value !== 'number') || !String(value) || String(value).length > MAX_MESSAGE_ID_LENGTH) {
+      throw new AppError('A valid message id is required', 400);
+    }
+    return String(value);
+  }
+
+  async _authorName(userId) {
+    const user = await User.findById(userId).select('name');
+    return user?.name;
+  }
+}
+
+module.exports = new NotebookChatService();
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Notebook = require('../models/Notebook');
+const { parseQuery, findMatches, scoreMatches, buildSnippets } = require('../utils/textSearch');
+
+// Relative weight of a match in each field
+const FIELD_WEIGHTS = {
+  notebookTitle: 3,
+  notebookDescription: 1,
+  artifactTitle: 2,
+  sourceName: 2,
+  sourceContent: 1
+};
+
+const MAX_SNIPPETS = 3;
+// Best text-index matches that get ranked and snippeted
+const MAX_CANDIDATES = 50;
+
+/**
+ * Notebook Search Service
+ * Full-text search over everything in the notebooks a user can open:
+ * notebook titles and descriptions, artifact titles, source names and
+ * source content / audio transcriptions.
+ *
+ * Matching notebooks are found with the `notebook_search` text index
+ * (whole words, case and accent insensitive); only the best of them are
+ * loaded to rank individual results. Results carry highlighted snippets
+ * with deep links: a character offset into the source's content, or a
+ * timestamp for transcribed audio. Notebooks in the recycle bin are never
+ * searched.
+ *
+ * This is lexical search only. Semantic (embedding) search was split off
+ * into its own piece of work: it needs an endpoint on the AI engine to
+ * search the indexed chunks, which doesn't exist yet.
+ */
+class NotebookSearchService {
+  /**
+   * Search the user's notebooks
+   * @param {ObjectId|string} userId
+   * @param {string} q - Search string, "quoted phrases" allowed
+   * @param {Object} [options]
+   * @param {number} [options.limit=20]
+   * @param {string} [options.notebookId] - Only search this notebook
+   * @returns {Promise<{terms: string[], results: Array}>}
+   */
+  async search(userId, q, { limit = 20, notebookId } = {}) {
+    const query = parseQuery(q);
+    if (!query.terms.length) {
+      return { terms: [], results: [] };
+    }
+
+    const uid = new mongoose.Types.ObjectId(userId);
+    const filter = {
+      $or: [
+        { userId: uid },
+        { collaborators: { $elemMatch: { userId: uid, status: 'accepted' } } }
+      ],
+      deletedAt: null,
+      $text: { $search: String(q) }
+    };
+    if (notebookId) {
+      filter._id = notebookId;
+    }
+
+    const notebooks = await Notebook.find(filter)
+      .select({
+        'sources.waveform': 0,
+        'sources.sections': 0,
+        'artifacts.data': 0,
+        score: { $meta: 'textScore' }
+      })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_CANDIDATES);
+
+    const results = [];
+    for (const notebook of notebooks) {
+      const role = notebook.canAccess(userId);
+      if (!role) continue;
+
+      const notebookInfo = {
+        id: notebook._id,
+        title: notebook.title,
+        role,
+        archived: notebook.isArchived
+      };
+
+      results.push(...this._searchNotebook(notebook, query, notebookInfo));
+    }
+
+    results.sort((a, b) => b.score - a.score || b.lastAccessed - a.lastAccessed);
+
+    return {
+      terms: query.terms,
+      results: results.slice(0, limit).map(({ lastAccessed, ...result }) => ({
+        ...result,
+        score: Math.round(result.score * 1000) / 1000
+      }))
+    };
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * All results for one notebook: the notebook itself, its artifacts and sources
+   */
+  _searchNotebook(notebook, query, notebookInfo) {
+    const results = [];
+    const base = { notebook: notebookInfo, lastAccessed: notebook.lastAccessed?.getTime() || 0 };
+    const notebookLink = { notebookId: notebook._id };
+
+    const title = this._searchField(notebook.title, query, FIELD_WEIGHTS.notebookTitle, notebookLink, 'title');
+    const description = this._searchField(notebook.description, query, FIELD_WEIGHTS.notebookDescription, notebookLink, 'description');
+    if (title.score || description.score) {
+      results.push({
+        type: 'notebook',
+        ...base,
+        score: title.score + description.score,
+        snippets: [...title.snippets, ...description.snippets]
+      });
+    }
+
+    for (const artifact of notebook.artifacts) {
+      const link = { notebookId: notebook._id, artifactId: artifact._id, artifactType: artifact.type, referenceId: artifact.referenceId };
+      const match = this._searchField(artifact.title, query, FIELD_WEIGHTS.artifactTitle, link, 'title');
+      if (!match.score) continue;
+
+      results.push({
+        type: 'artifact',
+        ...base,
+        artifact: { id: artifact._id, type: artifact.type, title: artifact.title, referenceId: artifact.referenceId },
+        score: match.score,
+        snippets: match.snippets
+      });
+    }
+
+    for (const source of notebook.sources) {
+      const sourceLink = { notebookId: notebook._id, sourceId: source._id };
+      const name = this._searchField(source.name, query, FIELD_WEIGHTS.sourceName, sourceLink, 'name');
+      const content = source.transcriptionSegments?.length
+        ? this._searchSegments(source.transcriptionSegments, query, sourceLink)
+        : this._searchField(source.content || source.transcription, query, FIELD_WEIGHTS.sourceContent, sourceLink, 'content');
+      if (!name.score && !content.score) continue;
+
+      results.push({
+        type: 'source',
+        ...base,
+        source: { id: source._id, name: source.name, type: source.type },
+        score: name.score + content.score,
+        matchCount: name.matchCount + content.matchCount,
+        // Content snippets first, they're the ones worth jumping to
+        snippets: [...content.snippets, ...name.snippets].slice(0, MAX_SNIPPETS)
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Score and snippet one text field; deep links get the match's character offset
+   */
+  _searchField(text, query, weight, link, field) {
+    const matches = findMatches(text || '', query);
+    if (!matches.length) {
+      return { score: 0, matchCount: 0, snippets: [] };
+    }
+
+    const snippets = buildSnippets(text, matches, { max: MAX_SNIPPETS }).map(({ offset, length, ...snippet }) => ({
+      field,
+      ...snippet,
+      link: field === 'content' ? { ...link, offset, length } : link
+    }));
+
+    return { score: weight * scoreMatches(matches, query), matchCount: matches.length, snippets };
+  }
+
+  /**
+   * Search a transcription segment by segment so each snippet links to a timestamp
+   */
+  _searchSegments(segments, query, link) {
+    const allMatches = [];
+    const hits = [];
+
+    for (const segment of segments) {
+      const matches = findMatches(segment.text || '', query);
+      if (!matches.length) continue;
+
+      allMatches.push(...matches);
+      hits.push({ segment, matches, rank: new Set(matches.map(m => m.term)).size * 1000 + matches.length });
+    }
+
+    if (!allMatches.length) {
+      return { score: 0, matchCount: 0, snippets: [] };
+    }
+
+    const snippets = hits
+      .sort((a, b) => b.rank - a.rank || a.segment.start - b.segment.start)
+      .slice(0, MAX_SNIPPETS)
+      .map(({ segment, matches }) => {
+        const [{ offset, length, ...snippet }] = buildSnippets(segment.text, matches, { max: 1 });
+        return {
+          field: 'transcription',
+          ...snippet,
+          link: { ...link, timestamp: segment.start, endTimestamp: segment.end }
+        };
+      });
+
+    return {
+      score: FIELD_WEIGHTS.sourceContent * scoreMatches(allMatches, query),
+      matchCount: allMatches.length,
+      snippets
+    };
+  }
+}
+
+module.exports = new NotebookSearchService();
@@ -34,6 +34,7 @@ class NotificationService {
     metadata = {},
     expiresAt = null,
     deduplicationKey = null, // Optional key to prevent duplicates
+    emit = true, // false when the caller delivers it (e.g. from the worker process)
   }) {
     if (!userId) {
       console.warn('NotificationService: userId is required');
@@ -63,7 +64,7 @@ class NotificationService {
       duplicate.createdAt = new Date(); // Bump to top
       await duplicate.save();
       
-      this.emitToUser(userId, duplicate);
+      if (emit) this.emitToUser(userId, duplicate);
       return duplicate;
     }
 
@@ -81,7 +82,7 @@ class NotificationService {
     });
 
     // 3. Emit via Socket
-    this.emitToUser(userId, notification);
+    if (emit) this.emitToUser(userId, notification);
 
     return notification;
   }
@@ -337,8 +338,28 @@ class NotificationService {
     });
   }
 
+  // Chat Notifications
+  async notifyChatMention(userId, message, group) {
+    const senderName = message.sender?.name || 'Someone';
+    const preview = message.content.length > 120 ? `${message.content.slice(0, 117)}...` : message.content;
+
+    return this.createNotification({
+      userId,
+      type: 'chat_mention',
+      title: '💬 You were mentioned',
+      message: `${senderName} mentioned you in ${group?.name || 'a group'}: "${preview}"`,
+      priority: 'medium',
+      metadata: {
+        groupId: message.group,
+        messageId: message._id,
+        threadId: message.threadId || undefined,
+      },
+      deduplicationKey: `chat-mention-${message._id}`,
+    });
+  }
+
   // AI Notifications
-  async notifyDocumentProcessed(userId, documentName) {
+  async notifyDocumentProcessed(userId, documentName, { emit = true } = {}) {
     return this.createNotification({
       userId,
       type: 'document_processed',
@@ -346,6 +367,7 @@ class NotificationService {
       message: `"${documentName}" is processed.`,
       priority: 'medium',
       actionLink: '/study-notebook',
+      emit,
     });
   }
 
@@ -1,7 +1,14 @@
 const Quiz = require('../models/Quiz');
 const QuizAttempt = require('../models/QuizAttempt');
-// const FlashcardSet = require('../models/FlashcardSet');
-// const Flashcard = require('../models/Flashcard');
+const QuizQuestionStats = require('../models/QuizQuestionStats');
+const quizAnalytics = require('./quizAnalytics.service');
+const { gradeAnswer, isBlankAnswer, sanitizeQuestion, shuffle } = require('../utils/quizQuestionTypes');
+const FlashcardSet = require('../models/FlashcardSet');
+const Flashcard = require('../models/Flashcard');
+const AppError = require('../utils/AppError');
+
+// Answers arriving this long after the deadline still count (network latency)
+const ATTEMPT_GRACE_MS = 5000;
 
 class QuizService {
   /**
@@ -56,17 +63,17 @@ class QuizService {
       throw new Error('Unauthorized access to private quiz');
     }
 
+    // Quiz takers never get the answer key here; when the quiz allows it,
+    // it comes with their submitted attempt (buildAttemptResult)
+    const isOwner = quiz.createdBy._id.toString() === userId.toString();
+    if (!isOwner && !isAdmin) {
+      includeAnswers = false;
+    }
+
     // Remove correct answers if requested (for taking quiz)
     if (!includeAnswers) {
       const quizObj = quiz.toObject();
-      quizObj.questions = quizObj.questions.map(q => ({
-        _id: q._id,
-        question: q.question,
-        options: q.options,
-        difficulty: q.difficulty,
-        points: q.points,
-        order: q.order
-      }));
+      quizObj.questions = quizObj.questions.map(sanitizeQuestion);
       return quizObj;
     }
 
@@ -115,8 +122,9 @@ class QuizService {
       throw new Error('Unauthorized to delete this quiz');
     }
 
-    // Delete all attempts
+    // Delete all attempts and their statistics
     await QuizAttempt.deleteMany({ quizId: quiz._id });
+    await QuizQuestionStats.deleteMany({ quizId: quiz._id });
 
     await quiz.deleteOne();
 
@@ -133,6 +141,11 @@ class QuizService {
       throw new Error('Flashcard set not found');
     }
 
+    // Authorization check
+    if (set.visibility === 'private' && set.createdBy.toString() !== userId.toString()) {
+      throw new Error('Unauthorized access to private flashcard set');
+    }
+
     // Get all cards
     const cards = await Flashcard.find({ setId }).sort({ order: 1 });
 
@@ -190,80 +203,246 @@ class QuizService {
   }
 
   /**
-   * Submit quiz attempt
+   * Submit quiz attempt (one-shot).
+   * If the user has a timed attempt in progress, the answers are saved into it
+   * and it is finalized; timed quizzes can't be submitted without starting first.
    */
-  async submitAttempt(quizId, userId, answers) {
+  async submitAttempt(quizId, userId, answers = []) {
     const quiz = await Quiz.findById(quizId);
 
     if (!quiz) {
       throw new Error('Quiz not found');
     }
 
-    // Calculate score
-    let correctAnswers = 0;
-    let pointsEarned = 0;
-    const totalPoints = quiz.totalPoints;
-
-    const processedAnswers = quiz.questions.map(question => {
-      const userAnswer = answers.find(a => a.questionId === question._id.toString());
-      
-      if (!userAnswer) {
-        return {
-          questionId: question._id,
-          userAnswer: '',
-          isCorrect: false,
-          timeSpent: 0
-        };
-      }
-
-      const isCorrect = userAnswer.answer.trim().toLowerCase() === question.correctAnswer.trim().toLowerCase();
-      
-      if (isCorrect) {
-        correctAnswers++;
-        pointsEarned += question.points || 1;
+    const openAttempt = await QuizAttempt.findOne({ quizId, userId, status: 'in_progress' });
+    if (openAttempt) {
+      if (!this._isExpired(openAttempt)) {
+        this._mergeDraftAnswers(openAttempt, answers);
       }
+      return this._finalizeAttempt(quiz, openAttempt);
+    }
 
-      return {
-        questionId: question._id,
-        userAnswer: userAnswer.answer,
-        isCorrect,
-        timeSpent: userAnswer.timeSpent || 0
-      };
-    });
-
-    const score = (pointsEarned / totalPoints) * 100;
-    const passed = score >= quiz.passingScore;
+    if (quiz.timeLimit) {
+      throw new AppError('This quiz is timed. Start an attempt before submitting answers', 400);
+    }
 
-    const totalTimeSpent = processedAnswers.reduce((sum, a) => sum + a.timeSpent, 0);
+    await this._assertCanAttempt(quiz, userId);
 
+    const graded = this.gradeAnswers(quiz, answers);
     const attempt = new QuizAttempt({
       quizId,
       userId,
-      answers: processedAnswers,
-      score,
-      pointsEarned,
-      totalPoints,
-      passed,
-      timeSpent: totalTimeSpent
+      status: 'submitted',
+      onlyAttempt: !quiz.settings.allowRetake,
+      ...graded,
+      // Untimed one-shot submissions only have client-reported timings
+      timeSpent: graded.answers.reduce((sum, a) => sum + a.timeSpent, 0)
     });
 
+    try {
+      await attempt.save();
+    } catch (error) {
+      // A concurrent submit recorded the only attempt first
+      if (error.code === 11000) throw new AppError('Retakes are not allowed for this quiz', 403);
+      throw error;
+    }
+
+    // Update quiz and per-question statistics incrementally
+    await quizAnalytics.recordAttempt(quiz, attempt);
+
+    return this.buildAttemptResult(quiz, attempt);
+  }
+
+  /**
+   * Start (or resume) a server-timed attempt.
+   * Issues the question/option order for this attempt when shuffling is on.
+   */
+  async startAttempt(quizId, userId) {
+    const quiz = await Quiz.findById(quizId);
+
+    if (!quiz) {
+      throw new AppError('Quiz not found', 404);
+    }
+
+    if (quiz.visibility === 'private' && quiz.createdBy.toString() !== userId.toString()) {
+      throw new AppError('Unauthorized access to private quiz', 403);
+    }
+
+    let attempt = await QuizAttempt.findOne({ quizId, userId, status: 'in_progress' });
+    if (attempt && this._isExpired(attempt)) {
+      await this._finalizeAttempt(quiz, attempt, { autoSubmitted: true });
+      attempt = null;
+    }
+
+    if (!attempt) {
+      await this._assertCanAttempt(quiz, userId);
+
+      const now = new Date();
+      const questions = [...quiz.questions].sort((a, b) => (a.order || 0) - (b.order || 0));
+      const questionOrder = (quiz.settings.shuffleQuestions ? shuffle(questions) : questions).map(q => q._id);
+      const optionOrder = quiz.settings.shuffleOptions
+        ? quiz.questions
+          .filter(q => q.options && q.options.length > 1 && q.type !== 'ordering')
+          .map(q => ({ questionId: q._id, options: shuffle(q.options) }))
+        : [];
+
+      try {
+        attempt = await QuizAttempt.create({
+          quizId,
+          userId,
+          status: 'in_progress',
+          onlyAttempt: !quiz.settings.allowRetake,
+          startedAt: now,
+          deadline: quiz.timeLimit ? new Date(now.getTime() + quiz.timeLimit * 60 * 1000) : null,
+          questionOrder,
+          optionOrder,
+          score: 0,
+          totalPoints: quiz.totalPoints,
+          completedAt: null
+        });
+      } catch (error) {
+        // Another request started the attempt first - resume that one
+        if (error.code !== 11000) throw error;
+        attempt = await QuizAttempt.findOne({ quizId, userId, status: 'in_progress' });
+        // ...unless it was the only attempt allowed and is already submitted
+        if (!attempt) throw new AppError('Retakes are not allowed for this quiz', 403);
+      }
+    }
+
+    return this._toSession(quiz, attempt);
+  }
+
+  /**
+   * Get the state of an attempt (auto-submits it if the deadline has passed)
+   */
+  async getAttempt(attemptId, userId) {
+    const attempt = await this._getOwnAttempt(attemptId, userId);
+    const quiz = await Quiz.findById(attempt.quizId);
+
+    if (!quiz) {
+      throw new AppError('Quiz not found', 404);
+    }
+
+    if (attempt.status === 'in_progress' && this._isExpired(attempt)) {
+      await this._finalizeAttempt(quiz, attempt, { autoSubmitted: true });
+    }
+
+    if (attempt.status === 'in_progress') {
+      return this._toSession(quiz, attempt);
+    }
+
+    return this.buildAttemptResult(quiz, attempt);
+  }
+
+  /**
+   * Save answers for an in-progress attempt
+   */
+  async saveAnswers(attemptId, userId, answers = []) {
+    const attempt = await this._getOwnAttempt(attemptId, userId);
+
+    if (attempt.status !== 'in_progress') {
+      throw new AppError('This attempt has already been submitted', 409);
+    }
+
+    if (this._isExpired(attempt)) {
+      const quiz = await Quiz.findById(attempt.quizId);
+      if (quiz) {
+        await this._finalizeAttempt(quiz, attempt, { autoSubmitted: true });
+      }
+      throw new AppError('Time is up. The attempt was submitted automatically', 409);
+    }
+
+    this._mergeDraftAnswers(attempt, answers);
     await attempt.save();
 
-    // Update quiz statistics
-    quiz.totalAttempts += 1;
-    const allAttempts = await QuizAttempt.find({ quizId });
-    const avgScore = allAttempts.reduce((sum, a) => sum + a.score, 0) / allAttempts.length;
-    quiz.averageScore = avgScore;
-    await quiz.save();
+    return {
+      attemptId: attempt._id,
+      savedAnswers: attempt.draftAnswers.length,
+      deadline: attempt.deadline,
+      remainingSeconds: this._remainingSeconds(attempt)
+    };
+  }
 
-    return attempt;
+  /**
+   * Submit an in-progress attempt
+   */
+  async submitStartedAttempt(attemptId, userId, answers = []) {
+    const attempt = await this._getOwnAttempt(attemptId, userId);
+
+    if (attempt.status !== 'in_progress') {
+      throw new AppError('This attempt has already been submitted', 409);
+    }
+
+    const quiz = await Quiz.findById(attempt.quizId);
+    if (!quiz) {
+      throw new AppError('Quiz not found', 404);
+    }
+
+    // Answers sent after the deadline are ignored; whatever was saved in time counts
+    const expired = this._isExpired(attempt);
+    if (!expired) {
+      this._mergeDraftAnswers(attempt, answers);
+    }
+
+    return this._finalizeAttempt(quiz, attempt, { autoSubmitted: expired });
+  }
+
+  /**
+   * Auto-submit every in-progress attempt whose deadline has passed
+   * @returns {Promise<number>} Number of attempts submitted
+   */
+  async submitExpiredAttempts() {
+    const cutoff = new Date(Date.now() - ATTEMPT_GRACE_MS);
+    const expired = await QuizAttempt.find({ status: 'in_progress', deadline: { $ne: null, $lt: cutoff } });
+
+    let submitted = 0;
+    for (const attempt of expired) {
+      try {
+        const quiz = await Quiz.findById(attempt.quizId);
+        if (!quiz) {
+          await attempt.deleteOne();
+          continue;
+        }
+        await this._finalizeAttempt(quiz, attempt, { autoSubmitted: true });
+        submitted++;
+      } catch (error) {
+        console.error(`[quizAttempts] Failed to auto-submit attempt ${attempt._id}:`, error.message);
+      }
+    }
+
+    return submitted;
+  }
+
+  /**
+   * Attempt result for the quiz taker. Correct answers and explanations are
+   * only included when the quiz allows it.
+   */
+  buildAttemptResult(quiz, attempt) {
+    const result = attempt.toObject();
+    delete result.draftAnswers;
+    delete result.optionOrder;
+
+    if (quiz.settings.showCorrectAnswers) {
+      result.review = quiz.questions.map(question => ({
+        questionId: question._id,
+        type: question.type,
+        correctAnswer: question.correctAnswer,
+        correctAnswers: question.correctAnswers,
+        correctOrder: question.correctOrder,
+        acceptedAnswers: question.acceptedAnswers,
+        tolerance: question.tolerance,
+        explanation: question.explanation
+      }));
+    }
+
+    return result;
   }
 
   /**
    * Get quiz attempts for a user
    */
   async getUserAttempts(userId, quizId = null) {
-    const query = { userId };
+    const query = { userId, status: { $ne: 'in_progress' } };
     if (quizId) {
       query.quizId = quizId;
     }
@@ -290,34 +469,185 @@ class QuizService {
       throw new Error('Unauthorized to view statistics');
     }
 
-    const attempts = await QuizAttempt.find({ quizId });
+    return quizAnalytics.getStatistics(quiz);
+  }
 
-    const statistics = {
-      totalAttempts: attempts.length,
-      averageScore: quiz.averageScore,
-      passRate: attempts.length > 0 ? (attempts.filter(a => a.passed).length / attempts.length) * 100 : 0,
-      averageTimeSpent: attempts.length > 0 ? attempts.reduce((sum, a) => sum + a.timeSpent, 0) / attempts.length : 0,
-      questionStats: []
-    };
+  /**
+   * Grade raw answers against the quiz's questions
+   */
+  gradeAnswers(quiz, answers = []) {
+    let pointsEarned = 0;
+    const totalPoints = quiz.totalPoints;
 
-    // Per-question statistics
-    quiz.questions.forEach((question, index) => {
-      const questionAttempts = attempts.map(a => a.answers[index]).filter(Boolean);
-      const correctCount = questionAttempts.filter(a => a.isCorrect).length;
+    const processedAnswers = quiz.questions.map(question => {
+      const userAnswer = answers.find(a => a.questionId?.toString() === question._id.toString());
       
-      statistics.questionStats.push({
+      if (!userAnswer || isBlankAnswer(userAnswer.answer)) {
+        return {
+          questionId: question._id,
+          userAnswer: '',
+          isCorrect: false,
+          credit: 0,
+          pointsEarned: 0,
+          timeSpent: userAnswer?.timeSpent || 0
+        };
+      }
+
+      // Each question type has its own grader (with partial credit where supported)
+      const { isCorrect, credit } = gradeAnswer(question, userAnswer.answer);
+      const questionPoints = (question.points || 1) * credit;
+      pointsEarned += questionPoints;
+
+      return {
         questionId: question._id,
-        question: question.question,
-        totalAttempts: questionAttempts.length,
-        correctCount,
-        successRate: questionAttempts.length > 0 ? (correctCount / questionAttempts.length) * 100 : 0,
-        averageTimeSpent: questionAttempts.length > 0 
-          ? questionAttempts.reduce((sum, a) => sum + a.timeSpent, 0) / questionAttempts.length 
-          : 0
-      });
+        userAnswer: userAnswer.answer,
+        isCorrect,
+        credit,
+        pointsEarned: questionPoints,
+        timeSpent: userAnswer.timeSpent || 0
+      };
     });
 
-    return statistics;
+    const score = totalPoints > 0 ? (pointsEarned / totalPoints) * 100 : 0;
+
+    return {
+      answers: processedAnswers,
+      score,
+      pointsEarned,
+      totalPoints,
+      passed: score >= quiz.passingScore
+    };
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * Grade the saved answers of an in-progress attempt and close it
+   */
+  async _finalizeAttempt(quiz, attempt, { autoSubmitted = false } = {}) {
+    const now = new Date();
+    const graded = this.gradeAnswers(quiz, attempt.draftAnswers);
+    const endedAt = attempt.deadline && now > attempt.deadline ? attempt.deadline : now;
+
+    // Claim the attempt atomically so a concurrent submit/auto-submit can't grade it twice
+    const claimed = await QuizAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in_progress' },
+      {
+        $set: {
+          ...graded,
+          status: 'submitted',
+          autoSubmitted,
+          // Time is measured by the server, not reported by the client
+          timeSpent: Math.max(0, Math.round((endedAt - attempt.startedAt) / 1000)),
+          completedAt: now
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const current = await QuizAttempt.findById(attempt._id);
+      if (!current) {
+        throw new AppError('Quiz attempt not found', 404);
+      }
+      attempt.set(current.toObject());
+      return this.buildAttemptResult(quiz, attempt);
+    }
+
+    attempt.set(claimed.toObject());
+    await quizAnalytics.recordAttempt(quiz, attempt);
+
+    return this.buildAttemptResult(quiz, attempt);
+  }
+
+  /**
+   * Reject retakes when the quiz doesn't allow them
+   */
+  async _assertCanAttempt(quiz, userId) {
+    if (quiz.settings.allowRetake) return;
+
+    // Attempts stored before attempts had a status are submitted ones too
+    const previous = await QuizAttempt.exists({ quizId: quiz._id, userId, status: { $ne: 'in_progress' } });
+    if (previous) {
+      throw new AppError('Retakes are not allowed for this quiz', 403);
+    }
+  }
+
+  async _getOwnAttempt(attemptId, userId) {
+    const attempt = await QuizAttempt.findById(attemptId);
+
+    if (!attempt) {
+      throw new AppError('Quiz attempt not found', 404);
+    }
+
+    if (attempt.userId.toString() !== userId.toString()) {
+      throw new AppError('Unauthorized access to this attempt', 403);
+    }
+
+    return attempt;
+  }
+
+  /**
+   * Replace saved answers with newer ones for the same questions
+   */
+  _mergeDraftAnswers(attempt, answers = []) {
+    const now = new Date();
+    answers.forEach(({ questionId, answer, timeSpent }) => {
+      if (!questionId) return;
+      const existing = attempt.draftAnswers.find(d => d.questionId.toString() === questionId.toString());
+      if (existing) {
+        existing.answer = answer;
+        existing.timeSpent = timeSpent || existing.timeSpent;
+        existing.savedAt = now;
+      } else {
+        attempt.draftAnswers.push({ questionId, answer, timeSpent: timeSpent || 0, savedAt: now });
+      }
+    });
+    attempt.markModified('draftAnswers');
+  }
+
+  _isExpired(attempt) {
+    return Boolean(attempt.deadline) && Date.now() > attempt.deadline.getTime() + ATTEMPT_GRACE_MS;
+  }
+
+  _remainingSeconds(attempt) {
+    if (!attempt.deadline) return null;
+    return Math.max(0, Math.round((attempt.deadline.getTime() - Date.now()) / 1000));
+  }
+
+  /**
+   * In-progress attempt as seen by the quiz taker: questions in the issued
+   * order, options in the issued order, no answer key
+   */
+  _toSession(quiz, attempt) {
+    const optionOrder = new Map(attempt.optionOrder.map(o => [o.questionId.toString(), o.options]));
+    const questions = attempt.questionOrder
+      .map(id => quiz.questions.id(id))
+      .filter(Boolean)
+      .map(question => {
+        const publicQuestion = sanitizeQuestion(question);
+        const options = optionOrder.get(question._id.toString());
+        if (options) publicQuestion.options = options;
+        return publicQuestion;
+      });
+
+    return {
+      attemptId: attempt._id,
+      quizId: quiz._id,
+      title: quiz.title,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      deadline: attempt.deadline,
+      remainingSeconds: this._remainingSeconds(attempt),
+      questions,
+      savedAnswers: attempt.draftAnswers.map(d => ({
+        questionId: d.questionId,
+        answer: d.answer,
+        timeSpent: d.timeSpent
+      }))
+    };
   }
 }
 
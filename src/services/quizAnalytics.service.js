@@ -0,0 +1,468 @@
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuizQuestionStats = require('../models/QuizQuestionStats');
+
+/**
+ * Calibration thresholds (proportion of attempts answered correctly)
+ */
+const CALIBRATION = {
+  minAttempts: 10,   // Don't relabel questions until there is enough data
+  easyAbove: 0.8,
+  hardBelow: 0.4,
+};
+
+/**
+ * Thresholds used to flag questions that may be broken or ambiguous
+ */
+const FLAG_THRESHOLDS = {
+  minAttempts: 5,
+  tooHardBelow: 0.2,
+  lowDiscrimination: 0.1,
+};
+
+class QuizAnalyticsService {
+  /**
+   * Fold a submitted attempt into the running per-question aggregates and
+   * the quiz-level average, then recalibrate question difficulty.
+   *
+   * @param {Object} quiz - Quiz document the attempt belongs to
+   * @param {Object} attempt - Saved QuizAttempt document
+   */
+  async recordAttempt(quiz, attempt) {
+    const score = attempt.score || 0;
+
+    const operations = attempt.answers.map(answer => {
+      const answered = this.answerKey(answer.userAnswer) !== '';
+      const isCorrect = Boolean(answer.isCorrect);
+      const wrongAnswer = answered && !isCorrect ? this.answerKey(answer.userAnswer) : null;
+
+      return {
+        updateOne: {
+          filter: { quizId: quiz._id, questionId: answer.questionId },
+          update: this._buildStatsPipeline({
+            answered,
+            isCorrect,
+            timeSpent: answer.timeSpent || 0,
+            score,
+            wrongAnswer,
+          }),
+          upsert: true,
+        },
+      };
+    });
+
+    if (operations.length > 0) {
+      // Pipeline updates go through the driver directly; Mongoose casting
+      // only understands operator-style update documents
+      await QuizQuestionStats.collection.bulkWrite(operations, { ordered: false });
+    }
+
+    // Running mean: avg' = (avg * n + score) / (n + 1)
+    await Quiz.updateOne({ _id: quiz._id }, [
+      {
+        $set: {
+          averageScore: {
+            $divide: [
+              {
+                $add: [
+                  { $multiply: [{ $ifNull: ['$averageScore', 0] }, { $ifNull: ['$totalAttempts', 0] }] },
+                  score,
+                ],
+              },
+              { $add: [{ $ifNull: ['$totalAttempts', 0] }, 1] },
+            ],
+          },
+          totalAttempts: { $add: [{ $ifNull: ['$totalAttempts', 0] }, 1] },
+        },
+      },
+    ], { updatePipeline: true });
+
+    await this.recalibrateDifficulty(quiz._id);
+  }
+
+  /**
+   * Relabel each question's stored difficulty from observed correctness
+   * once it has enough attempts.
+   *
+   * @param {ObjectId|string} quizId
+   * @returns {Promise<Array>} Questions whose difficulty changed
+   */
+  async recalibrateDifficulty(quizId) {
+    const [quiz, stats] = await Promise.all([
+      Quiz.findById(quizId).select('questions._id questions.difficulty'),
+      QuizQuestionStats.find({ quizId, attempts: { $gte: CALIBRATION.minAttempts } }),
+    ]);
+
+    if (!quiz) return [];
+
+    const now = new Date();
+    const changes = [];
+    const statOps = [];
+
+    stats.forEach(stat => {
+      const difficulty = this.classifyDifficulty(stat.correctCount / stat.attempts);
+      const question = quiz.questions.id(stat.questionId);
+
+      if (question && question.difficulty !== difficulty) {
+        changes.push({ questionId: stat.questionId, from: question.difficulty, to: difficulty });
+      }
+
+      statOps.push({
+        updateOne: {
+          filter: { _id: stat._id },
+          update: { $set: { calibratedDifficulty: difficulty, calibratedAt: now } },
+        },
+      });
+    });
+
+    if (changes.length > 0) {
+      await Quiz.bulkWrite(changes.map(change => ({
+        updateOne: {
+          filter: { _id: quiz._id, 'questions._id': change.questionId },
+          update: { $set: { 'questions.$.difficulty': change.to } },
+        },
+      })));
+    }
+
+    if (statOps.length > 0) {
+      await QuizQuestionStats.bulkWrite(statOps, { ordered: false });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Rebuild the per-question aggregates from stored attempts. Used for
+   * quizzes whose attempts predate incremental tracking.
+   *
+   * @param {ObjectId|string} quizId
+   */
+  async rebuildQuestionStats(quizId) {
+    const id = new mongoose.Types.ObjectId(quizId.toString());
+    const answeredExpr = { $not: [{ $in: [{ $ifNull: ['$answers.userAnswer', ''] }, ['', []]] }] };
+
+    await QuizAttempt.aggregate([
+      { $match: { quizId: id, status: { $ne: 'in_progress' } } },
+      { $unwind: '$answers' },
+      {
+        $group: {
+          _id: {
+            questionId: '$answers.questionId',
+            wrongAnswer: {
+              $cond: [{ $and: [answeredExpr, { $not: ['$answers.isCorrect'] }] }, '$answers.userAnswer', null],
+            },
+          },
+          attempts: { $sum: 1 },
+          answeredCount: { $sum: { $cond: [answeredExpr, 1, 0] } },
+          correctCount: { $sum: { $cond: ['$answers.isCorrect', 1, 0] } },
+          totalTimeSpent: { $sum: { $ifNull: ['$answers.timeSpent', 0] } },
+          sumScore: { $sum: '$score' },
+          sumScoreSquared: { $sum: { $multiply: ['$score', '$score'] } },
+          sumScoreWhenCorrect: { $sum: { $cond: ['$answers.isCorrect', '$score', 0] } },
+        },
+      },
+      {
+        $group: {
+          _id: '$_id.questionId',
+          attempts: { $sum: '$attempts' },
+          answeredCount: { $sum: '$answeredCount' },
+          correctCount: { $sum: '$correctCount' },
+          totalTimeSpent: { $sum: '$totalTimeSpent' },
+          sumScore: { $sum: '$sumScore' },
+          sumScoreSquared: { $sum: '$sumScoreSquared' },
+          sumScoreWhenCorrect: { $sum: '$sumScoreWhenCorrect' },
+          wrongAnswers: {
+            $push: {
+              $cond: [
+                { $eq: ['$_id.wrongAnswer', null] },
+                '$$REMOVE',
+                { answer: this._answerKeyExpr('$_id.wrongAnswer'), count: '$attempts' },
+              ],
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          quizId: { $literal: id },
+          questionId: '$_id',
+          attempts: 1,
+          answeredCount: 1,
+          correctCount: 1,
+          totalTimeSpent: 1,
+          sumScore: 1,
+          sumScoreSquared: 1,
+          sumScoreWhenCorrect: 1,
+          wrongAnswers: 1,
+          updatedAt: '$$NOW',
+        },
+      },
+      {
+        $merge: {
+          into: QuizQuestionStats.collection.name,
+          on: ['quizId', 'questionId'],
+          whenMatched: 'merge',
+          whenNotMatched: 'insert',
+        },
+      },
+    ]);
+
+    await this.recalibrateDifficulty(id);
+  }
+
+  /**
+   * Build full statistics for a quiz using aggregation pipelines
+   *
+   * @param {Object} quiz - Quiz document
+   * @returns {Promise<Object>}
+   */
+  async getStatistics(quiz) {
+    const quizId = new mongoose.Types.ObjectId(quiz._id.toString());
+
+    const [summary] = await QuizAttempt.aggregate([
+      { $match: { quizId, status: { $ne: 'in_progress' } } },
+      {
+        $group: {
+          _id: null,
+          totalAttempts: { $sum: 1 },
+          averageScore: { $avg: '$score' },
+          passedCount: { $sum: { $cond: ['$passed', 1, 0] } },
+          averageTimeSpent: { $avg: '$timeSpent' },
+          uniqueUsers: { $addToSet: '$userId' },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          totalAttempts: 1,
+          averageScore: 1,
+          averageTimeSpent: 1,
+          uniqueUsers: { $size: '$uniqueUsers' },
+          passRate: { $multiply: [{ $divide: ['$passedCount', '$totalAttempts'] }, 100] },
+        },
+      },
+    ]);
+
+    if (summary && !(await QuizQuestionStats.exists({ quizId }))) {
+      await this.rebuildQuestionStats(quizId);
+    }
+
+    const questionStats = await QuizQuestionStats.aggregate([
+      { $match: { quizId } },
+      {
+        $project: {
+          _id: 0,
+          questionId: 1,
+          attempts: 1,
+          answeredCount: 1,
+          correctCount: 1,
+          sumScore: 1,
+          sumScoreSquared: 1,
+          sumScoreWhenCorrect: 1,
+          calibratedDifficulty: 1,
+          calibratedAt: 1,
+          successRate: {
+            $cond: [{ $gt: ['$attempts', 0] }, { $multiply: [{ $divide: ['$correctCount', '$attempts'] }, 100] }, 0],
+          },
+          averageTimeSpent: {
+            $cond: [{ $gt: ['$attempts', 0] }, { $divide: ['$totalTimeSpent', '$attempts'] }, 0],
+          },
+          mostChosenWrongAnswer: {
+            $first: {
+              $sortArray: { input: { $ifNull: ['$wrongAnswers', []] }, sortBy: { count: -1 } },
+            },
+          },
+        },
+      },
+    ]);
+
+    const statsById = new Map(questionStats.map(s => [s.questionId.toString(), s]));
+
+    return {
+      totalAttempts: summary ? summary.totalAttempts : 0,
+      uniqueUsers: summary ? summary.uniqueUsers : 0,
+      averageScore: summary ? summary.averageScore : 0,
+      passRate: summary ? summary.passRate : 0,
+      averageTimeSpent: summary ? summary.averageTimeSpent : 0,
+      questionStats: quiz.questions.map(question => {
+        const stat = statsById.get(question._id.toString());
+        const discriminationIndex = stat ? this.computeDiscrimination(stat) : null;
+        const entry = {
+          questionId: question._id,
+          question: question.question,
+          difficulty: question.difficulty,
+          totalAttempts: stat ? stat.attempts : 0,
+          answeredCount: stat ? stat.answeredCount : 0,
+          correctCount: stat ? stat.correctCount : 0,
+          successRate: stat ? stat.successRate : 0,
+          averageTimeSpent: stat ? stat.averageTimeSpent : 0,
+          mostChosenWrongAnswer: stat && stat.mostChosenWrongAnswer ? stat.mostChosenWrongAnswer : null,
+          discriminationIndex,
+          calibratedDifficulty: stat ? stat.calibratedDifficulty : null,
+          calibratedAt: stat ? stat.calibratedAt : null,
+        };
+        entry.flags = this.flagQuestion(entry);
+        return entry;
+      }),
+    };
+  }
+
+  /**
+   * Point-biserial correlation between answering this question correctly
+   * and the overall attempt score. Ranges from -1 to 1; values near zero or
+   * negative indicate a question that doesn't separate strong and weak students.
+   *
+   * @param {Object} stat - { attempts, correctCount, sumScore, sumScoreSquared, sumScoreWhenCorrect }
+   * @returns {number|null} null when it cannot be computed
+   */
+  computeDiscrimination(stat) {
+    const n = stat.attempts || 0;
+    const correct = stat.correctCount || 0;
+    const incorrect = n - correct;
+    if (n < 2 || correct === 0 || incorrect === 0) return null;
+
+    const mean = stat.sumScore / n;
+    const variance = stat.sumScoreSquared / n - mean * mean;
+    if (variance <= 0) return null;
+
+    const meanCorrect = stat.sumScoreWhenCorrect / correct;
+    const meanIncorrect = (stat.sumScore - stat.sumScoreWhenCorrect) / incorrect;
+    const p = correct / n;
+
+    const r = ((meanCorrect - meanIncorrect) / Math.sqrt(variance)) * Math.sqrt(p * (1 - p));
+    return Math.round(Math.max(-1, Math.min(1, r)) * 1000) / 1000;
+  }
+
+  /**
+   * Map a proportion correct onto the quiz difficulty scale
+   * @param {number} proportionCorrect - 0..1
+   * @returns {'easy'|'medium'|'hard'}
+   */
+  classifyDifficulty(proportionCorrect) {
+    if (proportionCorrect >= CALIBRATION.easyAbove) return 'easy';
+    if (proportionCorrect < CALIBRATION.hardBelow) return 'hard';
+    return 'medium';
+  }
+
+  /**
+   * Flag questions quiz authors should review
+   * @param {Object} entry - Per-question statistics entry
+   * @returns {Array<string>}
+   */
+  flagQuestion(entry) {
+    const flags = [];
+    if (entry.totalAttempts < FLAG_THRESHOLDS.minAttempts) return flags;
+
+    if (entry.successRate / 100 < FLAG_THRESHOLDS.tooHardBelow) {
+      flags.push('too_hard');
+    }
+    if (entry.discriminationIndex !== null) {
+      if (entry.discriminationIndex < 0) {
+        flags.push('negative_discrimination');
+      } else if (entry.discriminationIndex < FLAG_THRESHOLDS.lowDiscrimination) {
+        flags.push('low_discrimination');
+      }
+    }
+    if (entry.mostChosenWrongAnswer && entry.mostChosenWrongAnswer.count > entry.correctCount) {
+      flags.push('distractor_preferred');
+    }
+    return flags;
+  }
+
+  /**
+   * Normalise a submitted answer into the key used for wrong-answer counts
+   * @param {*} answer
+   * @returns {string}
+   */
+  answerKey(answer) {
+    if (answer === undefined || answer === null) return '';
+    if (Array.isArray(answer)) {
+      return answer.map(a => String(a).trim()).filter(Boolean).join(' | ');
+    }
+    return String(answer).trim();
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * Aggregation equivalent of answerKey() (arrays are joined with " | ")
+   */
+  _answerKeyExpr(field) {
+    return {
+      $cond: [
+        { $isArray: field },
+        {
+          $reduce: {
+            input: field,
+            initialValue: '',
+            in: {
+              $cond: [
+                { $eq: ['$$value', ''] },
+                { $toString: '$$this' },
+                { $concat: ['$$value', ' | ', { $toString: '$$this' }] },
+              ],
+            },
+          },
+        },
+        { $trim: { input: { $toString: field } } },
+      ],
+    };
+  }
+
+  /**
+   * Aggregation-pipeline update that increments the running sums for one
+   * question. Works for both the first (upserted) and subsequent attempts.
+   */
+  _buildStatsPipeline({ answered, isCorrect, timeSpent, score, wrongAnswer }) {
+    const inc = (field, amount) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, amount] });
+
+    const set = {
+      attempts: inc('attempts', 1),
+      answeredCount: inc('answeredCount', answered ? 1 : 0),
+      correctCount: inc('correctCount', isCorrect ? 1 : 0),
+      totalTimeSpent: inc('totalTimeSpent', timeSpent),
+      sumScore: inc('sumScore', score),
+      sumScoreSquared: inc('sumScoreSquared', score * score),
+      sumScoreWhenCorrect: inc('sumScoreWhenCorrect', isCorrect ? score : 0),
+      wrongAnswers: { $ifNull: ['$wrongAnswers', []] },
+      createdAt: { $ifNull: ['$createdAt', '$$NOW'] },
+      updatedAt: '$$NOW',
+    };
+
+    if (wrongAnswer !== null) {
+      const answer = { $literal: wrongAnswer };
+      set.wrongAnswers = {
+        $let: {
+          vars: { list: { $ifNull: ['$wrongAnswers', []] } },
+          in: {
+            $cond: [
+              { $in: [answer, '$$list.answer'] },
+              {
+                $map: {
+                  input: '$$list',
+                  as: 'w',
+                  in: {
+                    $cond: [
+                      { $eq: ['$$w.answer', answer] },
+                      { answer: '$$w.answer', count: { $add: ['$$w.count', 1] } },
+                      '$$w',
+                    ],
+                  },
+                },
+              },
+              { $concatArrays: ['$$list', [{ answer, count: 1 }]] },
+            ],
+          },
+        },
+      };
+    }
+
+    return [{ $set: set }];
+  }
+}
+
+module.exports = new QuizAnalyticsService();
@@ -0,0 +1,221 @@
+const Notebook = require('../models/Notebook');
+const sourceIngestion = require('./sourceIngestion.service');
+const storageService = require('./storage.service');
+const AppError = require('../utils/AppError');
+const { locateChunk, sectionsAt, timestampAt, excerpt } = require('../utils/citationSpans');
+
+const MAX_CITATIONS = 20;
+const MAX_EXCERPT_LENGTH = 500;
+// Longest range the content endpoint returns
+const MAX_RANGE_LENGTH = 20000;
+
+const toInteger = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : undefined;
+};
+
+/**
+ * Source Citation Service
+ * Turns the chunk references in AI answers into links to the exact place
+ * in a notebook source: its character range in the indexed text, the PDF
+ * page or document section it falls in, and the timestamp for audio.
+ *
+ * Offsets are into the text the source was indexed with (see
+ * sourceIngestion.extractContent), which is also what the
+ * `/sources/:sourceId/content?from=&to=` excerpts are cut from.
+ */
+class SourceCitationService {
+  /**
+   * Resolve chunk references from the AI engine
+   * @param {Object} notebook - Notebook document
+   * @param {Array<Object|string>} refs - Chunks ({ source_id, chunk_id, text, start_index, metadata, ... }) or plain source ids
+   * @returns {Promise<Array<{sourceId, name, type, chunkId?, start, end, page, section, timestamp, excerpt}>>}
+   *   Unknown sources are dropped; a chunk that can't be located has null offsets
+   */
+  async resolve(notebook, refs) {
+    if (!Array.isArray(refs)) return [];
+
+    const texts = new Map();
+    const seen = new Set();
+    const citations = [];
+
+    for (const item of refs) {
+      if (citations.length === MAX_CITATIONS) break;
+
+      const ref = this._readRef(item);
+      const source = ref.sourceId && this._findSource(notebook, ref.sourceId);
+      if (!source) continue;
+
+      const key = source._id.toString();
+      if (!texts.has(key)) {
+        texts.set(key, await this.getIndexedText(notebook, source));
+      }
+      const indexed = texts.get(key);
+
+      const range = locateChunk(indexed.text, ref.text, { start: ref.start, end: ref.end });
+      const dedupeKey = `${key}:${range ? `${range.start}-${range.end}` : ref.chunkId || ''}`;
+      if (seen.has(dedupeKey)) continue;
+      seen.add(dedupeKey);
+
+      citations.push({
+        sourceId: source._id,
+        name: source.name,
+        type: source.type,
+        ...(ref.chunkId && { chunkId: ref.chunkId }),
+        ...this.describeRange(source, indexed, range),
+        // Keep the engine's text for chunks that no longer match the source
+        ...(!range && ref.text && { excerpt: ref.text.slice(0, MAX_EXCERPT_LENGTH) })
+      });
+    }
+
+    return citations;
+  }
+
+  /**
+   * Page, section, timestamp and excerpt for a range of a source's indexed text
+   * @param {Object} source
+   * @param {{text: string, spans?: Array}} indexed - From getIndexedText
+   * @param {{start: number, end: number}|null} range
+   */
+  describeRange(source, indexed, range) {
+    if (!range) {
+      return { start: null, end: null, page: null, section: null, timestamp: null, excerpt: null };
+    }
+
+    const { page, section } = sectionsAt(source.sections, range.start);
+    return {
+      start: range.start,
+      end: range.end,
+      page,
+      section,
+      timestamp: indexed.spans ? timestampAt(indexed.spans, range.start, range.end) : null,
+      excerpt: indexed.text.slice(range.start, Math.min(range.end, range.start + MAX_EXCERPT_LENGTH))
+    };
+  }
+
+  /**
+   * Excerpt of a source for the content endpoint, with the range highlighted
+   * @param {Object} notebook
+   * @param {Object} source
+   * @param {string|number} from - Start offset (inclusive)
+   * @param {string|number} [to] - End offset (exclusive), defaults to from + MAX_EXCERPT_LENGTH
+   * @returns {Promise<Object>} Range info plus { text, before, after, highlighted, length }
+   * @throws {AppError} 400 for invalid ranges
+   */
+  async getExcerpt(notebook, source, from, to) {
+    const indexed = await this.getIndexedText(notebook, source);
+    const length = indexed.text.length;
+    const start = toInteger(from);
+    const end = to === undefined || to === '' ? Math.min(length, (start || 0) + MAX_EXCERPT_LENGTH) : toInteger(to);
+
+    if (start === undefined || end === undefined || start < 0 || end <= start || end > length) {
+      throw new AppError(`Invalid range: from and to must satisfy 0 <= from < to <= ${length}`, 400);
+    }
+    if (end - start > MAX_RANGE_LENGTH) {
+      throw new AppError(`Range is too long (at most ${MAX_RANGE_LENGTH} characters)`, 400);
+    }
+
+    const { excerpt: _, ...location } = this.describeRange(source, indexed, { start, end });
+    return { ...location, length, ...excerpt(indexed.text, start, end) };
+  }
+
+  /**
+   * The text a source was indexed with; transcripts also get segment spans.
+   * PDFs uploaded before page tracking get their page offsets filled in here.
+   * @returns {Promise<{text: string, spans?: Array}>}
+   */
+  async getIndexedText(notebook, source) {
+    if (source.type === 'audio' && source.transcriptionSegments?.length > 0) {
+      return sourceIngestion.formatTranscript(source.transcriptionSegments);
+    }
+
+    let text = '';
+    try {
+      text = await sourceIngestion.extractContent(source);
+    } catch (err) {
+      console.warn(`[Citations] Could not read ${source.name}: ${err.message}`);
+    }
+
+    if (source.type === 'pdf' && source.storageKey && text && !source.pagesBackfilledAt &&
+        !source.sections?.some(s => s.kind === 'page')) {
+      await this._backfillPdfPages(notebook, source, text);
+    }
+
+    return { text };
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * Normalize the shapes chunk references come in
+   */
+  _readRef(item) {
+    if (typeof item === 'string') {
+      return { sourceId: item };
+    }
+    if (!item || typeof item !== 'object') {
+      return {};
+    }
+
+    const meta = item.metadata && typeof item.metadata === 'object' ? item.metadata : {};
+    const pick = (...keys) => {
+      for (const key of keys) {
+        if (item[key] !== undefined && item[key] !== null) return item[key];
+        if (meta[key] !== undefined && meta[key] !== null) return meta[key];
+      }
+      return undefined;
+    };
+
+    const text = pick('text', 'content', 'page_content', 'excerpt');
+    const chunkId = pick('chunk_id', 'chunkId');
+
+    return {
+      sourceId: pick('source_id', 'sourceId', '_id', 'id'),
+      chunkId: chunkId !== undefined ? String(chunkId).slice(0, 100) : undefined,
+      text: typeof text === 'string' ? text : undefined,
+      start: toInteger(pick('start_index', 'start_char', 'start')),
+      end: toInteger(pick('end_index', 'end_char', 'end'))
+    };
+  }
+
+  _findSource(notebook, sourceId) {
+    try {
+      return notebook.sources.id(String(sourceId));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Record page offsets for a PDF when its stored text matches a fresh
+   * extraction. Tried once per source, whatever the outcome, so a PDF
+   * without usable pages isn't downloaded and parsed on every citation.
+   */
+  async _backfillPdfPages(notebook, source, text) {
+    let pages = [];
+    try {
+      const { text: extracted, sections } = await sourceIngestion.extractPdf(await storageService.read(source.storageKey));
+      if (extracted === text) pages = sections;
+    } catch (err) {
+      console.warn(`[Citations] Could not find pages of ${source.name}: ${err.message}`);
+    }
+
+    source.pagesBackfilledAt = new Date();
+    const update = { 'sources.$.pagesBackfilledAt': source.pagesBackfilledAt };
+    if (pages.length) {
+      source.sections = [...(source.sections || []), ...pages];
+      update['sources.$.sections'] = source.sections;
+    }
+
+    try {
+      await Notebook.updateOne({ _id: notebook._id, 'sources._id': source._id }, { $set: update });
+    } catch (err) {
+      console.warn(`[Citations] Could not save pages of ${source.name}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = new SourceCitationService();
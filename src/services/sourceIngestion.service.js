@@ -0,0 +1,290 @@
+const axios = require('axios');
+const pdfParse = require('pdf-parse');
+const transcriptionService = require('./transcription.service');
+const storageService = require('./storage.service');
+const { DOCUMENT_TYPES, extractDocument } = require('../utils/documentExtractors');
+
+const AI_ENGINE_URL = process.env.AI_ENGINE_URL || 'http://localhost:8000';
+
+// How long one attempt waits on an AI engine upload task before handing it back to the queue
+const INGEST_POLL_TIMEOUT_MS = 10 * 60 * 1000;
+const INGEST_POLL_INTERVAL_MS = 2000;
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Page text the way pdf-parse renders it by default (a new line whenever
+ * the baseline changes), so page offsets match the text it returns
+ */
+const renderPdfPage = (pageData) => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+  .then(({ items }) => {
+    let lastY;
+    let text = '';
+    for (const item of items) {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    return text;
+  });
+
+/**
+ * Error that retrying won't fix (bad credentials, unreadable file)
+ */
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+/**
+ * The AI engine no longer knows the upload task; the retry uploads again
+ */
+const lostTaskError = (taskId) => Object.assign(new Error(`AI engine lost upload task ${taskId}`), { taskFailed: true });
+
+/**
+ * Source Ingestion Service
+ * Turns notebook sources into text (PDF/document extraction, Whisper
+ * transcription) and feeds them into the AI engine's RAG index.
+ * Used by the source processing queue and by the notebook controller.
+ */
+class SourceIngestionService {
+  /**
+   * Extract text content from a source (cached content first)
+   * @param {Object} source
+   * @param {Buffer} [fileBuffer] - The uploaded file when it's still in memory, saves reading it back from storage
+   */
+  async extractContent(source, fileBuffer) {
+    if (source.type === 'audio' && source.transcriptionSegments?.length > 0) {
+      return this.formatTranscript(source.transcriptionSegments).text;
+    }
+
+    // Check for cached content first
+    if (source.content && source.content.trim().length > 0) {
+      return source.content;
+    }
+
+    if (source.type === 'text' || source.type === 'audio') {
+      return source.content || source.transcription || '';
+    } else if (source.type === 'pdf' || source.type === 'document') {
+      if (fileBuffer || source.storageKey) {
+        try {
+          console.log(`Extracting text from PDF: ${source.name}`);
+          const dataBuffer = fileBuffer || await storageService.read(source.storageKey);
+          const { text } = await this.extractPdf(dataBuffer);
+          console.log(`✓ Extracted ${text.length} characters from PDF: ${source.name}`);
+          if (!text || text.length < 10) {
+            return `[PDF Document: ${source.name} - No text content extracted.]`;
+          }
+          return text;
+        } catch (err) {
+          console.error('Failed to extract text from PDF:', err.message);
+          return `[PDF Document: ${source.name} - Unable to extract text. Error: ${err.message}]`;
+        }
+      }
+    } else if (DOCUMENT_TYPES.includes(source.type)) {
+      if (fileBuffer || source.storageKey) {
+        try {
+          const dataBuffer = fileBuffer || await storageService.read(source.storageKey);
+          const { text } = await extractDocument(dataBuffer, source.type, { name: source.name });
+          console.log(`✓ Extracted ${text.length} characters from ${source.type}: ${source.name}`);
+          return text;
+        } catch (err) {
+          console.error(`Failed to extract text from ${source.type}:`, err.message);
+          return `[Document: ${source.name} - Unable to extract text. Error: ${err.message}]`;
+        }
+      }
+    } else if (source.type === 'website') {
+      return source.content || `[Website: ${source.url}]`;
+    }
+    return '';
+  }
+
+  /**
+   * Extract PDF text along with where each page starts and ends in it
+   * @param {Buffer} buffer
+   * @returns {Promise<{text: string, sections: Array<{kind: 'page', title: string, number: number, start: number, end: number}>}>}
+   *   sections is empty when the pages can't be lined up with the text
+   */
+  async extractPdf(buffer) {
+    const pages = [];
+    const pdfData = await pdfParse(buffer, {
+      max: 0,
+      verbosity: 0,
+      pagerender: pageData => renderPdfPage(pageData).then(text => {
+        pages[pageData.pageNumber] = text;
+        return text;
+      })
+    });
+
+    // pdf-parse puts a blank line before every page
+    const sections = [];
+    let offset = 0;
+    for (let number = 1; number <= pdfData.numrender; number++) {
+      offset += 2;
+      const length = (pages[number] || '').length;
+      sections.push({ kind: 'page', title: `Page ${number}`, number, start: offset, end: offset + length });
+      offset += length;
+    }
+
+    return { text: pdfData.text, sections: offset === pdfData.text.length ? sections : [] };
+  }
+
+  /**
+   * Transcript text of an audio source ("[m:ss] text" per segment) and
+   * where each segment sits in it, so citations map back to a timestamp
+   * @returns {{text: string, spans: Array<{from: number, to: number, start: number, end: number}>}}
+   */
+  formatTranscript(segments) {
+    const lines = [];
+    const spans = [];
+    let offset = 0;
+
+    for (const seg of segments) {
+      const line = `[${formatTime(seg.start)}] ${seg.text}`;
+      spans.push({ from: offset, to: offset + line.length, start: seg.start, end: seg.end });
+      lines.push(line);
+      offset += line.length + 1;
+    }
+
+    return { text: lines.join('\n'), spans };
+  }
+
+  /**
+   * Transcribe an audio source
+   * @returns {Promise<Object>} Source fields to save
+   */
+  async transcribe(source) {
+    if (!source.storageKey) {
+      throw permanentError('Audio file is missing from storage');
+    }
+
+    const results = await storageService.withLocalFile(
+      source.storageKey,
+      filePath => transcriptionService.transcribeAudio(filePath, source.name)
+    );
+
+    return {
+      transcription: results.text,
+      content: results.text,
+      duration: results.duration,
+      transcriptionSegments: results.segments,
+      transcriptionStatus: 'completed',
+      transcriptionError: undefined
+    };
+  }
+
+  /**
+   * Remove a source's documents from the RAG index (missing ones are fine)
+   */
+  async removeFromIndex(sourceId, authToken) {
+    try {
+      await axios.delete(
+        `${AI_ENGINE_URL}/ai/documents/source/${sourceId}`,
+        { headers: { Authorization: `Bearer ${authToken}` }, timeout: 15000 }
+      );
+    } catch (err) {
+      if (err.response?.status !== 404) throw err;
+    }
+  }
+
+  /**
+   * Ingest source content into the AI engine's RAG system and wait for it
+   *
+   * @param {Object} notebook
+   * @param {Object} source
+   * @param {Object} options
+   * @param {string} options.authToken - Bearer token for the AI engine
+   * @param {string} [options.taskId] - Upload task from an earlier attempt to resume
+   * @param {Function} [options.onTask] - Called with the task id once the upload is accepted
+   * @param {Function} [options.onProgress] - Called with (percent, status) while polling
+   * @returns {Promise<{skipped: boolean}>}
+   * @throws Error when the engine reports failure or the task is still running after INGEST_POLL_TIMEOUT_MS
+   */
+  async ingest(notebook, source, { authToken, taskId = null, onTask, onProgress } = {}) {
+    const headers = { 'Authorization': `Bearer ${authToken}` };
+
+    if (!taskId) {
+      const content = await this.extractContent(source);
+      console.log(`[RAG] ${source.name}: extracted ${content.length} characters`);
+
+      // Skip if extraction failed or content is an error message
+      if (!content || content.length < 10) {
+        console.log('[RAG] Skipping ingest - no content or too short');
+        return { skipped: true };
+      }
+      if ((content.startsWith('[PDF Document:') || content.startsWith('[Document:')) && content.includes('Unable to extract')) {
+        throw permanentError(content);
+      }
+
+      try {
+        const response = await axios.post(
+          `${AI_ENGINE_URL}/ai/upload`,
+          {
+            content: content,
+            filename: source.name,
+            metadata: {
+              notebook_id: notebook._id.toString(),
+              source_id: source._id.toString(),
+              session_id: notebook.aiSessionId,
+              source_type: source.type,
+              url: source.url,
+              // Slide numbers, headings and chapter titles with their text offsets
+              sections: source.sections?.length ? source.sections : undefined
+            }
+          },
+          {
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            timeout: 30000 // 30 second timeout
+          }
+        );
+        taskId = response.data.task_id;
+      } catch (err) {
+        if (err.response?.status === 401 || err.response?.status === 403) {
+          throw permanentError(`AI engine rejected the upload (${err.response.status})`);
+        }
+        throw err;
+      }
+
+      console.log(`[RAG] ${source.name}: upload accepted, task ${taskId}`);
+      if (onTask) await onTask(taskId);
+    }
+
+    const deadline = Date.now() + INGEST_POLL_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      let data;
+      try {
+        const statusResponse = await axios.get(
+          `${AI_ENGINE_URL}/ai/upload/status/${taskId}`,
+          { headers, timeout: 5000 }
+        );
+        data = statusResponse.data || {};
+      } catch (pollErr) {
+        // A missing task was lost (e.g. the engine restarted): nothing says it was indexed
+        if (pollErr.response?.status === 404) throw lostTaskError(taskId);
+        if (pollErr.response?.status === 403) {
+          throw permanentError('Not allowed to read the AI engine upload task (403)');
+        }
+        throw pollErr;
+      }
+
+      if (data.status === 'completed') {
+        return { skipped: false };
+      }
+      if (data.status === 'unknown') {
+        throw lostTaskError(taskId);
+      }
+      if (data.status === 'failed') {
+        throw Object.assign(new Error(data.error || 'AI engine ingestion failed'), { taskFailed: true });
+      }
+
+      if (onProgress) await onProgress(Number.isFinite(data.progress) ? data.progress : null, data.status);
+      await sleep(INGEST_POLL_INTERVAL_MS);
+    }
+
+    throw new Error(`AI engine task ${taskId} still processing after ${INGEST_POLL_TIMEOUT_MS / 60000} minutes`);
+  }
+}
+
+module.exports = new SourceIngestionService();
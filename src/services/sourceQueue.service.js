@@ -0,0 +1,459 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Notebook = require('../models/Notebook');
+const SourceJob = require('../models/SourceJob');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { signAccessToken } = require('../utils/jwt');
+const { generatePeaks } = require('../utils/audioPeaks');
+const { PLAYBACK_CONTENT_TYPE, needsPlaybackCopy, playbackKey, transcodeToAac } = require('../utils/audioTranscode');
+const config = require('../config/env');
+const sourceIngestion = require('./sourceIngestion.service');
+const storageService = require('./storage.service');
+const notificationService = require('./notification.service');
+const { emitSourceEvent, emitSourceNotification } = require('../socket/sourceJobEvents');
+
+// A claimed job is considered abandoned when its lock isn't renewed for this long
+const LOCK_MS = 2 * 60 * 1000;
+// Running jobs renew their lock this often (long transcriptions report no progress)
+const HEARTBEAT_MS = LOCK_MS / 4;
+// Retry delays: 30s, 1m, 2m, 4m, ... capped at 30m
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+// Sources left 'processing' with no open job (e.g. by a crash before this queue existed)
+const RECOVERY_BATCH = 500;
+
+const OPEN_STATUSES = ['queued', 'active'];
+// Source fields too large to broadcast on every change
+const BULKY_FIELDS = ['content', 'transcription', 'transcriptionSegments'];
+
+/**
+ * Source Queue Service
+ * Durable MongoDB-backed queue for notebook source processing
+ * (audio transcription and waveform peaks, then RAG ingestion).
+ *
+ * Jobs are consumed by the worker service (src/jobs/sourceProcessing.js).
+ * Every state change is pushed to the notebook's collaborators through
+ * socket/sourceJobEvents.
+ */
+class SourceQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Delay before the next try after `attempts` failed tries
+   */
+  backoffDelay(attempts) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+  }
+
+  /**
+   * Queue a source for processing. Returns the source's open job instead
+   * if it already has one.
+   */
+  async enqueue({ notebookId, sourceId, userId }, { reason = 'upload', replaceExisting = false } = {}) {
+    const open = await SourceJob.findOne({ sourceId, status: { $in: OPEN_STATUSES } });
+    if (open) return open;
+
+    let job;
+    try {
+      job = await SourceJob.create({ notebookId, sourceId, userId, reason, replaceExisting });
+    } catch (error) {
+      // A concurrent request queued the source first
+      if (error.code !== 11000) throw error;
+      return SourceJob.findOne({ sourceId, status: { $in: OPEN_STATUSES } });
+    }
+    await this._emitJob(job);
+    return job;
+  }
+
+  /**
+   * Process a source again from scratch (failed transcription, failed or
+   * stale RAG ingestion). Existing RAG documents are replaced.
+   */
+  async reprocess(notebook, source, userId) {
+    const open = await SourceJob.findOne({ sourceId: source._id, status: { $in: OPEN_STATUSES } });
+    if (open?.status === 'active') {
+      throw new AppError('This source is already being processed', 409);
+    }
+    if (open) {
+      open.replaceExisting = true;
+      open.runAt = new Date();
+      await open.save();
+      await this._emitJob(open);
+      return open;
+    }
+
+    const fields = { ragStatus: 'pending', ragError: undefined };
+    if (source.type === 'audio' && source.transcriptionStatus !== 'completed') {
+      fields.transcriptionStatus = 'pending';
+      fields.transcriptionError = undefined;
+    }
+    await this._updateSource(notebook._id, source._id, fields);
+
+    return this.enqueue(
+      { notebookId: notebook._id, sourceId: source._id, userId },
+      { reason: 'reprocess', replaceExisting: true }
+    );
+  }
+
+  /**
+   * Claim the next runnable job: a queued job that's due, or an active job
+   * whose worker stopped renewing its lock
+   */
+  async claimNext() {
+    const now = new Date();
+    return SourceJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'active', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: { status: 'active', lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + LOCK_MS) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and record the outcome (completed, retry or dead letter)
+   */
+  async process(job) {
+    console.log(`[SourceQueue] Job ${job._id} attempt ${job.attempts}/${job.maxAttempts} for source ${job.sourceId}`);
+    const heartbeat = setInterval(() => {
+      this._renewLock(job).catch(err => console.warn(`[SourceQueue] Lock renewal failed for job ${job._id}:`, err.message));
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    try {
+      await this._run(job);
+      await this._complete(job);
+    } catch (err) {
+      await this._fail(job, err);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Dead-letter list, newest first
+   */
+  async listDeadLetters({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const [jobs, total] = await Promise.all([
+      SourceJob.find({ status: 'dead' })
+        .sort({ deadAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'name email')
+        .lean(),
+      SourceJob.countDocuments({ status: 'dead' })
+    ]);
+
+    return { jobs, total, page, pages: Math.ceil(total / limit) };
+  }
+
+  /**
+   * Move a dead job back onto the queue with a fresh set of attempts
+   */
+  async retryDeadLetter(jobId) {
+    let job;
+    try {
+      job = await SourceJob.findOneAndUpdate(
+        { _id: jobId, status: 'dead' },
+        {
+          $set: { status: 'queued', runAt: new Date(), attempts: 0, reason: 'retry', progress: { stage: 'queued', percent: 0 } },
+          $unset: { deadAt: 1, aiTaskId: 1, lockedBy: 1, lockedUntil: 1 }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      throw new AppError('The source has been queued again already', 409);
+    }
+    if (!job) {
+      throw new AppError('Dead-letter job not found', 404);
+    }
+
+    await this._updateSource(job.notebookId, job.sourceId, { ragStatus: 'pending', ragError: undefined });
+    await this._emitJob(job);
+    return job;
+  }
+
+  /**
+   * Queue sources stuck in 'processing' that no job is working on
+   * @returns {Promise<number>} Number of jobs queued
+   */
+  async recoverStuckSources() {
+    const stuck = await Notebook.aggregate([
+      { $match: { 'sources.ragStatus': 'processing' } },
+      { $unwind: '$sources' },
+      { $match: { 'sources.ragStatus': 'processing' } },
+      { $limit: RECOVERY_BATCH },
+      { $project: { userId: '$userId', sourceId: '$sources._id', uploadedBy: '$sources.uploadedBy' } }
+    ]);
+
+    let queued = 0;
+    for (const item of stuck) {
+      const open = await SourceJob.exists({ sourceId: item.sourceId, status: { $in: OPEN_STATUSES } });
+      if (open) continue;
+
+      await this.enqueue(
+        { notebookId: item._id, sourceId: item.sourceId, userId: item.uploadedBy || item.userId },
+        { reason: 'recovery', replaceExisting: true }
+      );
+      queued++;
+    }
+    return queued;
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  async _run(job) {
+    const notebook = await Notebook.findById(job.notebookId);
+    let source = notebook?.sources.id(job.sourceId);
+    if (!source) {
+      // Removed while queued, nothing left to do
+      return;
+    }
+
+    // 1. Transcription (audio that isn't transcribed yet)
+    if (source.type === 'audio' && source.transcriptionStatus !== 'completed') {
+      await this._progress(job, 'transcribing', 10, 'Transcribing audio');
+      await this._updateSource(job.notebookId, job.sourceId, { transcriptionStatus: 'processing' });
+
+      let fields;
+      try {
+        fields = await sourceIngestion.transcribe(source);
+      } catch (err) {
+        await this._updateSource(job.notebookId, job.sourceId, {
+          transcriptionStatus: 'failed',
+          transcriptionError: err.message
+        });
+        throw err;
+      }
+      source = await this._updateSource(job.notebookId, job.sourceId, fields);
+      if (!source) return;
+    }
+
+    // Waveform peaks are a nicety, a failure here never fails the job
+    if (source.type === 'audio' && source.storageKey && !source.waveform?.peaks?.length && config.audio.waveformPeaks) {
+      await this._progress(job, 'waveform', 30, 'Drawing waveform');
+      try {
+        const waveform = await storageService.withLocalFile(source.storageKey, filePath => generatePeaks(filePath));
+        if (waveform) {
+          await this._updateSource(job.notebookId, job.sourceId, { waveform: { ...waveform, generatedAt: new Date() } });
+        }
+      } catch (err) {
+        console.warn(`[SourceQueue] Waveform failed for ${source.name}: ${err.message}`);
+      }
+    }
+
+    // Same for the playback copy; without it the original is served
+    if (source.type === 'audio' && source.storageKey && !source.playbackKey &&
+        needsPlaybackCopy(source.storageKey) && config.audio.transcodePlayback) {
+      await this._progress(job, 'transcoding', 35, 'Converting audio for playback');
+      try {
+        const key = await this._storePlaybackCopy(source);
+        if (key) {
+          await this._updateSource(job.notebookId, job.sourceId, { playbackKey: key });
+        }
+      } catch (err) {
+        console.warn(`[SourceQueue] Playback copy failed for ${source.name}: ${err.message}`);
+      }
+    }
+
+    // 2. RAG ingestion (needs the notebook's AI session)
+    if (!notebook.aiSessionId) return;
+
+    const user = await User.findById(job.userId).select('email role subscriptionTier');
+    if (!user) {
+      throw Object.assign(new Error('Uploader no longer exists'), { permanent: true });
+    }
+    // Jobs outlive the uploader's request token, so each run gets its own
+    const authToken = signAccessToken({
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      subscriptionTier: user.subscriptionTier
+    });
+
+    await this._progress(job, job.aiTaskId ? 'ingesting' : 'extracting', 40, 'Preparing content');
+    await this._updateSource(job.notebookId, job.sourceId, { ragStatus: 'processing', ragError: undefined });
+
+    if (job.replaceExisting && !job.aiTaskId) {
+      await sourceIngestion.removeFromIndex(job.sourceId, authToken);
+    }
+
+    await sourceIngestion.ingest(notebook, source, {
+      authToken,
+      taskId: job.aiTaskId,
+      onTask: async (taskId) => {
+        job.aiTaskId = taskId;
+        await SourceJob.updateOne({ _id: job._id }, { $set: { aiTaskId: taskId } });
+        await this._progress(job, 'ingesting', 50, 'Indexing content');
+      },
+      // Engine progress (0-100) maps onto the last half of the bar
+      onProgress: (percent) => this._progress(job, 'ingesting', percent === null ? null : 50 + Math.round(percent / 2))
+    });
+
+    await this._updateSource(job.notebookId, job.sourceId, { ragStatus: 'completed', ragError: undefined });
+
+    try {
+      // The worker has no sockets, so the notification goes out through the event relay
+      const notification = await notificationService.notifyDocumentProcessed(job.userId, source.name, { emit: false });
+      if (notification) await emitSourceNotification(job.userId, notification);
+    } catch (err) {
+      console.warn(`[SourceQueue] Notification failed for ${source.name}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Transcode an audio source to AAC and store it next to the original
+   * @returns {Promise<string|null>} Storage key, or null if ffmpeg couldn't convert it
+   */
+  async _storePlaybackCopy(source) {
+    const outputPath = path.join(os.tmpdir(), `collabry-${crypto.randomBytes(8).toString('hex')}.m4a`);
+    try {
+      const converted = await storageService.withLocalFile(source.storageKey, filePath => transcodeToAac(filePath, outputPath));
+      if (!converted) return null;
+
+      const { size } = await fs.promises.stat(outputPath);
+      const stored = await storageService.put(playbackKey(source.storageKey), fs.createReadStream(outputPath), {
+        contentType: PLAYBACK_CONTENT_TYPE,
+        contentLength: size,
+        ownerId: source.uploadedBy
+      });
+      return stored.key;
+    } finally {
+      await fs.promises.unlink(outputPath).catch(() => {});
+    }
+  }
+
+  async _complete(job) {
+    const fields = { status: 'completed', completedAt: new Date(), progress: { stage: 'done', percent: 100 } };
+    if (!(await this._finish(job, { $set: fields, $unset: { lockedUntil: 1, lastError: 1 } }))) return;
+
+    job.set({ ...fields, lockedUntil: undefined, lastError: undefined });
+    await this._emitJob(job);
+    console.log(`[SourceQueue] Job ${job._id} completed`);
+  }
+
+  async _fail(job, err) {
+    const dead = err.permanent || job.attempts >= job.maxAttempts;
+    console.error(`[SourceQueue] Job ${job._id} attempt ${job.attempts} failed${dead ? ' (dead letter)' : ''}:`, err.message);
+
+    const fields = dead
+      ? { status: 'dead', deadAt: new Date(), lastError: err.message }
+      : { status: 'queued', runAt: new Date(Date.now() + this.backoffDelay(job.attempts)), lastError: err.message };
+    const unset = { lockedUntil: 1 };
+    // The engine gave up on the upload, so the next attempt has to upload again
+    if (err.taskFailed) unset.aiTaskId = 1;
+
+    const failure = { attempt: job.attempts, message: err.message };
+    if (!(await this._finish(job, { $set: fields, $unset: unset, $push: { failures: failure } }))) return;
+
+    job.set({ ...fields, lockedUntil: undefined });
+    if (err.taskFailed) job.aiTaskId = undefined;
+    job.failures.push(failure);
+
+    await this._updateSource(job.notebookId, job.sourceId, dead
+      ? { ragStatus: 'failed', ragError: err.message }
+      : { ragStatus: 'pending', ragError: err.message });
+    await this._emitJob(job);
+  }
+
+  /**
+   * Filter matching the job only while this run still holds its lock. A
+   * reclaimed job has another owner or a higher attempt count.
+   */
+  _lockFilter(job) {
+    return { _id: job._id, status: 'active', lockedBy: this.workerId, attempts: job.attempts };
+  }
+
+  async _renewLock(job) {
+    await SourceJob.updateOne(this._lockFilter(job), { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } });
+  }
+
+  /**
+   * Write the outcome of a run, unless the lock was lost to another worker
+   * @returns {Promise<boolean>} Whether the outcome was recorded
+   */
+  async _finish(job, update) {
+    const result = await SourceJob.updateOne(this._lockFilter(job), update);
+    if (result.matchedCount === 0) {
+      console.warn(`[SourceQueue] Job ${job._id} attempt ${job.attempts} lost its lock, dropping the result`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Record progress and renew the job's lock
+   */
+  async _progress(job, stage, percent, message) {
+    job.progress = {
+      stage,
+      percent: percent === null ? job.progress?.percent || 0 : Math.min(100, Math.max(0, percent)),
+      message: message || job.progress?.message
+    };
+    await SourceJob.updateOne(
+      this._lockFilter(job),
+      { $set: { progress: job.progress, lockedUntil: new Date(Date.now() + LOCK_MS) } }
+    );
+    await this._emitJob(job);
+  }
+
+  /**
+   * Update one source in place and broadcast the changed fields. Undefined
+   * values are unset (broadcast as null).
+   * @returns {Promise<Object|null>} The updated source, or null if it was removed
+   */
+  async _updateSource(notebookId, sourceId, fields) {
+    const update = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      const op = value === undefined ? '$unset' : '$set';
+      update[op] = update[op] || {};
+      update[op][`sources.$.${key}`] = value === undefined ? 1 : value;
+    });
+
+    const notebook = await Notebook.findOneAndUpdate(
+      { _id: notebookId, 'sources._id': sourceId },
+      update,
+      { new: true }
+    );
+    const source = notebook?.sources.id(sourceId);
+    if (!source) return null;
+
+    const changed = { _id: source._id.toString() };
+    Object.entries(fields).forEach(([key, value]) => {
+      // Clients load the text itself with the source when they need it
+      if (!BULKY_FIELDS.includes(key)) changed[key] = value === undefined ? null : value;
+    });
+    await emitSourceEvent(notebookId, 'source:update', { action: 'updated', source: changed });
+    return source;
+  }
+
+  async _emitJob(job) {
+    await emitSourceEvent(job.notebookId, 'source:job', {
+      sourceId: job.sourceId.toString(),
+      jobId: job._id.toString(),
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      progress: job.progress,
+      error: job.lastError || null,
+      nextRunAt: job.status === 'queued' ? job.runAt : null
+    });
+  }
+}
+
+module.exports = new SourceQueueService();
@@ -0,0 +1,142 @@
+/**
+ * Spaced Repetition Scheduler (SM-2)
+ *
+ * Pure scheduling functions for flashcard reviews. Implements the SuperMemo-2
+ * algorithm with the four answer buttons students know from Anki
+ * (again / hard / good / easy) mapped onto SM-2 quality scores.
+ *
+ * No database access here - callers apply the returned state to a Flashcard.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SM-2 quality score for each answer button (0-5 scale)
+ */
+const GRADE_QUALITY = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+const GRADES = Object.keys(GRADE_QUALITY);
+
+const SM2_DEFAULTS = {
+  easeFactor: 2.5,
+  minEaseFactor: 1.3,
+  firstInterval: 1,    // days after the first successful review
+  secondInterval: 6,   // days after the second successful review
+  hardMultiplier: 1.2, // interval growth for "hard" instead of the ease factor
+  easyBonus: 1.3,      // extra interval growth for "easy"
+  matureInterval: 21,  // cards at or beyond this interval count as mature
+};
+
+/**
+ * Compute the next scheduling state for a card
+ *
+ * @param {Object} card - Current state ({ easeFactor, interval, repetitions, lapses })
+ * @param {string} grade - One of 'again' | 'hard' | 'good' | 'easy'
+ * @param {Date} [now] - Review time (defaults to current time)
+ * @returns {Object} Next state: { state, easeFactor, interval, repetitions, lapses, dueDate }
+ * @throws {Error} If grade is not a known answer button
+ */
+function scheduleReview(card, grade, now = new Date()) {
+  const quality = GRADE_QUALITY[grade];
+  if (quality === undefined) {
+    throw new Error(`Invalid grade "${grade}". Expected one of: ${GRADES.join(', ')}`);
+  }
+
+  const previousEase = card.easeFactor || SM2_DEFAULTS.easeFactor;
+  const previousInterval = card.interval || 0;
+  let repetitions = card.repetitions || 0;
+  let lapses = card.lapses || 0;
+  let interval;
+
+  // SM-2 ease update: EF' = EF + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+  const easeDelta = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+  const easeFactor = Math.max(
+    SM2_DEFAULTS.minEaseFactor,
+    Math.round((previousEase + easeDelta) * 100) / 100
+  );
+
+  if (quality < 3) {
+    // Failed recall: restart the repetition sequence, review again tomorrow
+    if (repetitions > 0) lapses += 1;
+    repetitions = 0;
+    interval = SM2_DEFAULTS.firstInterval;
+  } else {
+    if (repetitions === 0) {
+      interval = SM2_DEFAULTS.firstInterval;
+    } else if (repetitions === 1) {
+      interval = SM2_DEFAULTS.secondInterval;
+    } else if (grade === 'hard') {
+      interval = previousInterval * SM2_DEFAULTS.hardMultiplier;
+    } else {
+      interval = previousInterval * easeFactor;
+    }
+
+    if (grade === 'easy') {
+      interval *= SM2_DEFAULTS.easyBonus;
+    }
+
+    interval = Math.max(1, Math.round(interval));
+    repetitions += 1;
+  }
+
+  return {
+    state: repetitions >= 2 ? 'review' : 'learning',
+    easeFactor,
+    interval,
+    repetitions,
+    lapses,
+    dueDate: new Date(now.getTime() + interval * DAY_MS),
+  };
+}
+
+/**
+ * Whether a grade counts as a successful recall for retention statistics
+ * @param {string} grade
+ * @returns {boolean}
+ */
+function isRecalled(grade) {
+  return grade !== 'again';
+}
+
+/**
+ * Whether a card's interval is long enough to be considered mature
+ * @param {Object} card
+ * @returns {boolean}
+ */
+function isMature(card) {
+  return (card.interval || 0) >= SM2_DEFAULTS.matureInterval;
+}
+
+/**
+ * End of the current UTC day - cards due before this are "due today"
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function endOfToday(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1, 0, 0, 0, 0));
+}
+
+/**
+ * Start of the current UTC day - daily study limits count from here
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function startOfToday(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0, 0));
+}
+
+module.exports = {
+  scheduleReview,
+  isRecalled,
+  isMature,
+  startOfToday,
+  endOfToday,
+  GRADES,
+  GRADE_QUALITY,
+  SM2_DEFAULTS,
+};
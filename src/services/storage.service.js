@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const User = require('../models/User');
+const config = require('../config/env');
+const { createDriver } = require('./storage');
+
+/**
+ * Storage Service
+ * Single entry point for stored files (notebook sources, chat attachments,
+ * invoices, board thumbnails) on whichever backend STORAGE_DRIVER selects.
+ *
+ * It also owns User.storageUsed: bytes are added when an object is stored
+ * on a user's behalf and taken off again when that object is deleted, so
+ * the checkStorageLimit middleware sees what is actually in storage.
+ */
+class StorageService {
+  constructor() {
+    this._driver = null;
+  }
+
+  /**
+   * The configured driver (built on first use so scripts can swap config first)
+   */
+  get driver() {
+    if (!this._driver) {
+      this._driver = createDriver(config.storage);
+    }
+    return this._driver;
+  }
+
+  /**
+   * Use a specific driver instead of the configured one (migrations, tests)
+   */
+  setDriver(driver) {
+    this._driver = driver;
+  }
+
+  /**
+   * Key for an uploaded notebook source file
+   */
+  sourceKey(notebookId, fileName) {
+    return `sources/${notebookId}/${Date.now()}-${safeFileName(fileName)}`;
+  }
+
+  /**
+   * Key for a chat attachment; several files can arrive in the same millisecond
+   */
+  chatAttachmentKey(conversationKey, fileName) {
+    return `chat/${conversationKey}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeFileName(fileName)}`;
+  }
+
+  /**
+   * Key for a board's generated thumbnail (replaced when it is regenerated)
+   */
+  boardThumbnailKey(boardId) {
+    return `boards/${boardId}/thumbnail.webp`;
+  }
+
+  /**
+   * Key for an invoice PDF
+   */
+  invoiceKey(invoiceNumber) {
+    return `invoices/invoice-${safeFileName(invoiceNumber)}.pdf`;
+  }
+
+  /**
+   * Store an object, charging its size to ownerId when given
+   * @returns {Promise<{key: String, size: Number}>}
+   */
+  async put(key, body, { contentType, contentLength, ownerId } = {}) {
+    const stored = await this.driver.put(key, body, { contentType, contentLength });
+    if (ownerId) {
+      await this.adjustUsage(ownerId, stored.size);
+    }
+    return stored;
+  }
+
+  /**
+   * Delete an object, crediting its size back to ownerId when given
+   * @returns {Promise<Number>} Bytes removed (0 when the object was already gone)
+   */
+  async remove(key, { ownerId } = {}) {
+    const stats = await this.driver.stat(key);
+    await this.driver.delete(key);
+    if (ownerId && stats?.size) {
+      await this.adjustUsage(ownerId, -stats.size);
+    }
+    return stats?.size || 0;
+  }
+
+  async stat(key) {
+    return this.driver.stat(key);
+  }
+
+  async createReadStream(key, range) {
+    return this.driver.createReadStream(key, range);
+  }
+
+  /**
+   * Read a whole object into memory
+   */
+  async read(key) {
+    const stream = await this.driver.createReadStream(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Time-limited URL to download an object without an API session
+   */
+  async getSignedUrl(key, { expiresIn = config.storage.signedUrlExpiresIn, fileName, contentType } = {}) {
+    return this.driver.getSignedUrl(key, { expiresIn, fileName, contentType });
+  }
+
+  /**
+   * Disk path when the backend is local, otherwise null
+   */
+  localPath(key) {
+    return this.driver.localPath(key);
+  }
+
+  /**
+   * Run fn with a path on local disk holding the object. Tools that need a
+   * real file (ffmpeg, the Whisper upload) get a temp copy on remote backends.
+   */
+  async withLocalFile(key, fn) {
+    const existing = this.driver.localPath(key);
+    if (existing) {
+      return fn(existing);
+    }
+
+    const tempPath = path.join(os.tmpdir(), `collabry-${crypto.randomBytes(8).toString('hex')}${path.extname(key)}`);
+    try {
+      await pipeline(await this.driver.createReadStream(key), fs.createWriteStream(tempPath));
+      return await fn(tempPath);
+    } finally {
+      await fs.promises.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Add (or with a negative delta, remove) bytes from a user's storage usage.
+   * Never goes below zero, so an object deleted twice can't leave credit behind.
+   */
+  async adjustUsage(userId, delta) {
+    if (!userId || !delta) return;
+    await User.updateOne({ _id: userId }, [
+      { $set: { storageUsed: { $max: [0, { $add: [{ $ifNull: ['$storageUsed', 0] }, delta] }] } } }
+    ]);
+  }
+
+  /**
+   * Free everything a notebook source holds: its stored file or, for
+   * sources kept inline (text, websites), the bytes charged for the content
+   */
+  async releaseSource(source) {
+    if (source.playbackKey) {
+      await this.remove(source.playbackKey, { ownerId: source.uploadedBy }).catch(err => {
+        console.error(`Failed to delete stored file: ${source.playbackKey}`, err.message);
+      });
+    }
+    if (source.storageKey) {
+      try {
+        await this.remove(source.storageKey, { ownerId: source.uploadedBy });
+      } catch (err) {
+        console.error(`Failed to delete stored file: ${source.storageKey}`, err.message);
+      }
+    } else if (source.size) {
+      await this.adjustUsage(source.uploadedBy, -source.size);
+    }
+  }
+
+  /**
+   * Verify the token of a local signed URL
+   * @returns {{key: String, fileName: String, contentType: String}|null}
+   */
+  verifySignedToken(token) {
+    return typeof this.driver.verifyToken === 'function' ? this.driver.verifyToken(token) : null;
+  }
+}
+
+/**
+ * Keep file names readable in keys while dropping path separators and control characters
+ */
+function safeFileName(name) {
+  const cleaned = path.basename(String(name || 'file')).replace(/[\u0000-\u001f\\/:*?"<>|]+/g, '_').trim();
+  return cleaned.slice(-200) || 'file';
+}
+
+module.exports = new StorageService();
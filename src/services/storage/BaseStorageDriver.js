@@ -0,0 +1,95 @@
+/**
+ * BaseStorageDriver - Contract for file storage backends
+ *
+ * Objects are addressed by a key relative to the backend root, e.g.
+ * "sources/<notebookId>/1700000000000-lecture.pdf". Drivers only move
+ * bytes; storage accounting and key naming live in storage.service.
+ *
+ * Usage:
+ *   const driver = createDriver(config.storage);
+ *   await driver.put('invoices/invoice-1.pdf', buffer, { contentType: 'application/pdf' });
+ *   const url = await driver.getSignedUrl('invoices/invoice-1.pdf', { expiresIn: 300 });
+ */
+
+class BaseStorageDriver {
+  constructor(name) {
+    if (this.constructor === BaseStorageDriver) {
+      throw new Error('BaseStorageDriver is an abstract class and cannot be instantiated directly');
+    }
+    this.name = name;
+  }
+
+  /**
+   * Store an object, replacing any existing one with the same key
+   * @param {String} key
+   * @param {Buffer|Readable} body - Streams need options.contentLength on S3
+   * @param {Object} options
+   * @param {String} options.contentType
+   * @param {Number} options.contentLength
+   * @returns {Promise<{key: String, size: Number}>}
+   */
+  async put(key, body, options = {}) {
+    throw new Error(`put() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Open a read stream, optionally for an inclusive byte range
+   * @param {String} key
+   * @param {Object} range - { start, end }
+   * @returns {Promise<Readable>}
+   */
+  async createReadStream(key, range = {}) {
+    throw new Error(`createReadStream() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Object metadata, or null when the object does not exist
+   * @param {String} key
+   * @returns {Promise<{size: Number, lastModified: Date, contentType: String}|null>}
+   */
+  async stat(key) {
+    throw new Error(`stat() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Delete an object (missing objects are not an error)
+   * @param {String} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`delete() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Time-limited download URL that needs no other authentication
+   * @param {String} key
+   * @param {Object} options
+   * @param {Number} options.expiresIn - Seconds
+   * @param {String} options.fileName - Suggested download name (sets Content-Disposition)
+   * @param {String} options.contentType
+   * @returns {Promise<String>}
+   */
+  async getSignedUrl(key, options = {}) {
+    throw new Error(`getSignedUrl() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Path on this machine's disk for drivers that have one, otherwise null
+   * @param {String} key
+   * @returns {String|null}
+   */
+  localPath(key) {
+    return null;
+  }
+
+  /**
+   * Reject keys that are empty, absolute or climb out of the root
+   */
+  assertKey(key) {
+    if (typeof key !== 'string' || !key || key.startsWith('/') || key.split(/[\\/]/).includes('..')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+  }
+}
+
+module.exports = BaseStorageDriver;
@@ -0,0 +1,139 @@
+/**
+ * LocalStorageDriver - Files on the API server's disk
+ *
+ * Keys map to paths below the configured root. Signed URLs point at the
+ * API's /api/files/:token route; the token carries the key, expiry and
+ * download name and is authenticated with an HMAC, so no session is needed
+ * to follow the link.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const BaseStorageDriver = require('./BaseStorageDriver');
+
+class LocalStorageDriver extends BaseStorageDriver {
+  /**
+   * @param {Object} options
+   * @param {String} options.root - Directory objects are stored under
+   * @param {String} options.signingSecret - HMAC key for signed URLs
+   * @param {String} options.publicUrl - Origin prefixed to signed URLs (relative when empty)
+   */
+  constructor({ root, signingSecret, publicUrl = '' }) {
+    super('local');
+    if (!signingSecret) {
+      throw new Error('Local storage needs a signing secret for download URLs');
+    }
+    this.root = path.resolve(root);
+    this.signingSecret = signingSecret;
+    this.publicUrl = publicUrl.replace(/\/+$/, '');
+  }
+
+  async put(key, body, { contentLength } = {}) {
+    const filePath = this.localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write next to the target and rename, so readers never see half a file
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fs.promises.rename(tempPath, filePath);
+    } catch (err) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw err;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    if (contentLength !== undefined && size !== contentLength) {
+      throw new Error(`Stored ${size} bytes for ${key}, expected ${contentLength}`);
+    }
+    return { key, size };
+  }
+
+  async createReadStream(key, { start, end } = {}) {
+    const filePath = this.localPath(key);
+    // Surface a missing file here rather than as a stream error mid-response
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, { start, end });
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.localPath(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.localPath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  async getSignedUrl(key, { expiresIn = 900, fileName, contentType } = {}) {
+    this.assertKey(key);
+    const payload = {
+      k: key,
+      e: Math.floor(Date.now() / 1000) + expiresIn,
+      ...(fileName && { n: fileName }),
+      ...(contentType && { t: contentType })
+    };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${this.publicUrl}/api/files/${encoded}.${this._sign(encoded)}`;
+  }
+
+  /**
+   * Check a token from a signed URL
+   * @param {String} token
+   * @returns {{key: String, fileName: String, contentType: String}|null} null when forged or expired
+   */
+  verifyToken(token) {
+    const [encoded, signature] = String(token || '').split('.');
+    if (!encoded || !signature) return null;
+
+    const expected = Buffer.from(this._sign(encoded));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+    if (!payload.k || !(payload.e > Date.now() / 1000)) return null;
+
+    return { key: payload.k, fileName: payload.n, contentType: payload.t };
+  }
+
+  localPath(key) {
+    this.assertKey(key);
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  _sign(encoded) {
+    return crypto.createHmac('sha256', this.signingSecret).update(encoded).digest('base64url');
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,38 @@
+/**
+ * Storage Driver Exports
+ *
+ * Centralized exports for the file storage backends.
+ */
+
+const BaseStorageDriver = require('./BaseStorageDriver');
+const LocalStorageDriver = require('./LocalStorageDriver');
+const S3StorageDriver = require('./S3StorageDriver');
+
+/**
+ * Build the driver named in the storage config
+ * @param {Object} storageConfig - config.storage
+ * @returns {BaseStorageDriver}
+ */
+function createDriver(storageConfig) {
+  switch (String(storageConfig.driver).toLowerCase()) {
+    case 'local':
+      return new LocalStorageDriver({
+        root: storageConfig.local.root,
+        signingSecret: storageConfig.signingSecret,
+        publicUrl: storageConfig.publicUrl
+      });
+
+    case 's3':
+      return new S3StorageDriver(storageConfig.s3);
+
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}. Valid drivers: local, s3`);
+  }
+}
+
+module.exports = {
+  BaseStorageDriver,
+  LocalStorageDriver,
+  S3StorageDriver,
+  createDriver
+};
@@ -1,26 +1,117 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/env');
+const Group = require('../models/Group');
 const Message = require('../models/Message');
 const chatService = require('../services/chat.service');
 
 let io;
 
+const MONGO_ID_RE = /^[a-f\d]{24}$/i;
+
+function isValidMongoId(id) {
+  return typeof id === 'string' && MONGO_ID_RE.test(id);
+}
+
+function groupRoom(groupId) {
+  return `group:${groupId}`;
+}
+
+// Direct conversations have one room per pair of users, ids sorted
+function directRoom(userId1, userId2) {
+  const [a, b] = [userId1.toString(), userId2.toString()].sort();
+  return `direct:${a}:${b}`;
+}
+
+/**
+ * Friend on the other side of a direct conversation.
+ * conversationId is either the friend's user id or a "userA:userB" pair.
+ */
+function directPeer(userId, conversationId) {
+  const ids = String(conversationId || '').split(':');
+  if (ids.length === 1) return ids[0];
+  if (ids.length === 2 && ids.includes(userId.toString())) {
+    return ids[0] === userId.toString() ? ids[1] : ids[0];
+  }
+  return null;
+}
+
+/**
+ * Room for a conversation, without checking access (for sockets already in it)
+ */
+function conversationRoom(userId, { conversationType, conversationId } = {}) {
+  if (conversationType === 'group') return groupRoom(conversationId);
+  if (conversationType === 'direct') {
+    const peerId = directPeer(userId, conversationId);
+    return peerId ? directRoom(userId, peerId) : null;
+  }
+  return null;
+}
+
+/**
+ * Rooms that see a message: the group room, or the direct room plus both
+ * users' personal rooms (Socket.IO delivers once per socket)
+ */
+function messageRooms(message) {
+  if (message.conversationType === 'group') return [groupRoom(message.group)];
+  const [userId1, userId2] = message.participants;
+  return [directRoom(userId1, userId2), `user:${userId1}`, `user:${userId2}`];
+}
+
+function reply(callback, payload) {
+  if (typeof callback === 'function') callback(payload);
+}
+
+/**
+ * Check that a user may read a conversation and return its room.
+ * Groups require membership, direct conversations an active friendship.
+ * @throws {Error} When the conversation is invalid or off limits
+ */
+async function authorizeConversation(userId, { conversationType, conversationId } = {}) {
+  if (conversationType === 'group') {
+    if (!isValidMongoId(conversationId)) {
+      throw new Error('Invalid group ID');
+    }
+    const isMember = await Group.exists({ _id: conversationId, 'members.user': userId });
+    if (!isMember) {
+      throw new Error('Not a member of this group');
+    }
+    return groupRoom(conversationId);
+  }
+
+  if (conversationType === 'direct') {
+    const peerId = directPeer(userId, conversationId);
+    if (!isValidMongoId(peerId) || peerId === userId.toString()) {
+      throw new Error('Invalid conversation ID');
+    }
+    if (!(await chatService.areFriends(userId, peerId))) {
+      throw new Error('Can only view messages with friends');
+    }
+    return directRoom(userId, peerId);
+  }
+
+  throw new Error('Invalid conversation type');
+}
+
 const initializeChatNamespace = (socketIO) => {
   io = socketIO;
   const chatNamespace = io.of('/chat');
 
-  chatNamespace.use(async (socket, next) => {
-    try {
-      const userId = socket.handshake.auth.userId;
-      const userEmail = socket.handshake.auth.userEmail;
+  // Authentication middleware
+  chatNamespace.use((socket, next) => {
+    const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.split(' ')[1];
 
-      if (!userId || !userEmail) {
-        return next(new Error('Authentication required'));
-      }
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
 
-      socket.userId = userId;
-      socket.userEmail = userEmail;
+    try {
+      const decoded = jwt.verify(token, config.jwt.accessSecret);
+      socket.userId = decoded.id;
+      socket.userEmail = decoded.email;
       next();
     } catch (error) {
-      next(new Error('Authentication failed'));
+      console.warn('[Chat] Auth failed:', error.message);
+      return next(new Error('Invalid token'));
     }
   });
 
@@ -30,16 +121,28 @@ const initializeChatNamespace = (socketIO) => {
     // Join user's personal room
     socket.join(`user:${socket.userId}`);
 
-    // Join conversation (direct or group)
-    socket.on('join:conversation', ({ conversationType, conversationId }) => {
-      const roomName = `${conversationType}:${conversationId}`;
-      socket.join(roomName);
-      console.log(`✅ ${socket.userEmail} joined ${roomName}`);
+    // Join conversation (direct or group) after checking membership
+    socket.on('join:conversation', async (data, callback) => {
+      try {
+        const roomName = await authorizeConversation(socket.userId, data);
+        socket.join(roomName);
+        console.log(`✅ ${socket.userEmail} joined ${roomName}`);
+
+        if (callback && typeof callback === 'function') {
+          callback({ success: true, room: roomName });
+        }
+      } catch (error) {
+        console.warn(`[Chat] ${socket.userEmail} denied ${data?.conversationType}:${data?.conversationId}: ${error.message}`);
+        if (callback && typeof callback === 'function') {
+          callback({ error: error.message });
+        }
+      }
     });
 
     // Leave conversation
-    socket.on('leave:conversation', ({ conversationType, conversationId }) => {
-      const roomName = `${conversationType}:${conversationId}`;
+    socket.on('leave:conversation', (data) => {
+      const roomName = conversationRoom(socket.userId, data);
+      if (!roomName) return;
       socket.leave(roomName);
       console.log(`❌ ${socket.userEmail} left ${roomName}`);
     });
@@ -55,16 +158,14 @@ const initializeChatNamespace = (socketIO) => {
         // Determine room name
         let roomName;
         if (data.conversationType === 'direct') {
-          // Create consistent room name for direct messages by sorting IDs
-          const userIds = [socket.userId.toString(), data.recipientId.toString()].sort();
-          roomName = `direct:${userIds[0]}:${userIds[1]}`;
+          roomName = directRoom(socket.userId, data.recipientId);
           
           // Also emit to recipient's personal room for notifications
           chatNamespace.to(`user:${data.recipientId}`).emit('message:new', message);
           // Emit to sender's personal room for notifications
           chatNamespace.to(`user:${socket.userId}`).emit('message:new', message);
         } else if (data.conversationType === 'group') {
-          roomName = `group:${data.groupId}`;
+          roomName = groupRoom(data.groupId);
           console.log(`📢 Broadcasting to room: ${roomName}`);
         }
 
@@ -74,6 +175,10 @@ const initializeChatNamespace = (socketIO) => {
           console.log(`✅ Message broadcasted to ${roomName}`);
         }
 
+        if (message.threadId) {
+          await emitThreadUpdate(message.threadId);
+        }
+
         // Emit to sender confirmation
         socket.emit('message:sent', message);
 
@@ -88,17 +193,19 @@ const initializeChatNamespace = (socketIO) => {
       }
     });
 
-    // Typing indicator
-    socket.on('typing:start', ({ conversationType, conversationId }) => {
-      const roomName = `${conversationType}:${conversationId}`;
+    // Typing indicator (only relayed to conversations this socket has joined)
+    socket.on('typing:start', (data) => {
+      const roomName = conversationRoom(socket.userId, data);
+      if (!roomName || !socket.rooms.has(roomName)) return;
       socket.to(roomName).emit('user:typing', {
         userId: socket.userId,
         userEmail: socket.userEmail,
       });
     });
 
-    socket.on('typing:stop', ({ conversationType, conversationId }) => {
-      const roomName = `${conversationType}:${conversationId}`;
+    socket.on('typing:stop', (data) => {
+      const roomName = conversationRoom(socket.userId, data);
+      if (!roomName || !socket.rooms.has(roomName)) return;
       socket.to(roomName).emit('user:stopped-typing', {
         userId: socket.userId,
       });
@@ -144,10 +251,10 @@ const initializeChatNamespace = (socketIO) => {
           const recipientId = message.participants.find(
             (p) => p.toString() !== socket.userId.toString()
           );
-          roomName = `direct:${recipientId}`;
+          roomName = directRoom(socket.userId, recipientId);
           chatNamespace.to(`user:${recipientId}`).emit('message:edited', message);
         } else if (message.conversationType === 'group') {
-          roomName = `group:${message.group}`;
+          roomName = groupRoom(message.group);
         }
 
         // Broadcast to room
@@ -176,16 +283,20 @@ const initializeChatNamespace = (socketIO) => {
 
         await chatService.deleteMessage(messageId, socket.userId);
 
+        if (message.threadId) {
+          await emitThreadUpdate(message.threadId);
+        }
+
         // Determine room name
         let roomName;
         if (message.conversationType === 'direct') {
           const recipientId = message.participants.find(
             (p) => p.toString() !== socket.userId.toString()
           );
-          roomName = `direct:${recipientId}`;
+          roomName = directRoom(socket.userId, recipientId);
           chatNamespace.to(`user:${recipientId}`).emit('message:deleted', { messageId });
         } else if (message.conversationType === 'group') {
-          roomName = `group:${message.group}`;
+          roomName = groupRoom(message.group);
         }
 
         // Broadcast to room
@@ -204,6 +315,58 @@ const initializeChatNamespace = (socketIO) => {
       }
     });
 
+    // Thread replies, oldest first
+    socket.on('thread:get', async ({ messageId, limit, after } = {}, callback) => {
+      try {
+        const { root, replies } = await chatService.getThread(socket.userId, messageId, { limit, after });
+        reply(callback, { success: true, root, replies });
+      } catch (error) {
+        reply(callback, { error: error.message });
+      }
+    });
+
+    // Reactions
+    socket.on('reaction:add', async ({ messageId, emoji } = {}, callback) => {
+      try {
+        const message = await chatService.addReaction(messageId, socket.userId, emoji);
+        emitToConversation(message, 'message:reactions', { messageId: message._id, reactions: message.reactions });
+        reply(callback, { success: true, reactions: message.reactions });
+      } catch (error) {
+        reply(callback, { error: error.message });
+      }
+    });
+
+    socket.on('reaction:remove', async ({ messageId, emoji } = {}, callback) => {
+      try {
+        const message = await chatService.removeReaction(messageId, socket.userId, emoji);
+        emitToConversation(message, 'message:reactions', { messageId: message._id, reactions: message.reactions });
+        reply(callback, { success: true, reactions: message.reactions });
+      } catch (error) {
+        reply(callback, { error: error.message });
+      }
+    });
+
+    // Pins
+    socket.on('message:pin', async ({ messageId } = {}, callback) => {
+      try {
+        const message = await chatService.pinMessage(messageId, socket.userId);
+        emitToConversation(message, 'message:pinned', message);
+        reply(callback, { success: true, message });
+      } catch (error) {
+        reply(callback, { error: error.message });
+      }
+    });
+
+    socket.on('message:unpin', async ({ messageId } = {}, callback) => {
+      try {
+        const message = await chatService.unpinMessage(messageId, socket.userId);
+        emitToConversation(message, 'message:unpinned', { messageId: message._id });
+        reply(callback, { success: true });
+      } catch (error) {
+        reply(callback, { error: error.message });
+      }
+    });
+
     socket.on('disconnect', () => {
       console.log(`💬 Chat socket disconnected: ${socket.userEmail}`);
     });
@@ -212,4 +375,72 @@ const initializeChatNamespace = (socketIO) => {
   console.log('💬 Chat namespace initialized');
 };
 
-module.exports = { initializeChatNamespace };
+/**
+ * Send an event to everyone in a message's conversation
+ * (used by the REST endpoints so socket clients stay in sync)
+ */
+const emitToConversation = (message, event, payload) => {
+  if (!io) return;
+  io.of('/chat').to(messageRooms(message)).emit(event, payload);
+};
+
+/**
+ * Broadcast a thread's current summary to its conversation
+ */
+const emitThreadUpdate = async (threadId) => {
+  const root = await Message.findById(threadId).select('conversationType participants group thread');
+  if (root) {
+    emitToConversation(root, 'thread:updated', { messageId: root._id, thread: root.thread });
+  }
+};
+
+/**
+ * Remove users' sockets from a group conversation, e.g. when they are
+ * removed from the group. Without userIds everyone is removed (group deleted).
+ * @param {ObjectId|string} groupId
+ * @param {Array<ObjectId|string>} [userIds]
+ */
+const evictFromGroup = (groupId, userIds) => {
+  if (!io) return;
+  const chatNamespace = io.of('/chat');
+  const roomName = groupRoom(groupId);
+  const payload = { conversationType: 'group', conversationId: groupId.toString() };
+
+  if (!userIds) {
+    chatNamespace.to(roomName).emit('conversation:removed', payload);
+    chatNamespace.in(roomName).socketsLeave(roomName);
+    return;
+  }
+
+  for (const userId of userIds) {
+    chatNamespace.to(`user:${userId}`).emit('conversation:removed', payload);
+    chatNamespace.in(`user:${userId}`).socketsLeave(roomName);
+  }
+};
+
+/**
+ * Remove both users' sockets from their direct conversation, e.g. when one
+ * blocks or unfriends the other
+ */
+const evictFromDirect = (userId1, userId2) => {
+  if (!io) return;
+  const chatNamespace = io.of('/chat');
+  const roomName = directRoom(userId1, userId2);
+
+  for (const [userId, peerId] of [[userId1, userId2], [userId2, userId1]]) {
+    chatNamespace.to(`user:${userId}`).emit('conversation:removed', {
+      conversationType: 'direct',
+      conversationId: peerId.toString(),
+    });
+  }
+  chatNamespace.in(roomName).socketsLeave(roomName);
+};
+
+module.exports = {
+  initializeChatNamespace,
+  authorizeConversation,
+  emitToConversation,
+  emitThreadUpdate,
+  evictFromGroup,
+  evictFromDirect,
+};
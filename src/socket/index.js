@@ -62,6 +62,9 @@ const initializeSocket = (httpServer) => {
   require('./notificationNamespace')(io);
   require('./notebookCollabNamespace')(io);
 
+  // Initialize live quiz namespace
+  require('./quizLiveNamespace')(io);
+
   console.log('🔌 Socket.IO initialized');
   return io;
 };
@@ -1,15 +1,57 @@
 const NotebookSession = require('../models/NotebookSession');
 const Notebook = require('../models/Notebook');
+const notebookChatService = require('../services/notebookChat.service');
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
 
 /**
  * Notebook Collaboration Namespace
  * Handles real-time presence and events for shared notebooks
+ *
+ * AI chat: the asking client streams the answer and relays it with
+ * `ai:token` / `ai:complete`. Chat events are only accepted from sockets in
+ * the notebook room whose user has the `canChat` permission (`chat:clear`
+ * also needs the owner or editor role). Turns are stored by
+ * notebookChat.service, which also caps how many answers a connection and a
+ * notebook may be streaming at once. On `notebook:join` the joiner gets
+ *   chat:history { notebookId, messages }     - stored turns, oldest first
+ *   ai:replay    { messageId, content, author } - per answer still streaming
+ * Rejected events get `error { message, event }`.
  */
 module.exports = function (io) {
     const nsp = io.of('/notebook-collab');
 
+    const room = (notebookId) => `notebook:${notebookId}`;
+
+    const deny = (socket, event, message) => {
+        socket.emit('error', { message, event });
+    };
+
+    // Run a socket's chat events one at a time so streamed tokens keep their order
+    const serialize = (socket, event, handler) => {
+        socket.chatQueue = (socket.chatQueue || Promise.resolve())
+            .then(handler)
+            .catch(err => {
+                console.error(`[Collab] ${event} error:`, err.message);
+                deny(socket, event, err.statusCode ? err.message : 'Chat event failed');
+            });
+    };
+
+    // Notebook of a chat event, when the sender is in its room and may chat
+    const authorizeChat = async (socket, event, notebookId) => {
+        if (!notebookId || !socket.rooms.has(room(notebookId))) {
+            deny(socket, event, 'Join the notebook first');
+            return null;
+        }
+
+        const notebook = await Notebook.findById(notebookId);
+        if (!notebook || !notebook.hasPermission(socket.userId, 'canChat')) {
+            deny(socket, event, 'You do not have permission to chat in this notebook');
+            return null;
+        }
+        return notebook;
+    };
+
     // Authentication middleware
     nsp.use((socket, next) => {
         const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.split(' ')[1];
@@ -32,8 +74,9 @@ module.exports = function (io) {
     nsp.on('connection', (socket) => {
         console.log(`[Collab] User ${socket.userEmail} connected: ${socket.id}`);
 
-        // Join notebook room
-        socket.on('notebook:join', async ({ notebookId, userId, displayName, avatar }) => {
+        // Join notebook room (as the token's user, whatever the payload says)
+        socket.on('notebook:join', async ({ notebookId, displayName, avatar } = {}) => {
+            const userId = socket.userId;
             try {
                 const notebook = await Notebook.findById(notebookId);
                 if (!notebook) return;
@@ -44,10 +87,8 @@ module.exports = function (io) {
                     return;
                 }
 
-                const room = `notebook:${notebookId}`;
-                socket.join(room);
+                socket.join(room(notebookId));
                 socket.notebookId = notebookId;
-                socket.userId = userId;
 
                 // Update session state in MongoDB
                 let session = await NotebookSession.findOne({ notebookId });
@@ -71,10 +112,23 @@ module.exports = function (io) {
                 await session.save();
 
                 // Broadcast updated participant list to everyone in the room
-                nsp.to(room).emit('presence:update', {
+                nsp.to(room(notebookId)).emit('presence:update', {
                     participants: session.participants
                 });
 
+                // Catch the joiner up on the chat, including answers still streaming
+                socket.emit('chat:history', {
+                    notebookId,
+                    messages: await notebookChatService.getHistory(notebookId)
+                });
+                for (const stream of notebookChatService.getActiveStreams(notebookId)) {
+                    socket.emit('ai:replay', {
+                        messageId: stream.messageId,
+                        content: stream.content,
+                        author: stream.author
+                    });
+                }
+
                 console.log(`[Collab] User ${displayName} joined notebook ${notebookId}`);
             } catch (err) {
                 console.error('[Collab] Join error:', err);
@@ -99,27 +153,83 @@ module.exports = function (io) {
             });
         });
 
-        // AI message relay (broadcast to all collaborators)
-        socket.on('ai:token', ({ notebookId, token, messageId }) => {
-            nsp.to(`notebook:${notebookId}`).emit('ai:token', { token, messageId });
-        });
+        // AI chat relay (broadcast to all collaborators, stored for late joiners)
+        socket.on('ai:token', ({ notebookId, token, messageId } = {}) => serialize(socket, 'ai:token', async () => {
+            let stream = notebookId && messageId && notebookChatService.getStream(notebookId, messageId);
 
-        socket.on('chat:message', ({ notebookId, message }) => {
-            nsp.to(`notebook:${notebookId}`).emit('chat:message', message);
-        });
+            // Permission is checked once, on the first token of an answer
+            if (!stream) {
+                if (!(await authorizeChat(socket, 'ai:token', notebookId))) return;
+                stream = notebookChatService.startStream(notebookId, messageId, socket.userId, socket.id);
+            } else if (stream.socketId !== socket.id) {
+                return deny(socket, 'ai:token', 'Answer is being streamed by another client');
+            }
 
-        socket.on('ai:complete', ({ notebookId, message, messageId }) => {
-            nsp.to(`notebook:${notebookId}`).emit('ai:complete', { message, messageId });
-        });
+            notebookChatService.appendToken(stream, token);
+            nsp.to(room(notebookId)).emit('ai:token', { token, messageId });
+        }));
 
-        socket.on('chat:clear', ({ notebookId }) => {
-            nsp.to(`notebook:${notebookId}`).emit('chat:clear');
-        });
+        socket.on('chat:message', ({ notebookId, message } = {}) => serialize(socket, 'chat:message', async () => {
+            const notebook = await authorizeChat(socket, 'chat:message', notebookId);
+            if (!notebook) return;
+
+            const saved = await notebookChatService.addUserMessage(notebook, socket.userId, message);
+            nsp.to(room(notebookId)).emit('chat:message', {
+                ...message,
+                id: saved.messageId,
+                content: saved.content,
+                userId: socket.userId,
+                author: saved.author,
+                authorName: saved.authorName,
+                createdAt: saved.createdAt
+            });
+        }));
+
+        socket.on('ai:complete', ({ notebookId, message, messageId } = {}) => serialize(socket, 'ai:complete', async () => {
+            const stream = notebookId && messageId && notebookChatService.getStream(notebookId, messageId);
+            if (stream && stream.socketId !== socket.id) {
+                return deny(socket, 'ai:complete', 'Answer is being streamed by another client');
+            }
+
+            const notebook = await authorizeChat(socket, 'ai:complete', notebookId);
+            if (!notebook) return;
+
+            const saved = await notebookChatService.completeStream(notebook, socket.userId, messageId, message);
+            nsp.to(room(notebookId)).emit('ai:complete', {
+                message: {
+                    ...message,
+                    content: saved.content,
+                    sources: saved.sources,
+                    author: saved.author,
+                    authorName: saved.authorName,
+                    relayed: saved.relayed,
+                    createdAt: saved.createdAt
+                },
+                messageId: saved.messageId
+            });
+        }));
+
+        socket.on('chat:clear', ({ notebookId } = {}) => serialize(socket, 'chat:clear', async () => {
+            const notebook = await authorizeChat(socket, 'chat:clear', notebookId);
+            if (!notebook) return;
+
+            // The history is shared, so only those who can edit the notebook wipe it
+            if (!['owner', 'editor'].includes(notebook.canAccess(socket.userId))) {
+                return deny(socket, 'chat:clear', 'Only the notebook owner and editors can clear the chat');
+            }
+
+            await notebookChatService.clearHistory(notebookId);
+            nsp.to(room(notebookId)).emit('chat:clear', { clearedBy: socket.userId });
+        }));
 
         // Leave notebook room
         socket.on('disconnect', async () => {
             if (socket.notebookId && socket.userId) {
                 try {
+                    // Keep whatever this client had streamed of an unfinished answer
+                    const interrupted = await notebookChatService.interruptStreams(socket.notebookId, socket.id);
+                    interrupted.forEach(messageId => nsp.to(room(socket.notebookId)).emit('ai:interrupted', { messageId }));
+
                     const session = await NotebookSession.findOne({ notebookId: socket.notebookId });
                     if (session) {
                         await session.removeParticipant(socket.userId);
@@ -137,7 +247,7 @@ module.exports = function (io) {
 
                         await session.save();
 
-                        nsp.to(`notebook:${socket.notebookId}`).emit('presence:update', {
+                        nsp.to(room(socket.notebookId)).emit('presence:update', {
                             participants: session.participants
                         });
                     }
@@ -0,0 +1,449 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/env');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const liveQuizService = require('../services/liveQuiz.service');
+
+// In-memory store for live rooms
+// roomCode -> room state (see createRoom)
+const rooms = new Map();
+
+const MONGO_ID_RE = /^[a-f\d]{24}$/i;
+
+function isValidMongoId(id) {
+  return typeof id === 'string' && MONGO_ID_RE.test(id);
+}
+
+function reply(callback, payload) {
+  if (typeof callback === 'function') callback(payload);
+}
+
+// Codes are typed by players; match them case-insensitively
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function roomChannel(code) {
+  return `quiz-live:${code}`;
+}
+
+function createRoom({ code, quiz, group, hostId, hostSocketId, questionSeconds }) {
+  return {
+    code,
+    quiz,
+    groupId: group._id,
+    hostId,
+    hostSocketId,
+    questionSeconds,
+    status: 'lobby', // lobby -> question -> review -> finished
+    currentIndex: -1,
+    questionStartedAt: null,
+    timer: null,
+    startedAt: null,
+    // userId -> player
+    players: new Map()
+  };
+}
+
+function publicPlayers(room) {
+  return [...room.players.values()].map(p => ({
+    userId: p.userId,
+    name: p.name,
+    avatar: p.avatar,
+    connected: p.socketIds.size > 0
+  }));
+}
+
+function leaderboard(room) {
+  return liveQuizService.buildLeaderboard([...room.players.values()]);
+}
+
+/**
+ * Live Quiz Namespace
+ * Group admins host a quiz, members join with a room code and answer against a countdown
+ * @param {Object} io - Socket.IO server instance
+ */
+module.exports = (io) => {
+  const nsp = io.of('/quiz-live');
+
+  // Authentication middleware
+  nsp.use((socket, next) => {
+    const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.split(' ')[1];
+
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    try {
+      const decoded = jwt.verify(token, config.jwt.accessSecret);
+      socket.userId = decoded.id;
+      socket.userEmail = decoded.email;
+      next();
+    } catch (error) {
+      return next(new Error('Invalid token'));
+    }
+  });
+
+  /**
+   * Push the next question and start its countdown
+   */
+  function pushQuestion(room) {
+    room.currentIndex += 1;
+    room.status = 'question';
+    room.questionStartedAt = Date.now();
+
+    const question = room.quiz.questions[room.currentIndex];
+    const durationMs = room.questionSeconds * 1000;
+
+    nsp.to(roomChannel(room.code)).emit('quiz:question', {
+      question: liveQuizService.toPublicQuestion(room.quiz, question, room.currentIndex),
+      seconds: room.questionSeconds,
+      endsAt: new Date(room.questionStartedAt + durationMs)
+    });
+
+    room.timer = setTimeout(() => closeQuestion(room), durationMs);
+  }
+
+  /**
+   * Stop taking answers, reveal the result and broadcast the leaderboard
+   */
+  function closeQuestion(room) {
+    if (room.status !== 'question') return;
+
+    clearTimeout(room.timer);
+    room.timer = null;
+    room.status = 'review';
+
+    const question = room.quiz.questions[room.currentIndex];
+    const result = {
+      index: room.currentIndex,
+      answeredCount: [...room.players.values()].filter(p => p.answeredIndexes.has(room.currentIndex)).length
+    };
+
+    if (room.quiz.settings.showCorrectAnswers) {
+      result.correctAnswer = question.correctAnswer;
+      result.correctAnswers = question.correctAnswers;
+      result.correctOrder = question.correctOrder;
+      result.explanation = question.explanation;
+    }
+
+    const channel = roomChannel(room.code);
+    nsp.to(channel).emit('quiz:question-closed', result);
+    nsp.to(channel).emit('quiz:leaderboard', {
+      index: room.currentIndex,
+      isLast: room.currentIndex === room.quiz.questions.length - 1,
+      leaderboard: leaderboard(room)
+    });
+  }
+
+  /**
+   * End the game, save every player's attempt and award XP
+   */
+  async function finishRoom(room, reason = 'completed') {
+    if (room.status === 'finished') return;
+
+    clearTimeout(room.timer);
+    room.timer = null;
+    room.status = 'finished';
+
+    const channel = roomChannel(room.code);
+    const players = [...room.players.values()];
+    const finalBoard = leaderboard(room);
+
+    nsp.to(channel).emit('quiz:finished', { reason, leaderboard: finalBoard });
+
+    try {
+      // Nothing to save if the game never started
+      if (room.startedAt && players.length > 0) {
+        const results = await liveQuizService.saveResults(room.quiz, {
+          groupId: room.groupId,
+          roomCode: room.code,
+          players,
+          startedAt: room.startedAt
+        });
+
+        for (const player of players) {
+          const result = results.get(player.userId.toString());
+          if (!result) continue;
+          for (const socketId of player.socketIds) {
+            nsp.to(socketId).emit('quiz:result', result);
+          }
+        }
+      }
+    } finally {
+      // The room is over even if saving failed
+      nsp.in(channel).socketsLeave(channel);
+      rooms.delete(room.code);
+    }
+    console.log(`[QuizLive] Room ${room.code} finished (${reason})`);
+  }
+
+  function getHostedRoom(socket, code, callback) {
+    const room = rooms.get(normalizeCode(code));
+    if (!room) {
+      reply(callback, { error: 'Room not found' });
+      return null;
+    }
+    if (room.hostId !== socket.userId) {
+      reply(callback, { error: 'Only the host can do that' });
+      return null;
+    }
+    return room;
+  }
+
+  nsp.on('connection', (socket) => {
+    // Rooms this socket hosts or plays in
+    socket.quizRooms = new Set();
+
+    /**
+     * Host a quiz for a group
+     */
+    socket.on('quiz:host', async ({ groupId, quizId, questionSeconds } = {}, callback) => {
+      try {
+        if (!isValidMongoId(groupId) || !isValidMongoId(quizId)) {
+          return reply(callback, { error: 'Invalid group or quiz ID' });
+        }
+
+        const { quiz, group } = await liveQuizService.prepareHost(socket.userId, groupId, quizId);
+
+        const code = liveQuizService.generateRoomCode(c => rooms.has(c));
+        const room = createRoom({
+          code,
+          quiz,
+          group,
+          hostId: socket.userId,
+          hostSocketId: socket.id,
+          questionSeconds: liveQuizService.resolveQuestionSeconds(questionSeconds)
+        });
+        rooms.set(code, room);
+
+        socket.join(roomChannel(code));
+        socket.quizRooms.add(code);
+
+        console.log(`[QuizLive] ${socket.userEmail} hosting room ${code} for group ${groupId}`);
+
+        reply(callback, {
+          code,
+          quiz: { _id: quiz._id, title: quiz.title, questionCount: quiz.questions.length },
+          questionSeconds: room.questionSeconds
+        });
+      } catch (error) {
+        reply(callback, { error: error.message });
+      }
+    });
+
+    /**
+     * Join a room with its code (group members only)
+     */
+    socket.on('quiz:join', async ({ code } = {}, callback) => {
+      try {
+        const room = rooms.get(normalizeCode(code));
+        if (!room || room.status === 'finished') {
+          return reply(callback, { error: 'Room not found' });
+        }
+
+        if (room.hostId === socket.userId) {
+          return reply(callback, { error: 'The host cannot play in their own room' });
+        }
+
+        let player = room.players.get(socket.userId);
+        if (!player) {
+          if (room.status !== 'lobby') {
+            return reply(callback, { error: 'This quiz has already started' });
+          }
+
+          const [group, user] = await Promise.all([
+            Group.findById(room.groupId).select('creator admins members'),
+            User.findById(socket.userId).select('name avatar')
+          ]);
+
+          if (!group || !liveQuizService.isGroupMember(group, socket.userId)) {
+            return reply(callback, { error: 'Access denied' });
+          }
+
+          player = {
+            userId: socket.userId,
+            name: user?.name || socket.userEmail,
+            avatar: user?.avatar,
+            socketIds: new Set(),
+            answers: [],
+            answeredIndexes: new Set(),
+            points: 0,
+            correctCount: 0,
+            totalTimeMs: 0
+          };
+          room.players.set(socket.userId, player);
+        }
+
+        player.socketIds.add(socket.id);
+        socket.join(roomChannel(room.code));
+        socket.quizRooms.add(room.code);
+
+        nsp.to(roomChannel(room.code)).emit('quiz:players', { players: publicPlayers(room) });
+
+        // Players rejoining mid-game get the current question back
+        const state = { code: room.code, status: room.status, title: room.quiz.title };
+        if (room.status === 'question') {
+          state.question = liveQuizService.toPublicQuestion(
+            room.quiz, room.quiz.questions[room.currentIndex], room.currentIndex
+          );
+          state.endsAt = new Date(room.questionStartedAt + room.questionSeconds * 1000);
+          state.answered = player.answeredIndexes.has(room.currentIndex);
+        }
+        reply(callback, state);
+      } catch (error) {
+        reply(callback, { error: error.message });
+      }
+    });
+
+    /**
+     * Host starts the game
+     */
+    socket.on('quiz:start', ({ code } = {}, callback) => {
+      const room = getHostedRoom(socket, code, callback);
+      if (!room) return;
+
+      if (room.status !== 'lobby') {
+        return reply(callback, { error: 'Quiz already started' });
+      }
+      if (room.players.size === 0) {
+        return reply(callback, { error: 'Wait for at least one player to join' });
+      }
+
+      room.startedAt = new Date();
+      pushQuestion(room);
+      reply(callback, { success: true });
+    });
+
+    /**
+     * Host moves on to the next question (or finishes after the last one)
+     */
+    socket.on('quiz:next', async ({ code } = {}, callback) => {
+      const room = getHostedRoom(socket, code, callback);
+      if (!room) return;
+
+      if (room.status === 'question') {
+        // Skip the rest of the countdown
+        closeQuestion(room);
+        return reply(callback, { success: true });
+      }
+
+      if (room.status !== 'review') {
+        return reply(callback, { error: 'No question to advance from' });
+      }
+
+      if (room.currentIndex >= room.quiz.questions.length - 1) {
+        try {
+          await finishRoom(room);
+        } catch (err) {
+          console.error(`[QuizLive] Failed to finish room ${room.code}:`, err);
+          return reply(callback, { error: 'The game ended but the results could not be saved' });
+        }
+      } else {
+        pushQuestion(room);
+      }
+      reply(callback, { success: true });
+    });
+
+    /**
+     * Host ends the game early
+     */
+    socket.on('quiz:end', async ({ code } = {}, callback) => {
+      const room = getHostedRoom(socket, code, callback);
+      if (!room) return;
+
+      try {
+        await finishRoom(room, 'ended_by_host');
+      } catch (err) {
+        console.error(`[QuizLive] Failed to finish room ${room.code}:`, err);
+        return reply(callback, { error: 'The game ended but the results could not be saved' });
+      }
+      reply(callback, { success: true });
+    });
+
+    /**
+     * Player answers the current question
+     */
+    socket.on('quiz:answer', ({ code, questionIndex, answer } = {}, callback) => {
+      const room = rooms.get(normalizeCode(code));
+      const player = room?.players.get(socket.userId);
+
+      if (!room || !player) {
+        return reply(callback, { error: 'Not in this room' });
+      }
+      if (room.status !== 'question' || questionIndex !== room.currentIndex) {
+        return reply(callback, { error: 'This question is closed' });
+      }
+      if (player.answeredIndexes.has(room.currentIndex)) {
+        return reply(callback, { error: 'Already answered' });
+      }
+
+      const question = room.quiz.questions[room.currentIndex];
+      const elapsedMs = Date.now() - room.questionStartedAt;
+      const { isCorrect, points } = liveQuizService.scoreAnswer(
+        question, answer, elapsedMs, room.questionSeconds * 1000
+      );
+
+      player.answeredIndexes.add(room.currentIndex);
+      player.answers.push({ questionId: question._id, answer, timeSpent: Math.round(elapsedMs / 1000) });
+      player.points += points;
+      player.totalTimeMs += elapsedMs;
+      if (isCorrect) player.correctCount += 1;
+
+      // Correctness is revealed when the question closes
+      reply(callback, { received: true });
+
+      nsp.to(room.hostSocketId).emit('quiz:answer-count', {
+        index: room.currentIndex,
+        answeredCount: [...room.players.values()].filter(p => p.answeredIndexes.has(room.currentIndex)).length,
+        playerCount: room.players.size
+      });
+
+      const everyoneAnswered = [...room.players.values()]
+        .every(p => p.socketIds.size === 0 || p.answeredIndexes.has(room.currentIndex));
+      if (everyoneAnswered) {
+        closeQuestion(room);
+      }
+    });
+
+    /**
+     * Player leaves a room (their score is kept)
+     */
+    socket.on('quiz:leave', ({ code } = {}) => {
+      leaveRoom(socket, code);
+    });
+
+    socket.on('disconnect', () => {
+      for (const code of socket.quizRooms) {
+        leaveRoom(socket, code);
+      }
+    });
+  });
+
+  function leaveRoom(socket, rawCode) {
+    const code = normalizeCode(rawCode);
+    const room = rooms.get(code);
+    socket.quizRooms.delete(code);
+    if (!room) return;
+
+    socket.leave(roomChannel(code));
+
+    // Host gone: wrap up so players' results are still saved
+    if (room.hostSocketId === socket.id) {
+      finishRoom(room, 'host_left').catch(err => {
+        console.error(`[QuizLive] Failed to finish room ${code}:`, err);
+      });
+      return;
+    }
+
+    const player = room.players.get(socket.userId);
+    if (!player) return;
+
+    player.socketIds.delete(socket.id);
+    if (room.status === 'lobby' && player.socketIds.size === 0) {
+      room.players.delete(socket.userId);
+    }
+
+    nsp.to(roomChannel(code)).emit('quiz:players', { players: publicPlayers(room) });
+  }
+};
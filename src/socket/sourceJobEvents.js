@@ -0,0 +1,113 @@
+const { getRedisClient } = require('../config/redis');
+const notificationService = require('../services/notification.service');
+
+/**
+ * Source processing status events
+ *
+ * Sources are processed by the worker service, which has no Socket.IO
+ * server. Status changes are published on a Redis channel and every API
+ * instance (including the one that published) relays them to the notebook's
+ * `/notebook-collab` room. Without Redis, an API process running the queue
+ * emits to its own sockets directly.
+ *
+ * Events sent to `notebook:{notebookId}`:
+ *   source:update { action: 'updated', source }  - source fields changed; `source`
+ *                 holds _id and the changed fields (null when removed), without
+ *                 content/transcription text
+ *   source:job    { sourceId, jobId, status, attempts, maxAttempts, progress, error, nextRunAt }
+ *
+ * Notifications created by the queue (e.g. "document processed") take the
+ * same route to the user's `/notifications` room.
+ */
+
+const CHANNEL = 'notebook:source-events';
+
+let localIO = null;
+let publisherPromise = null;
+let subscriber = null;
+
+function deliver(io, message) {
+  if (message.notification) {
+    notificationService.emitToUser(message.userId, message.notification);
+    return;
+  }
+  const { notebookId, event, payload } = message;
+  io.of('/notebook-collab').to(`notebook:${notebookId}`).emit(event, payload);
+}
+
+/**
+ * Send a source event to everyone viewing the notebook
+ */
+async function emitSourceEvent(notebookId, event, payload) {
+  await publish({ notebookId: notebookId.toString(), event, payload });
+}
+
+/**
+ * Push a notification that's already saved to the user's open sessions
+ * @param {Object} notification - Notification document
+ */
+async function emitSourceNotification(userId, notification) {
+  const notifData = notification.toJSON ? notification.toJSON() : notification;
+  await publish({ userId: userId.toString(), notification: notifData });
+}
+
+async function publish(message) {
+  let published = false;
+  try {
+    // Connect once; without Redis the events only reach this process's sockets
+    publisherPromise = publisherPromise || getRedisClient();
+    const publisher = await publisherPromise;
+    if (publisher) {
+      await publisher.publish(CHANNEL, JSON.stringify(message));
+      published = true;
+    }
+  } catch (err) {
+    console.warn('[SourceEvents] Publish failed:', err.message);
+  }
+
+  // Our own subscription delivers published events here as well
+  if (localIO && !(published && subscriber)) {
+    deliver(localIO, message);
+  }
+}
+
+/**
+ * Relay published source events to this instance's sockets
+ * @param {Object} io - Socket.IO server
+ */
+async function relaySourceEvents(io) {
+  localIO = io;
+
+  const client = await getRedisClient();
+  if (!client) {
+    console.warn('[SourceEvents] Redis unavailable, only in-process source events will reach clients');
+    return;
+  }
+
+  subscriber = client.duplicate();
+  subscriber.on('error', (err) => console.error('[SourceEvents] Subscriber error:', err.message));
+  await subscriber.connect();
+  await subscriber.subscribe(CHANNEL, (raw) => {
+    try {
+      deliver(io, JSON.parse(raw));
+    } catch (err) {
+      console.warn('[SourceEvents] Dropped malformed event:', err.message);
+    }
+  });
+
+  console.log('🔌 Relaying source processing events');
+}
+
+async function stopSourceEventRelay() {
+  if (subscriber) {
+    await subscriber.quit().catch(() => {});
+    subscriber = null;
+  }
+}
+
+module.exports = {
+  emitSourceEvent,
+  emitSourceNotification,
+  relaySourceEvents,
+  stopSourceEventRelay,
+};
@@ -0,0 +1,320 @@
+const Y = require('yjs');
+const Board = require('../models/Board');
+const BoardUpdate = require('../models/BoardUpdate');
+const BoardSnapshot = require('../models/BoardSnapshot');
+
+/**
+ * Storage of board (tldraw) Yjs documents
+ *
+ * A board's document is Board.yjsState, the state at the last compaction,
+ * plus the BoardUpdate log written since. Instances only ever append the
+ * changes their own clients made, so concurrent replicas can't overwrite
+ * each other. Once a board has COMPACT_AFTER_UPDATES log entries, or when
+ * it is closed, the log is folded back into yjsState.
+ *
+ * Edited boards also get an automatic history snapshot (BoardSnapshot) of
+ * the stored state at most every AUTO_SNAPSHOT_INTERVAL_MS, taken just
+ * before the next changes are logged.
+ *
+ * tldraw records live in doc.getMap('tldraw'), keyed by record id.
+ */
+
+const COMPACT_AFTER_UPDATES = 100;
+const AUTO_SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+const MAX_AUTO_SNAPSHOTS = 50;
+// Loads retried when a compaction lands between reading the state and the log
+const MAX_LOAD_ATTEMPTS = 5;
+
+// Per-user session records (camera, selection, presence), not part of the canvas
+const SESSION_RECORD = /^(instance|instance_page_state|instance_presence|camera|pointer):/;
+
+const isSessionRecord = key => SESSION_RECORD.test(key);
+
+/**
+ * Number of shapes on the canvas, for the board card display
+ */
+function countShapes(doc) {
+  let shapeCount = 0;
+  doc.getMap('tldraw').forEach((value, key) => {
+    // tldraw stores shapes with keys like 'shape:...'
+    if (key.startsWith('shape:')) shapeCount++;
+  });
+  return shapeCount;
+}
+
+// Lean queries return Buffer fields as BSON Binary
+const toUpdate = (value) => new Uint8Array(value._bsontype === 'Binary' ? value.buffer : value);
+
+// Compaction version of a stored board
+const versionOf = (board) => board.yjsUpdatedAt?.getTime() ?? null;
+
+/**
+ * Read a board's yjsState and update log at the same compaction version.
+ * A compaction between the two reads would delete log entries the state
+ * read first doesn't include, so the read is retried when yjsUpdatedAt
+ * changed meanwhile.
+ * @returns {Promise<{board: Object, updates: Object[]}|null>} null when the board doesn't exist
+ */
+async function readBoardState(boardId) {
+  for (let attempt = 1; attempt <= MAX_LOAD_ATTEMPTS; attempt++) {
+    const board = await Board.findById(boardId).select('yjsState yjsUpdatedAt elements').lean();
+    if (!board) return null;
+
+    const updates = await BoardUpdate.find({ boardId }).sort({ _id: 1 }).select('update').lean();
+
+    const current = await Board.findById(boardId).select('yjsUpdatedAt').lean();
+    if (current && versionOf(current) === versionOf(board)) return { board, updates };
+  }
+  throw new Error(`Board ${boardId} kept changing while loading`);
+}
+
+/**
+ * Load a board's document from MongoDB, migrating legacy elements if it has none
+ * @param {string} boardId
+ * @param {Y.Doc} [doc] - Doc to load into
+ * @returns {Promise<Y.Doc|null>} The doc, or null when the board doesn't exist
+ */
+async function loadBoardDoc(boardId, doc = new Y.Doc()) {
+  const stored = await readBoardState(boardId);
+  if (!stored) return null;
+  const { board, updates } = stored;
+
+  if (board.yjsState || updates.length > 0) {
+    doc.transact(() => {
+      if (board.yjsState) Y.applyUpdate(doc, toUpdate(board.yjsState));
+      updates.forEach(entry => Y.applyUpdate(doc, toUpdate(entry.update)));
+    });
+    console.log(`[Yjs] Loaded doc ${boardId} (${updates.length} logged update(s))`);
+    return doc;
+  }
+
+  // Migration: If we have legacy elements but no yjsState,
+  // populate the Yjs doc from the elements array
+  if (board.elements && board.elements.length > 0) {
+    console.log(`[Yjs] Migrating ${board.elements.length} legacy elements for board ${boardId}`);
+
+    const store = doc.getMap('tldraw');
+
+    board.elements.forEach(el => {
+      if (!el.id || !el.type) return;
+
+      const record = {
+        id: el.id,
+        typeName: el.typeName || 'shape',
+        type: el.type,
+        x: el.x || 0,
+        y: el.y || 0,
+        rotation: el.rotation || 0,
+        isLocked: el.isLocked || false,
+        opacity: el.opacity ?? 1,
+        props: el.props || {},
+        meta: el.meta || {},
+        parentId: el.parentId || 'page:page',
+        index: el.index || 'a1',
+      };
+
+      store.set(el.id, record);
+    });
+
+    // Persist immediately so next load uses yjsState (only if no other instance got there first)
+    await Board.updateOne(
+      { _id: boardId, yjsState: null },
+      { yjsState: Buffer.from(Y.encodeStateAsUpdate(doc)), yjsUpdatedAt: new Date() }
+    );
+
+    console.log(`[Yjs] Migration complete for board ${boardId}`);
+  }
+
+  return doc;
+}
+
+/**
+ * Append changes made through this instance to a board's update log
+ * @param {string} boardId
+ * @param {Uint8Array} update - Merged Yjs update
+ * @param {Y.Doc} doc - The in-memory doc, for the shape count
+ * @param {Object} [options]
+ * @param {string} [options.instanceId]
+ * @param {string[]} [options.editors] - Users whose changes are in the update
+ */
+async function appendBoardUpdate(boardId, update, doc, { instanceId, editors = [] } = {}) {
+  await snapshotIfDue(boardId);
+
+  await BoardUpdate.create({ boardId, update: Buffer.from(update), instanceId });
+
+  await Board.updateOne({ _id: boardId }, {
+    $set: {
+      updatedAt: new Date(),
+      lastActivity: new Date(),
+      shapeCount: countShapes(doc),
+    },
+    $addToSet: { editorsSinceSnapshot: { $each: editors } },
+  });
+
+  console.log(`[Yjs] Logged update for doc ${boardId} (${update.length} bytes)`);
+
+  if (await BoardUpdate.countDocuments({ boardId }) >= COMPACT_AFTER_UPDATES) {
+    await compactBoardDoc(boardId);
+  }
+}
+
+/**
+ * Fold a board's update log into yjsState. Runs from the stored state
+ * rather than a live doc, and only commits if no other instance compacted
+ * in the meantime (yjsUpdatedAt is the compaction version).
+ * @returns {Promise<boolean>} Whether the log was compacted
+ */
+async function compactBoardDoc(boardId) {
+  const board = await Board.findById(boardId).select('yjsState yjsUpdatedAt').lean();
+  if (!board) return false;
+
+  const updates = await BoardUpdate.find({ boardId }).sort({ _id: 1 }).select('update').lean();
+  if (!updates.length) return false;
+
+  const doc = new Y.Doc();
+  if (board.yjsState) Y.applyUpdate(doc, toUpdate(board.yjsState));
+  updates.forEach(entry => Y.applyUpdate(doc, toUpdate(entry.update)));
+  const stateBuffer = Buffer.from(Y.encodeStateAsUpdate(doc));
+
+  const { modifiedCount } = await Board.updateOne(
+    { _id: boardId, yjsUpdatedAt: board.yjsUpdatedAt },
+    { yjsState: stateBuffer, yjsUpdatedAt: new Date(), shapeCount: countShapes(doc) }
+  );
+  doc.destroy();
+  if (!modifiedCount) return false;
+
+  // Only the entries folded in; updates logged meanwhile stay for the next compaction
+  await BoardUpdate.deleteMany({ _id: { $in: updates.map(entry => entry._id) } });
+
+  console.log(`[Yjs] Compacted doc ${boardId} (${updates.length} update(s) into ${stateBuffer.length} bytes)`);
+  return true;
+}
+
+/**
+ * Save a history snapshot of a board, crediting everyone who edited it
+ * since the previous one
+ * @param {string} boardId
+ * @param {Y.Doc} doc - State to save
+ * @param {Object} fields - kind, and optionally name, createdBy, restoredFrom
+ * @returns {Promise<Object>} BoardSnapshot
+ */
+async function saveSnapshot(boardId, doc, fields) {
+  const board = await Board.findByIdAndUpdate(
+    boardId,
+    { $set: { editorsSinceSnapshot: [] } },
+    { projection: { editorsSinceSnapshot: 1 } }
+  ).lean();
+
+  return BoardSnapshot.create({
+    boardId,
+    ...fields,
+    state: Buffer.from(Y.encodeStateAsUpdate(doc)),
+    shapeCount: countShapes(doc),
+    editors: board?.editorsSinceSnapshot || [],
+  });
+}
+
+/**
+ * Take an automatic snapshot of the stored state if the board changed and
+ * the last snapshot is older than AUTO_SNAPSHOT_INTERVAL_MS
+ */
+async function snapshotIfDue(boardId) {
+  const last = await BoardSnapshot.findOne({ boardId }).sort({ createdAt: -1, _id: -1 }).select('createdAt').lean();
+  if (last && Date.now() - last.createdAt.getTime() < AUTO_SNAPSHOT_INTERVAL_MS) return;
+
+  const board = await Board.findById(boardId).select('editorsSinceSnapshot').lean();
+  if (!board || (last && !board.editorsSinceSnapshot?.length)) return;
+
+  const stored = await loadBoardDoc(boardId);
+  if (!stored || stored.getMap('tldraw').size === 0) return;
+
+  await saveSnapshot(boardId, stored, { kind: 'auto' });
+  stored.destroy();
+
+  const expired = await BoardSnapshot.find({ boardId, kind: 'auto' })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(MAX_AUTO_SNAPSHOTS)
+    .select('_id')
+    .lean();
+  if (expired.length) {
+    await BoardSnapshot.deleteMany({ _id: { $in: expired.map(snapshot => snapshot._id) } });
+  }
+}
+
+/**
+ * Doc holding a snapshot's state
+ * @param {Object} snapshot - BoardSnapshot
+ */
+function snapshotDoc(snapshot) {
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, toUpdate(snapshot.state));
+  return doc;
+}
+
+/**
+ * Shapes on a board, in page and z-order, with their position, size and text
+ * @returns {Array<{id, type, parentId, index, x, y, rotation, w?, h?, text?, geo?, color?}>}
+ */
+function listShapes(doc) {
+  const shapes = [];
+  doc.getMap('tldraw').forEach((record, key) => {
+    if (!key.startsWith('shape:') || !record) return;
+    const props = record.props || {};
+    shapes.push({
+      id: key,
+      type: record.type,
+      parentId: record.parentId,
+      index: record.index,
+      x: record.x ?? 0,
+      y: record.y ?? 0,
+      rotation: record.rotation ?? 0,
+      ...(props.w !== undefined && { w: props.w }),
+      ...(props.h !== undefined && { h: props.h }),
+      ...(typeof props.text === 'string' && props.text && { text: props.text }),
+      ...(props.geo !== undefined && { geo: props.geo }),
+      ...(props.color !== undefined && { color: props.color }),
+    });
+  });
+
+  // Fractional indexes sort by code point, not locale
+  const compare = (a = '', b = '') => (a < b ? -1 : a > b ? 1 : 0);
+  return shapes.sort((a, b) => compare(a.parentId, b.parentId) || compare(a.index, b.index));
+}
+
+/**
+ * Make a doc's canvas match another's: records missing from the target are
+ * deleted and differing ones overwritten, as ordinary CRDT changes that
+ * connected clients merge. Session records (cameras, presence) are kept.
+ * @param {Y.Doc} doc - Live doc, changed in place
+ * @param {Y.Doc} target
+ * @returns {{removed: number, written: number}}
+ */
+function replaceRecords(doc, target) {
+  const store = doc.getMap('tldraw');
+  const wanted = target.getMap('tldraw');
+  const removed = [...store.keys()].filter(key => !isSessionRecord(key) && !wanted.has(key));
+  const written = [...wanted.entries()].filter(([key, record]) =>
+    !isSessionRecord(key) && JSON.stringify(store.get(key)) !== JSON.stringify(record)
+  );
+
+  doc.transact(() => {
+    removed.forEach(key => store.delete(key));
+    written.forEach(([key, record]) => store.set(key, record));
+  });
+
+  return { removed: removed.length, written: written.length };
+}
+
+module.exports = {
+  COMPACT_AFTER_UPDATES,
+  AUTO_SNAPSHOT_INTERVAL_MS,
+  countShapes,
+  isSessionRecord,
+  loadBoardDoc,
+  appendBoardUpdate,
+  compactBoardDoc,
+  saveSnapshot,
+  snapshotDoc,
+  listShapes,
+  replaceRecords,
+};
@@ -0,0 +1,176 @@
+const Y = require('yjs');
+const MindMap = require('../models/MindMap');
+
+/**
+ * Yjs documents for collaborative mind map editing
+ *
+ * Mind map docs live next to board docs in yjsPersistence, named
+ * "mindmap:{mindMapId}". Each node and edge is a nested Y.Map keyed by its id
+ * so concurrent edits to different fields (label vs position) both survive.
+ *
+ *   doc.getMap('nodes'): id -> Y.Map { label, type, position, style, data }
+ *   doc.getMap('edges'): id -> Y.Map { from, to, relation, style }
+ *
+ * The structure is written back into MindMap.nodes/edges on persist, so the
+ * REST API and exports keep working off the same document.
+ */
+
+const MINDMAP_DOC_PREFIX = 'mindmap:';
+
+const NODE_FIELDS = ['label', 'type', 'position', 'style', 'data'];
+const EDGE_FIELDS = ['from', 'to', 'relation', 'style'];
+const NODE_TYPES = MindMap.schema.path('nodes').schema.path('type').enumValues;
+
+const isMindMapDoc = (docName) => docName.startsWith(MINDMAP_DOC_PREFIX);
+
+const mindMapDocName = (mindMapId) => `${MINDMAP_DOC_PREFIX}${mindMapId}`;
+
+const mindMapIdFromDoc = (docName) => docName.slice(MINDMAP_DOC_PREFIX.length);
+
+// Mongoose subdocuments -> plain JSON before they go into the doc
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+function toYMap(item, fields) {
+  const ymap = new Y.Map();
+  fields.forEach(field => {
+    const value = toPlain(item[field]);
+    if (value !== undefined && value !== null) ymap.set(field, value);
+  });
+  return ymap;
+}
+
+/**
+ * Fill an empty doc from a mind map's nodes and edges
+ */
+function seedDoc(doc, { nodes = [], edges = [] }) {
+  doc.transact(() => {
+    const ynodes = doc.getMap('nodes');
+    const yedges = doc.getMap('edges');
+    nodes.forEach(node => ynodes.set(node.id, toYMap(node, NODE_FIELDS)));
+    edges.forEach(edge => yedges.set(edge.id, toYMap(edge, EDGE_FIELDS)));
+  });
+}
+
+/**
+ * Read nodes and edges back out of a doc, dropping anything that wouldn't
+ * pass MindMap validation (missing labels, dangling edges)
+ * @returns {{nodes: Array, edges: Array}}
+ */
+function docToGraph(doc) {
+  const nodes = [];
+  doc.getMap('nodes').forEach((ynode, id) => {
+    if (!(ynode instanceof Y.Map)) return;
+    const label = typeof ynode.get('label') === 'string' ? ynode.get('label').trim() : '';
+    if (!label) return;
+
+    const node = { id, label };
+    const type = ynode.get('type');
+    node.type = NODE_TYPES.includes(type) ? type : 'concept';
+    ['position', 'style', 'data'].forEach(field => {
+      if (ynode.has(field)) node[field] = ynode.get(field);
+    });
+    nodes.push(node);
+  });
+
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const edges = [];
+  doc.getMap('edges').forEach((yedge, id) => {
+    if (!(yedge instanceof Y.Map)) return;
+    const from = yedge.get('from');
+    const to = yedge.get('to');
+    if (!nodeIds.has(from) || !nodeIds.has(to)) return;
+
+    const edge = { id, from, to };
+    ['relation', 'style'].forEach(field => {
+      if (yedge.has(field)) edge[field] = yedge.get(field);
+    });
+    edges.push(edge);
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Make one collection of a doc (nodes or edges) match a list: missing items
+ * are deleted and only the fields that differ are written, so concurrent
+ * edits to other fields survive
+ */
+function replaceItems(ymap, items, fields) {
+  const wanted = new Map(items.map(item => [item.id, item]));
+  [...ymap.keys()].filter(id => !wanted.has(id)).forEach(id => ymap.delete(id));
+
+  wanted.forEach((item, id) => {
+    const current = ymap.get(id);
+    if (!(current instanceof Y.Map)) {
+      ymap.set(id, toYMap(item, fields));
+      return;
+    }
+    fields.forEach(field => {
+      const value = toPlain(item[field]);
+      if (value === undefined || value === null) {
+        if (current.has(field)) current.delete(field);
+      } else if (JSON.stringify(current.get(field)) !== JSON.stringify(value)) {
+        current.set(field, value);
+      }
+    });
+  });
+}
+
+/**
+ * Apply a whole-document edit (e.g. from the REST API) to a live doc as
+ * ordinary CRDT changes that connected clients merge
+ * @param {Y.Doc} doc - Changed in place
+ * @param {{nodes?: Array, edges?: Array}} graph - Collections to replace
+ */
+function replaceGraph(doc, { nodes, edges }) {
+  doc.transact(() => {
+    if (nodes) replaceItems(doc.getMap('nodes'), nodes, NODE_FIELDS);
+    if (edges) replaceItems(doc.getMap('edges'), edges, EDGE_FIELDS);
+  });
+}
+
+/**
+ * Load a mind map doc from MongoDB (saved CRDT state, or seeded from nodes/edges)
+ */
+async function loadMindMapDoc(docName, doc) {
+  const mindMap = await MindMap.findById(mindMapIdFromDoc(docName))
+    .select('+yjsState nodes edges')
+    .lean();
+  if (!mindMap) return;
+
+  if (mindMap.yjsState) {
+    const update = new Uint8Array(mindMap.yjsState.buffer || mindMap.yjsState);
+    Y.applyUpdate(doc, update);
+    console.log(`[Yjs] Loaded mind map doc ${docName} (${update.length} bytes)`);
+    return;
+  }
+
+  seedDoc(doc, mindMap);
+  console.log(`[Yjs] Seeded mind map doc ${docName} with ${mindMap.nodes.length} nodes`);
+}
+
+/**
+ * Write the doc's CRDT state and its nodes/edges back to the mind map
+ */
+async function persistMindMapDoc(docName, doc) {
+  const stateBuffer = Buffer.from(Y.encodeStateAsUpdate(doc));
+  const { nodes, edges } = docToGraph(doc);
+
+  await MindMap.updateOne(
+    { _id: mindMapIdFromDoc(docName) },
+    { $set: { nodes, edges, yjsState: stateBuffer, yjsUpdatedAt: new Date() } }
+  );
+
+  console.log(`[Yjs] Persisted mind map doc ${docName} (${nodes.length} nodes, ${stateBuffer.length} bytes)`);
+}
+
+module.exports = {
+  isMindMapDoc,
+  mindMapDocName,
+  mindMapIdFromDoc,
+  seedDoc,
+  docToGraph,
+  replaceGraph,
+  loadMindMapDoc,
+  persistMindMapDoc,
+};
@@ -3,14 +3,22 @@ const syncProtocol = require('y-protocols/sync');
 const awarenessProtocol = require('y-protocols/awareness');
 const encoding = require('lib0/encoding');
 const decoding = require('lib0/decoding');
-const map = require('lib0/map');
-const Board = require('../models/Board');
+const { isMindMapDoc, loadMindMapDoc, persistMindMapDoc } = require('./yjsMindMapDoc');
+const { loadBoardDoc, appendBoardUpdate, compactBoardDoc } = require('./yjsBoardDoc');
+const replication = require('./yjsReplication');
+const boardThumbnailService = require('../services/boardThumbnail.service');
 
 /**
  * Yjs Persistence + WebSocket Connection Handler
  * 
  * Custom implementation (instead of y-websocket's default utils)
- * to support MongoDB persistence for Collabry boards.
+ * to support MongoDB persistence for Collabry boards and mind maps.
+ * Board docs are named by boardId, mind map docs by "mindmap:{mindMapId}".
+ *
+ * Docs are shared with other API instances through yjsReplication. Board
+ * changes made through this instance are appended to the board's update
+ * log (see yjsBoardDoc); changes received from other instances are left
+ * for them to store.
  */
 
 const wsReadyStateConnecting = 0;
@@ -27,6 +35,13 @@ const docs = new Map();
 const persistTimers = new Map();
 const PERSIST_DEBOUNCE_MS = 2000; // Save to MongoDB 2s after last change
 
+// Transaction origins of changes that must not be stored or published again
+const LOAD_ORIGIN = 'load';
+const REMOTE_ORIGIN = 'remote';
+
+// Applies ACCESS messages from other instances, see onAccessMessage
+let accessHandler = null;
+
 /**
  * WSSharedDoc - A Y.Doc with WebSocket connection tracking + awareness
  */
@@ -39,6 +54,14 @@ class WSSharedDoc extends Y.Doc {
     /** @type {awarenessProtocol.Awareness} */
     this.awareness = new awarenessProtocol.Awareness(this);
     this.awareness.setLocalState(null);
+    /** @type {Uint8Array[]} Local board changes not yet persisted */
+    this.pendingUpdates = [];
+    /** @type {Set<string>} Users who made the pending changes */
+    this.pendingEditors = new Set();
+    /** @type {Promise<void>} Resolves once the stored state is loaded */
+    this.whenLoaded = null;
+    /** @type {NodeJS.Timeout|null} Pending eviction, see scheduleEviction */
+    this.evictionTimer = null;
 
     // Handle awareness updates
     const awarenessChangeHandler = ({ added, updated, removed }, conn) => {
@@ -53,12 +76,15 @@ class WSSharedDoc extends Y.Doc {
       // Broadcast awareness update
       const encoder = encoding.createEncoder();
       encoding.writeVarUint(encoder, messageAwareness);
-      encoding.writeVarUint8Array(
-        encoder,
-        awarenessProtocol.encodeAwarenessUpdate(this.awareness, changedClients)
-      );
+      const awarenessUpdate = awarenessProtocol.encodeAwarenessUpdate(this.awareness, changedClients);
+      encoding.writeVarUint8Array(encoder, awarenessUpdate);
       const buff = encoding.toUint8Array(encoder);
       this.conns.forEach((_, c) => send(this, c, buff));
+
+      // Share our clients' presence with the other instances
+      if (conn !== REMOTE_ORIGIN) {
+        replication.publish(this.name, replication.messageTypes.AWARENESS, awarenessUpdate);
+      }
     };
     this.awareness.on('update', awarenessChangeHandler);
 
@@ -72,7 +98,16 @@ class WSSharedDoc extends Y.Doc {
       // Broadcast to all connected clients
       this.conns.forEach((_, conn) => send(this, conn, message));
 
-      // Debounced persist to MongoDB
+      if (origin === LOAD_ORIGIN || origin === REMOTE_ORIGIN) return;
+
+      replication.publish(this.name, replication.messageTypes.UPDATE, update);
+
+      // Debounced persist to MongoDB (mind maps are saved whole, boards as a log)
+      if (!isMindMapDoc(this.name)) {
+        this.pendingUpdates.push(update);
+        // Connections and changeDoc carry the user making the change
+        if (origin?.userId) this.pendingEditors.add(origin.userId);
+      }
       schedulePersist(this.name);
     });
   }
@@ -94,34 +129,30 @@ function schedulePersist(docName) {
 /**
  * Persist a Yjs document to MongoDB
  */
-async function persistDoc(docName) {
-  const doc = docs.get(docName);
+async function persistDoc(docName, doc = docs.get(docName)) {
   if (!doc) return;
 
-  try {
-    const stateVector = Y.encodeStateAsUpdate(doc);
-    const stateBuffer = Buffer.from(stateVector);
-
-    // Count shapes in the Yjs store for the board card display
-    let shapeCount = 0;
+  if (isMindMapDoc(docName)) {
     try {
-      const store = doc.getMap('tldraw');
-      store.forEach((value, key) => {
-        // tldraw stores shapes with keys like 'shape:...' 
-        if (key.startsWith('shape:')) shapeCount++;
-      });
-    } catch (_) { /* ignore count errors */ }
-
-    await Board.findByIdAndUpdate(docName, {
-      yjsState: stateBuffer,
-      yjsUpdatedAt: new Date(),
-      updatedAt: new Date(),
-      lastActivity: new Date(),
-      shapeCount,
-    });
+      await persistMindMapDoc(docName, doc);
+    } catch (error) {
+      console.error(`[Yjs] Failed to persist doc ${docName}:`, error.message);
+    }
+    return;
+  }
 
-    console.log(`[Yjs] Persisted doc ${docName} (${stateBuffer.length} bytes)`);
+  const updates = doc.pendingUpdates.splice(0);
+  if (!updates.length) return;
+  const editors = [...doc.pendingEditors];
+  doc.pendingEditors.clear();
+
+  try {
+    await appendBoardUpdate(docName, Y.mergeUpdates(updates), doc, { instanceId: replication.instanceId, editors });
+    boardThumbnailService.schedule(docName);
   } catch (error) {
+    // Keep the changes for the next attempt
+    doc.pendingUpdates.unshift(...updates);
+    editors.forEach(userId => doc.pendingEditors.add(userId));
     console.error(`[Yjs] Failed to persist doc ${docName}:`, error.message);
   }
 }
@@ -130,74 +161,95 @@ async function persistDoc(docName) {
  * Load a Yjs document from MongoDB (or existing elements)
  */
 async function loadDoc(docName, doc) {
-  try {
-    const board = await Board.findById(docName).lean();
-    if (!board) return;
-
-    // If we have a saved Yjs state, apply it
-    if (board.yjsState) {
-      const update = new Uint8Array(board.yjsState.buffer || board.yjsState);
-      Y.applyUpdate(doc, update);
-      console.log(`[Yjs] Loaded doc ${docName} from yjsState (${update.length} bytes)`);
-      return;
+  if (isMindMapDoc(docName)) {
+    try {
+      await loadMindMapDoc(docName, doc);
+    } catch (error) {
+      console.error(`[Yjs] Failed to load doc ${docName}:`, error.message);
     }
+    return;
+  }
 
-    // Migration: If we have legacy elements but no yjsState, 
-    // populate the Yjs doc from the elements array
-    if (board.elements && board.elements.length > 0) {
-      console.log(`[Yjs] Migrating ${board.elements.length} legacy elements for board ${docName}`);
-      
-      const store = doc.getMap('tldraw');
-      
-      board.elements.forEach(el => {
-        if (!el.id || !el.type) return;
-        
-        const record = {
-          id: el.id,
-          typeName: el.typeName || 'shape',
-          type: el.type,
-          x: el.x || 0,
-          y: el.y || 0,
-          rotation: el.rotation || 0,
-          isLocked: el.isLocked || false,
-          opacity: el.opacity ?? 1,
-          props: el.props || {},
-          meta: el.meta || {},
-          parentId: el.parentId || 'page:page',
-          index: el.index || 'a1',
-        };
-        
-        store.set(el.id, record);
-      });
-
-      // Persist immediately so next load uses yjsState
-      const stateVector = Y.encodeStateAsUpdate(doc);
-      await Board.findByIdAndUpdate(docName, {
-        yjsState: Buffer.from(stateVector),
-        yjsUpdatedAt: new Date(),
-      });
-      
-      console.log(`[Yjs] Migration complete for board ${docName}`);
-    }
+  try {
+    await loadBoardDoc(docName, doc);
   } catch (error) {
     console.error(`[Yjs] Failed to load doc ${docName}:`, error.message);
   }
 }
 
 /**
- * Get or create a YDoc for a board
+ * Get or create a YDoc for a board or mind map
  */
 async function getYDoc(docName) {
   let doc = docs.get(docName);
-  if (doc) return doc;
+  if (doc) {
+    await doc.whenLoaded;
+    return doc;
+  }
 
   doc = new WSSharedDoc(docName);
   docs.set(docName, doc);
-  
-  await loadDoc(docName, doc);
+
+  doc.whenLoaded = (async () => {
+    // Subscribe first so no change made elsewhere during the load is missed
+    await replication.subscribe(docName, (type, payload) => handleReplicationMessage(doc, type, payload));
+
+    // Load into a scratch doc so the stored state isn't logged again
+    const stored = new Y.Doc();
+    await loadDoc(docName, stored);
+    Y.applyUpdate(doc, Y.encodeStateAsUpdate(stored), LOAD_ORIGIN);
+    stored.destroy();
+
+    // Catch up on changes other instances haven't persisted yet
+    replication.publish(docName, replication.messageTypes.SYNC_REQUEST, Y.encodeStateVector(doc));
+  })();
+
+  await doc.whenLoaded;
   return doc;
 }
 
+/**
+ * Apply a message from another instance holding the same doc
+ */
+function handleReplicationMessage(doc, type, payload) {
+  switch (type) {
+    case replication.messageTypes.UPDATE:
+      Y.applyUpdate(doc, payload, REMOTE_ORIGIN);
+      break;
+    case replication.messageTypes.AWARENESS:
+      awarenessProtocol.applyAwarenessUpdate(doc.awareness, payload, REMOTE_ORIGIN);
+      break;
+    case replication.messageTypes.SYNC_REQUEST: {
+      const missing = Y.encodeStateAsUpdate(doc, payload);
+      // An update with no structs or deletions is 2 bytes
+      if (missing.length > 2) {
+        replication.publish(doc.name, replication.messageTypes.UPDATE, missing);
+      }
+      // Tell the newcomer who is on the board through this instance
+      const localClients = [...doc.conns.values()].flatMap(ids => [...ids]);
+      if (localClients.length) {
+        replication.publish(
+          doc.name,
+          replication.messageTypes.AWARENESS,
+          awarenessProtocol.encodeAwarenessUpdate(doc.awareness, localClients)
+        );
+      }
+      break;
+    }
+    case replication.messageTypes.ACCESS:
+      if (accessHandler) accessHandler(doc.name, payload);
+      break;
+  }
+}
+
+/**
+ * Handle access changes other instances publish for docs open here
+ * @param {Function} handler - (docName, payload) => void
+ */
+function onAccessMessage(handler) {
+  accessHandler = handler;
+}
+
 /**
  * Send a message to a WebSocket if it's open
  */
@@ -215,6 +267,46 @@ function send(doc, conn, m) {
   }
 }
 
+const EVICT_AFTER_MS = 30000;
+
+/**
+ * Drop a doc nobody is connected to from memory after 30s. One timer per
+ * doc: scheduling again restarts it.
+ */
+function scheduleEviction(doc) {
+  clearTimeout(doc.evictionTimer);
+  doc.evictionTimer = setTimeout(() => {
+    doc.evictionTimer = null;
+    evictDoc(doc);
+  }, EVICT_AFTER_MS);
+}
+
+async function evictDoc(doc) {
+  // Checked again after every await: a client may have connected, or the
+  // doc been replaced by a newer copy, meanwhile
+  const inUse = () => doc.conns.size > 0 || docs.get(doc.name) !== doc;
+  if (inUse()) return;
+
+  const isBoard = !isMindMapDoc(doc.name);
+  // Store changes made since the final persist before a new load could miss them
+  if (isBoard) await persistDoc(doc.name, doc);
+  if (inUse()) return;
+
+  if (doc.pendingUpdates.length) {
+    console.warn(`[Yjs] Keeping doc ${doc.name} in memory until its changes are stored`);
+    scheduleEviction(doc);
+    return;
+  }
+
+  docs.delete(doc.name);
+  await replication.unsubscribe(doc.name);
+  if (isBoard) {
+    await compactBoardDoc(doc.name).catch(err => console.error(`[Yjs] Failed to compact doc ${doc.name}:`, err.message));
+  }
+  doc.destroy();
+  console.log(`[Yjs] Evicted idle doc ${doc.name} from memory`);
+}
+
 /**
  * Close a WebSocket connection and clean up
  */
@@ -232,13 +324,7 @@ function closeConn(doc, conn) {
     if (doc.conns.size === 0) {
       // Final persist
       persistDoc(doc.name);
-      // Clean up from memory after 30s of no connections
-      setTimeout(() => {
-        if (doc.conns.size === 0) {
-          docs.delete(doc.name);
-          console.log(`[Yjs] Evicted idle doc ${doc.name} from memory`);
-        }
-      }, 30000);
+      scheduleEviction(doc);
     }
   }
   conn.close();
@@ -246,9 +332,17 @@ function closeConn(doc, conn) {
 
 /**
  * Handle a new WebSocket connection for Yjs sync
+ * @param {WebSocket} conn
+ * @param {http.IncomingMessage} req - Authenticated upgrade request (req.userId)
+ * @param {Object} options
+ * @param {string} options.docName
+ * @param {boolean} [options.readOnly=false] - Only receive the doc; updates from
+ *   the connection are dropped. Can be changed later through conn.readOnly.
  */
-async function setupWSConnection(conn, req, { docName }) {
+async function setupWSConnection(conn, req, { docName, readOnly = false }) {
   conn.binaryType = 'arraybuffer';
+  conn.userId = req.userId;
+  conn.readOnly = readOnly;
 
   const doc = await getYDoc(docName);
 
@@ -263,6 +357,10 @@ async function setupWSConnection(conn, req, { docName }) {
 
       switch (messageType) {
         case messageSync: {
+          // Read-only connections may request the doc (sync step 1) but not change it
+          if (conn.readOnly && decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) {
+            break;
+          }
           const encoder = encoding.createEncoder();
           encoding.writeVarUint(encoder, messageSync);
           syncProtocol.readSyncMessage(decoder, encoder, doc, conn);
@@ -316,4 +414,45 @@ async function setupWSConnection(conn, req, { docName }) {
   }
 }
 
-module.exports = { setupWSConnection, getYDoc, docs, persistDoc };
+/**
+ * Change a doc from the server, e.g. a board restore. The change reaches
+ * connected clients and other instances like any edit and is persisted
+ * before this resolves.
+ * @param {string} docName
+ * @param {ObjectId|string} userId - Who the change is credited to
+ * @param {Function} change - (doc) => result, run in one transaction
+ * @returns {Promise<*>} What change returned
+ */
+async function changeDoc(docName, userId, change) {
+  const doc = await getYDoc(docName);
+  try {
+    let result;
+    doc.transact(() => {
+      result = change(doc);
+    }, { userId: userId.toString() });
+    await persistDoc(docName, doc);
+    return result;
+  } finally {
+    // Opened just for this change
+    if (doc.conns.size === 0) scheduleEviction(doc);
+  }
+}
+
+/**
+ * Open connections to a doc
+ * @returns {WebSocket[]}
+ */
+function getDocConns(docName) {
+  const doc = docs.get(docName);
+  return doc ? [...doc.conns.keys()] : [];
+}
+
+/**
+ * A user's open connections to a doc
+ * @returns {WebSocket[]}
+ */
+function getUserConns(docName, userId) {
+  return getDocConns(docName).filter(conn => conn.userId === userId.toString());
+}
+
+module.exports = { setupWSConnection, getYDoc, changeDoc, getDocConns, getUserConns, onAccessMessage, docs, persistDoc };
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const { getRedisClient } = require('../config/redis');
+
+/**
+ * Yjs document replication between API instances
+ *
+ * Each instance keeps its own in-memory copy of the docs its clients have
+ * open. Changes are published on a per-doc Redis channel and applied by
+ * every other instance holding that doc, so clients connected to different
+ * replicas edit the same document. Without Redis the docs are simply local
+ * to the instance.
+ *
+ * Messages on `yjs:doc:{docName}` are lib0-encoded:
+ *   varString instanceId | varUint type | varUint8Array payload
+ *
+ *   UPDATE       - Yjs update
+ *   AWARENESS    - awareness update
+ *   SYNC_REQUEST - state vector of an instance that just opened the doc;
+ *                  instances holding it answer with the missing UPDATE
+ *   ACCESS       - a user's new role on a board, applied to their
+ *                  connections on every instance
+ */
+
+const CHANNEL_PREFIX = 'yjs:doc:';
+
+const messageTypes = {
+  UPDATE: 0,
+  AWARENESS: 1,
+  SYNC_REQUEST: 2,
+  ACCESS: 3
+};
+
+// Identifies this process's messages so it ignores its own publications
+const instanceId = crypto.randomUUID();
+
+// { publish(channel, buffer), subscribe(channel, listener(buffer)), unsubscribe(channel) }
+let transport = null;
+let subscriber = null;
+
+const channelFor = (docName) => `${CHANNEL_PREFIX}${docName}`;
+
+/**
+ * Start replicating docs through Redis, or through the given transport
+ * (used by tests to connect instances in one process)
+ * @param {Object} [customTransport]
+ * @returns {Promise<boolean>} Whether replication is on
+ */
+async function startYjsReplication(customTransport) {
+  if (customTransport) {
+    transport = customTransport;
+    return true;
+  }
+
+  const publisher = await getRedisClient();
+  if (!publisher) {
+    console.warn('[Yjs] Redis unavailable, board and mind map docs are not shared between instances');
+    return false;
+  }
+
+  subscriber = publisher.duplicate();
+  subscriber.on('error', (err) => console.error('[Yjs] Replication subscriber error:', err.message));
+  await subscriber.connect();
+
+  transport = {
+    publish: (channel, message) => publisher.publish(channel, message),
+    // Buffer mode: Yjs updates are binary
+    subscribe: (channel, listener) => subscriber.subscribe(channel, listener, true),
+    unsubscribe: (channel) => subscriber.unsubscribe(channel)
+  };
+
+  console.log(`🔌 Replicating Yjs docs between instances (instance ${instanceId})`);
+  return true;
+}
+
+async function stopYjsReplication() {
+  transport = null;
+  if (subscriber) {
+    await subscriber.quit().catch(() => {});
+    subscriber = null;
+  }
+}
+
+/**
+ * Publish a change to a doc to the other instances
+ * @param {string} docName
+ * @param {number} type - messageTypes value
+ * @param {Uint8Array} payload
+ */
+function publish(docName, type, payload) {
+  if (!transport) return;
+
+  const encoder = encoding.createEncoder();
+  encoding.writeVarString(encoder, instanceId);
+  encoding.writeVarUint(encoder, type);
+  encoding.writeVarUint8Array(encoder, payload);
+
+  Promise.resolve(transport.publish(channelFor(docName), Buffer.from(encoding.toUint8Array(encoder))))
+    .catch(err => console.warn(`[Yjs] Publish to ${docName} failed:`, err.message));
+}
+
+/**
+ * Receive other instances' messages for a doc
+ * @param {string} docName
+ * @param {Function} handler - (type, payload) => void
+ */
+async function subscribe(docName, handler) {
+  if (!transport) return;
+
+  await transport.subscribe(channelFor(docName), (message) => {
+    try {
+      const decoder = decoding.createDecoder(new Uint8Array(message));
+      if (decoding.readVarString(decoder) === instanceId) return;
+      handler(decoding.readVarUint(decoder), decoding.readVarUint8Array(decoder));
+    } catch (err) {
+      console.warn(`[Yjs] Dropped malformed message for ${docName}:`, err.message);
+    }
+  });
+}
+
+async function unsubscribe(docName) {
+  if (!transport) return;
+  await Promise.resolve(transport.unsubscribe(channelFor(docName)))
+    .catch(err => console.warn(`[Yjs] Unsubscribe from ${docName} failed:`, err.message));
+}
+
+module.exports = {
+  messageTypes,
+  instanceId,
+  startYjsReplication,
+  stopYjsReplication,
+  publish,
+  subscribe,
+  unsubscribe,
+};
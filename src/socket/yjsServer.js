@@ -1,23 +1,48 @@
 const WebSocket = require('ws');
 const http = require('http');
 const Y = require('yjs');
-const { setupWSConnection, setPersistence } = require('./yjsPersistence');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const { setupWSConnection, getDocConns, getUserConns, onAccessMessage } = require('./yjsPersistence');
+const replication = require('./yjsReplication');
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
 const Board = require('../models/Board');
+const mindMapService = require('../services/mindmap.service');
+const { mindMapDocName } = require('./yjsMindMapDoc');
 const url = require('url');
 
 /**
- * Yjs WebSocket Server for tldraw collaboration
+ * Yjs WebSocket Server for tldraw and mind map collaboration
  * 
  * Handles real-time CRDT sync between tldraw clients.
  * Each board gets its own Yjs document identified by boardId.
+ * Mind maps are served from /yjs/mindmap/{mindMapId} as "mindmap:{id}" docs.
  * Documents are persisted to MongoDB on changes.
  */
 
 // In-memory map of active Yjs docs: boardId -> { doc, conns, awareness }
 const docs = new Map();
 
+// Roles whose connections may change the board; others only receive it
+const WRITE_ROLES = ['owner', 'editor'];
+// Close code sent to members removed from a board (4000-4999 are app-defined)
+const CLOSE_ACCESS_REVOKED = 4403;
+
+/**
+ * A user's role on a board: 'owner', their member role, 'viewer' for
+ * non-members of a public board, or null without access (or once deleted)
+ * @param {Object} board - Lean board
+ * @param {string} userId
+ */
+function boardRole(board, userId) {
+  if (board.deletedAt) return null;
+  if (board.owner.toString() === userId) return 'owner';
+  const member = board.members.find(m => m.userId.toString() === userId);
+  if (member) return member.role;
+  return board.isPublic ? 'viewer' : null;
+}
+
 /**
  * Attach the Yjs WebSocket server to an existing HTTP server
  * @param {http.Server} server - The Express HTTP server
@@ -36,6 +61,11 @@ function attachYjsWebSocket(server) {
       const params = new URLSearchParams(url.parse(request.url).query || '');
       const token = params.get('token');
 
+      // Mind maps: /yjs/mindmap/{mindMapId}?token={jwt}
+      if (boardId === 'mindmap') {
+        return handleMindMapUpgrade(wss, request, socket, head, parts[3], token);
+      }
+
       // Authenticate
       try {
         if (!token) {
@@ -55,10 +85,9 @@ function attachYjsWebSocket(server) {
         }
 
         const userId = decoded.id;
-        const isMember = board.owner.toString() === userId ||
-          board.members.some(m => m.userId.toString() === userId);
+        const role = boardRole(board, userId);
 
-        if (!isMember && !board.isPublic) {
+        if (!role) {
           socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
           socket.destroy();
           return;
@@ -68,6 +97,7 @@ function attachYjsWebSocket(server) {
         request.userId = userId;
         request.userEmail = decoded.email;
         request.boardId = boardId;
+        request.readOnly = !WRITE_ROLES.includes(role);
 
         wss.handleUpgrade(request, socket, head, (ws) => {
           wss.emit('connection', ws, request);
@@ -82,14 +112,144 @@ function attachYjsWebSocket(server) {
   });
 
   wss.on('connection', (ws, request) => {
-    const { boardId, userId, userEmail } = request;
-    console.log(`[Yjs] ${userEmail} connected to board ${boardId}`);
+    const { boardId, mindMapId, userEmail, readOnly } = request;
+
+    if (mindMapId) {
+      console.log(`[Yjs] ${userEmail} connected to mind map ${mindMapId}`);
+      setupWSConnection(ws, request, { docName: mindMapDocName(mindMapId) });
+      return;
+    }
 
-    setupWSConnection(ws, request, { docName: boardId });
+    console.log(`[Yjs] ${userEmail} connected to board ${boardId}${readOnly ? ' (read-only)' : ''}`);
+
+    setupWSConnection(ws, request, { docName: boardId, readOnly });
   });
 
-  console.log('[Yjs] WebSocket server attached (upgrade path: /yjs/{boardId})');
+  console.log('[Yjs] WebSocket server attached (upgrade paths: /yjs/{boardId}, /yjs/mindmap/{mindMapId})');
   return wss;
 }
 
-module.exports = { attachYjsWebSocket };
+/**
+ * Authenticate a mind map upgrade. Only the owner and notebook collaborators
+ * who can edit join the shared doc; read-only users load the map over REST.
+ */
+async function handleMindMapUpgrade(wss, request, socket, head, mindMapId, token) {
+  try {
+    if (!token) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    const decoded = jwt.verify(token, config.jwt.accessSecret);
+
+    if (!/^[a-f\d]{24}$/i.test(mindMapId || '')) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    const role = await mindMapService.getCollaboratorRole(mindMapId, decoded.id);
+    if (role !== 'owner' && role !== 'editor') {
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    request.userId = decoded.id;
+    request.userEmail = decoded.email;
+    request.mindMapId = mindMapId;
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request);
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    console.error('[Yjs] Mind map auth error:', error.message);
+    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+    socket.destroy();
+  }
+}
+
+/**
+ * Apply a board role change to the user's open connections: viewers become
+ * read-only, owners and editors writable, and without a role (removed from
+ * the board) the connections are closed. Other instances holding the board
+ * apply it to the connections they serve.
+ * @param {ObjectId|string} boardId
+ * @param {ObjectId|string} userId
+ * @param {string|null} role
+ * @returns {number} Connections affected on this instance
+ */
+function updateBoardAccess(boardId, userId, role) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarString(encoder, userId.toString());
+  encoding.writeVarString(encoder, role || '');
+  replication.publish(boardId.toString(), replication.messageTypes.ACCESS, encoding.toUint8Array(encoder));
+
+  return applyBoardAccess(boardId.toString(), userId.toString(), role);
+}
+
+/**
+ * Re-check every open connection to a board against its stored owner,
+ * members and visibility, after it was made private or deleted: non-members
+ * of a board that is no longer public, and everyone on a deleted board, are
+ * disconnected. Other instances holding the board re-check the connections
+ * they serve.
+ * @param {ObjectId|string} boardId
+ * @returns {Promise<number>} Connections affected on this instance
+ */
+async function refreshBoardAccess(boardId) {
+  // An empty user id stands for every user on the board
+  const encoder = encoding.createEncoder();
+  encoding.writeVarString(encoder, '');
+  encoding.writeVarString(encoder, '');
+  replication.publish(boardId.toString(), replication.messageTypes.ACCESS, encoding.toUint8Array(encoder));
+
+  return reapplyBoardAccess(boardId.toString());
+}
+
+// Role changes made through other instances
+onAccessMessage((boardId, payload) => {
+  const decoder = decoding.createDecoder(payload);
+  const userId = decoding.readVarString(decoder);
+  if (!userId) {
+    reapplyBoardAccess(boardId).catch(err => console.error(`[Yjs] Failed to re-check access to board ${boardId}:`, err.message));
+    return;
+  }
+  applyBoardAccess(boardId, userId, decoding.readVarString(decoder) || null);
+});
+
+async function reapplyBoardAccess(boardId) {
+  const userIds = new Set(getDocConns(boardId).map(conn => conn.userId));
+  if (!userIds.size) return 0;
+
+  const board = await Board.findById(boardId).select('owner members isPublic deletedAt').lean();
+  let affected = 0;
+  for (const userId of userIds) {
+    affected += applyBoardAccess(boardId, userId, board ? boardRole(board, userId) : null);
+  }
+  return affected;
+}
+
+function applyBoardAccess(boardId, userId, role) {
+  const conns = getUserConns(boardId, userId);
+
+  for (const conn of conns) {
+    conn.readOnly = !WRITE_ROLES.includes(role);
+    if (!role) {
+      conn.close(CLOSE_ACCESS_REVOKED, 'Board access revoked');
+    }
+  }
+
+  if (conns.length) {
+    console.log(`[Yjs] ${role ? `Role of ${userId} set to ${role}` : `Disconnected ${userId}`} on board ${boardId} (${conns.length} connection(s))`);
+  }
+  return conns.length;
+}
+
+module.exports = { attachYjsWebSocket, updateBoardAccess, refreshBoardAccess, CLOSE_ACCESS_REVOKED };
@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+
+/**
+ * Thumbnails for chat attachments
+ *
+ * Images are resized with sharp. PDFs get a preview of their first page,
+ * rendered by poppler's pdftoppm when it's installed (PDFTOPPM_PATH or
+ * `pdftoppm` on the PATH); without it PDFs simply get no preview.
+ * Thumbnails are WebP and never larger than THUMBNAIL_SIZE on either side.
+ */
+
+const THUMBNAIL_SIZE = 480;
+const THUMBNAIL_QUALITY = 75;
+const PDFTOPPM_TIMEOUT_MS = 30 * 1000;
+
+// Refuse to decode images bigger than this (decompression bombs)
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+/**
+ * Resize an image into a WebP thumbnail
+ * @param {Buffer} buffer
+ * @returns {Promise<{buffer: Buffer, contentType: string, width: number, height: number, original: {width: number, height: number}}|null>}
+ *   null when the image can't be decoded
+ */
+async function createImageThumbnail(buffer) {
+  try {
+    // First frame only for animated GIF/WebP; rotate() applies EXIF orientation
+    const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated: false }).rotate();
+    const metadata = await image.metadata();
+    const swap = metadata.orientation >= 5;
+
+    const { data, info } = await image
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: THUMBNAIL_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      contentType: 'image/webp',
+      width: info.width,
+      height: info.height,
+      original: {
+        width: swap ? metadata.height : metadata.width,
+        height: swap ? metadata.width : metadata.height,
+      },
+    };
+  } catch (err) {
+    console.warn(`[Previews] Image thumbnail failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Render the first page of a PDF to PNG with pdftoppm
+ * @returns {Promise<Buffer|null>} null if pdftoppm is missing or fails
+ */
+async function renderPdfFirstPage(buffer, { pdftoppmPath = process.env.PDFTOPPM_PATH || 'pdftoppm', timeoutMs = PDFTOPPM_TIMEOUT_MS } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'collabry-pdf-'));
+  const input = path.join(dir, 'input.pdf');
+  const outputRoot = path.join(dir, 'page');
+
+  try {
+    await fs.writeFile(input, buffer);
+
+    const rendered = await new Promise((resolve) => {
+      const child = spawn(pdftoppmPath, [
+        '-f', '1', '-l', '1', '-singlefile', '-png',
+        '-scale-to', String(THUMBNAIL_SIZE * 2),
+        input, outputRoot
+      ], { stdio: 'ignore' });
+
+      const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+      // ENOENT when pdftoppm isn't installed
+      child.on('error', () => {
+        clearTimeout(timer);
+        resolve(false);
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        resolve(code === 0);
+      });
+    });
+
+    return rendered ? await fs.readFile(`${outputRoot}.png`) : null;
+  } catch (err) {
+    console.warn(`[Previews] PDF render failed: ${err.message}`);
+    return null;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Thumbnail for an attachment, when its type has one
+ * @param {Buffer} buffer
+ * @param {string} mime - Sniffed MIME type
+ * @returns {Promise<Object|null>} See createImageThumbnail
+ */
+async function createPreview(buffer, mime) {
+  if (mime.startsWith('image/')) {
+    return createImageThumbnail(buffer);
+  }
+
+  if (mime === 'application/pdf') {
+    const page = await renderPdfFirstPage(buffer);
+    if (!page) return null;
+    const thumbnail = await createImageThumbnail(page);
+    // Page size in pixels says nothing about the PDF, don't report it
+    return thumbnail && { ...thumbnail, original: undefined };
+  }
+
+  return null;
+}
+
+module.exports = {
+  THUMBNAIL_SIZE,
+  createImageThumbnail,
+  renderPdfFirstPage,
+  createPreview,
+};
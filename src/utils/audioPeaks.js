@@ -0,0 +1,246 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Waveform peaks for audio sources
+ *
+ * Produces a fixed number of peak amplitudes (0..1 of full scale) that the
+ * frontend draws as a waveform. WAV files are decoded here; other formats
+ * are decoded by ffmpeg when it's installed (FFMPEG_PATH or `ffmpeg` on the
+ * PATH). Without ffmpeg those formats simply get no waveform.
+ */
+
+const DEFAULT_BINS = 800;
+const MAX_BINS = 2000;
+// Resolutions clients may ask for; they're cut down from the stored peaks
+const REQUEST_BINS = [100, 200, 400, 800];
+
+// ffmpeg decodes to mono 16-bit PCM at this rate, plenty for drawing peaks
+const FFMPEG_SAMPLE_RATE = 4000;
+const FFMPEG_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Samples folded into one intermediate peak before the final downsampling
+const BLOCK_SIZE = 64;
+
+/**
+ * Collects peak amplitudes in small blocks so long recordings never need
+ * all their samples in memory, then reduces them to the requested bins.
+ */
+class PeakAccumulator {
+  constructor(blockSize = BLOCK_SIZE) {
+    this.blockSize = blockSize;
+    this.blocks = [];
+    this.current = 0;
+    this.inBlock = 0;
+    this.samples = 0;
+  }
+
+  /**
+   * @param {number} amplitude - Absolute sample value, 0..1
+   */
+  add(amplitude) {
+    if (amplitude > this.current) this.current = amplitude;
+    this.samples++;
+    if (++this.inBlock === this.blockSize) {
+      this.blocks.push(this.current);
+      this.current = 0;
+      this.inBlock = 0;
+    }
+  }
+
+  /**
+   * @param {number} count - Number of bins
+   * @returns {number[]} Peak per bin, rounded to 3 decimals
+   */
+  bins(count) {
+    const blocks = this.inBlock > 0 ? [...this.blocks, this.current] : this.blocks;
+    return downsamplePeaks(blocks, count);
+  }
+}
+
+/**
+ * Reduce peaks to at most `count` values, keeping the loudest of each group
+ * @param {number[]} values
+ * @param {number} count
+ * @returns {number[]} Peaks rounded to 3 decimals
+ */
+function downsamplePeaks(values, count) {
+  if (values.length === 0) return [];
+
+  const size = Math.min(count, values.length);
+  const peaks = new Array(size);
+  for (let i = 0; i < size; i++) {
+    const from = Math.floor((i * values.length) / size);
+    const to = Math.floor(((i + 1) * values.length) / size);
+    let peak = 0;
+    for (let j = from; j < to; j++) {
+      if (values[j] > peak) peak = values[j];
+    }
+    peaks[i] = Math.round(Math.min(peak, 1) * 1000) / 1000;
+  }
+  return peaks;
+}
+
+const clampBins = (bins) => Math.min(MAX_BINS, Math.max(1, parseInt(bins, 10) || DEFAULT_BINS));
+
+/**
+ * Snap a client-requested resolution to the largest allowed one not above it
+ * @returns {number} One of REQUEST_BINS
+ */
+const requestBins = (bins) => {
+  const wanted = parseInt(bins, 10) || DEFAULT_BINS;
+  return [...REQUEST_BINS].reverse().find(size => size <= wanted) || REQUEST_BINS[0];
+};
+
+/**
+ * Reader for one sample of a WAV data chunk, normalized to -1..1
+ */
+function wavSampleReader(format, bitsPerSample) {
+  if (format === 3 && bitsPerSample === 32) return (buf, at) => buf.readFloatLE(at);
+  if (format === 3 && bitsPerSample === 64) return (buf, at) => buf.readDoubleLE(at);
+  if (format !== 1) return null;
+
+  switch (bitsPerSample) {
+    case 8: return (buf, at) => (buf.readUInt8(at) - 128) / 128;
+    case 16: return (buf, at) => buf.readInt16LE(at) / 32768;
+    case 24: return (buf, at) => buf.readIntLE(at, 3) / 8388608;
+    case 32: return (buf, at) => buf.readInt32LE(at) / 2147483648;
+    default: return null;
+  }
+}
+
+/**
+ * Decode a PCM or IEEE float WAV file into a peak accumulator
+ * @returns {{sampleRate: number, frames: number}|null} null if the file isn't a WAV this can read
+ */
+function decodeWav(buffer, accumulator) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let format = buffer.readUInt16LE(body);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (format === 0xFFFE && size >= 26) format = buffer.readUInt16LE(body + 24);
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        blockAlign: buffer.readUInt16LE(body + 12),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!fmt) return null;
+      const read = wavSampleReader(fmt.format, fmt.bitsPerSample);
+      if (!read || !fmt.channels || !fmt.blockAlign) return null;
+
+      const bytesPerSample = fmt.bitsPerSample / 8;
+      const end = Math.min(buffer.length, body + size);
+      let frames = 0;
+      for (let frame = body; frame + fmt.blockAlign <= end; frame += fmt.blockAlign) {
+        // Loudest channel wins, so stereo peaks match what's heard
+        let peak = 0;
+        for (let channel = 0; channel < fmt.channels; channel++) {
+          const value = Math.abs(read(buffer, frame + channel * bytesPerSample));
+          if (value > peak) peak = value;
+        }
+        accumulator.add(peak);
+        frames++;
+      }
+      return { sampleRate: fmt.sampleRate, frames };
+    }
+
+    // Chunks are word aligned
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * Decode any audio file with ffmpeg into a peak accumulator
+ * @returns {Promise<{sampleRate: number, frames: number}|null>} null if ffmpeg is missing or fails
+ */
+function decodeWithFfmpeg(filePath, accumulator, { ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg', timeoutMs = FFMPEG_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(ffmpegPath, [
+      '-v', 'error', '-i', filePath,
+      '-ac', '1', '-ar', String(FFMPEG_SAMPLE_RATE), '-f', 's16le', 'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'ignore'] });
+
+    let frames = 0;
+    let leftover = null;
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      finish(null);
+    }, timeoutMs);
+
+    child.stdout.on('data', (chunk) => {
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      for (let at = 0; at < usable; at += 2) {
+        accumulator.add(Math.abs(data.readInt16LE(at)) / 32768);
+        frames++;
+      }
+      leftover = usable < data.length ? data.subarray(usable) : null;
+    });
+
+    // ENOENT when ffmpeg isn't installed
+    child.on('error', () => finish(null));
+    child.on('close', (code) => finish(code === 0 && frames > 0 ? { sampleRate: FFMPEG_SAMPLE_RATE, frames } : null));
+  });
+}
+
+/**
+ * Compute waveform peaks for an audio file
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {number} [options.bins] - Number of peaks (default 800, max 2000)
+ * @returns {Promise<{peaks: number[], bins: number, duration: number}|null>} null when the file can't be decoded
+ */
+async function generatePeaks(filePath, { bins, ffmpegPath } = {}) {
+  const count = clampBins(bins);
+  let accumulator = new PeakAccumulator();
+  let decoded = null;
+
+  if (path.extname(filePath).toLowerCase() === '.wav') {
+    decoded = decodeWav(await fs.readFile(filePath), accumulator);
+    if (!decoded) accumulator = new PeakAccumulator();
+  }
+  if (!decoded) {
+    decoded = await decodeWithFfmpeg(filePath, accumulator, { ffmpegPath });
+  }
+  if (!decoded || decoded.frames === 0) return null;
+
+  const peaks = accumulator.bins(count);
+  return {
+    peaks,
+    bins: peaks.length,
+    duration: Math.round((decoded.frames / decoded.sampleRate) * 1000) / 1000
+  };
+}
+
+module.exports = {
+  DEFAULT_BINS,
+  MAX_BINS,
+  REQUEST_BINS,
+  PeakAccumulator,
+  decodeWav,
+  downsamplePeaks,
+  requestBins,
+  generatePeaks,
+};
@@ -0,0 +1,73 @@
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Playback copies for audio sources
+ *
+ * Safari can't play Ogg or WebM audio, which is what browser recorders and
+ * many voice apps produce. Those uploads get an AAC copy (in an MP4
+ * container, so `.m4a`) made by ffmpeg, which every browser plays. Without
+ * ffmpeg the original is served as before.
+ */
+
+// Containers/codecs that need a playback copy
+const TRANSCODE_EXTENSIONS = ['.ogg', '.oga', '.opus', '.webm'];
+
+const PLAYBACK_EXTENSION = '.m4a';
+const PLAYBACK_CONTENT_TYPE = 'audio/mp4';
+const PLAYBACK_BITRATE = '128k';
+const FFMPEG_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Whether a stored audio file needs a playback copy
+ * @param {string} fileName - Storage key or file name
+ */
+function needsPlaybackCopy(fileName) {
+  return TRANSCODE_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Storage key of a source's playback copy, next to the original
+ */
+function playbackKey(storageKey) {
+  return `${storageKey}${PLAYBACK_EXTENSION}`;
+}
+
+/**
+ * Transcode an audio file to AAC with ffmpeg
+ * @param {string} inputPath
+ * @param {string} outputPath - Written as MP4 with the index up front, so playback starts before it's all loaded
+ * @returns {Promise<boolean>} false if ffmpeg is missing, fails or times out
+ */
+function transcodeToAac(inputPath, outputPath, { ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg', timeoutMs = FFMPEG_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(ffmpegPath, [
+      '-v', 'error', '-y', '-i', inputPath,
+      '-vn', '-c:a', 'aac', '-b:a', PLAYBACK_BITRATE,
+      '-movflags', '+faststart', '-f', 'mp4', outputPath
+    ], { stdio: ['ignore', 'ignore', 'ignore'] });
+
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      finish(false);
+    }, timeoutMs);
+
+    // ENOENT when ffmpeg isn't installed
+    child.on('error', () => finish(false));
+    child.on('close', (code) => finish(code === 0));
+  });
+}
+
+module.exports = {
+  PLAYBACK_CONTENT_TYPE,
+  needsPlaybackCopy,
+  playbackKey,
+  transcodeToAac,
+};
@@ -0,0 +1,751 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Board (tldraw) canvas export
+ *
+ * A page of the board's tldraw records is laid out as a scene of SVG paths
+ * and text blocks in page coordinates. The SVG export serializes the scene;
+ * the PDF export draws the same path data with pdfkit, which understands SVG
+ * path syntax, so both look alike.
+ *
+ * Geo, text, note, arrow and draw shapes are rendered. Other shapes (images,
+ * embeds, frames, groups) are left out, though shapes inside frames and
+ * groups are drawn. Fonts are approximated: text is wrapped by an estimated
+ * character width, and the PDF uses the standard PDF fonts.
+ */
+
+const EXPORT_FORMATS = {
+  svg: { extension: 'svg', contentType: 'image/svg+xml; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+// tldraw light theme: stroke colour, fill colour and note background
+const COLORS = {
+  black: { solid: '#1d1d1d', semi: '#e8e8e8', note: '#fce19c' },
+  grey: { solid: '#9fa8b2', semi: '#eceef0', note: '#c0cad3' },
+  'light-violet': { solid: '#e085f4', semi: '#f5eafa', note: '#dfb0f9' },
+  violet: { solid: '#ae3ec9', semi: '#ecdcf2', note: '#c77cff' },
+  blue: { solid: '#4465e9', semi: '#dce1f8', note: '#8aa3ff' },
+  'light-blue': { solid: '#4ba1f1', semi: '#ddedfa', note: '#9ac7ff' },
+  yellow: { solid: '#f1ac4b', semi: '#f9f0e6', note: '#fed49a' },
+  orange: { solid: '#e16919', semi: '#f8e2d4', note: '#fa9f7d' },
+  green: { solid: '#099268', semi: '#d3e9e3', note: '#6fc896' },
+  'light-green': { solid: '#4cb05e', semi: '#dbf0e0', note: '#98d08a' },
+  'light-red': { solid: '#f87777', semi: '#f4dadb', note: '#f7a5a1' },
+  red: { solid: '#e03131', semi: '#f4dadb', note: '#fc8282' },
+  white: { solid: '#ffffff', semi: '#f5f5f5', note: '#ffffff' },
+};
+const SEMI_FILL = '#fcfffe';
+const NOTE_TEXT = '#1d1d1d';
+
+const STROKE_WIDTHS = { s: 2, m: 3.5, l: 5, xl: 10 };
+const TEXT_SIZES = { s: 18, m: 24, l: 36, xl: 44 };
+const LABEL_SIZES = { s: 18, m: 22, l: 26, xl: 32 };
+
+const FONTS = {
+  draw: { svg: "'Shantell Sans', 'Comic Sans MS', cursive", pdf: 'Helvetica' },
+  sans: { svg: "'IBM Plex Sans', Helvetica, Arial, sans-serif", pdf: 'Helvetica' },
+  serif: { svg: "'IBM Plex Serif', Georgia, serif", pdf: 'Times-Roman' },
+  mono: { svg: "'IBM Plex Mono', 'Courier New', monospace", pdf: 'Courier' },
+};
+
+const LINE_HEIGHT = 1.35;
+// Average glyph width as a fraction of the font size, for wrapping
+const CHAR_WIDTH = 0.55;
+const LABEL_PADDING = 16;
+const NOTE_SIZE = 200;
+const PAGE_PADDING = 32;
+// Largest PDF page side allowed by the PDF spec, in points
+const MAX_PDF_SIDE = 14400;
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const round = value => Math.round(value * 100) / 100;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+
+// 2D affine matrices as [a, b, c, d, e, f], like SVG's matrix()
+const multiply = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + c1 * b2,
+  b1 * a2 + d1 * b2,
+  a1 * c2 + c1 * d2,
+  b1 * c2 + d1 * d2,
+  a1 * e2 + c1 * f2 + e1,
+  b1 * e2 + d1 * f2 + f1,
+];
+
+const invert = ([a, b, c, d, e, f]) => {
+  const det = a * d - b * c || 1;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+};
+
+const apply = ([a, b, c, d, e, f], { x, y }) => ({ x: a * x + c * y + e, y: b * x + d * y + f });
+
+const placement = ({ x = 0, y = 0, rotation = 0 }) => {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return [cos, sin, -sin, cos, x, y];
+};
+
+const scaling = scale => [scale, 0, 0, scale, 0, 0];
+
+const pathFrom = (points, closed = true) =>
+  points.map((p, i) => `${i ? 'L' : 'M'}${round(p.x)} ${round(p.y)}`).join(' ') + (closed ? ' Z' : '');
+
+// Corners of a box, for bounds
+const boxPoints = (x, y, w, h) => [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+
+const polygon = (w, h, sides, offset = -Math.PI / 2) => Array.from({ length: sides }, (_, i) => {
+  const angle = offset + (2 * Math.PI * i) / sides;
+  return { x: w / 2 + (w / 2) * Math.cos(angle), y: h / 2 + (h / 2) * Math.sin(angle) };
+});
+
+const star = (w, h) => Array.from({ length: 10 }, (_, i) => {
+  const angle = -Math.PI / 2 + (Math.PI * i) / 5;
+  const radius = i % 2 ? 0.38 : 1;
+  return { x: w / 2 + (w / 2) * radius * Math.cos(angle), y: h / 2 + (h / 2) * radius * Math.sin(angle) };
+});
+
+// Right-pointing block arrow in a unit box; other directions are mapped from it
+const BLOCK_ARROW = [[0, 0.25], [0.6, 0.25], [0.6, 0], [1, 0.5], [0.6, 1], [0.6, 0.75], [0, 0.75]];
+const ARROW_DIRECTIONS = {
+  'arrow-right': (u, v) => [u, v],
+  'arrow-left': (u, v) => [1 - u, v],
+  'arrow-up': (u, v) => [v, 1 - u],
+  'arrow-down': (u, v) => [1 - v, u],
+};
+
+/**
+ * Outline of a geo shape as SVG path data, in the shape's own coordinates
+ */
+function geoPath(geo, w, h) {
+  const ellipse = `M0 ${round(h / 2)} A${round(w / 2)} ${round(h / 2)} 0 1 0 ${round(w)} ${round(h / 2)} A${round(w / 2)} ${round(h / 2)} 0 1 0 0 ${round(h / 2)} Z`;
+  const rectangle = pathFrom(boxPoints(0, 0, w, h));
+  const inset = Math.min(w, h) * 0.38;
+
+  switch (geo) {
+    case 'ellipse':
+    case 'oval':
+    case 'cloud':
+      return ellipse;
+    case 'triangle':
+      return pathFrom([{ x: w / 2, y: 0 }, { x: w, y: h }, { x: 0, y: h }]);
+    case 'diamond':
+      return pathFrom([{ x: w / 2, y: 0 }, { x: w, y: h / 2 }, { x: w / 2, y: h }, { x: 0, y: h / 2 }]);
+    case 'rhombus':
+      return pathFrom([{ x: inset, y: 0 }, { x: w, y: 0 }, { x: w - inset, y: h }, { x: 0, y: h }]);
+    case 'trapezoid':
+      return pathFrom([{ x: inset, y: 0 }, { x: w - inset, y: 0 }, { x: w, y: h }, { x: 0, y: h }]);
+    case 'pentagon':
+      return pathFrom(polygon(w, h, 5));
+    case 'hexagon':
+      return pathFrom(polygon(w, h, 6, 0));
+    case 'octagon':
+      return pathFrom(polygon(w, h, 8, Math.PI / 8));
+    case 'star':
+      return pathFrom(star(w, h));
+    case 'arrow-right':
+    case 'arrow-left':
+    case 'arrow-up':
+    case 'arrow-down':
+      return pathFrom(BLOCK_ARROW.map(([u, v]) => {
+        const [x, y] = ARROW_DIRECTIONS[geo](u, v);
+        return { x: x * w, y: y * h };
+      }));
+    case 'x-box':
+      return `${rectangle} M0 0 L${round(w)} ${round(h)} M${round(w)} 0 L0 ${round(h)}`;
+    case 'check-box':
+      return `${rectangle} M${round(w * 0.25)} ${round(h * 0.52)} L${round(w * 0.45)} ${round(h * 0.7)} L${round(w * 0.75)} ${round(h * 0.3)}`;
+    default:
+      return rectangle;
+  }
+}
+
+// ============================================================================
+// TEXT
+// ============================================================================
+
+/**
+ * Plain text of a shape: props.text, or tldraw's rich text document
+ */
+function shapeText(props = {}) {
+  if (typeof props.text === 'string') return props.text;
+  if (!props.richText) return '';
+
+  const walk = (node) => {
+    if (!node) return '';
+    if (node.type === 'text') return node.text || '';
+    if (node.type === 'hardBreak') return '\n';
+    const inner = (node.content || []).map(walk);
+    return node.type === 'doc' || node.type === 'bulletList' || node.type === 'orderedList'
+      ? inner.join('\n')
+      : inner.join('');
+  };
+  return walk(props.richText);
+}
+
+const estimateWidth = (line, fontSize) => line.length * fontSize * CHAR_WIDTH;
+
+/**
+ * Split text into lines no wider than maxWidth (estimated); paragraphs are kept
+ */
+function wrapText(text, fontSize, maxWidth = Infinity) {
+  return text.split('\n').flatMap(paragraph => {
+    const lines = [];
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && estimateWidth(candidate, fontSize) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+    return lines;
+  });
+}
+
+const normalizeAlign = (align, fallback) => {
+  const value = String(align || fallback).replace('-legacy', '');
+  return ['start', 'middle', 'end'].includes(value) ? value : fallback;
+};
+
+/**
+ * Text block placed in a box, aligned and wrapped to its width
+ */
+function textBlock(text, { x, y, w, h, fontSize, font, color, align = 'middle', verticalAlign = 'middle', wrap = true }) {
+  const lines = wrapText(text, fontSize, wrap ? w : Infinity);
+  const blockHeight = lines.length * fontSize * LINE_HEIGHT;
+  const top = verticalAlign === 'start' ? y
+    : verticalAlign === 'end' ? y + h - blockHeight
+      : y + (h - blockHeight) / 2;
+
+  return {
+    kind: 'text',
+    lines,
+    x,
+    top,
+    width: w,
+    align,
+    fontSize,
+    font: FONTS[font] || FONTS.draw,
+    color,
+    box: boxPoints(x, top, w, blockHeight),
+  };
+}
+
+// ============================================================================
+// SHAPES
+// ============================================================================
+
+const colorOf = name => COLORS[name] || COLORS.black;
+
+const fillOf = (fill, color) => {
+  if (!fill || fill === 'none') return null;
+  return fill === 'semi' ? SEMI_FILL : colorOf(color).semi;
+};
+
+const dashOf = (dash, strokeWidth) => {
+  if (dash === 'dashed') return [strokeWidth * 2, strokeWidth * 2];
+  // Near-zero dashes with round caps draw dots; pdfkit rejects zero-length dashes
+  if (dash === 'dotted') return [0.01, strokeWidth * 2];
+  return null;
+};
+
+/**
+ * Width and height of a shape, for arrow bindings
+ */
+function shapeSize(record) {
+  const props = record.props || {};
+  if (record.type === 'note') {
+    return { w: NOTE_SIZE * (props.scale || 1), h: (NOTE_SIZE + (props.growY || 0)) * (props.scale || 1) };
+  }
+  return { w: props.w || 0, h: props.h || 0 };
+}
+
+function renderGeo(record) {
+  const props = record.props || {};
+  const scale = props.scale || 1;
+  const w = props.w || 0;
+  const h = (props.h || 0) + (props.growY || 0);
+  const strokeWidth = (STROKE_WIDTHS[props.size] || STROKE_WIDTHS.m) * scale;
+  const elements = [{
+    kind: 'path',
+    d: geoPath(props.geo, w, h),
+    fill: fillOf(props.fill, props.color),
+    stroke: colorOf(props.color).solid,
+    strokeWidth,
+    dash: dashOf(props.dash, strokeWidth),
+    box: boxPoints(0, 0, w, h),
+  }];
+
+  const text = shapeText(props);
+  if (text.trim()) {
+    elements.push(textBlock(text, {
+      x: LABEL_PADDING,
+      y: LABEL_PADDING,
+      w: Math.max(w - LABEL_PADDING * 2, 0),
+      h: Math.max(h - LABEL_PADDING * 2, 0),
+      fontSize: (LABEL_SIZES[props.size] || LABEL_SIZES.m) * scale,
+      font: props.font,
+      color: colorOf(props.labelColor || 'black').solid,
+      align: normalizeAlign(props.align, 'middle'),
+      verticalAlign: normalizeAlign(props.verticalAlign, 'middle'),
+    }));
+  }
+
+  return elements;
+}
+
+function renderNote(record) {
+  const props = record.props || {};
+  const { w, h } = shapeSize(record);
+  const elements = [{
+    kind: 'path',
+    d: pathFrom(boxPoints(0, 0, w, h)),
+    fill: colorOf(props.color).note,
+    stroke: null,
+    box: boxPoints(0, 0, w, h),
+  }];
+
+  const text = shapeText(props);
+  if (text.trim()) {
+    elements.push(textBlock(text, {
+      x: LABEL_PADDING,
+      y: LABEL_PADDING,
+      w: w - LABEL_PADDING * 2,
+      h: h - LABEL_PADDING * 2,
+      fontSize: (LABEL_SIZES[props.size] || LABEL_SIZES.m) * (props.scale || 1),
+      font: props.font,
+      color: NOTE_TEXT,
+      align: normalizeAlign(props.align, 'middle'),
+      verticalAlign: normalizeAlign(props.verticalAlign, 'middle'),
+    }));
+  }
+
+  return elements;
+}
+
+function renderText(record) {
+  const props = record.props || {};
+  const text = shapeText(props);
+  if (!text.trim()) return [];
+
+  const fontSize = TEXT_SIZES[props.size] || TEXT_SIZES.m;
+  const autoSize = props.autoSize !== false;
+  const lines = wrapText(text, fontSize, autoSize ? Infinity : props.w);
+  const w = autoSize ? Math.max(...lines.map(line => estimateWidth(line, fontSize))) : props.w || 0;
+
+  return [{
+    ...textBlock(text, {
+      x: 0,
+      y: 0,
+      w,
+      h: lines.length * fontSize * LINE_HEIGHT,
+      fontSize,
+      font: props.font,
+      color: colorOf(props.color).solid,
+      align: normalizeAlign(props.align || props.textAlign, 'start'),
+      wrap: !autoSize,
+    }),
+    transform: scaling(props.scale || 1),
+  }];
+}
+
+function renderDraw(record) {
+  const props = record.props || {};
+  // Newer tldraw versions encode points as strings; only point arrays are read
+  const points = (props.segments || []).flatMap(segment => (Array.isArray(segment.points) ? segment.points : []));
+  if (!points.length) return [];
+
+  const strokeWidth = STROKE_WIDTHS[props.size] || STROKE_WIDTHS.m;
+  const closed = Boolean(props.isClosed) && points.length > 2;
+  // A single point is a zero-length line, drawn as a dot by the round caps
+  const d = pathFrom(points.length === 1 ? [points[0], points[0]] : points, closed);
+
+  return [{
+    kind: 'path',
+    d,
+    fill: closed ? fillOf(props.fill, props.color) : null,
+    stroke: colorOf(props.color).solid,
+    strokeWidth,
+    dash: dashOf(props.dash, strokeWidth),
+    box: points,
+    transform: scaling(props.scale || 1),
+  }];
+}
+
+/**
+ * Where an arrow terminal bound to a shape points, in the arrow's coordinates:
+ * the binding's anchor if precise, otherwise the shape's centre
+ */
+function bindingAim({ binding, target, targetMatrix }, arrowMatrix) {
+  const { w, h } = shapeSize(target);
+  const anchor = binding.isPrecise && binding.normalizedAnchor ? binding.normalizedAnchor : { x: 0.5, y: 0.5 };
+  return apply(invert(arrowMatrix), apply(targetMatrix, { x: anchor.x * w, y: anchor.y * h }));
+}
+
+/**
+ * Stop a line from `from` to `aim` (arrow coordinates) at the bound shape's box
+ */
+function clipToShape({ target, targetMatrix }, arrowMatrix, from, aim) {
+  const { w, h } = shapeSize(target);
+  const toTarget = multiply(invert(targetMatrix), arrowMatrix);
+  const p = apply(toTarget, from);
+  const q = apply(toTarget, aim);
+  const dx = q.x - p.x;
+  const dy = q.y - p.y;
+  const entry = (start, delta, size) => (delta === 0 ? -Infinity : Math.min(-start / delta, (size - start) / delta));
+  const t = Math.max(entry(p.x, dx, w), entry(p.y, dy, h));
+
+  return t > 0 && t < 1 ? { x: from.x + (aim.x - from.x) * t, y: from.y + (aim.y - from.y) * t } : aim;
+}
+
+function arrowhead(tip, from, size, kind) {
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  const side = offset => ({
+    x: tip.x + size * Math.cos(angle + Math.PI + offset),
+    y: tip.y + size * Math.sin(angle + Math.PI + offset),
+  });
+  const points = [side(-Math.PI / 6), tip, side(Math.PI / 6)];
+  return { d: pathFrom(points, kind === 'triangle'), filled: kind === 'triangle', points };
+}
+
+function renderArrow(record, { matrix, bindings, records, transformOf }) {
+  const props = record.props || {};
+  const terminal = name => ({ x: props[name]?.x ?? 0, y: props[name]?.y ?? 0 });
+  let start = terminal('start');
+  let end = terminal('end');
+
+  // Bindings are separate records in newer tldraw versions, inline in older ones
+  const bindingOf = (name) => {
+    const inline = props[name];
+    if (inline?.type === 'binding') return { toId: inline.boundShapeId, ...inline };
+    const binding = bindings.get(`${record.id}:${name}`);
+    return binding && { toId: binding.toId, ...binding.props };
+  };
+  const bound = {};
+  ['start', 'end'].forEach(name => {
+    const binding = bindingOf(name);
+    const target = binding && records.get(binding.toId);
+    if (target) bound[name] = { binding, target, targetMatrix: transformOf(target.id) };
+  });
+
+  const startAim = bound.start ? bindingAim(bound.start, matrix) : start;
+  const endAim = bound.end ? bindingAim(bound.end, matrix) : end;
+  // Ends aimed at a shape's centre stop at its edge
+  start = bound.start && !bound.start.binding.isPrecise ? clipToShape(bound.start, matrix, endAim, startAim) : startAim;
+  end = bound.end && !bound.end.binding.isPrecise ? clipToShape(bound.end, matrix, startAim, endAim) : endAim;
+
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  if (!length) return [];
+
+  // The curve passes through the midpoint pushed sideways by `bend`
+  const bend = props.bend || 0;
+  const unit = { x: (start.x - end.x) / length, y: (start.y - end.y) / length };
+  const middle = { x: (start.x + end.x) / 2 - unit.y * bend, y: (start.y + end.y) / 2 + unit.x * bend };
+  const control = { x: 2 * middle.x - (start.x + end.x) / 2, y: 2 * middle.y - (start.y + end.y) / 2 };
+
+  const color = colorOf(props.color).solid;
+  const strokeWidth = (STROKE_WIDTHS[props.size] || STROKE_WIDTHS.m) * (props.scale || 1);
+  const line = bend
+    ? `M${round(start.x)} ${round(start.y)} Q${round(control.x)} ${round(control.y)} ${round(end.x)} ${round(end.y)}`
+    : pathFrom([start, end], false);
+
+  const elements = [{
+    kind: 'path',
+    d: line,
+    fill: null,
+    stroke: color,
+    strokeWidth,
+    dash: dashOf(props.dash, strokeWidth),
+    box: [start, end, middle],
+  }];
+
+  const headSize = Math.min(8 + strokeWidth * 3, length / 3);
+  const heads = [
+    [props.arrowheadStart || 'none', start, bend ? control : end],
+    [props.arrowheadEnd || 'arrow', end, bend ? control : start],
+  ];
+  heads.forEach(([kind, tip, from]) => {
+    if (kind === 'none') return;
+    const head = arrowhead(tip, from, headSize, kind);
+    elements.push({
+      kind: 'path',
+      d: head.d,
+      fill: head.filled ? color : null,
+      stroke: color,
+      strokeWidth,
+      box: head.points,
+    });
+  });
+
+  const text = shapeText(props);
+  if (text.trim()) {
+    const fontSize = (LABEL_SIZES[props.size] || LABEL_SIZES.m) * (props.scale || 1);
+    const lines = text.split('\n');
+    const w = Math.max(...lines.map(l => estimateWidth(l, fontSize)));
+    const h = lines.length * fontSize * LINE_HEIGHT;
+    elements.push(textBlock(text, {
+      x: middle.x - w / 2,
+      y: middle.y - h / 2,
+      w,
+      h,
+      fontSize,
+      font: props.font,
+      color: colorOf(props.labelColor || props.color).solid,
+      wrap: false,
+    }));
+  }
+
+  return elements;
+}
+
+const RENDERERS = {
+  geo: renderGeo,
+  note: renderNote,
+  text: renderText,
+  draw: renderDraw,
+  arrow: renderArrow,
+};
+
+// ============================================================================
+// SCENE
+// ============================================================================
+
+/**
+ * Pages of a board in order. Legacy boards may have shapes on a page that
+ * has no page record; those pages are listed after the others.
+ * @param {Map<string, Object>} records - tldraw records by id
+ * @returns {Array<{id: string, name: string}>}
+ */
+function listPages(records) {
+  const pages = [...records.values()]
+    .filter(record => record?.typeName === 'page')
+    .sort((a, b) => (a.index < b.index ? -1 : a.index > b.index ? 1 : 0))
+    .map(page => ({ id: page.id, name: page.name }));
+
+  const known = new Set(pages.map(page => page.id));
+  records.forEach((record, id) => {
+    if (!id.startsWith('shape:') || !record?.parentId?.startsWith('page:') || known.has(record.parentId)) return;
+    known.add(record.parentId);
+    pages.push({ id: record.parentId, name: 'Page' });
+  });
+
+  return pages;
+}
+
+/**
+ * Lay out one page of a board as drawable elements in page coordinates
+ * @param {Map<string, Object>} records - tldraw records by id
+ * @param {string} pageId
+ * @returns {{x: number, y: number, width: number, height: number, elements: Array}}
+ *   The page area covering all shapes, with padding
+ */
+function buildScene(records, pageId) {
+  const children = new Map();
+  const bindings = new Map();
+  records.forEach((record, id) => {
+    if (!record) return;
+    if (id.startsWith('shape:')) {
+      if (!children.has(record.parentId)) children.set(record.parentId, []);
+      children.get(record.parentId).push(record);
+    } else if (record.typeName === 'binding' && record.type === 'arrow') {
+      bindings.set(`${record.fromId}:${record.props?.terminal}`, record);
+    }
+  });
+
+  // Page transform of a shape, through its parent frames and groups
+  const transforms = new Map();
+  const transformOf = (id, depth = 0) => {
+    if (!transforms.has(id)) {
+      const record = records.get(id);
+      const parent = record?.parentId?.startsWith('shape:') && depth < 50
+        ? transformOf(record.parentId, depth + 1)
+        : IDENTITY;
+      transforms.set(id, record ? multiply(parent, placement(record)) : IDENTITY);
+    }
+    return transforms.get(id);
+  };
+
+  const elements = [];
+  // Siblings in z-order; children are drawn above their parent
+  const visit = (parentId, depth = 0) => {
+    if (depth > 50) return;
+    const siblings = (children.get(parentId) || [])
+      .sort((a, b) => (a.index < b.index ? -1 : a.index > b.index ? 1 : 0));
+
+    siblings.forEach(record => {
+      const render = RENDERERS[record.type];
+      if (render) {
+        const matrix = transformOf(record.id);
+        render(record, { matrix, bindings, records, transformOf }).forEach(element => {
+          elements.push({
+            ...element,
+            matrix: element.transform ? multiply(matrix, element.transform) : matrix,
+            opacity: record.opacity ?? 1,
+          });
+        });
+      }
+      visit(record.id, depth + 1);
+    });
+  };
+  visit(pageId);
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  elements.forEach(element => {
+    const pad = (element.strokeWidth || 0) / 2;
+    element.box.forEach(point => {
+      const { x, y } = apply(element.matrix, point);
+      minX = Math.min(minX, x - pad);
+      minY = Math.min(minY, y - pad);
+      maxX = Math.max(maxX, x + pad);
+      maxY = Math.max(maxY, y + pad);
+    });
+  });
+  if (!elements.length) {
+    minX = minY = 0;
+    maxX = maxY = 0;
+  }
+
+  return {
+    x: round(minX - PAGE_PADDING),
+    y: round(minY - PAGE_PADDING),
+    width: round(maxX - minX + PAGE_PADDING * 2),
+    height: round(maxY - minY + PAGE_PADDING * 2),
+    elements,
+  };
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+const ANCHORS = { start: 'start', middle: 'middle', end: 'end' };
+
+function svgElement(element) {
+  const transform = element.matrix.some((value, i) => value !== IDENTITY[i])
+    ? ` transform="matrix(${element.matrix.map(round).join(' ')})"`
+    : '';
+  const opacity = element.opacity < 1 ? ` opacity="${round(element.opacity)}"` : '';
+
+  if (element.kind === 'path') {
+    const stroke = element.stroke
+      ? ` stroke="${element.stroke}" stroke-width="${round(element.strokeWidth)}" stroke-linecap="round" stroke-linejoin="round"`
+        + (element.dash ? ` stroke-dasharray="${element.dash.map(round).join(' ')}"` : '')
+      : '';
+    return `<path d="${element.d}" fill="${element.fill || 'none'}"${stroke}${transform}${opacity}/>`;
+  }
+
+  const lineHeight = element.fontSize * LINE_HEIGHT;
+  const anchorX = element.align === 'middle' ? element.x + element.width / 2
+    : element.align === 'end' ? element.x + element.width
+      : element.x;
+  const tspans = element.lines.map((line, i) => {
+    const baseline = element.top + i * lineHeight + (lineHeight + element.fontSize * 0.7) / 2;
+    return `<tspan x="${round(anchorX)}" y="${round(baseline)}">${escapeXml(line)}</tspan>`;
+  }).join('');
+
+  return `<text font-family="${escapeXml(element.font.svg)}" font-size="${round(element.fontSize)}" fill="${element.color}" text-anchor="${ANCHORS[element.align]}" xml:space="preserve"${transform}${opacity}>${tspans}</text>`;
+}
+
+/**
+ * @param {Object} scene - From buildScene
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @returns {string} SVG document
+ */
+function toSvg(scene, { title } = {}) {
+  const { x, y, width, height } = scene;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">`,
+    title ? `<title>${escapeXml(title)}</title>` : null,
+    `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...scene.elements.map(svgElement),
+    '</svg>',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Draw the scene on a single PDF page sized to it
+ * @param {Object} scene - From buildScene
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @returns {Promise<Buffer>}
+ */
+function toPdf(scene, { title } = {}) {
+  return new Promise((resolve, reject) => {
+    // Large boards are scaled down to fit the PDF page size limit
+    const scale = Math.min(1, MAX_PDF_SIDE / Math.max(scene.width, scene.height));
+    const pdf = new PDFDocument({
+      size: [scene.width * scale, scene.height * scale],
+      margin: 0,
+      info: { Title: title || 'Board' },
+    });
+    const chunks = [];
+
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    pdf.scale(scale).translate(-scene.x, -scene.y);
+
+    scene.elements.forEach(element => {
+      pdf.save();
+      pdf.transform(...element.matrix);
+      pdf.opacity(element.opacity);
+
+      if (element.kind === 'path') {
+        pdf.path(element.d);
+        if (element.stroke) {
+          pdf.lineWidth(element.strokeWidth).lineCap('round').lineJoin('round');
+          if (element.dash) pdf.dash(element.dash[0], { space: element.dash[1] });
+        }
+        if (element.fill && element.stroke) pdf.fillAndStroke(element.fill, element.stroke);
+        else if (element.fill) pdf.fill(element.fill);
+        else pdf.stroke(element.stroke);
+      } else {
+        const lineHeight = element.fontSize * LINE_HEIGHT;
+        pdf.font(element.font.pdf).fontSize(element.fontSize).fillColor(element.color);
+        element.lines.forEach((line, i) => {
+          if (!line) return;
+          const width = pdf.widthOfString(line);
+          const x = element.align === 'middle' ? element.x + (element.width - width) / 2
+            : element.align === 'end' ? element.x + element.width - width
+              : element.x;
+          pdf.text(line, x, element.top + i * lineHeight + (lineHeight - element.fontSize) / 2, { lineBreak: false });
+        });
+      }
+
+      pdf.restore();
+    });
+
+    pdf.end();
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  shapeText,
+  wrapText,
+  listPages,
+  buildScene,
+  toSvg,
+  toPdf,
+};
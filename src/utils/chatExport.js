@@ -0,0 +1,151 @@
+const { Readable } = require('stream');
+
+/**
+ * Conversation export formats
+ *
+ * Each format is an async generator of text chunks over the conversation's
+ * messages (oldest first, e.g. a Mongoose cursor), so a semester of group
+ * chat is streamed to the client instead of being built in memory.
+ * Times are written in UTC.
+ */
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// "2026-03-14 09:05"
+const formatTime = (date) => new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const senderName = (message) => message.sender?.name || 'Unknown user';
+
+/**
+ * Plain representation of a message, shared by all formats
+ */
+function exportedMessage(message) {
+  const reactions = {};
+  for (const { emoji } of message.reactions || []) {
+    reactions[emoji] = (reactions[emoji] || 0) + 1;
+  }
+
+  return {
+    id: String(message._id),
+    sentAt: new Date(message.createdAt).toISOString(),
+    sender: { id: message.sender?._id ? String(message.sender._id) : null, name: senderName(message) },
+    content: message.content || '',
+    threadId: message.threadId ? String(message.threadId) : null,
+    edited: !!message.isEdited,
+    pinned: !!message.pinnedAt,
+    attachments: (message.attachments || []).map(({ name, type, mimeType, size, url }) => ({ name, type, mimeType, size, url })),
+    reactions,
+  };
+}
+
+async function* jsonChunks(conversation, messages) {
+  const header = { format: 'collabry-chat', version: 1, exportedAt: new Date().toISOString(), conversation };
+  yield `${JSON.stringify(header, null, 2).slice(0, -2)},\n  "messages": [`;
+
+  let first = true;
+  for await (const message of messages) {
+    yield `${first ? '' : ','}\n    ${JSON.stringify(exportedMessage(message))}`;
+    first = false;
+  }
+
+  yield `${first ? '' : '\n  '}]\n}\n`;
+}
+
+async function* textChunks(conversation, messages) {
+  yield `${conversation.title}\n`;
+  yield `Exported ${formatTime(new Date())} UTC. Thread replies are indented.\n\n`;
+
+  for await (const message of messages) {
+    const m = exportedMessage(message);
+    const indent = m.threadId ? '    ' : '';
+    const flags = [m.edited && '(edited)', m.pinned && '(pinned)'].filter(Boolean).join(' ');
+
+    let block = `${indent}[${formatTime(m.sentAt)}] ${m.sender.name}:${m.content ? ` ${m.content.replace(/\n/g, `\n${indent}  `)}` : ''}`;
+    if (flags) block += ` ${flags}`;
+    for (const attachment of m.attachments) {
+      const size = formatSize(attachment.size);
+      block += `\n${indent}  [attachment] ${attachment.name || 'file'}${size ? ` (${size})` : ''}`;
+    }
+    const reactions = Object.entries(m.reactions).map(([emoji, count]) => `${emoji} ${count}`);
+    if (reactions.length) block += `\n${indent}  ${reactions.join('  ')}`;
+
+    yield `${block}\n`;
+  }
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+  header { border-bottom: 1px solid #e5e7eb; margin-bottom: 1rem; }
+  .message { padding: .5rem 0; }
+  .message.reply { margin-left: 2rem; border-left: 3px solid #e5e7eb; padding-left: .75rem; }
+  .meta { font-size: .8rem; color: #6b7280; }
+  .sender { font-weight: 600; color: #111827; margin-right: .5rem; }
+  .content { white-space: pre-wrap; margin-top: .15rem; }
+  .attachments, .reactions { font-size: .85rem; color: #4b5563; margin-top: .25rem; }
+`;
+
+async function* htmlChunks(conversation, messages) {
+  const title = escapeHtml(conversation.title);
+  yield `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>${title}</title>\n<style>${HTML_STYLE}</style>\n</head>\n<body>\n`;
+  yield `<header><h1>${title}</h1><p class="meta">Exported ${formatTime(new Date())} UTC</p></header>\n<main>\n`;
+
+  for await (const message of messages) {
+    const m = exportedMessage(message);
+    const flags = [m.edited && 'edited', m.pinned && 'pinned'].filter(Boolean).map(flag => ` · ${flag}`).join('');
+
+    let block = `<article class="message${m.threadId ? ' reply' : ''}" id="m-${m.id}">`;
+    block += `<div class="meta"><span class="sender">${escapeHtml(m.sender.name)}</span>`;
+    block += `<time datetime="${m.sentAt}">${formatTime(m.sentAt)}</time>${flags}</div>`;
+    if (m.content) block += `<div class="content">${escapeHtml(m.content)}</div>`;
+    if (m.attachments.length) {
+      const names = m.attachments.map(a => {
+        const size = formatSize(a.size);
+        return `${escapeHtml(a.name || 'file')}${size ? ` (${size})` : ''}`;
+      });
+      block += `<div class="attachments">📎 ${names.join(', ')}</div>`;
+    }
+    const reactions = Object.entries(m.reactions).map(([emoji, count]) => `${escapeHtml(emoji)} ${count}`);
+    if (reactions.length) block += `<div class="reactions">${reactions.join(' ')}</div>`;
+
+    yield `${block}</article>\n`;
+  }
+
+  yield '</main>\n</body>\n</html>\n';
+}
+
+const GENERATORS = { json: jsonChunks, txt: textChunks, html: htmlChunks };
+
+/**
+ * Stream a conversation in one of the export formats
+ * @param {{type: string, id: string, title: string}} conversation
+ * @param {AsyncIterable|Iterable} messages - Oldest first, sender populated
+ * @param {'json'|'txt'|'html'} format
+ * @returns {Readable}
+ */
+function exportConversation(conversation, messages, format) {
+  return Readable.from(GENERATORS[format](conversation, messages));
+}
+
+module.exports = {
+  FORMATS,
+  exportedMessage,
+  exportConversation,
+};
@@ -0,0 +1,78 @@
+/**
+ * @mention parsing for group chat messages
+ *
+ * Users have no usernames, so a member can be mentioned by the local part
+ * of their email (@jane.doe), their name without spaces (@JaneDoe), or
+ * their first name (@jane) when no other member shares it. Matching is
+ * case-insensitive.
+ */
+
+// "@" not preceded by a word character, so email addresses aren't mentions
+const MENTION_RE = /(^|[^\p{L}\p{N}_.@])@([\p{L}\p{N}._-]{1,64})/gu;
+
+const normalizeHandle = (value) => String(value || '').toLowerCase().replace(/[._-]+$/, '');
+
+/**
+ * Handles a member answers to
+ * @param {{name: string, email: string}} member
+ * @returns {{exact: string[], firstName: string|null}}
+ */
+function memberHandles(member) {
+  const exact = [];
+  const emailLocal = String(member.email || '').split('@')[0];
+  if (emailLocal) exact.push(normalizeHandle(emailLocal));
+
+  const name = String(member.name || '').trim();
+  if (name) exact.push(normalizeHandle(name.replace(/\s+/g, '')));
+
+  const firstName = name.split(/\s+/)[0];
+  return { exact, firstName: firstName ? normalizeHandle(firstName) : null };
+}
+
+/**
+ * Extract the @handles written in a message
+ * @param {string} content
+ * @returns {string[]} Normalized, unique
+ */
+function extractHandles(content) {
+  const handles = new Set();
+  for (const match of String(content || '').matchAll(MENTION_RE)) {
+    const handle = normalizeHandle(match[2]);
+    if (handle) handles.add(handle);
+  }
+  return [...handles];
+}
+
+/**
+ * Resolve the members mentioned in a message
+ * @param {string} content
+ * @param {Array<{_id: *, name: string, email: string}>} members - Candidates (group members)
+ * @returns {Array<string>} Ids of the mentioned members
+ */
+function parseMentions(content, members) {
+  const handles = extractHandles(content);
+  if (!handles.length || !members?.length) return [];
+
+  const byHandle = new Map();
+  const firstNames = new Map();
+  for (const member of members) {
+    const id = member._id.toString();
+    const { exact, firstName } = memberHandles(member);
+    exact.forEach(handle => byHandle.set(handle, id));
+    if (firstName) {
+      firstNames.set(firstName, firstNames.has(firstName) && firstNames.get(firstName) !== id ? null : id);
+    }
+  }
+
+  const mentioned = new Set();
+  for (const handle of handles) {
+    const id = byHandle.get(handle) || firstNames.get(handle);
+    if (id) mentioned.add(id);
+  }
+  return [...mentioned];
+}
+
+module.exports = {
+  extractHandles,
+  parseMentions,
+};
@@ -0,0 +1,175 @@
+/**
+ * Locating AI citations in source text
+ *
+ * The AI engine cites the chunks it retrieved, sometimes with the chunk's
+ * start offset and sometimes only with its text. These helpers find the
+ * chunk's character range in the source's indexed text and map a range to
+ * the page/section (via source.sections) or audio timestamp it falls in.
+ */
+
+const EXCERPT_CONTEXT = 200;
+// Chunks that can't be found whole are located by their first characters
+const PREFIX_LENGTH = 60;
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Collapse whitespace runs to one space, remembering where each character came from
+ * @returns {{text: string, map: number[]}} map[i] is the index in the original of text[i]
+ */
+function normalizeWhitespace(value) {
+  let text = '';
+  const map = [];
+  let inSpace = false;
+  for (let i = 0; i < value.length; i++) {
+    if (/\s/.test(value[i])) {
+      if (!inSpace) {
+        text += ' ';
+        map.push(i);
+      }
+      inSpace = true;
+    } else {
+      text += value[i];
+      map.push(i);
+      inSpace = false;
+    }
+  }
+  return { text, map };
+}
+
+/**
+ * Occurrence of needle in haystack closest to hint (or the first one)
+ */
+function closestIndexOf(haystack, needle, hint) {
+  let best = -1;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    if (best === -1 || Math.abs(index - hint) < Math.abs(best - hint)) best = index;
+    if (!Number.isFinite(hint) || index > hint) break;
+    index = haystack.indexOf(needle, index + 1);
+  }
+  return best;
+}
+
+/**
+ * Character range of a cited chunk in the source text
+ * @param {string} text - The source's indexed text
+ * @param {string} [chunk] - Chunk text from the AI engine
+ * @param {Object} [hint] - Offsets reported by the engine
+ * @param {number} [hint.start]
+ * @param {number} [hint.end]
+ * @returns {{start: number, end: number}|null}
+ */
+function locateChunk(text, chunk, { start, end } = {}) {
+  if (!text) return null;
+  const hasStart = Number.isInteger(start) && start >= 0 && start < text.length;
+
+  if (!chunk || !chunk.trim()) {
+    if (!hasStart) return null;
+    const to = Number.isInteger(end) && end > start ? Math.min(end, text.length) : text.length;
+    return { start, end: to };
+  }
+
+  // Trust the engine's offset when the text is really there
+  if (hasStart && text.startsWith(chunk, start)) {
+    return { start, end: start + chunk.length };
+  }
+
+  const exact = closestIndexOf(text, chunk, hasStart ? start : undefined);
+  if (exact !== -1) {
+    return { start: exact, end: exact + chunk.length };
+  }
+
+  // Chunkers often re-flow whitespace, compare with whitespace collapsed
+  const haystack = normalizeWhitespace(text);
+  const needle = normalizeWhitespace(chunk.trim()).text;
+  const hintIndex = hasStart ? haystack.map.findIndex(i => i >= start) : undefined;
+
+  const found = closestIndexOf(haystack.text, needle, hintIndex);
+  if (found !== -1) {
+    return { start: haystack.map[found], end: haystack.map[found + needle.length - 1] + 1 };
+  }
+
+  // Last resort: the chunk's opening words, assuming its length is about right
+  const prefix = needle.slice(0, PREFIX_LENGTH);
+  if (prefix.length >= 20) {
+    const at = closestIndexOf(haystack.text, prefix, hintIndex);
+    if (at !== -1) {
+      const from = haystack.map[at];
+      return { start: from, end: Math.min(text.length, from + chunk.length) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Page and innermost section (heading, slide, chapter...) at an offset
+ * @param {Array} sections - source.sections: { kind, title, number?, start, end }
+ * @returns {{page: number|null, section: {kind: string, title: string, number?: number}|null}}
+ */
+function sectionsAt(sections, offset) {
+  let page = null;
+  let section = null;
+
+  for (const entry of sections || []) {
+    if (!entry || !(offset >= entry.start && offset < entry.end)) continue;
+    if (entry.kind === 'page') {
+      page = entry.number;
+    } else if (!section || entry.start >= section.start) {
+      section = entry;
+    }
+  }
+
+  return {
+    page,
+    section: section && {
+      kind: section.kind,
+      title: section.title,
+      ...(section.number !== undefined && { number: section.number })
+    }
+  };
+}
+
+/**
+ * Audio time covered by a text range of a transcript
+ * @param {Array<{from: number, to: number, start: number, end: number}>} spans - Where each segment sits in the text
+ * @returns {{start: number, end: number}|null} Seconds
+ */
+function timestampAt(spans, from, to) {
+  const covered = (spans || []).filter(span => span.to > from && span.from < to);
+  if (!covered.length) return null;
+  return { start: covered[0].start, end: covered[covered.length - 1].end };
+}
+
+/**
+ * A range of text with some context on either side
+ * @returns {{text: string, before: string, after: string, highlighted: string}}
+ *   `highlighted` is HTML-escaped with <mark> around the range
+ */
+function excerpt(text, from, to, { context = EXCERPT_CONTEXT } = {}) {
+  const before = text.slice(Math.max(0, from - context), from);
+  const body = text.slice(from, to);
+  const after = text.slice(to, to + context);
+  const prefix = from - context > 0 ? '…' : '';
+  const suffix = to + context < text.length ? '…' : '';
+
+  return {
+    text: body,
+    before,
+    after,
+    highlighted: `${prefix}${escapeHtml(before)}<mark>${escapeHtml(body)}</mark>${escapeHtml(after)}${suffix}`
+  };
+}
+
+module.exports = {
+  locateChunk,
+  sectionsAt,
+  timestampAt,
+  excerpt,
+};
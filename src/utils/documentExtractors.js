@@ -0,0 +1,550 @@
+const path = require('path');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+const { readZipDirectory } = require('./zipDirectory');
+
+/**
+ * Text extractors for uploaded notebook documents (DOCX, PPTX, EPUB,
+ * Markdown, CSV).
+ *
+ * Every extractor returns { text, sections }. The text keeps readable
+ * structure markers (headings, "Slide N", chapter titles) and `sections`
+ * records where each marked part starts and ends in the text so that RAG
+ * chunks can be traced back to a slide, heading or chapter.
+ *
+ *   section: { kind: 'heading'|'slide'|'chapter'|'table', title, number?, level?, start, end }
+ */
+
+// CSV sources larger than this are truncated (rows)
+const MAX_CSV_ROWS = 10000;
+
+// DOCX, PPTX and EPUB files are zips: limits on what is inflated from them,
+// checked against the sizes the zip declares before anything is read
+const MAX_ZIP_ENTRIES = 10000;
+const MAX_PART_BYTES = 50 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 200 * 1024 * 1024;
+const MAX_SLIDES = 1000;
+const MAX_CHAPTERS = 2000;
+
+/**
+ * Accumulates text and section offsets
+ */
+class StructuredText {
+  constructor() {
+    this.parts = [];
+    this.length = 0;
+    this.sections = [];
+  }
+
+  line(text = '') {
+    const value = `${text}\n`;
+    this.parts.push(value);
+    this.length += value.length;
+  }
+
+  section(kind, { title = '', number, level } = {}) {
+    this.closeSection();
+    const section = { kind, title, start: this.length };
+    if (number !== undefined) section.number = number;
+    if (level !== undefined) section.level = level;
+    this.sections.push(section);
+    return section;
+  }
+
+  closeSection() {
+    const last = this.sections[this.sections.length - 1];
+    if (last && last.end === undefined) last.end = this.length;
+  }
+
+  result() {
+    this.closeSection();
+    // Only trim the end so section offsets stay valid
+    const text = this.parts.join('').trimEnd();
+    this.sections.forEach(section => {
+      section.end = Math.min(section.end, text.length);
+    });
+    return { text, sections: this.sections };
+  }
+}
+
+const loadXml = (xml) => cheerio.load(xml, { xml: true });
+
+const collapse = (text) => String(text || '').replace(/[ \t\u00A0]+/g, ' ').trim();
+
+/**
+ * Open a zip-based document without inflating anything yet
+ * @returns {Promise<{zip: JSZip, sizes: Map, inflated: number}>}
+ */
+async function openZip(buffer, format) {
+  let sizes;
+  try {
+    sizes = readZipDirectory(buffer);
+  } catch (err) {
+    throw new Error(`Not a valid ${format} file (${err.message})`);
+  }
+  if (sizes.size > MAX_ZIP_ENTRIES) {
+    throw new Error(`${format} file has too many parts (${sizes.size})`);
+  }
+  return { zip: await JSZip.loadAsync(buffer), sizes, inflated: 0 };
+}
+
+/**
+ * Read a part of an opened zip as text. Parts declaring more than
+ * MAX_PART_BYTES, or more than is left of MAX_INFLATED_BYTES for the whole
+ * document, are refused, and a part that inflates past its declared size
+ * is stopped (zip bombs).
+ */
+async function readZipText(archive, filePath) {
+  const file = archive.zip.file(filePath);
+  if (!file) return null;
+
+  const declared = archive.sizes.get(filePath)?.uncompressedSize ?? MAX_PART_BYTES;
+  if (declared > MAX_PART_BYTES || archive.inflated + declared > MAX_INFLATED_BYTES) {
+    throw new Error(`Document part ${filePath} is too large (${declared} bytes)`);
+  }
+  archive.inflated += declared;
+
+  const buffer = await new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = file.internalStream('nodebuffer');
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > declared) {
+          stream.pause();
+          reject(new Error(`Document part ${filePath} is larger than it declares`));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks, size)))
+      .resume();
+  });
+  return buffer.toString('utf8');
+}
+
+/**
+ * Resolve a relationship target relative to the part that references it
+ */
+function resolvePart(fromPart, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromPart), target));
+}
+
+async function readRelationships(archive, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const xml = await readZipText(archive, relsPath);
+  const rels = new Map();
+  if (!xml) return rels;
+
+  const $ = loadXml(xml);
+  $('Relationship').each((_, el) => {
+    rels.set($(el).attr('Id'), {
+      type: $(el).attr('Type') || '',
+      target: resolvePart(partPath, $(el).attr('Target') || '')
+    });
+  });
+  return rels;
+}
+
+// ─── DOCX ─────────────────────────────────────────────────────────────
+
+function docxHeadingLevel($, paragraph) {
+  const style = $(paragraph).find('w\\:pPr > w\\:pStyle').attr('w:val') || '';
+  if (/^title$/i.test(style)) return 1;
+
+  const match = style.match(/heading\s*(\d)/i);
+  if (match) return Number(match[1]);
+
+  const outline = $(paragraph).find('w\\:pPr > w\\:outlineLvl').attr('w:val');
+  return outline !== undefined ? Number(outline) + 1 : null;
+}
+
+function docxParagraphText($, paragraph) {
+  let text = '';
+  $(paragraph).find('w\\:t, w\\:tab, w\\:br').each((_, el) => {
+    if (el.name === 'w:t') text += $(el).text();
+    else if (el.name === 'w:tab') text += '\t';
+    else text += '\n';
+  });
+  return text.trim();
+}
+
+async function extractDocx(buffer) {
+  const archive = await openZip(buffer, 'DOCX');
+  const xml = await readZipText(archive, 'word/document.xml');
+  if (!xml) throw new Error('Not a valid DOCX file (word/document.xml missing)');
+
+  const $ = loadXml(xml);
+  const out = new StructuredText();
+
+  $('w\\:body').children().each((_, block) => {
+    if (block.name === 'w:p') {
+      const text = docxParagraphText($, block);
+      if (!text) return;
+
+      const level = docxHeadingLevel($, block);
+      if (level) {
+        out.section('heading', { title: text, level });
+        out.line(`${'#'.repeat(Math.min(level, 6))} ${text}`);
+      } else {
+        out.line(text);
+      }
+    } else if (block.name === 'w:tbl') {
+      $(block).find('w\\:tr').each((_, row) => {
+        const cells = $(row).children('w\\:tc').toArray()
+          .map(cell => $(cell).find('w\\:p').toArray().map(p => docxParagraphText($, p)).join(' ').trim());
+        out.line(`| ${cells.join(' | ')} |`);
+      });
+      out.line();
+    }
+  });
+
+  return out.result();
+}
+
+// ─── PPTX ─────────────────────────────────────────────────────────────
+
+function pptxParagraphs($, root) {
+  return $(root).find('a\\:p').toArray()
+    .map(p => $(p).find('a\\:t').toArray().map(t => $(t).text()).join(''))
+    .map(collapse)
+    .filter(Boolean);
+}
+
+/**
+ * Slide part paths in presentation order
+ */
+async function pptxSlideOrder(archive) {
+  const presentationXml = await readZipText(archive, 'ppt/presentation.xml');
+  if (presentationXml) {
+    const rels = await readRelationships(archive, 'ppt/presentation.xml');
+    const $ = loadXml(presentationXml);
+    const ordered = $('p\\:sldIdLst > p\\:sldId').toArray()
+      .map(el => rels.get($(el).attr('r:id'))?.target)
+      .filter(target => target && archive.zip.file(target));
+    if (ordered.length > 0) return ordered;
+  }
+
+  // Fall back to file names (slide1.xml, slide2.xml, ...)
+  return Object.keys(archive.zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+}
+
+async function pptxSpeakerNotes(archive, slidePath) {
+  const rels = await readRelationships(archive, slidePath);
+  const notesRel = [...rels.values()].find(rel => rel.type.endsWith('/notesSlide'));
+  if (!notesRel) return [];
+
+  const xml = await readZipText(archive, notesRel.target);
+  if (!xml) return [];
+
+  const $ = loadXml(xml);
+  // Skip the slide image and slide number placeholders on the notes page
+  return $('p\\:sp').toArray()
+    .filter(sp => {
+      const type = $(sp).find('p\\:nvPr > p\\:ph').attr('type');
+      return !type || type === 'body';
+    })
+    .flatMap(sp => pptxParagraphs($, sp));
+}
+
+async function extractPptx(buffer) {
+  const archive = await openZip(buffer, 'PPTX');
+  const slides = await pptxSlideOrder(archive);
+  if (slides.length === 0) throw new Error('Not a valid PPTX file (no slides found)');
+  if (slides.length > MAX_SLIDES) throw new Error(`PPTX file has too many slides (${slides.length}, max ${MAX_SLIDES})`);
+
+  const out = new StructuredText();
+
+  for (const [index, slidePath] of slides.entries()) {
+    const $ = loadXml(await readZipText(archive, slidePath));
+    const number = index + 1;
+
+    const titleShape = $('p\\:sp').toArray().find(sp => {
+      const type = $(sp).find('p\\:nvPr > p\\:ph').attr('type');
+      return type === 'title' || type === 'ctrTitle';
+    });
+    const title = titleShape ? pptxParagraphs($, titleShape).join(' ') : '';
+    const body = $('p\\:sp, p\\:graphicFrame').toArray()
+      .filter(shape => shape !== titleShape)
+      .filter(shape => !['sldNum', 'dt', 'ftr'].includes($(shape).find('p\\:nvPr > p\\:ph').attr('type')))
+      .flatMap(shape => pptxParagraphs($, shape));
+    const notes = await pptxSpeakerNotes(archive, slidePath);
+
+    out.section('slide', { title, number });
+    out.line(`## Slide ${number}${title ? `: ${title}` : ''}`);
+    body.forEach(line => out.line(line));
+    if (notes.length > 0) {
+      out.line();
+      out.line('Speaker notes:');
+      notes.forEach(line => out.line(line));
+    }
+    out.line();
+  }
+
+  return out.result();
+}
+
+// ─── EPUB ─────────────────────────────────────────────────────────────
+
+/**
+ * Chapter titles from the EPUB 3 nav document or the EPUB 2 NCX, by file path
+ */
+async function epubTocTitles(archive, opf, opfPath) {
+  const titles = new Map();
+  const manifestHref = (selector) => {
+    const href = opf(selector).first().attr('href');
+    return href ? resolvePart(opfPath, decodeURIComponent(href)) : null;
+  };
+
+  const navPath = manifestHref('manifest > item[properties~="nav"]');
+  const navXml = navPath && await readZipText(archive, navPath);
+  if (navXml) {
+    const $ = cheerio.load(navXml);
+    $('nav a[href]').each((_, a) => {
+      const file = resolvePart(navPath, decodeURIComponent($(a).attr('href').split('#')[0]));
+      if (!titles.has(file)) titles.set(file, collapse($(a).text()));
+    });
+    if (titles.size > 0) return titles;
+  }
+
+  const ncxPath = manifestHref('manifest > item[media-type="application/x-dtbncx+xml"]');
+  const ncxXml = ncxPath && await readZipText(archive, ncxPath);
+  if (ncxXml) {
+    const $ = loadXml(ncxXml);
+    $('navPoint').each((_, point) => {
+      const src = $(point).children('content').attr('src');
+      if (!src) return;
+      const file = resolvePart(ncxPath, decodeURIComponent(src.split('#')[0]));
+      if (!titles.has(file)) titles.set(file, collapse($(point).children('navLabel').text()));
+    });
+  }
+
+  return titles;
+}
+
+function htmlBlocks(html) {
+  const $ = cheerio.load(html);
+  $('script, style, nav').remove();
+
+  const blocks = [];
+  $('body').find('h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, td, th, dt, dd').each((_, el) => {
+    // Only leaf blocks, so list items containing paragraphs aren't doubled
+    if ($(el).find('p, li, h1, h2, h3, h4, h5, h6').length > 0) return;
+    const text = collapse($(el).text());
+    if (!text) return;
+    const heading = el.name.match(/^h(\d)$/);
+    blocks.push(heading ? { heading: Number(heading[1]), text } : { text });
+  });
+  return blocks;
+}
+
+async function extractEpub(buffer) {
+  const archive = await openZip(buffer, 'EPUB');
+  const containerXml = await readZipText(archive, 'META-INF/container.xml');
+  if (!containerXml) throw new Error('Not a valid EPUB file (META-INF/container.xml missing)');
+
+  const opfPath = loadXml(containerXml)('rootfile').first().attr('full-path');
+  const opfXml = opfPath && await readZipText(archive, opfPath);
+  if (!opfXml) throw new Error('Not a valid EPUB file (package document missing)');
+
+  const opf = loadXml(opfXml);
+  const manifest = new Map();
+  opf('manifest > item').each((_, item) => {
+    manifest.set(opf(item).attr('id'), resolvePart(opfPath, decodeURIComponent(opf(item).attr('href') || '')));
+  });
+  const spine = opf('spine > itemref').toArray();
+  if (spine.length > MAX_CHAPTERS) throw new Error(`EPUB file has too many chapters (${spine.length}, max ${MAX_CHAPTERS})`);
+  const tocTitles = await epubTocTitles(archive, opf, opfPath);
+
+  const out = new StructuredText();
+  const bookTitle = collapse(opf('metadata > dc\\:title').first().text());
+  if (bookTitle) {
+    out.line(`# ${bookTitle}`);
+    out.line();
+  }
+
+  let number = 0;
+  for (const itemref of spine) {
+    const file = manifest.get(opf(itemref).attr('idref'));
+    const html = file && await readZipText(archive, file);
+    if (!html) continue;
+
+    const blocks = htmlBlocks(html);
+    if (blocks.length === 0) continue;
+
+    number += 1;
+    const firstHeading = blocks.find(block => block.heading);
+    const title = tocTitles.get(file) || firstHeading?.text || `Chapter ${number}`;
+
+    out.section('chapter', { title, number });
+    out.line(`## Chapter ${number}: ${title}`);
+    blocks.forEach(block => {
+      // The chapter marker already carries the title
+      if (block === firstHeading && block.text === title) return;
+      out.line(block.heading ? `${'#'.repeat(Math.min(block.heading + 2, 6))} ${block.text}` : block.text);
+    });
+    out.line();
+  }
+
+  if (number === 0) throw new Error('No readable chapters found in EPUB');
+
+  return out.result();
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────
+
+function extractMarkdown(buffer) {
+  const source = Buffer.isBuffer(buffer) ? buffer.toString('utf8') : String(buffer);
+  const out = new StructuredText();
+  let inFence = false;
+
+  source.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+    const heading = !inFence && line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      out.section('heading', { title: heading[2], level: heading[1].length });
+    }
+    out.line(line);
+  });
+
+  return out.result();
+}
+
+// ─── CSV ──────────────────────────────────────────────────────────────
+
+/**
+ * Parse CSV text (RFC 4180 quoting) with the given delimiter
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const candidates = [',', ';', '\t', '|'];
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  , ',');
+}
+
+function extractCsv(buffer, { name = 'Table' } = {}) {
+  const source = (Buffer.isBuffer(buffer) ? buffer.toString('utf8') : String(buffer)).replace(/^\uFEFF/, '');
+  const rows = parseCsv(source, detectDelimiter(source));
+  if (rows.length === 0) throw new Error('CSV file is empty');
+
+  const header = rows[0].map((cell, index) => collapse(cell) || `Column ${index + 1}`);
+  const dataRows = rows.slice(1, MAX_CSV_ROWS + 1);
+
+  const out = new StructuredText();
+  const section = out.section('table', { title: name });
+  section.rows = dataRows.length;
+  section.columns = header;
+
+  out.line(`## Table: ${name} (${dataRows.length} rows)`);
+  out.line(`Columns: ${header.join(', ')}`);
+  out.line();
+  // One self-contained line per row so chunks keep column names
+  dataRows.forEach((row, index) => {
+    const cells = header.map((column, col) => `${column}: ${collapse(row[col])}`);
+    out.line(`Row ${index + 1}: ${cells.join('; ')}`);
+  });
+  if (rows.length - 1 > MAX_CSV_ROWS) {
+    out.line(`[Truncated: ${rows.length - 1 - MAX_CSV_ROWS} more rows]`);
+  }
+
+  return out.result();
+}
+
+// ─── Registry ─────────────────────────────────────────────────────────
+
+const EXTRACTORS = {
+  docx: extractDocx,
+  pptx: extractPptx,
+  epub: extractEpub,
+  markdown: extractMarkdown,
+  csv: extractCsv,
+};
+
+const DOCUMENT_TYPES = Object.keys(EXTRACTORS);
+
+// File extension -> source type, for uploads that don't say which type they are
+const EXTENSION_TYPES = {
+  '.docx': 'docx',
+  '.pptx': 'pptx',
+  '.epub': 'epub',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.csv': 'csv',
+  '.tsv': 'csv',
+};
+
+/**
+ * Extract structured text from a document
+ * @param {Buffer} buffer - File contents
+ * @param {string} type - One of DOCUMENT_TYPES
+ * @param {Object} [options] - { name } used for table titles
+ * @returns {Promise<{text: string, sections: Array}>}
+ */
+async function extractDocument(buffer, type, options = {}) {
+  const extractor = EXTRACTORS[type];
+  if (!extractor) {
+    throw new Error(`Unsupported document type: ${type}`);
+  }
+  return extractor(buffer, options);
+}
+
+/**
+ * Source type for a file name, or null if it isn't a structured document
+ */
+function documentTypeForFile(fileName = '') {
+  return EXTENSION_TYPES[path.extname(fileName).toLowerCase()] || null;
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  extractDocument,
+  documentTypeForFile,
+  parseCsv,
+};
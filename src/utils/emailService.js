@@ -45,8 +45,9 @@ class EmailService {
    * @param {string} options.subject - Email subject
    * @param {string} options.html - HTML content
    * @param {string} options.text - Plain text content (optional)
+   * @param {Array<{filename: string, content: Buffer}>} options.attachments - Files to attach (optional)
    */
-  async sendEmail({ to, subject, html, text }) {
+  async sendEmail({ to, subject, html, text, attachments }) {
     try {
       if (this.devMode) {
         console.log(`📩 [DEV] Email to: ${to} | Subject: ${subject}`);
@@ -63,6 +64,7 @@ class EmailService {
         subject,
         html,
         text: text || html.replace(/<[^>]*>/g, ''),
+        ...(attachments?.length && { attachments }),
       });
 
       if (error) {
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const { pipeline } = require('stream');
+
+/**
+ * File responses with HTTP caching and byte ranges
+ *
+ * Media elements seek by requesting byte ranges (and Safari won't play audio
+ * at all without 206 responses), so files are served with:
+ *   - ETag / Last-Modified, answering If-None-Match with 304
+ *   - Range -> 206 Partial Content, unsatisfiable ranges -> 416
+ *   - If-Range, so a changed file is resent in full instead of mixed
+ */
+
+/**
+ * Strong validator for the current version of a file
+ */
+const fileEtag = (stats) => `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+
+/**
+ * Whether a Range request may be served partially (RFC 9110 If-Range)
+ */
+function ifRangeMatches(req, etag, lastModified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  // An entity tag must match exactly; weak tags never match
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === etag;
+  }
+
+  const since = Date.parse(ifRange);
+  return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * Send a file from disk honoring conditional and range requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string} [options.contentType]
+ * @param {string} [options.cacheControl] - Defaults to revalidating private caching
+ */
+async function sendFileWithRanges(req, res, filePath, { contentType, cacheControl = 'private, no-cache' } = {}) {
+  const stats = await fs.promises.stat(filePath);
+  const size = stats.size;
+  const etag = fileEtag(stats);
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': stats.mtime.toUTCString(),
+    'Cache-Control': cacheControl
+  });
+  if (contentType) res.set('Content-Type', contentType);
+
+  // If-None-Match / If-Modified-Since against the headers above
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+
+  let start = 0;
+  let end = size - 1;
+  let partial = false;
+
+  if (req.headers.range && ifRangeMatches(req, etag, stats.mtime)) {
+    const ranges = req.range(size, { combine: true });
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      res.status(416).end();
+      return;
+    }
+
+    // Malformed (-2), non-byte and multi-part range requests get the whole file
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      partial = true;
+    }
+  }
+
+  res.status(partial ? 206 : 200);
+  res.set('Content-Length', String(size === 0 ? 0 : end - start + 1));
+  if (partial) {
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+
+  if (req.method === 'HEAD' || size === 0) {
+    res.end();
+    return;
+  }
+
+  pipeline(fs.createReadStream(filePath, { start, end }), res, (err) => {
+    // Clients abort media requests all the time when seeking
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`[FILE STREAM] Error streaming ${filePath}: ${err.message}`);
+    }
+  });
+}
+
+module.exports = {
+  fileEtag,
+  sendFileWithRanges,
+};
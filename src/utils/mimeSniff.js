@@ -0,0 +1,112 @@
+const path = require('path');
+
+/**
+ * File type detection from content
+ *
+ * Chat attachments are typed by their leading bytes, never by the MIME type
+ * or extension the client sends, so a renamed executable or HTML page can't
+ * be served back to other members as an image or PDF. Only the types below
+ * are accepted; anything unrecognized is rejected.
+ */
+
+// Office files and EPUBs are zip containers, told apart by extension
+const ZIP_TYPES = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.epub': 'application/epub+zip',
+  '.zip': 'application/zip',
+};
+
+// Plain text is accepted for these extensions only (no HTML or SVG)
+const TEXT_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+};
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/ogg': '.ogg',
+  'audio/flac': '.flac',
+  'audio/mp4': '.m4a',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+/**
+ * MIME type of a binary format from its signature, or null
+ */
+function sniffBinary(buffer, ext) {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(buffer, 0, 5) === '%PDF-') return 'application/pdf';
+  if (ascii(buffer, 0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(buffer, 0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(buffer, 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'video/webm';
+
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    return ZIP_TYPES[ext] || ZIP_TYPES['.zip'];
+  }
+
+  return null;
+}
+
+/**
+ * Whether a buffer is UTF-8 text (no NUL bytes, no invalid sequences)
+ */
+function isText(buffer) {
+  const sample = buffer.subarray(0, 64 * 1024);
+  if (sample.includes(0)) return false;
+  const text = sample.toString('utf8');
+  // A character cut off at the end of the sample decodes as one trailing U+FFFD
+  const body = sample.length < buffer.length ? text.slice(0, -1) : text;
+  return !body.includes('\uFFFD');
+}
+
+/**
+ * Detect an attachment's type from its content
+ * @param {Buffer} buffer
+ * @param {string} [fileName] - Only used to pick between zip containers and text formats
+ * @returns {{mime: string, kind: 'image'|'audio'|'video'|'file', ext: string}|null} null when not an accepted type
+ */
+function sniffMime(buffer, fileName = '') {
+  if (!buffer || !buffer.length) return null;
+  const ext = path.extname(fileName).toLowerCase();
+
+  let mime = sniffBinary(buffer, ext);
+  if (!mime && TEXT_TYPES[ext] && isText(buffer)) {
+    mime = TEXT_TYPES[ext];
+  }
+  if (!mime) return null;
+
+  const kind = ['image', 'audio', 'video'].find(prefix => mime.startsWith(`${prefix}/`)) || 'file';
+  return { mime, kind, ext: EXTENSIONS[mime] || ext };
+}
+
+module.exports = {
+  sniffMime,
+};
@@ -0,0 +1,159 @@
+/**
+ * Mind map version diff
+ *
+ * Compares two snapshots (nodes + edges) of the same mind map. Nodes are
+ * matched by id. Edges are matched by id first, then by their endpoints so
+ * that regenerated edge ids don't show up as remove + add.
+ */
+
+// Position changes smaller than this (in canvas units) are layout noise
+const MOVE_THRESHOLD = 1;
+
+const samePosition = (a = {}, b = {}) =>
+  Math.abs((a.x || 0) - (b.x || 0)) < MOVE_THRESHOLD &&
+  Math.abs((a.y || 0) - (b.y || 0)) < MOVE_THRESHOLD;
+
+const plainPosition = (position) => (position ? { x: position.x, y: position.y } : null);
+
+const summarizeNode = (node) => ({ id: node.id, label: node.label, type: node.type });
+
+const summarizeEdge = (edge) => ({ id: edge.id, from: edge.from, to: edge.to, relation: edge.relation });
+
+/**
+ * Parent of each node (first incoming edge)
+ */
+function parentsOf(edges) {
+  const parents = new Map();
+  edges.forEach(edge => {
+    if (!parents.has(edge.to)) parents.set(edge.to, edge.from);
+  });
+  return parents;
+}
+
+function diffNodes(before, after) {
+  const beforeNodes = before.nodes || [];
+  const afterNodes = after.nodes || [];
+  const beforeById = new Map(beforeNodes.map(node => [node.id, node]));
+  const afterIds = new Set(afterNodes.map(node => node.id));
+  const beforeParents = parentsOf(before.edges || []);
+  const afterParents = parentsOf(after.edges || []);
+
+  const added = [];
+  const relabeled = [];
+  const moved = [];
+
+  afterNodes.forEach(node => {
+    const previous = beforeById.get(node.id);
+    if (!previous) {
+      added.push(summarizeNode(node));
+      return;
+    }
+
+    if (previous.label !== node.label) {
+      relabeled.push({ id: node.id, from: previous.label, to: node.label });
+    }
+
+    // A node "moves" when it's attached to a different parent or dragged on the canvas
+    const change = {};
+    const fromParent = beforeParents.get(node.id) || null;
+    const toParent = afterParents.get(node.id) || null;
+    if (fromParent !== toParent) {
+      change.parent = { from: fromParent, to: toParent };
+    }
+    if (!samePosition(previous.position, node.position)) {
+      change.position = { from: plainPosition(previous.position), to: plainPosition(node.position) };
+    }
+    if (Object.keys(change).length > 0) {
+      moved.push({ id: node.id, label: node.label, ...change });
+    }
+  });
+
+  const removed = beforeNodes
+    .filter(node => !afterIds.has(node.id))
+    .map(summarizeNode);
+
+  return { added, removed, relabeled, moved };
+}
+
+function diffEdges(before, after) {
+  const endpoints = (edge) => `${edge.from}\u0000${edge.to}`;
+  const unmatchedBefore = new Map((before.edges || []).map(edge => [edge.id, edge]));
+  const pairs = [];
+  const unmatchedAfter = [];
+
+  // Match by id
+  (after.edges || []).forEach(edge => {
+    const previous = unmatchedBefore.get(edge.id);
+    if (previous) {
+      pairs.push([previous, edge]);
+      unmatchedBefore.delete(edge.id);
+    } else {
+      unmatchedAfter.push(edge);
+    }
+  });
+
+  // Match what's left by endpoints
+  const beforeByEndpoints = new Map();
+  unmatchedBefore.forEach(edge => {
+    if (!beforeByEndpoints.has(endpoints(edge))) beforeByEndpoints.set(endpoints(edge), edge);
+  });
+
+  const added = [];
+  unmatchedAfter.forEach(edge => {
+    const previous = beforeByEndpoints.get(endpoints(edge));
+    if (previous) {
+      pairs.push([previous, edge]);
+      beforeByEndpoints.delete(endpoints(edge));
+      unmatchedBefore.delete(previous.id);
+    } else {
+      added.push(summarizeEdge(edge));
+    }
+  });
+
+  const relabeled = [];
+  const moved = [];
+  pairs.forEach(([previous, edge]) => {
+    if ((previous.relation || null) !== (edge.relation || null)) {
+      relabeled.push({ id: edge.id, from: previous.relation || null, to: edge.relation || null });
+    }
+    if (previous.from !== edge.from || previous.to !== edge.to) {
+      moved.push({
+        id: edge.id,
+        from: { from: previous.from, to: previous.to },
+        to: { from: edge.from, to: edge.to }
+      });
+    }
+  });
+
+  const removed = [...unmatchedBefore.values()].map(summarizeEdge);
+
+  return { added, removed, relabeled, moved };
+}
+
+/**
+ * Diff two mind map snapshots
+ * @param {{nodes, edges}} before
+ * @param {{nodes, edges}} after
+ * @returns {{nodes: Object, edges: Object, summary: Object}}
+ */
+function diffMindMaps(before, after) {
+  const nodes = diffNodes(before, after);
+  const edges = diffEdges(before, after);
+
+  const count = (diff) => Object.fromEntries(Object.entries(diff).map(([key, list]) => [key, list.length]));
+
+  return {
+    nodes,
+    edges,
+    summary: {
+      nodes: count(nodes),
+      edges: count(edges),
+      unchanged: Object.values(nodes).every(list => list.length === 0) &&
+        Object.values(edges).every(list => list.length === 0)
+    }
+  };
+}
+
+module.exports = {
+  diffMindMaps,
+};
@@ -0,0 +1,346 @@
+const cheerio = require('cheerio');
+
+/**
+ * Mind map outline formats
+ *
+ * Mind maps are stored as a graph (nodes + edges). Outline formats are trees,
+ * so exports walk the graph from the root and imports build a graph back from
+ * the outline with a simple left-to-right tree layout.
+ */
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  opml: { extension: 'opml', contentType: 'text/x-opml; charset=utf-8' },
+  freemind: { extension: 'mm', contentType: 'application/x-freemind; charset=utf-8' },
+  mermaid: { extension: 'mmd', contentType: 'text/plain; charset=utf-8' },
+};
+
+const IMPORT_FORMATS = ['markdown', 'opml'];
+
+// Layout spacing for imported maps
+const LEVEL_WIDTH = 260;
+const ROW_HEIGHT = 80;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Build an outline tree from a mind map's nodes and edges.
+ * Edges are read as parent -> child; nodes reached twice (cross links, cycles)
+ * only appear under their first parent. Unreachable nodes become extra roots.
+ * @returns {Array<{id, label, type, style, children}>} Top-level tree nodes
+ */
+function buildTree({ nodes = [], edges = [] }) {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const childrenOf = new Map();
+  const hasParent = new Set();
+
+  edges.forEach(edge => {
+    if (!byId.has(edge.from) || !byId.has(edge.to) || edge.from === edge.to) return;
+    if (!childrenOf.has(edge.from)) childrenOf.set(edge.from, []);
+    childrenOf.get(edge.from).push(edge.to);
+    hasParent.add(edge.to);
+  });
+
+  const visited = new Set();
+  const visit = (id) => {
+    visited.add(id);
+    const node = byId.get(id);
+    const children = [];
+    // Checked per child: an earlier sibling's subtree may have claimed it
+    (childrenOf.get(id) || []).forEach(childId => {
+      if (!visited.has(childId)) children.push(visit(childId));
+    });
+
+    return { id, label: node.label, type: node.type, style: node.style, children };
+  };
+
+  // Explicit root first, then nodes without a parent, then anything left over
+  const ordered = [
+    ...nodes.filter(node => node.type === 'root'),
+    ...nodes.filter(node => node.type !== 'root' && !hasParent.has(node.id)),
+    ...nodes,
+  ];
+
+  const roots = [];
+  ordered.forEach(node => {
+    if (!visited.has(node.id)) roots.push(visit(node.id));
+  });
+
+  return roots;
+}
+
+/**
+ * Single root to export from: the map's root, or a synthetic one named
+ * after the map when there are several top-level nodes
+ */
+function rootOf(mindMap) {
+  const roots = buildTree(mindMap);
+  if (roots.length === 1) return roots[0];
+  return { id: 'root', label: mindMap.title || mindMap.topic || 'Mind Map', type: 'root', children: roots };
+}
+
+function toMarkdown(mindMap) {
+  const root = rootOf(mindMap);
+  const lines = [`# ${root.label}`, ''];
+
+  const walk = (node, depth) => {
+    lines.push(`${'  '.repeat(depth)}- ${node.label}`);
+    node.children.forEach(child => walk(child, depth + 1));
+  };
+  root.children.forEach(child => walk(child, 0));
+
+  return `${lines.join('\n')}\n`;
+}
+
+function toOpml(mindMap) {
+  const root = rootOf(mindMap);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(mindMap.title || root.label)}</title>`,
+    `    <dateModified>${new Date(mindMap.updatedAt || Date.now()).toUTCString()}</dateModified>`,
+    '  </head>',
+    '  <body>',
+  ];
+
+  const walk = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    if (node.children.length === 0) {
+      lines.push(`${indent}<outline text="${escapeXml(node.label)}"/>`);
+      return;
+    }
+    lines.push(`${indent}<outline text="${escapeXml(node.label)}">`);
+    node.children.forEach(child => walk(child, depth + 1));
+    lines.push(`${indent}</outline>`);
+  };
+  walk(root, 2);
+
+  lines.push('  </body>', '</opml>');
+  return `${lines.join('\n')}\n`;
+}
+
+function toFreeMind(mindMap) {
+  const root = rootOf(mindMap);
+  const lines = ['<map version="1.0.1">'];
+  let counter = 0;
+
+  const walk = (node, depth, position) => {
+    const indent = '  '.repeat(depth + 1);
+    const attrs = [`ID="ID_${++counter}"`, `TEXT="${escapeXml(node.label)}"`];
+    if (position) attrs.push(`POSITION="${position}"`);
+    if (node.style?.color) attrs.push(`COLOR="${escapeXml(node.style.color)}"`);
+    if (node.style?.backgroundColor) attrs.push(`BACKGROUND_COLOR="${escapeXml(node.style.backgroundColor)}"`);
+
+    if (node.children.length === 0) {
+      lines.push(`${indent}<node ${attrs.join(' ')}/>`);
+      return;
+    }
+    lines.push(`${indent}<node ${attrs.join(' ')}>`);
+    // FreeMind places first-level branches on either side of the root
+    node.children.forEach((child, index) => {
+      walk(child, depth + 1, depth === 0 ? (index % 2 === 0 ? 'right' : 'left') : null);
+    });
+    lines.push(`${indent}</node>`);
+  };
+  walk(root, 0, null);
+
+  lines.push('</map>');
+  return `${lines.join('\n')}\n`;
+}
+
+// Plain mermaid text can't contain shape delimiters or quotes
+const MERMAID_PLAIN_RE = /^[\p{L}\p{N} ,.'!?:&/-]+$/u;
+
+function mermaidLabel(label) {
+  return String(label).replace(/"/g, '#quot;').replace(/\s+/g, ' ').trim();
+}
+
+function toMermaid(mindMap) {
+  const root = rootOf(mindMap);
+  const lines = ['mindmap', `  root(("${mermaidLabel(root.label)}"))`];
+  let counter = 0;
+
+  const walk = (node, depth) => {
+    const indent = '  '.repeat(depth + 2);
+    const label = mermaidLabel(node.label);
+    lines.push(MERMAID_PLAIN_RE.test(label) ? `${indent}${label}` : `${indent}n${++counter}["${label}"]`);
+    node.children.forEach(child => walk(child, depth + 1));
+  };
+  root.children.forEach(child => walk(child, 0));
+
+  return `${lines.join('\n')}\n`;
+}
+
+const EXPORTERS = {
+  markdown: toMarkdown,
+  opml: toOpml,
+  freemind: toFreeMind,
+  mermaid: toMermaid,
+};
+
+/**
+ * Export a mind map to one of EXPORT_FORMATS
+ * @returns {string}
+ */
+function exportMindMap(mindMap, format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return exporter(mindMap);
+}
+
+/**
+ * Parse a Markdown outline. Headings nest by level, list items nest by
+ * indentation under the closest heading.
+ * @returns {{title: string|null, roots: Array<{label, children}>}}
+ */
+function parseMarkdownOutline(text) {
+  const virtualRoot = { label: null, children: [] };
+  // Stack of { depth, node }; depth -1 is the virtual root
+  const stack = [{ depth: -1, node: virtualRoot }];
+  const indentWidths = [];
+  let headingDepth = -1;
+  let minHeadingLevel = null;
+
+  const attach = (depth, label) => {
+    while (stack.length > 1 && stack[stack.length - 1].depth >= depth) stack.pop();
+    const node = { label, children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ depth, node });
+  };
+
+  String(text).split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/\t/g, '    ');
+    if (!line.trim()) return;
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      if (minHeadingLevel === null) minHeadingLevel = level;
+      headingDepth = Math.max(0, level - minHeadingLevel);
+      indentWidths.length = 0;
+      attach(headingDepth, heading[2].trim());
+      return;
+    }
+
+    const item = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.+)$/);
+    if (!item) return;
+
+    // Map raw indentation onto nesting levels
+    const width = item[1].length;
+    while (indentWidths.length && indentWidths[indentWidths.length - 1] > width) indentWidths.pop();
+    if (!indentWidths.length || indentWidths[indentWidths.length - 1] < width) indentWidths.push(width);
+    const level = indentWidths.length - 1;
+
+    attach(headingDepth + 1 + level, item[2].trim());
+  });
+
+  return { title: null, roots: virtualRoot.children };
+}
+
+/**
+ * Parse an OPML document
+ * @returns {{title: string|null, roots: Array<{label, children}>}}
+ */
+function parseOpml(xml) {
+  const $ = cheerio.load(String(xml), { xml: true });
+
+  if ($('opml').length === 0 || $('opml > body').length === 0) {
+    throw new Error('Not a valid OPML document');
+  }
+
+  const walk = (element) => ({
+    label: ($(element).attr('text') || $(element).attr('title') || '').trim(),
+    children: $(element).children('outline').toArray().map(walk).filter(n => n.label),
+  });
+
+  return {
+    title: $('opml > head > title').first().text().trim() || null,
+    roots: $('opml > body').children('outline').toArray().map(walk).filter(n => n.label),
+  };
+}
+
+/**
+ * Turn an outline tree into mind map nodes and edges
+ * @param {Array<{label, children}>} roots
+ * @param {string} fallbackTitle - Root label when the outline has several roots
+ * @returns {{nodes: Array, edges: Array, rootLabel: string}}
+ */
+function outlineToGraph(roots, fallbackTitle) {
+  const root = roots.length === 1 ? roots[0] : { label: fallbackTitle, children: roots };
+  const nodes = [];
+  const edges = [];
+  let row = 0;
+
+  const walk = (item, depth, parentId) => {
+    const id = `node-${nodes.length + 1}`;
+    const node = {
+      id,
+      label: item.label.slice(0, 500),
+      type: depth === 0 ? 'root' : item.children.length > 0 ? 'branch' : 'leaf',
+      position: { x: depth * LEVEL_WIDTH, y: 0 },
+    };
+    nodes.push(node);
+    if (parentId) {
+      edges.push({ id: `edge-${parentId}-${id}`, from: parentId, to: id });
+    }
+
+    if (item.children.length === 0) {
+      node.position.y = row++ * ROW_HEIGHT;
+    } else {
+      // Center parents on their children
+      const childNodes = item.children.map(child => walk(child, depth + 1, id));
+      node.position.y = (childNodes[0].position.y + childNodes[childNodes.length - 1].position.y) / 2;
+    }
+    return node;
+  };
+  walk(root, 0, null);
+
+  return { nodes, edges, rootLabel: root.label };
+}
+
+/**
+ * Guess the import format from a file name or the content itself
+ */
+function detectImportFormat(content, fileName = '') {
+  const ext = fileName.split('.').pop().toLowerCase();
+  if (ext === 'opml' || ext === 'xml') return 'opml';
+  if (ext === 'md' || ext === 'markdown' || ext === 'txt') return 'markdown';
+  return /^\s*(<\?xml|<opml)/i.test(content) ? 'opml' : 'markdown';
+}
+
+/**
+ * Parse an outline document into mind map nodes and edges
+ * @returns {{title: string|null, nodes, edges, rootLabel}}
+ */
+function importOutline(content, format, fallbackTitle = 'Imported Mind Map') {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+
+  const { title, roots } = format === 'opml' ? parseOpml(content) : parseMarkdownOutline(content);
+  if (roots.length === 0) {
+    throw new Error('The outline is empty');
+  }
+
+  return { title, ...outlineToGraph(roots, title || fallbackTitle) };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  buildTree,
+  exportMindMap,
+  parseMarkdownOutline,
+  parseOpml,
+  outlineToGraph,
+  detectImportFormat,
+  importOutline,
+};
@@ -0,0 +1,273 @@
+/**
+ * Quiz Question Types
+ *
+ * Registry of supported question types. Each type knows how to validate its
+ * own definition, grade a submitted answer (with partial credit where it makes
+ * sense) and strip its answer key before a quiz is sent to a student.
+ *
+ * Answer formats expected from clients:
+ *   multiple_choice  "Option text"
+ *   multi_select     ["Option A", "Option C"]
+ *   true_false       true | false | "true" | "false"
+ *   numeric          42 | "42.5"
+ *   fill_blank       "free text"
+ *   ordering         ["First item", "Second item", ...]
+ */
+
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'numeric', 'fill_blank', 'ordering'];
+
+const normalizeText = (value, caseSensitive = false) => {
+  const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const toArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return [value];
+};
+
+const toBooleanString = (value) => {
+  const text = normalizeText(value);
+  if (['true', 't', 'yes', '1'].includes(text)) return 'true';
+  if (['false', 'f', 'no', '0'].includes(text)) return 'false';
+  return null;
+};
+
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const full = (isCorrect) => ({ credit: isCorrect ? 1 : 0 });
+
+const graders = {
+  multiple_choice: {
+    validate(q) {
+      if (!q.correctAnswer) return 'Correct answer is required';
+      if (q.options?.length >= 2 && !q.options.some(o => normalizeText(o) === normalizeText(q.correctAnswer))) {
+        return 'Correct answer must be one of the options';
+      }
+      return null;
+    },
+    grade(q, answer) {
+      return full(normalizeText(answer) === normalizeText(q.correctAnswer));
+    },
+  },
+
+  multi_select: {
+    validate(q) {
+      if (!q.correctAnswers?.length) return 'At least one correct answer is required';
+      const options = (q.options || []).map(o => normalizeText(o));
+      if (q.correctAnswers.some(a => !options.includes(normalizeText(a)))) {
+        return 'Every correct answer must be one of the options';
+      }
+      return null;
+    },
+    // Each correct pick earns a share, each wrong pick takes one away (never below zero)
+    grade(q, answer) {
+      const correct = new Set(q.correctAnswers.map(a => normalizeText(a)));
+      const picked = new Set(toArray(answer).map(a => normalizeText(a)));
+
+      let hits = 0;
+      let misses = 0;
+      picked.forEach(a => (correct.has(a) ? hits++ : misses++));
+
+      const isCorrect = hits === correct.size && misses === 0;
+      if (!q.partialCredit) return full(isCorrect);
+      return { credit: isCorrect ? 1 : Math.max(0, (hits - misses) / correct.size) };
+    },
+  },
+
+  true_false: {
+    validate(q) {
+      return toBooleanString(q.correctAnswer) ? null : 'Correct answer must be true or false';
+    },
+    grade(q, answer) {
+      const given = toBooleanString(answer);
+      return full(given !== null && given === toBooleanString(q.correctAnswer));
+    },
+  },
+
+  numeric: {
+    validate(q) {
+      if (!Number.isFinite(parseFloat(q.correctAnswer))) return 'Correct answer must be a number';
+      if (q.tolerance !== undefined && q.tolerance !== null && !(q.tolerance >= 0)) {
+        return 'Tolerance must be zero or positive';
+      }
+      return null;
+    },
+    grade(q, answer) {
+      const given = parseFloat(String(answer ?? '').replace(/,/g, ''));
+      if (!Number.isFinite(given)) return full(false);
+      const expected = parseFloat(q.correctAnswer);
+      // Tiny epsilon so 0.1 + 0.2 style float noise doesn't fail exact answers
+      return full(Math.abs(given - expected) <= (q.tolerance || 0) + 1e-9);
+    },
+  },
+
+  fill_blank: {
+    validate(q) {
+      return q.correctAnswer ? null : 'Correct answer is required';
+    },
+    grade(q, answer) {
+      const accepted = [q.correctAnswer, ...(q.acceptedAnswers || [])]
+        .map(a => normalizeText(a, q.caseSensitive));
+      return full(accepted.includes(normalizeText(answer, q.caseSensitive)));
+    },
+    sanitize(publicQuestion) {
+      delete publicQuestion.options;
+      return publicQuestion;
+    },
+  },
+
+  ordering: {
+    validate(q) {
+      const order = q.correctOrder?.length ? q.correctOrder : q.options;
+      if (!order || order.length < 2) return 'At least 2 items are required to order';
+      return null;
+    },
+    // Partial credit is the share of items placed in the correct position
+    grade(q, answer) {
+      const expected = (q.correctOrder?.length ? q.correctOrder : q.options).map(a => normalizeText(a));
+      const given = toArray(answer).map(a => normalizeText(a));
+
+      const inPlace = expected.filter((item, i) => given[i] === item).length;
+      const isCorrect = inPlace === expected.length && given.length === expected.length;
+      if (!q.partialCredit) return full(isCorrect);
+      return { credit: isCorrect ? 1 : inPlace / expected.length };
+    },
+    // Options may be stored in the correct order, so always shuffle them
+    sanitize(publicQuestion, q) {
+      publicQuestion.options = shuffle(q.correctOrder?.length ? q.correctOrder : q.options || []);
+      return publicQuestion;
+    },
+  },
+};
+
+/**
+ * Get the grader for a question (legacy questions have no type)
+ * @param {Object} question
+ * @returns {Object}
+ */
+function getGrader(question) {
+  return graders[question.type || 'multiple_choice'] || graders.multiple_choice;
+}
+
+/**
+ * Validate a question definition
+ * @param {Object} question
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateQuestion(question) {
+  if (question.type && !QUESTION_TYPES.includes(question.type)) {
+    return `Invalid question type "${question.type}"`;
+  }
+  return getGrader(question).validate(question);
+}
+
+/**
+ * Grade a submitted answer
+ * @param {Object} question
+ * @param {*} answer - Raw answer from the client
+ * @returns {{ isCorrect: boolean, credit: number }} credit in the range 0..1
+ */
+function gradeAnswer(question, answer) {
+  const { credit } = getGrader(question).grade(question, answer);
+  const rounded = Math.round(credit * 1000) / 1000;
+  return { isCorrect: rounded === 1, credit: rounded };
+}
+
+/**
+ * Whether an answer counts as "not answered"
+ * @param {*} answer
+ * @returns {boolean}
+ */
+function isBlankAnswer(answer) {
+  return toArray(answer).every(a => normalizeText(a) === '');
+}
+
+/**
+ * Strip the answer key from a question (for quiz takers)
+ * @param {Object} question - Question subdocument or plain object
+ * @returns {Object}
+ */
+function sanitizeQuestion(question) {
+  const publicQuestion = {
+    _id: question._id,
+    type: question.type || 'multiple_choice',
+    question: question.question,
+    options: question.options,
+    difficulty: question.difficulty,
+    points: question.points,
+    order: question.order,
+  };
+  const grader = getGrader(question);
+  return grader.sanitize ? grader.sanitize(publicQuestion, question) : publicQuestion;
+}
+
+/**
+ * Normalise a question produced by the AI engine into the quiz schema
+ * @param {Object} q - Raw question from the AI engine
+ * @param {Object} defaults - { difficulty, points }
+ * @returns {Object|null} null if the question can't be used
+ */
+function normalizeGeneratedQuestion(q, defaults = {}) {
+  const type = q.type || q.question_type;
+  const base = {
+    type,
+    question: q.question || 'Question not provided',
+    explanation: q.explanation || '',
+    difficulty: q.difficulty || defaults.difficulty || 'medium',
+    points: defaults.points || 10,
+  };
+  const cleanList = (list) => toArray(list).map(item => String(item).trim()).filter(Boolean);
+
+  switch (type) {
+    case 'multi_select':
+      return {
+        ...base,
+        options: cleanList(q.options),
+        correctAnswers: cleanList(q.answers || q.correct_answers || q.answer),
+        partialCredit: true,
+      };
+    case 'true_false': {
+      const correctAnswer = toBooleanString(q.answer);
+      return correctAnswer ? { ...base, options: ['True', 'False'], correctAnswer } : null;
+    }
+    case 'numeric':
+      return {
+        ...base,
+        options: [],
+        correctAnswer: String(q.answer ?? '').trim(),
+        tolerance: Number(q.tolerance) || 0,
+      };
+    case 'fill_blank':
+      return {
+        ...base,
+        options: [],
+        correctAnswer: String(q.answer ?? '').trim(),
+        acceptedAnswers: cleanList(q.accepted_answers || q.acceptedAnswers),
+      };
+    case 'ordering': {
+      const correctOrder = cleanList(q.correct_order || q.correctOrder || q.items || q.options);
+      return { ...base, options: shuffle(correctOrder), correctOrder, partialCredit: true };
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  validateQuestion,
+  gradeAnswer,
+  isBlankAnswer,
+  sanitizeQuestion,
+  normalizeGeneratedQuestion,
+  shuffle,
+};
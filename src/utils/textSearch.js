@@ -0,0 +1,192 @@
+/**
+ * Full-text matching, ranking and snippets for notebook search
+ *
+ * Matching is case and accent insensitive and works on word prefixes
+ * ("photo" finds "Photosynthesis"); "quoted phrases" must appear in order.
+ * Text is folded one character at a time so match offsets are offsets into
+ * the original string and can be used as deep links.
+ */
+
+const MAX_TERMS = 10;
+const MIN_TERM_LENGTH = 2;
+// Stop scanning a text once this many matches are found
+const MAX_MATCHES = 500;
+
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Lowercase and strip accents, keeping the string length unchanged
+ */
+function foldText(text) {
+  let folded = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    if (base.length === 1) {
+      folded += base;
+    } else {
+      const lower = char.toLowerCase();
+      folded += lower.length === 1 ? lower : char;
+    }
+  }
+  return folded;
+}
+
+/**
+ * Split a search string into terms and "quoted phrases"
+ * @param {string} q
+ * @returns {{terms: string[], phrases: string[]}} Folded; phrase words are also terms
+ */
+function parseQuery(q) {
+  const phrases = [];
+  const rest = String(q || '').replace(/"([^"]+)"/g, (_, phrase) => {
+    const words = foldText(phrase).match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length > 1) phrases.push(words.join(' '));
+    return ` ${words.join(' ')} `;
+  });
+
+  const words = foldText(rest).match(/[\p{L}\p{N}]+/gu) || [];
+  const terms = [...new Set(words.filter(word => word.length >= MIN_TERM_LENGTH))].slice(0, MAX_TERMS);
+
+  return { terms, phrases: phrases.slice(0, MAX_TERMS) };
+}
+
+/**
+ * Find every term and phrase occurrence in text
+ * @returns {Array<{start: number, end: number, term: string}>} Sorted, non-overlapping
+ */
+function findMatches(text, query) {
+  if (!text || !query.terms.length) return [];
+  const folded = foldText(text);
+  const found = [];
+
+  const collect = (pattern, term) => {
+    const regex = new RegExp(`(?<!${WORD_CHAR})${pattern}${WORD_CHAR}*`, 'gu');
+    let match;
+    while ((match = regex.exec(folded)) && found.length < MAX_MATCHES) {
+      found.push({ start: match.index, end: match.index + match[0].length, term });
+    }
+  };
+
+  query.phrases.forEach(phrase => collect(phrase.split(' ').map(escapeRegExp).join('\\s+'), phrase));
+  query.terms.forEach(term => collect(escapeRegExp(term), term));
+
+  // Phrases were collected first, so on overlap the longer phrase match wins
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const matches = [];
+  for (const match of found) {
+    const last = matches[matches.length - 1];
+    if (last && match.start < last.end) continue;
+    matches.push(match);
+  }
+  return matches;
+}
+
+/**
+ * Relevance of one text's matches, 0 when nothing matched.
+ * Rewards covering more of the query first, then repeated hits and phrases.
+ */
+function scoreMatches(matches, query) {
+  if (!matches.length) return 0;
+
+  const matchedTerms = new Set();
+  let phraseHits = 0;
+  for (const match of matches) {
+    if (query.phrases.includes(match.term)) {
+      phraseHits++;
+      match.term.split(' ').forEach(word => matchedTerms.add(word));
+    } else {
+      matchedTerms.add(match.term);
+    }
+  }
+
+  const coverage = query.terms.filter(term => matchedTerms.has(term)).length / query.terms.length;
+  return coverage * coverage * (1 + Math.log1p(matches.length)) + Math.log1p(phraseHits);
+}
+
+/**
+ * Build highlighted snippets around the best clusters of matches
+ * @param {string} text
+ * @param {Array} matches - From findMatches
+ * @param {Object} [options]
+ * @param {number} [options.radius=80] - Characters of context on each side
+ * @param {number} [options.max=3] - Snippets to return
+ * @returns {Array<{text: string, highlighted: string, highlights: Array<{start: number, end: number}>, offset: number, length: number}>}
+ *   `highlighted` is HTML-escaped with <mark> around matches; `offset`/`length` locate the first match in the full text
+ */
+function buildSnippets(text, matches, { radius = 80, max = 3 } = {}) {
+  const windows = [];
+  let i = 0;
+  while (i < matches.length) {
+    const first = matches[i];
+    let j = i;
+    while (j + 1 < matches.length && matches[j + 1].end - first.start <= radius * 2) j++;
+
+    const inWindow = matches.slice(i, j + 1);
+    windows.push({ matches: inWindow, rank: new Set(inWindow.map(m => m.term)).size * 1000 + inWindow.length });
+    i = j + 1;
+  }
+
+  return windows
+    .sort((a, b) => b.rank - a.rank || a.matches[0].start - b.matches[0].start)
+    .slice(0, max)
+    .map(({ matches: inWindow }) => {
+      const first = inWindow[0];
+      const last = inWindow[inWindow.length - 1];
+      const start = snapBack(text, Math.max(0, first.start - radius));
+      const end = snapForward(text, Math.min(text.length, last.end + radius));
+
+      const prefix = start > 0 ? '…' : '';
+      const suffix = end < text.length ? '…' : '';
+      const body = text.slice(start, end).replace(/\s+/g, ' ');
+      // Collapsing whitespace shifts offsets, so map them through the same rewrite
+      const shift = (offset) => prefix.length + text.slice(start, offset).replace(/\s+/g, ' ').length;
+      const highlights = inWindow.map(m => ({ start: shift(m.start), end: shift(m.end) }));
+      const snippet = `${prefix}${body}${suffix}`;
+
+      let highlighted = '';
+      let cursor = 0;
+      for (const h of highlights) {
+        highlighted += `${escapeHtml(snippet.slice(cursor, h.start))}<mark>${escapeHtml(snippet.slice(h.start, h.end))}</mark>`;
+        cursor = h.end;
+      }
+      highlighted += escapeHtml(snippet.slice(cursor));
+
+      return { text: snippet, highlighted, highlights, offset: first.start, length: first.end - first.start };
+    });
+}
+
+/**
+ * Move a snippet start back to the beginning of a word
+ */
+function snapBack(text, index) {
+  if (index === 0) return 0;
+  const space = text.lastIndexOf(' ', index);
+  return space !== -1 && index - space < 20 ? space + 1 : index;
+}
+
+/**
+ * Move a snippet end forward to the end of a word
+ */
+function snapForward(text, index) {
+  if (index >= text.length) return text.length;
+  const space = text.indexOf(' ', index);
+  return space !== -1 && space - index < 20 ? space : index;
+}
+
+module.exports = {
+  foldText,
+  parseQuery,
+  findMatches,
+  scoreMatches,
+  buildSnippets,
+};
@@ -0,0 +1,116 @@
+/**
+ * Zip central directory reader
+ *
+ * Lists the entries of a zip with the sizes it declares, without inflating
+ * anything, so imports can refuse oversized archives (zip bombs) up front.
+ * Handles Zip64 archives and entries.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const CENTRAL_HEADER_SIZE = 46;
+const ZIP64_EXTRA_ID = 0x0001;
+const MAX_COMMENT_LENGTH = 0xFFFF;
+const UTF8_FLAG = 0x0800;
+
+const MAX_16 = 0xFFFF;
+const MAX_32 = 0xFFFFFFFF;
+
+const readUInt64 = (buffer, at) => Number(buffer.readBigUInt64LE(at));
+
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - EOCD_SIZE - MAX_COMMENT_LENGTH);
+  for (let at = buffer.length - EOCD_SIZE; at >= stop; at--) {
+    if (buffer.readUInt32LE(at) === EOCD_SIGNATURE) return at;
+  }
+  return -1;
+}
+
+/**
+ * Where the central directory starts and how many entries it has
+ */
+function locateCentralDirectory(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd < 0) throw new Error('End of central directory not found');
+
+  let count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  if ((count === MAX_16 || offset === MAX_32) && eocd >= 20 && buffer.readUInt32LE(eocd - 20) === ZIP64_LOCATOR_SIGNATURE) {
+    const zip64 = readUInt64(buffer, eocd - 20 + 8);
+    if (zip64 + 56 > buffer.length || buffer.readUInt32LE(zip64) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('Zip64 end of central directory not found');
+    }
+    count = readUInt64(buffer, zip64 + 32);
+    offset = readUInt64(buffer, zip64 + 48);
+  }
+
+  return { count, offset };
+}
+
+/**
+ * Real sizes of a Zip64 entry, from its extra field
+ */
+function readZip64Sizes(extra, sizes) {
+  let at = 0;
+  while (at + 4 <= extra.length) {
+    const id = extra.readUInt16LE(at);
+    const length = extra.readUInt16LE(at + 2);
+    if (id === ZIP64_EXTRA_ID) {
+      // Only the fields that overflowed are present, in this order
+      let field = at + 4;
+      if (sizes.uncompressedSize === MAX_32 && field + 8 <= extra.length) {
+        sizes.uncompressedSize = readUInt64(extra, field);
+        field += 8;
+      }
+      if (sizes.compressedSize === MAX_32 && field + 8 <= extra.length) {
+        sizes.compressedSize = readUInt64(extra, field);
+      }
+      return;
+    }
+    at += 4 + length;
+  }
+}
+
+/**
+ * List a zip's entries as declared by its central directory
+ * @param {Buffer} buffer - The whole zip
+ * @returns {Map<string, {compressedSize: number, uncompressedSize: number}>} By entry name
+ * @throws Error when the directory can't be read
+ */
+function readZipDirectory(buffer) {
+  const { count, offset } = locateCentralDirectory(buffer);
+  const entries = new Map();
+
+  let at = offset;
+  for (let i = 0; i < count; i++) {
+    if (at + CENTRAL_HEADER_SIZE > buffer.length || buffer.readUInt32LE(at) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupted zip central directory');
+    }
+
+    const flags = buffer.readUInt16LE(at + 8);
+    const sizes = {
+      compressedSize: buffer.readUInt32LE(at + 20),
+      uncompressedSize: buffer.readUInt32LE(at + 24)
+    };
+    const nameLength = buffer.readUInt16LE(at + 28);
+    const extraLength = buffer.readUInt16LE(at + 30);
+    const commentLength = buffer.readUInt16LE(at + 32);
+
+    const nameStart = at + CENTRAL_HEADER_SIZE;
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', nameStart, nameStart + nameLength);
+    readZip64Sizes(buffer.subarray(nameStart + nameLength, nameStart + nameLength + extraLength), sizes);
+
+    entries.set(name, sizes);
+    at = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+module.exports = {
+  readZipDirectory,
+};
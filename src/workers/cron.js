@@ -9,6 +9,8 @@ const config = require('../config/env');
 const { startNotificationScheduler, stopNotificationScheduler } = require('../services/notificationScheduler');
 const { startSubscriptionExpiryJob, stopSubscriptionExpiryJob } = require('../jobs/subscriptionExpiry');
 const { startRecycleBinCleanupJob, stopRecycleBinCleanupJob } = require('../jobs/recycleBinCleanup');
+const { startQuizAttemptExpiryJob, stopQuizAttemptExpiryJob } = require('../jobs/quizAttemptExpiry');
+const { startSourceProcessingJob, stopSourceProcessingJob } = require('../jobs/sourceProcessing');
 
 console.log('🔧 Starting Cron Worker Service...');
 
@@ -35,6 +37,8 @@ function shutdownGracefully(exitCode = 0) {
   stopNotificationScheduler();
   stopSubscriptionExpiryJob();
   stopRecycleBinCleanupJob();
+  stopQuizAttemptExpiryJob();
+  stopSourceProcessingJob();
   
   setTimeout(() => {
     console.log('👋 Cron worker shut down gracefully');
@@ -71,11 +75,19 @@ async function startWorker() {
     console.log('⏰ Starting recycle bin cleanup job...');
     startRecycleBinCleanupJob();
     
+    console.log('⏰ Starting quiz attempt expiry job...');
+    startQuizAttemptExpiryJob();
+    
+    console.log('⏰ Starting source processing queue...');
+    startSourceProcessingJob();
+    
     console.log(`✅ Cron Worker running in ${config.env} mode`);
     console.log('📊 Active jobs:');
     console.log('   - Notification Scheduler');
     console.log('   - Subscription Expiry Monitor');
     console.log('   - Recycle Bin Cleanup (30-day purge)');
+    console.log('   - Quiz Attempt Expiry (auto-submit timed attempts)');
+    console.log('   - Source Processing Queue (transcription + RAG ingestion)');
     
   } catch (error) {
     console.error('❌ Worker failed to start:', error);
@@ -0,0 +1,171 @@
+/**
+ * Board History Service Test Suite
+ *
+ * Tests for automatic and named board snapshots, previews, and restores
+ * applied to the live Yjs document.
+ */
+
+const Y = require('yjs');
+const Board = require('../../src/models/Board');
+const BoardSnapshot = require('../../src/models/BoardSnapshot');
+const User = require('../../src/models/User');
+const boardHistoryService = require('../../src/services/boardHistory.service');
+const { docs, getYDoc } = require('../../src/socket/yjsPersistence');
+const { appendBoardUpdate, loadBoardDoc, AUTO_SNAPSHOT_INTERVAL_MS } = require('../../src/socket/yjsBoardDoc');
+
+describe('Board History Service', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let board;
+
+  beforeEach(async () => {
+    docs.clear();
+    [owner, editor, viewer] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'password123' },
+      { name: 'Editor', email: 'editor@example.com', password: 'password123' },
+      { name: 'Viewer', email: 'viewer@example.com', password: 'password123' }
+    ]);
+    board = await Board.create({
+      title: 'Geometry',
+      owner: owner._id,
+      members: [
+        { userId: editor._id, role: 'editor' },
+        { userId: viewer._id, role: 'viewer' }
+      ]
+    });
+  });
+
+  const shape = (id, index = 'a1') => ({ id, typeName: 'shape', type: 'geo', parentId: 'page:page', index, x: 0, y: 0, props: { w: 10, h: 10 } });
+
+  // Make a change to the stored board as if a client had edited it
+  const edit = async (userId, change) => {
+    const doc = await loadBoardDoc(board._id.toString());
+    const before = Y.encodeStateVector(doc);
+    change(doc.getMap('tldraw'));
+    await appendBoardUpdate(board._id.toString(), Y.encodeStateAsUpdate(doc, before), doc, { editors: [userId.toString()] });
+  };
+
+  const storedShapes = async () => [...(await loadBoardDoc(board._id.toString())).getMap('tldraw').keys()].sort();
+
+  describe('automatic snapshots', () => {
+    it('should snapshot the state before changes once the interval has passed', async () => {
+      await edit(editor._id, store => store.set('shape:a', shape('shape:a')));
+      // First change: nothing worth saving yet
+      expect(await BoardSnapshot.countDocuments()).toBe(0);
+
+      await edit(editor._id, store => store.set('shape:b', shape('shape:b')));
+      // The first snapshot is taken as soon as the board has content
+      const [first] = await BoardSnapshot.find();
+      expect(first).toMatchObject({ kind: 'auto', shapeCount: 1 });
+      expect(first.editors.map(String)).toEqual([editor._id.toString()]);
+
+      await edit(owner._id, store => store.delete('shape:a'));
+      expect(await BoardSnapshot.countDocuments()).toBe(1);
+
+      // createdAt is immutable through Mongoose
+      await BoardSnapshot.collection.updateMany({}, { $set: { createdAt: new Date(Date.now() - AUTO_SNAPSHOT_INTERVAL_MS - 1000) } });
+      await edit(owner._id, store => store.delete('shape:b'));
+
+      const latest = await BoardSnapshot.findOne().sort({ createdAt: -1, _id: -1 });
+      expect(latest.shapeCount).toBe(1);
+      expect(latest.editors.map(String).sort()).toEqual([editor._id.toString(), owner._id.toString()].sort());
+    });
+  });
+
+  describe('listSnapshots', () => {
+    it('should list snapshots newest first with authors and shape deltas', async () => {
+      await edit(editor._id, store => store.set('shape:a', shape('shape:a')));
+      await boardHistoryService.createSnapshot(board._id, editor._id, 'One shape');
+      await edit(editor._id, store => {
+        store.set('shape:b', shape('shape:b', 'a2'));
+        store.set('shape:c', shape('shape:c', 'a3'));
+      });
+      await boardHistoryService.createSnapshot(board._id, owner._id, 'Three shapes');
+
+      const { snapshots, hasMore } = await boardHistoryService.listSnapshots(board._id, viewer._id);
+
+      expect(hasMore).toBe(false);
+      expect(snapshots.map(s => [s.name, s.shapeCount, s.shapeDelta, s.createdBy.name])).toEqual([
+        ['Three shapes', 3, 2, 'Owner'],
+        ['One shape', 1, null, 'Editor']
+      ]);
+      expect(snapshots[0].state).toBeUndefined();
+    });
+
+    it('should hide history from non-members of private boards', async () => {
+      const stranger = await User.create({ name: 'Stranger', email: 'stranger@example.com', password: 'password123' });
+
+      await expect(boardHistoryService.listSnapshots(board._id, stranger._id)).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('createSnapshot', () => {
+    it('should not let viewers take snapshots', async () => {
+      await expect(boardHistoryService.createSnapshot(board._id, viewer._id, 'Mine')).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('previewSnapshot', () => {
+    it('should list the shapes at a snapshot in z-order', async () => {
+      await edit(editor._id, store => {
+        store.set('page:page', { id: 'page:page', typeName: 'page', name: 'Page 1', index: 'a1' });
+        store.set('shape:top', shape('shape:top', 'a5'));
+        store.set('shape:bottom', shape('shape:bottom', 'a2'));
+      });
+      const snapshot = await boardHistoryService.createSnapshot(board._id, editor._id, 'Layout');
+      await edit(editor._id, store => store.delete('shape:top'));
+
+      const preview = await boardHistoryService.previewSnapshot(board._id, snapshot._id, viewer._id);
+
+      expect(preview.pages).toEqual([{ id: 'page:page', name: 'Page 1', index: 'a1' }]);
+      expect(preview.shapes.map(s => s.id)).toEqual(['shape:bottom', 'shape:top']);
+      expect(preview.shapes[0]).toMatchObject({ type: 'geo', w: 10, h: 10 });
+    });
+
+    it('should 404 for a snapshot of another board', async () => {
+      const other = await Board.create({ title: 'Other', owner: owner._id });
+      await edit(owner._id, store => store.set('shape:a', shape('shape:a')));
+      const snapshot = await boardHistoryService.createSnapshot(board._id, owner._id, 'Mine');
+
+      await expect(boardHistoryService.previewSnapshot(other._id, snapshot._id, owner._id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('restoreSnapshot', () => {
+    it('should restore the canvas as a new change and keep a backup', async () => {
+      await edit(editor._id, store => {
+        store.set('shape:a', shape('shape:a'));
+        store.set('shape:b', shape('shape:b', 'a2'));
+      });
+      const snapshot = await boardHistoryService.createSnapshot(board._id, editor._id, 'Before cleanup');
+
+      // A connected client deletes everything
+      const live = await getYDoc(board._id.toString());
+      const client = new Y.Doc();
+      Y.applyUpdate(client, Y.encodeStateAsUpdate(live));
+      live.getMap('tldraw').delete('shape:a');
+      live.getMap('tldraw').delete('shape:b');
+      live.getMap('tldraw').set('shape:c', shape('shape:c'));
+
+      const result = await boardHistoryService.restoreSnapshot(board._id, snapshot._id, owner._id);
+
+      expect(result).toMatchObject({ removed: 1, written: 2 });
+      expect(result.backup).toMatchObject({ kind: 'pre-restore', shapeCount: 1 });
+      expect(result.backup.restoredFrom.toString()).toBe(snapshot._id.toString());
+
+      // Clients that merge the live doc converge on the restored canvas
+      Y.applyUpdate(client, Y.encodeStateAsUpdate(live, Y.encodeStateVector(client)));
+      expect([...client.getMap('tldraw').keys()].sort()).toEqual(['shape:a', 'shape:b']);
+      // And the restore is stored
+      expect(await storedShapes()).toEqual(['shape:a', 'shape:b']);
+    });
+
+    it('should not let viewers restore', async () => {
+      await edit(editor._id, store => store.set('shape:a', shape('shape:a')));
+      const snapshot = await boardHistoryService.createSnapshot(board._id, editor._id, 'Saved');
+
+      await expect(boardHistoryService.restoreSnapshot(board._id, snapshot._id, viewer._id)).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
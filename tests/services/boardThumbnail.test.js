@@ -0,0 +1,138 @@
+/**
+ * Board Thumbnail Service Test Suite
+ *
+ * Tests for rendering board thumbnails into file storage, access to them,
+ * and the per-board throttling of regeneration.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const Y = require('yjs');
+const Board = require('../../src/models/Board');
+const User = require('../../src/models/User');
+const storageService = require('../../src/services/storage.service');
+const boardThumbnailService = require('../../src/services/boardThumbnail.service');
+const { LocalStorageDriver } = require('../../src/services/storage');
+
+describe('Board Thumbnail Service', () => {
+  let root;
+  let owner;
+  let stranger;
+  let board;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'collabry-thumbnails-'));
+    storageService.setDriver(new LocalStorageDriver({ root, signingSecret: 'test-secret', publicUrl: 'http://localhost' }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    [owner, stranger] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'password123' },
+      { name: 'Stranger', email: 'stranger@example.com', password: 'password123' }
+    ]);
+    board = await Board.create({ title: 'Physics', owner: owner._id });
+  });
+
+  const setCanvas = async (records) => {
+    const doc = new Y.Doc();
+    records.forEach(record => doc.getMap('tldraw').set(record.id, record));
+    await Board.updateOne({ _id: board._id }, { yjsState: Buffer.from(Y.encodeStateAsUpdate(doc)) });
+  };
+
+  const rectangle = { id: 'shape:a', typeName: 'shape', type: 'geo', parentId: 'page:page', index: 'a1', x: 0, y: 0, props: { geo: 'rectangle', w: 800, h: 200, fill: 'solid', color: 'blue' } };
+
+  describe('generate', () => {
+    it('should store a WebP thumbnail and a versioned URL', async () => {
+      await setCanvas([rectangle]);
+      const before = await Board.findById(board._id);
+
+      const thumbnail = await boardThumbnailService.generate(board._id);
+
+      const updated = await Board.findById(board._id);
+      expect(thumbnail).toMatch(new RegExp(`^/api/boards/${board._id}/thumbnail\\?v=\\d+$`));
+      expect(updated.thumbnail).toBe(thumbnail);
+      expect(updated.thumbnailKey).toBe(`boards/${board._id}/thumbnail.webp`);
+      // Thumbnails are not edits
+      expect(updated.updatedAt.getTime()).toBe(before.updatedAt.getTime());
+
+      const image = await sharp(await storageService.read(updated.thumbnailKey)).metadata();
+      expect(image).toMatchObject({ format: 'webp', width: 480, height: 300 });
+    });
+
+    it('should drop the thumbnail once the board is empty', async () => {
+      await setCanvas([rectangle]);
+      await boardThumbnailService.generate(board._id);
+      await setCanvas([]);
+
+      expect(await boardThumbnailService.generate(board._id)).toBeNull();
+
+      const updated = await Board.findById(board._id);
+      expect(updated.thumbnail).toBeNull();
+      expect(await storageService.stat(`boards/${board._id}/thumbnail.webp`)).toBeNull();
+    });
+  });
+
+  describe('getThumbnail', () => {
+    it('should only serve thumbnails to members of private boards', async () => {
+      await setCanvas([rectangle]);
+      await boardThumbnailService.generate(board._id);
+
+      await expect(boardThumbnailService.getThumbnail(board._id, owner._id)).resolves.toEqual({
+        key: `boards/${board._id}/thumbnail.webp`,
+        contentType: 'image/webp'
+      });
+      await expect(boardThumbnailService.getThumbnail(board._id, stranger._id)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should 404 before a thumbnail exists', async () => {
+      await expect(boardThumbnailService.getThumbnail(board._id, owner._id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('removeThumbnails', () => {
+    it('should delete stored thumbnails', async () => {
+      await setCanvas([rectangle]);
+      await boardThumbnailService.generate(board._id);
+
+      await boardThumbnailService.removeThumbnails([board._id]);
+
+      expect(await storageService.stat(`boards/${board._id}/thumbnail.webp`)).toBeNull();
+    });
+  });
+
+  describe('schedule', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    it('should render each board at most once per interval', async () => {
+      jest.useFakeTimers();
+      const generate = jest.spyOn(boardThumbnailService, 'generate').mockResolvedValue(null);
+
+      boardThumbnailService.schedule(board._id);
+      boardThumbnailService.schedule(board._id);
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(generate).toHaveBeenCalledTimes(1);
+
+      // Changes during the cool-down get one more render when it ends
+      boardThumbnailService.schedule(board._id);
+      boardThumbnailService.schedule(board._id);
+      await jest.advanceTimersByTimeAsync(30 * 1000);
+      expect(generate).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(30 * 1000);
+      expect(generate).toHaveBeenCalledTimes(2);
+
+      // Nothing changed since, so the board is forgotten after the next cool-down
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+      expect(generate).toHaveBeenCalledTimes(2);
+      expect(boardThumbnailService._boards.has(board._id.toString())).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * Chat Service Test Suite
+ *
+ * Tests for reactions, threads, pins, @mention notifications, uploaded
+ * attachments, search and export in group and direct conversations.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const Group = require('../../src/models/Group');
+const Friendship = require('../../src/models/Friendship');
+const Message = require('../../src/models/Message');
+const Notification = require('../../src/models/Notification');
+const User = require('../../src/models/User');
+const chatService = require('../../src/services/chat.service');
+const storageService = require('../../src/services/storage.service');
+const { LocalStorageDriver } = require('../../src/services/storage');
+
+describe('Chat Service', () => {
+  let admin;
+  let member;
+  let outsider;
+  let group;
+
+  beforeEach(async () => {
+    [admin, member, outsider] = await User.create([
+      { name: 'Ada Admin', email: 'ada@example.com', password: 'password123' },
+      { name: 'Ravi Kumar', email: 'ravi@example.com', password: 'password123' },
+      { name: 'Olga Out', email: 'olga@example.com', password: 'password123' }
+    ]);
+    group = await Group.create({
+      name: 'Biology',
+      creator: admin._id,
+      admins: [admin._id],
+      members: [{ user: admin._id, role: 'admin' }, { user: member._id }]
+    });
+  });
+
+  const sendToGroup = (user, content, extra = {}, files) =>
+    chatService.sendMessage(user._id, { conversationType: 'group', groupId: group._id, content, ...extra }, files);
+
+  describe('reactions', () => {
+
+    it('should store one reaction per user and emoji', async () => {
+      const message = await sendToGroup(admin, 'Quiz tomorrow');
+
+      await chatService.addReaction(message._id, member._id, '👍');
+      await chatService.addReaction(message._id, member._id, '👍');
+      const updated = await chatService.addReaction(message._id, admin._id, '👍');
+
+      expect(updated.reactions.map(r => [r.emoji, r.user.toString()])).toEqual([
+        ['👍', member._id.toString()],
+        ['👍', admin._id.toString()]
+      ]);
+    });
+
+    it('should remove only the user\'s own reaction', async () => {
+      const message = await sendToGroup(admin, 'Quiz tomorrow');
+      await chatService.addReaction(message._id, member._id, '🎉');
+      await chatService.addReaction(message._id, admin._id, '🎉');
+
+      const updated = await chatService.removeReaction(message._id, member._id, '🎉');
+
+      expect(updated.reactions.map(r => r.user.toString())).toEqual([admin._id.toString()]);
+    });
+
+    it('should reject reactions from non-members', async () => {
+      const message = await sendToGroup(admin, 'Quiz tomorrow');
+
+      await expect(chatService.addReaction(message._id, outsider._id, '👍')).rejects.toThrow('Not a member of this group');
+    });
+  });
+
+  describe('threads', () => {
+
+    it('should keep replies out of the timeline and summarize them on the root', async () => {
+      const root = await sendToGroup(admin, 'Who has notes for chapter 3?');
+      await sendToGroup(member, 'I do', { threadId: root._id });
+      const second = await sendToGroup(admin, 'Thanks!', { threadId: root._id });
+
+      const timeline = await chatService.getMessages(admin._id, 'group', { groupId: group._id });
+      const { root: thread, replies } = await chatService.getThread(member._id, root._id);
+
+      expect(timeline.map(m => m.content)).toEqual(['Who has notes for chapter 3?']);
+      expect(replies.map(m => m.content)).toEqual(['I do', 'Thanks!']);
+      expect(thread.thread.replyCount).toBe(2);
+      expect(thread.thread.lastReplyAt).toEqual(second.createdAt);
+      expect(thread.thread.participants.map(p => p.name)).toEqual(['Ravi Kumar', 'Ada Admin']);
+    });
+
+    it('should attach replies to a reply to the thread root', async () => {
+      const root = await sendToGroup(admin, 'Root');
+      const reply = await sendToGroup(member, 'Reply', { threadId: root._id });
+
+      const nested = await sendToGroup(admin, 'Nested', { threadId: reply._id });
+
+      expect(nested.threadId.toString()).toBe(root._id.toString());
+    });
+
+    it('should update the summary when a reply is deleted', async () => {
+      const root = await sendToGroup(admin, 'Root');
+      const reply = await sendToGroup(member, 'Reply', { threadId: root._id });
+
+      await chatService.deleteMessage(reply._id, member._id);
+
+      const updated = await Message.findById(root._id);
+      expect(updated.thread.replyCount).toBe(0);
+      expect(updated.thread.participants).toEqual([]);
+    });
+
+    it('should not thread across conversations', async () => {
+      const other = await Group.create({ name: 'Other', creator: admin._id, admins: [admin._id], members: [{ user: admin._id }] });
+      const root = await chatService.sendMessage(admin._id, { conversationType: 'group', groupId: other._id, content: 'Elsewhere' });
+
+      await expect(sendToGroup(admin, 'Reply', { threadId: root._id })).rejects.toThrow('Thread belongs to another conversation');
+    });
+  });
+
+  describe('pins', () => {
+
+    it('should let group admins pin and list pinned messages', async () => {
+      const message = await sendToGroup(member, 'Exam is on Friday');
+
+      await chatService.pinMessage(message._id, admin._id);
+      const pinned = await chatService.getPinnedMessages(member._id, 'group', { groupId: group._id });
+
+      expect(pinned.map(m => m.content)).toEqual(['Exam is on Friday']);
+      expect(pinned[0].pinnedBy.name).toBe('Ada Admin');
+    });
+
+    it('should not let regular group members pin', async () => {
+      const message = await sendToGroup(member, 'Exam is on Friday');
+
+      await expect(chatService.pinMessage(message._id, member._id)).rejects.toThrow('Only group admins can pin messages');
+    });
+
+    it('should let either friend pin in a direct conversation', async () => {
+      const [user1, user2] = [admin._id, member._id].sort((a, b) => a.toString().localeCompare(b.toString()));
+      await Friendship.create({ user1, user2 });
+      const message = await chatService.sendMessage(admin._id, { conversationType: 'direct', recipientId: member._id, content: 'Notes attached' });
+
+      await chatService.pinMessage(message._id, member._id);
+      const pinned = await chatService.getPinnedMessages(admin._id, 'direct', { recipientId: member._id });
+
+      expect(pinned).toHaveLength(1);
+      await chatService.unpinMessage(message._id, admin._id);
+      expect(await chatService.getPinnedMessages(admin._id, 'direct', { recipientId: member._id })).toEqual([]);
+    });
+  });
+
+  describe('mentions', () => {
+
+    it('should notify mentioned group members', async () => {
+      const message = await sendToGroup(admin, '@ravi can you share your notes?');
+
+      expect(message.mentions.map(String)).toEqual([member._id.toString()]);
+      const notification = await Notification.findOne({ userId: member._id, type: 'chat_mention' });
+      expect(notification.metadata.messageId.toString()).toBe(message._id.toString());
+      expect(notification.message).toContain('Ada Admin mentioned you in Biology');
+    });
+
+    it('should not notify non-members or the sender', async () => {
+      await sendToGroup(admin, '@olga and @ada, see you there');
+
+      expect(await Notification.countDocuments({ type: 'chat_mention' })).toBe(0);
+    });
+
+    it('should only notify people newly mentioned by an edit', async () => {
+      const message = await sendToGroup(member, 'Hi @ada');
+      await chatService.editMessage(message._id, member._id, 'Hi @ada, updated');
+
+      expect(await Notification.countDocuments({ userId: admin._id, type: 'chat_mention' })).toBe(1);
+    });
+  });
+
+  describe('attachments', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'collabry-chat-'));
+      storageService.setDriver(new LocalStorageDriver({ root, signingSecret: 'test-secret', publicUrl: 'http://localhost' }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const upload = (originalname, buffer) => ({ originalname, buffer, size: buffer.length });
+    const photo = () => sharp({ create: { width: 800, height: 600, channels: 3, background: '#ffffff' } }).jpeg().toBuffer();
+
+    it('should store sniffed uploads with a thumbnail and charge the sender', async () => {
+      const file = upload('board.png', await photo());
+
+      const message = await sendToGroup(admin, '', {}, [file]);
+
+      const [attachment] = message.attachments;
+      expect(message.messageType).toBe('image');
+      expect(attachment.mimeType).toBe('image/jpeg');
+      expect(attachment.storageKey).toMatch(new RegExp(`^chat/group-${group._id}/.*-board\\.jpg$`));
+      expect(attachment.url).toBe(`/api/chat/messages/${message._id}/attachments/${attachment._id}`);
+      expect([attachment.width, attachment.height]).toEqual([800, 600]);
+      expect((await User.findById(admin._id)).storageUsed).toBe(attachment.size + attachment.thumbnailSize);
+    });
+
+    it('should reject files of unknown type', async () => {
+      const file = upload('notes.html', Buffer.from('<h1>Notes</h1>'));
+
+      await expect(sendToGroup(admin, '', {}, [file])).rejects.toMatchObject({ statusCode: 415 });
+      expect(await Message.countDocuments()).toBe(0);
+    });
+
+    it('should limit file size by the plan\'s storage', async () => {
+      // Free plan: 0.1GB, so at most ~10MB per file
+      const file = upload('notes.txt', Buffer.alloc(11 * 1024 * 1024, 'a'));
+
+      await expect(sendToGroup(admin, '', {}, [file])).rejects.toMatchObject({ statusCode: 413 });
+    });
+
+    it('should ignore storage keys sent by clients', async () => {
+      const message = await sendToGroup(admin, 'Link', {
+        attachments: [{ url: 'https://example.com/a.pdf', type: 'file', name: 'a.pdf', storageKey: 'sources/other/secret.pdf' }]
+      });
+
+      expect(message.attachments[0].storageKey).toBeUndefined();
+    });
+
+    it('should store unknown attachment types as files', async () => {
+      const message = await sendToGroup(admin, 'Link', {
+        attachments: [{ url: 'https://example.com/a.pdf', type: 'application/pdf', name: 'a.pdf' }]
+      });
+      expect(message.attachments[0].type).toBe('file');
+
+      // Stored before attachment types were checked
+      await Message.collection.updateOne({ _id: message._id }, { $set: { 'attachments.0.type': 'document' } });
+      const edited = await chatService.editMessage(message._id, admin._id, 'Link (edited)');
+      expect(edited.attachments[0].type).toBe('file');
+    });
+
+    it('should only serve attachments to conversation members', async () => {
+      const message = await sendToGroup(admin, '', {}, [upload('a.jpg', await photo())]);
+      const attachmentId = message.attachments[0]._id;
+
+      await expect(chatService.getAttachment(member._id, message._id, attachmentId)).resolves.toBeDefined();
+      await expect(chatService.getAttachment(outsider._id, message._id, attachmentId)).rejects.toThrow('Not a member of this group');
+    });
+
+    it('should free storage when the message is deleted', async () => {
+      const message = await sendToGroup(admin, '', {}, [upload('a.jpg', await photo())]);
+      const { storageKey } = message.attachments[0];
+
+      await chatService.deleteMessage(message._id, admin._id);
+
+      expect(await storageService.stat(storageKey)).toBeNull();
+      expect((await User.findById(admin._id)).storageUsed).toBe(0);
+      expect((await Message.findById(message._id)).attachments).toHaveLength(0);
+    });
+  });
+
+  describe('search', () => {
+
+    beforeEach(async () => {
+      await Message.syncIndexes();
+    });
+
+    it('should search every conversation the user belongs to', async () => {
+      const [user1, user2] = [admin._id, member._id].sort((a, b) => a.toString().localeCompare(b.toString()));
+      await Friendship.create({ user1, user2 });
+      await sendToGroup(admin, 'Mitosis review on Friday');
+      await chatService.sendMessage(member._id, { conversationType: 'direct', recipientId: admin._id, content: 'Did you get the mitosis notes?' });
+      const other = await Group.create({ name: 'Other', creator: outsider._id, admins: [outsider._id], members: [{ user: outsider._id }] });
+      await chatService.sendMessage(outsider._id, { conversationType: 'group', groupId: other._id, content: 'Mitosis secrets' });
+
+      const { results } = await chatService.searchMessages(admin._id, { q: 'mitosis' });
+
+      expect(results.map(r => r.message.content).sort()).toEqual(['Did you get the mitosis notes?', 'Mitosis review on Friday']);
+      expect(results[0].snippets[0].highlighted).toMatch(/<mark>mitosis<\/mark>/i);
+    });
+
+    it('should filter by sender, date and attachments', async () => {
+      await sendToGroup(admin, 'Lab report draft');
+      await sendToGroup(member, 'Lab report final', { attachments: [{ url: 'https://example.com/r.pdf', type: 'file', name: 'r.pdf' }] });
+
+      const bySender = await chatService.searchMessages(admin._id, { q: 'lab', senderId: member._id.toString() });
+      const withFiles = await chatService.searchMessages(admin._id, { hasAttachment: 'true' });
+      const future = await chatService.searchMessages(admin._id, { q: 'lab', from: '2999-01-01' });
+
+      expect(bySender.results.map(r => r.message.content)).toEqual(['Lab report final']);
+      expect(withFiles.results.map(r => r.message.content)).toEqual(['Lab report final']);
+      expect(future.results).toEqual([]);
+    });
+
+    it('should refuse to search groups the user is not in', async () => {
+      await expect(chatService.searchMessages(outsider._id, { q: 'lab', groupId: group._id.toString() }))
+        .rejects.toThrow('Not a member of this group');
+    });
+  });
+
+  describe('export', () => {
+
+    it('should export a group conversation oldest first', async () => {
+      await sendToGroup(admin, 'First');
+      await sendToGroup(member, 'Second');
+
+      const { conversation, messages } = await chatService.exportConversation(member._id, 'group', { groupId: group._id });
+      const contents = [];
+      for await (const message of messages) {
+        contents.push(`${message.sender.name}: ${message.content}`);
+      }
+
+      expect(conversation).toEqual({ type: 'group', id: group._id.toString(), title: 'Biology' });
+      expect(contents).toEqual(['Ada Admin: First', 'Ravi Kumar: Second']);
+    });
+
+    it('should not export conversations the user cannot read', async () => {
+      await expect(chatService.exportConversation(outsider._id, 'group', { groupId: group._id }))
+        .rejects.toThrow('Not a member of this group');
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Flashcard Service Test Suite
+ *
+ * Tests for listing sets, due card selection and the per-day study limits.
+ */
+
+const Flashcard = require('../../src/models/Flashcard');
+const FlashcardSet = require('../../src/models/FlashcardSet');
+const Notebook = require('../../src/models/Notebook');
+const User = require('../../src/models/User');
+const flashcardService = require('../../src/services/flashcard.service');
+
+describe('Flashcard Service', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({ name: 'Student', email: 'student@example.com', password: 'password123' });
+  });
+
+  const createSet = async (settings, count) => {
+    const set = await FlashcardSet.create({ title: 'Biology', createdBy: user._id, settings });
+    await flashcardService.addCards(set._id, user._id, Array.from({ length: count }, (_, i) => ({
+      question: `Question ${i + 1}`,
+      answer: `Answer ${i + 1}`
+    })));
+    return set;
+  };
+
+  describe('getUserSets', () => {
+    it('should list own sets and sets in shared notebooks, not other users\' shared sets', async () => {
+      const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+      const notebook = await Notebook.create({
+        userId: other._id,
+        title: 'Group notes',
+        collaborators: [{ userId: user._id, role: 'viewer', status: 'accepted' }]
+      });
+      await FlashcardSet.create([
+        { title: 'Mine', createdBy: user._id },
+        { title: 'Notebook', createdBy: other._id, notebookId: notebook._id },
+        { title: 'Someone else\'s', createdBy: other._id, visibility: 'shared' }
+      ]);
+
+      const sets = await flashcardService.getUserSets(user._id);
+
+      expect(sets.map(set => set.title).sort()).toEqual(['Mine', 'Notebook']);
+    });
+  });
+
+  describe('getDueCards', () => {
+    it('should count cards introduced today against newCardsPerDay', async () => {
+      const set = await createSet({ newCardsPerDay: 3 }, 5);
+
+      const first = await flashcardService.getDueCards(user._id);
+      expect(first).toHaveLength(3);
+      for (const card of first) {
+        await flashcardService.reviewCard(card._id, user._id, 'good');
+      }
+
+      expect(await flashcardService.getDueCards(user._id)).toHaveLength(0);
+      const summary = await flashcardService.getDueSummary(user._id);
+      expect(summary.sets.find(s => s.setId.toString() === set._id.toString())?.newCount ?? 0).toBe(0);
+    });
+
+    it('should count reviews done today against maxReviewsPerDay', async () => {
+      await createSet({ newCardsPerDay: 0, maxReviewsPerDay: 1 }, 2);
+      expect(await flashcardService.getDueCards(user._id)).toHaveLength(0);
+
+      // Both cards are review cards due now
+      await Flashcard.updateMany({ createdBy: user._id }, { state: 'review', interval: 3, repetitions: 2, dueDate: new Date(Date.now() - 1000) });
+
+      const due = await flashcardService.getDueCards(user._id);
+      expect(due).toHaveLength(1);
+      await flashcardService.reviewCard(due[0]._id, user._id, 'again');
+
+      expect(await flashcardService.getDueCards(user._id)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Live Quiz Test Suite
+ *
+ * Tests for speed-weighted scoring, leaderboard ranking and room codes.
+ */
+
+const liveQuizService = require('../../src/services/liveQuiz.service');
+
+describe('Live Quiz', () => {
+
+  describe('scoreAnswer', () => {
+    const question = { question: '2 + 2?', options: ['3', '4'], correctAnswer: '4' };
+
+    it('should give more points for faster correct answers', () => {
+      const fast = liveQuizService.scoreAnswer(question, '4', 1000, 20000);
+      const slow = liveQuizService.scoreAnswer(question, '4', 15000, 20000);
+
+      expect(fast.isCorrect).toBe(true);
+      expect(fast.points).toBe(975);
+      expect(slow.points).toBe(625);
+    });
+
+    it('should give no points for wrong or blank answers', () => {
+      expect(liveQuizService.scoreAnswer(question, '3', 1000, 20000).points).toBe(0);
+      expect(liveQuizService.scoreAnswer(question, '', 1000, 20000).points).toBe(0);
+    });
+
+    it('should scale points by partial credit', () => {
+      const multi = { type: 'multi_select', options: ['a', 'b', 'c'], correctAnswers: ['a', 'b'], partialCredit: true };
+
+      expect(liveQuizService.scoreAnswer(multi, ['a'], 20000, 20000).points).toBe(250);
+    });
+  });
+
+  describe('buildLeaderboard', () => {
+
+    it('should rank by points, share ranks on ties and break order by time', () => {
+      const board = liveQuizService.buildLeaderboard([
+        { userId: 'a', name: 'A', points: 800, correctCount: 1, totalTimeMs: 9000 },
+        { userId: 'b', name: 'B', points: 1500, correctCount: 2, totalTimeMs: 12000 },
+        { userId: 'c', name: 'C', points: 800, correctCount: 1, totalTimeMs: 4000 },
+      ]);
+
+      expect(board.map(e => [e.userId, e.rank])).toEqual([['b', 1], ['c', 2], ['a', 2]]);
+    });
+  });
+
+  describe('generateRoomCode', () => {
+
+    it('should avoid codes that are taken', () => {
+      const taken = new Set();
+      for (let i = 0; i < 50; i++) {
+        taken.add(liveQuizService.generateRoomCode(code => taken.has(code)));
+      }
+
+      expect(taken.size).toBe(50);
+      [...taken].forEach(code => expect(code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/));
+    });
+  });
+
+  describe('resolveQuestionSeconds', () => {
+
+    it('should clamp the countdown', () => {
+      expect(liveQuizService.resolveQuestionSeconds(undefined)).toBe(20);
+      expect(liveQuizService.resolveQuestionSeconds(1)).toBe(5);
+      expect(liveQuizService.resolveQuestionSeconds(600)).toBe(120);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Notebook Bundle Test Suite
+ *
+ * Tests for notebook export/import: bundle contents, recreating sources and
+ * artifacts for the importing user, storage accounting and plan limits.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const Notebook = require('../../src/models/Notebook');
+const Quiz = require('../../src/models/Quiz');
+const MindMap = require('../../src/models/MindMap');
+const SourceJob = require('../../src/models/SourceJob');
+const User = require('../../src/models/User');
+const notebookBundle = require('../../src/services/notebookBundle.service');
+const storageService = require('../../src/services/storage.service');
+const { LocalStorageDriver } = require('../../src/services/storage');
+
+describe('Notebook Bundle', () => {
+  let root;
+  let owner;
+  let importer;
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'collabry-bundle-'));
+    storageService.setDriver(new LocalStorageDriver({ root, signingSecret: 'test-secret', publicUrl: 'http://localhost' }));
+
+    [owner, importer] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'password123' },
+      { name: 'Importer', email: 'importer@example.com', password: 'password123' }
+    ]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const createNotebook = async () => {
+    const notebook = new Notebook({ userId: owner._id, title: 'Biology', description: 'Unit 3' });
+    const stored = await storageService.put(storageService.sourceKey(notebook._id, 'lecture.mp3'), Buffer.from('fake-audio'), {
+      ownerId: owner._id
+    });
+
+    const quiz = await Quiz.create({
+      title: 'Photosynthesis quiz',
+      createdBy: owner._id,
+      questions: [{ question: 'What absorbs light?', options: ['Chlorophyll', 'Water'], correctAnswer: 'Chlorophyll' }]
+    });
+    const mindMap = await MindMap.create({ title: 'Cell map', topic: 'Cells', createdBy: owner._id });
+
+    notebook.sources.push(
+      { type: 'text', name: 'Notes', content: 'Chlorophyll absorbs light.', uploadedBy: owner._id, size: 26 },
+      {
+        type: 'audio',
+        name: 'lecture.mp3',
+        storageKey: stored.key,
+        size: stored.size,
+        uploadedBy: owner._id,
+        transcription: 'Welcome. Today: the Calvin cycle.',
+        transcriptionSegments: [
+          { start: 0, end: 2, text: 'Welcome.' },
+          { start: 2, end: 6.5, text: 'Today: the Calvin cycle.' }
+        ],
+        transcriptionStatus: 'completed'
+      }
+    );
+    notebook.artifacts.push(
+      { type: 'quiz', referenceId: quiz._id, title: quiz.title, createdBy: owner._id },
+      { type: 'mindmap', referenceId: mindMap._id, title: mindMap.title, createdBy: owner._id },
+      { type: 'infographic', referenceId: 'info-1', title: 'Overview', data: { sections: ['Light'] }, createdBy: owner._id }
+    );
+    return notebook.save();
+  };
+
+  const exportBuffer = async (notebook) => (await notebookBundle.exportNotebook(notebook)).generateAsync({ type: 'nodebuffer' });
+
+  describe('exportNotebook', () => {
+    it('should include the manifest, original files, text, transcriptions and artifacts', async () => {
+      const notebook = await createNotebook();
+      const [text, audio] = notebook.sources;
+
+      const zip = await JSZip.loadAsync(await exportBuffer(notebook));
+      const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+
+      expect(manifest).toMatchObject({ format: 'collabry-notebook', version: 1, notebook: { title: 'Biology' } });
+      expect(await zip.file(`sources/${text._id}/content.txt`).async('string')).toBe('Chlorophyll absorbs light.');
+      expect(await zip.file(`sources/${audio._id}/original.mp3`).async('string')).toBe('fake-audio');
+
+      const transcription = JSON.parse(await zip.file(`sources/${audio._id}/transcription.json`).async('string'));
+      expect(transcription.segments).toHaveLength(2);
+      expect(transcription.segments[1]).toMatchObject({ start: 2, end: 6.5 });
+
+      expect(manifest.artifacts.map(a => a.type)).toEqual(['quiz', 'mindmap', 'infographic']);
+      expect(manifest.artifacts[2].data).toEqual({ sections: ['Light'] });
+      const quiz = JSON.parse(await zip.file(manifest.artifacts[0].file).async('string'));
+      expect(quiz).toMatchObject({ title: 'Photosynthesis quiz' });
+      expect(quiz.createdBy).toBeUndefined();
+    });
+  });
+
+  describe('importNotebook', () => {
+    it('should recreate the notebook for the importing user and queue ingestion', async () => {
+      const bundle = await exportBuffer(await createNotebook());
+
+      const { notebook, skipped } = await notebookBundle.importNotebook(importer._id, bundle, {
+        createSession: async () => 'session-2'
+      });
+
+      expect(skipped).toEqual([]);
+      expect(notebook.userId.toString()).toBe(importer._id.toString());
+      expect(notebook.aiSessionId).toBe('session-2');
+
+      const [text, audio] = notebook.sources;
+      expect(text.content).toBe('Chlorophyll absorbs light.');
+      expect(audio.transcriptionSegments).toHaveLength(2);
+      expect(audio.transcriptionStatus).toBe('completed');
+      expect((await storageService.read(audio.storageKey)).toString()).toBe('fake-audio');
+
+      const quiz = await Quiz.findById(notebook.artifacts[0].referenceId);
+      expect(quiz.createdBy.toString()).toBe(importer._id.toString());
+      expect(await MindMap.countDocuments({ createdBy: importer._id })).toBe(1);
+      expect(notebook.artifacts[2].data).toEqual({ sections: ['Light'] });
+
+      expect(await SourceJob.countDocuments({ notebookId: notebook._id })).toBe(2);
+      expect((await User.findById(importer._id)).storageUsed).toBe(26 + 'fake-audio'.length);
+    });
+
+    it('should reject files that are not notebook bundles', async () => {
+      const zip = new JSZip();
+      zip.file('readme.txt', 'hello');
+      const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+      await expect(notebookBundle.importNotebook(importer._id, buffer)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(notebookBundle.importNotebook(importer._id, Buffer.from('nope'))).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should refuse oversized files before inflating anything', async () => {
+      const notebook = await createNotebook();
+      const zip = await JSZip.loadAsync(await exportBuffer(notebook));
+      // Compresses to a few kB, unpacks past the file limit
+      zip.file(`sources/${notebook.sources[1]._id}/original.mp3`, Buffer.alloc(51 * 1024 * 1024));
+      const bundle = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+      await expect(notebookBundle.importNotebook(importer._id, bundle)).rejects.toMatchObject({ statusCode: 413 });
+      expect(await Notebook.countDocuments({ userId: importer._id })).toBe(0);
+      expect((await User.findById(importer._id)).storageUsed || 0).toBe(0);
+    });
+
+    it('should refuse bundles that would exceed the storage limit', async () => {
+      const bundle = await exportBuffer(await createNotebook());
+      await User.updateOne({ _id: importer._id }, { storageUsed: 0.1 * 1024 * 1024 * 1024 });
+
+      await expect(notebookBundle.importNotebook(importer._id, bundle)).rejects.toMatchObject({ statusCode: 429 });
+      expect(await Notebook.countDocuments({ userId: importer._id })).toBe(0);
+    });
+  });
+});
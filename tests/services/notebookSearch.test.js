@@ -0,0 +1,137 @@
+/**
+ * Notebook Search Test Suite
+ *
+ * Tests for cross-notebook search: which notebooks are searched, result
+ * ranking and deep links into source content and audio transcriptions.
+ */
+
+const Notebook = require('../../src/models/Notebook');
+const User = require('../../src/models/User');
+const notebookSearch = require('../../src/services/notebookSearch.service');
+
+describe('Notebook Search', () => {
+  let owner;
+  let collaborator;
+  let stranger;
+
+  beforeEach(async () => {
+    [owner, collaborator, stranger] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'password123' },
+      { name: 'Collaborator', email: 'collab@example.com', password: 'password123' },
+      { name: 'Stranger', email: 'stranger@example.com', password: 'password123' }
+    ]);
+    // $text needs the index to exist
+    await Notebook.syncIndexes();
+  });
+
+  const createNotebook = (overrides = {}) => Notebook.create({
+    userId: owner._id,
+    title: 'Biology',
+    sources: [{ type: 'text', name: 'Notes', content: 'Chlorophyll absorbs light during photosynthesis.', uploadedBy: owner._id }],
+    ...overrides
+  });
+
+  const sourceIds = ({ results }) => results.filter(r => r.type === 'source').map(r => r.source.id.toString());
+
+  it('should link content matches to a character offset', async () => {
+    const notebook = await createNotebook();
+
+    const { results } = await notebookSearch.search(owner._id, 'chlorophyll');
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ type: 'source', notebook: { title: 'Biology', role: 'owner' } });
+    expect(results[0].snippets[0].highlighted).toContain('<mark>Chlorophyll</mark>');
+    expect(results[0].snippets[0].link).toEqual({
+      notebookId: notebook._id,
+      sourceId: notebook.sources[0]._id,
+      offset: 0,
+      length: 11
+    });
+  });
+
+  it('should link transcription matches to a timestamp', async () => {
+    await createNotebook({
+      sources: [{
+        type: 'audio',
+        name: 'Lecture',
+        content: 'Welcome. Today we cover the Calvin cycle.',
+        transcriptionSegments: [
+          { start: 0, end: 4, text: 'Welcome.' },
+          { start: 4, end: 9.5, text: 'Today we cover the Calvin cycle.' }
+        ]
+      }]
+    });
+
+    const { results } = await notebookSearch.search(owner._id, 'calvin');
+
+    expect(results[0].snippets[0]).toMatchObject({ field: 'transcription', link: { timestamp: 4, endTimestamp: 9.5 } });
+  });
+
+  it('should find notebook and artifact titles', async () => {
+    await createNotebook({
+      title: 'Photosynthesis unit',
+      sources: [],
+      artifacts: [{ type: 'quiz', referenceId: 'quiz-1', title: 'Photosynthesis quiz' }]
+    });
+
+    const { results } = await notebookSearch.search(owner._id, 'photosynthesis');
+
+    expect(results.map(r => r.type)).toEqual(['notebook', 'artifact']);
+    expect(results[1].snippets[0].link).toMatchObject({ artifactType: 'quiz', referenceId: 'quiz-1' });
+  });
+
+  it('should rank sources matching every term first', async () => {
+    const notebook = await createNotebook({
+      sources: [
+        { type: 'text', name: 'A', content: 'light light light light' },
+        { type: 'text', name: 'B', content: 'chlorophyll absorbs light' }
+      ]
+    });
+
+    const result = await notebookSearch.search(owner._id, 'chlorophyll light');
+
+    expect(sourceIds(result)).toEqual([notebook.sources[1]._id.toString(), notebook.sources[0]._id.toString()]);
+  });
+
+  it('should search notebooks shared with the user once accepted', async () => {
+    const accepted = await createNotebook({
+      collaborators: [{ userId: collaborator._id, role: 'viewer', status: 'accepted' }]
+    });
+    await createNotebook({
+      title: 'Pending',
+      collaborators: [{ userId: stranger._id, role: 'viewer', status: 'pending' }]
+    });
+
+    const forCollaborator = await notebookSearch.search(collaborator._id, 'chlorophyll');
+    const forStranger = await notebookSearch.search(stranger._id, 'chlorophyll');
+
+    expect(sourceIds(forCollaborator)).toEqual([accepted.sources[0]._id.toString()]);
+    expect(forCollaborator.results[0].notebook.role).toBe('viewer');
+    expect(forStranger.results).toEqual([]);
+  });
+
+  it('should only search notebooks matching whole words', async () => {
+    await createNotebook();
+    await createNotebook({ title: 'Chemistry', sources: [{ type: 'text', name: 'Acids', content: 'Acids donate protons.' }] });
+
+    const { results } = await notebookSearch.search(owner._id, 'absorbs');
+
+    expect(results.map(r => r.notebook.title)).toEqual(['Biology']);
+    expect((await notebookSearch.search(owner._id, 'absorb')).results).toEqual([]);
+  });
+
+  it('should skip notebooks in the recycle bin', async () => {
+    await createNotebook({ deletedAt: new Date() });
+
+    expect((await notebookSearch.search(owner._id, 'chlorophyll')).results).toEqual([]);
+  });
+
+  it('should limit the search to one notebook when asked', async () => {
+    const first = await createNotebook();
+    await createNotebook({ title: 'Other' });
+
+    const { results } = await notebookSearch.search(owner._id, 'chlorophyll', { notebookId: first._id });
+
+    expect(results.map(r => r.notebook.id.toString())).toEqual([first._id.toString()]);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Quiz Analytics Test Suite
+ *
+ * Tests for the item-analysis helpers behind per-question quiz statistics.
+ */
+
+const quizAnalytics = require('../../src/services/quizAnalytics.service');
+
+/**
+ * Build running sums the same way recordAttempt does
+ */
+const buildStat = (rows) => rows.reduce((stat, { score, isCorrect }) => ({
+  attempts: stat.attempts + 1,
+  correctCount: stat.correctCount + (isCorrect ? 1 : 0),
+  sumScore: stat.sumScore + score,
+  sumScoreSquared: stat.sumScoreSquared + score * score,
+  sumScoreWhenCorrect: stat.sumScoreWhenCorrect + (isCorrect ? score : 0),
+}), { attempts: 0, correctCount: 0, sumScore: 0, sumScoreSquared: 0, sumScoreWhenCorrect: 0 });
+
+describe('Quiz Analytics', () => {
+
+  describe('computeDiscrimination', () => {
+
+    it('should be positive when strong students answer correctly', () => {
+      const stat = buildStat([
+        { score: 90, isCorrect: true },
+        { score: 85, isCorrect: true },
+        { score: 40, isCorrect: false },
+        { score: 30, isCorrect: false },
+      ]);
+
+      expect(quizAnalytics.computeDiscrimination(stat)).toBeGreaterThan(0.9);
+    });
+
+    it('should be negative when weak students answer correctly', () => {
+      const stat = buildStat([
+        { score: 90, isCorrect: false },
+        { score: 85, isCorrect: false },
+        { score: 40, isCorrect: true },
+        { score: 30, isCorrect: true },
+      ]);
+
+      expect(quizAnalytics.computeDiscrimination(stat)).toBeLessThan(0);
+    });
+
+    it('should return null when everyone got the same result', () => {
+      const stat = buildStat([
+        { score: 90, isCorrect: true },
+        { score: 40, isCorrect: true },
+      ]);
+
+      expect(quizAnalytics.computeDiscrimination(stat)).toBeNull();
+    });
+
+    it('should return null when all scores are identical', () => {
+      const stat = buildStat([
+        { score: 50, isCorrect: true },
+        { score: 50, isCorrect: false },
+      ]);
+
+      expect(quizAnalytics.computeDiscrimination(stat)).toBeNull();
+    });
+  });
+
+  describe('classifyDifficulty', () => {
+
+    it('should map proportion correct onto easy/medium/hard', () => {
+      expect(quizAnalytics.classifyDifficulty(0.95)).toBe('easy');
+      expect(quizAnalytics.classifyDifficulty(0.6)).toBe('medium');
+      expect(quizAnalytics.classifyDifficulty(0.1)).toBe('hard');
+    });
+  });
+
+  describe('flagQuestion', () => {
+
+    const baseEntry = {
+      totalAttempts: 20,
+      correctCount: 10,
+      successRate: 50,
+      discriminationIndex: 0.4,
+      mostChosenWrongAnswer: { answer: 'B', count: 4 },
+    };
+
+    it('should not flag a healthy question', () => {
+      expect(quizAnalytics.flagQuestion(baseEntry)).toEqual([]);
+    });
+
+    it('should not flag questions without enough attempts', () => {
+      expect(quizAnalytics.flagQuestion({ ...baseEntry, totalAttempts: 2, successRate: 0 })).toEqual([]);
+    });
+
+    it('should flag questions where a wrong option beats the correct answer', () => {
+      const flags = quizAnalytics.flagQuestion({
+        ...baseEntry,
+        correctCount: 3,
+        successRate: 15,
+        discriminationIndex: -0.2,
+        mostChosenWrongAnswer: { answer: 'C', count: 12 },
+      });
+
+      expect(flags).toEqual(['too_hard', 'negative_discrimination', 'distractor_preferred']);
+    });
+  });
+});
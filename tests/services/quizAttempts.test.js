@@ -0,0 +1,197 @@
+/**
+ * Quiz Attempts Test Suite
+ *
+ * Tests for server-timed quiz attempts: starting and resuming, saving
+ * answers, submitting, and auto-submitting after the deadline.
+ */
+
+const Quiz = require('../../src/models/Quiz');
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const User = require('../../src/models/User');
+const quizService = require('../../src/services/quiz.service');
+
+describe('Quiz Attempts', () => {
+  let owner;
+  let student;
+
+  beforeEach(async () => {
+    [owner, student] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'password123' },
+      { name: 'Student', email: 'student@example.com', password: 'password123' }
+    ]);
+  });
+
+  const createQuiz = (overrides = {}) => Quiz.create({
+    title: 'Capitals',
+    createdBy: owner._id,
+    visibility: 'shared',
+    questions: ['France', 'Italy', 'Spain', 'Japan', 'Egypt', 'Peru'].map((country, order) => ({
+      question: `Capital of ${country}?`,
+      options: ['Paris', 'Rome', 'Madrid', 'Tokyo', 'Cairo', 'Lima'],
+      correctAnswer: ['Paris', 'Rome', 'Madrid', 'Tokyo', 'Cairo', 'Lima'][order],
+      explanation: `The capital of ${country}`,
+      points: 10,
+      order
+    })),
+    ...overrides
+  });
+
+  const answersFor = (quiz, count) => quiz.questions.slice(0, count).map(q => ({ questionId: q._id, answer: q.correctAnswer }));
+
+  describe('startAttempt', () => {
+    it('should hide the answer key while the attempt is in progress', async () => {
+      const quiz = await createQuiz({ timeLimit: 10 });
+
+      const session = await quizService.startAttempt(quiz._id, student._id);
+
+      expect(session.status).toBe('in_progress');
+      expect(session.remainingSeconds).toBeGreaterThan(590);
+      expect(session.questions).toHaveLength(6);
+      session.questions.forEach(question => {
+        expect(question).not.toHaveProperty('correctAnswer');
+        expect(question).not.toHaveProperty('explanation');
+      });
+
+      const state = await quizService.getAttempt(session.attemptId, student._id);
+      expect(state.questions[0]).not.toHaveProperty('correctAnswer');
+    });
+
+    it('should keep the shuffled order when the attempt is resumed', async () => {
+      const quiz = await createQuiz({ settings: { shuffleQuestions: true, shuffleOptions: true } });
+
+      const first = await quizService.startAttempt(quiz._id, student._id);
+      const resumed = await quizService.startAttempt(quiz._id, student._id);
+      const state = await quizService.getAttempt(first.attemptId, student._id);
+
+      expect(resumed.attemptId.toString()).toBe(first.attemptId.toString());
+      for (const session of [resumed, state]) {
+        expect(session.questions.map(q => q._id.toString())).toEqual(first.questions.map(q => q._id.toString()));
+        expect(session.questions.map(q => q.options)).toEqual(first.questions.map(q => q.options));
+      }
+      // Every question is issued once, with all of its options
+      expect(new Set(first.questions.map(q => q._id.toString())).size).toBe(6);
+      first.questions.forEach(q => expect([...q.options].sort()).toEqual(['Cairo', 'Lima', 'Madrid', 'Paris', 'Rome', 'Tokyo']));
+    });
+
+    it('should reject a retake when the quiz does not allow it', async () => {
+      const quiz = await createQuiz({ settings: { allowRetake: false } });
+
+      const session = await quizService.startAttempt(quiz._id, student._id);
+      await quizService.submitStartedAttempt(session.attemptId, student._id, answersFor(quiz, 6));
+
+      await expect(quizService.startAttempt(quiz._id, student._id)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(quizService.submitAttempt(quiz._id, student._id, answersFor(quiz, 6))).rejects.toMatchObject({ statusCode: 403 });
+      expect(await QuizAttempt.countDocuments({ userId: student._id })).toBe(1);
+    });
+
+    it('should count attempts stored before attempts had a status', async () => {
+      const quiz = await createQuiz({ settings: { allowRetake: false } });
+      await QuizAttempt.collection.insertOne({ quizId: quiz._id, userId: student._id, score: 50, answers: [] });
+
+      await expect(quizService.startAttempt(quiz._id, student._id)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(quizService.submitAttempt(quiz._id, student._id, answersFor(quiz, 6))).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should record only one of concurrent submits when retakes are not allowed', async () => {
+      await QuizAttempt.syncIndexes();
+      const quiz = await createQuiz({ settings: { allowRetake: false } });
+
+      const results = await Promise.allSettled([
+        quizService.submitAttempt(quiz._id, student._id, answersFor(quiz, 6)),
+        quizService.submitAttempt(quiz._id, student._id, answersFor(quiz, 6))
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(await QuizAttempt.countDocuments({ userId: student._id })).toBe(1);
+    });
+  });
+
+  describe('updateQuiz', () => {
+    it('should save quizzes whose stored questions predate answer validation', async () => {
+      const { insertedId } = await Quiz.collection.insertOne({
+        title: 'Legacy',
+        createdBy: owner._id,
+        questions: [{ question: 'Capital of Italy?', options: ['Paris', 'Rome'], correctAnswer: 'B) Rome' }]
+      });
+
+      const quiz = await quizService.updateQuiz(insertedId, owner._id.toString(), { title: 'Legacy capitals' });
+      expect(quiz.title).toBe('Legacy capitals');
+
+      // Editing the question still checks it
+      quiz.questions[0].question = 'Capital of Italy? (2)';
+      await expect(quiz.save()).rejects.toThrow(/one of the options/);
+    });
+  });
+
+  describe('getQuizById', () => {
+    it('should not give quiz takers the answer key even when answers are shown after submitting', async () => {
+      const quiz = await createQuiz({ settings: { showCorrectAnswers: true } });
+
+      const taken = await quizService.getQuizById(quiz._id, student._id.toString());
+      const owned = await quizService.getQuizById(quiz._id, owner._id.toString());
+
+      taken.questions.forEach(question => expect(question).not.toHaveProperty('correctAnswer'));
+      expect(owned.questions[0].correctAnswer).toBe('Paris');
+    });
+  });
+
+  describe('saveAnswers and submitStartedAttempt', () => {
+    it('should grade saved answers merged with the submitted ones', async () => {
+      const quiz = await createQuiz({ timeLimit: 10 });
+      const [q1, q2, q3] = quiz.questions;
+
+      const session = await quizService.startAttempt(quiz._id, student._id);
+      await quizService.saveAnswers(session.attemptId, student._id, [
+        { questionId: q1._id, answer: 'Rome' },
+        { questionId: q2._id, answer: 'Rome' }
+      ]);
+      const result = await quizService.submitStartedAttempt(session.attemptId, student._id, [
+        { questionId: q1._id, answer: 'Paris' },
+        { questionId: q3._id, answer: 'Madrid' }
+      ]);
+
+      expect(result).toMatchObject({ status: 'submitted', autoSubmitted: false, pointsEarned: 30, totalPoints: 60 });
+      expect(result.review).toHaveLength(6);
+      await expect(quizService.saveAnswers(session.attemptId, student._id, [])).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should grade a concurrent double submit only once', async () => {
+      const quiz = await createQuiz();
+
+      const session = await quizService.startAttempt(quiz._id, student._id);
+      const results = await Promise.all([
+        quizService._finalizeAttempt(quiz, await QuizAttempt.findById(session.attemptId)),
+        quizService._finalizeAttempt(quiz, await QuizAttempt.findById(session.attemptId))
+      ]);
+
+      results.forEach(result => expect(result.status).toBe('submitted'));
+      const updated = await Quiz.findById(quiz._id);
+      expect(updated.totalAttempts).toBe(1);
+    });
+  });
+
+  describe('submitExpiredAttempts', () => {
+    it('should auto-submit attempts past their deadline with the answers saved in time', async () => {
+      const quiz = await createQuiz({ timeLimit: 1 });
+      const session = await quizService.startAttempt(quiz._id, student._id);
+      await quizService.saveAnswers(session.attemptId, student._id, answersFor(quiz, 2));
+
+      // Nothing to do before the deadline
+      expect(await quizService.submitExpiredAttempts()).toBe(0);
+
+      const startedAt = new Date(Date.now() - 2 * 60 * 1000);
+      await QuizAttempt.updateOne(
+        { _id: session.attemptId },
+        { startedAt, deadline: new Date(startedAt.getTime() + 60 * 1000) }
+      );
+
+      expect(await quizService.submitExpiredAttempts()).toBe(1);
+
+      const attempt = await QuizAttempt.findById(session.attemptId);
+      expect(attempt).toMatchObject({ status: 'submitted', autoSubmitted: true, pointsEarned: 20, timeSpent: 60 });
+      // The late submit keeps the auto-submitted result
+      await expect(quizService.submitStartedAttempt(session.attemptId, student._id, answersFor(quiz, 6)))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Source Ingestion Test Suite
+ *
+ * Tests for following an AI engine upload task to its end.
+ */
+
+const axios = require('axios');
+const sourceIngestion = require('../../src/services/sourceIngestion.service');
+
+describe('Source Ingestion', () => {
+  const notebook = { _id: 'notebook-1' };
+  const source = { _id: 'source-1', name: 'Notes.pdf' };
+
+  describe('ingest', () => {
+    it('should finish when the task completes', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: 'completed' } });
+
+      await expect(sourceIngestion.ingest(notebook, source, { authToken: 't', taskId: 'task-1' }))
+        .resolves.toEqual({ skipped: false });
+    });
+
+    it('should fail for a retry when the engine lost the task', async () => {
+      jest.spyOn(axios, 'get').mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+
+      await expect(sourceIngestion.ingest(notebook, source, { authToken: 't', taskId: 'task-1' }))
+        .rejects.toMatchObject({ taskFailed: true });
+
+      axios.get.mockResolvedValueOnce({ data: { status: 'unknown' } });
+
+      await expect(sourceIngestion.ingest(notebook, source, { authToken: 't', taskId: 'task-2' }))
+        .rejects.toMatchObject({ taskFailed: true, message: 'AI engine lost upload task task-2' });
+    });
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Source Queue Test Suite
+ *
+ * Tests for the durable notebook source processing queue: claiming,
+ * retries with backoff, dead letters and recovery of stuck sources.
+ */
+
+jest.mock('../../src/socket/sourceJobEvents');
+
+const Notebook = require('../../src/models/Notebook');
+const SourceJob = require('../../src/models/SourceJob');
+const User = require('../../src/models/User');
+const sourceQueue = require('../../src/services/sourceQueue.service');
+const sourceIngestion = require('../../src/services/sourceIngestion.service');
+const notificationService = require('../../src/services/notification.service');
+const { emitSourceEvent, emitSourceNotification } = require('../../src/socket/sourceJobEvents');
+
+describe('Source Queue', () => {
+  let user;
+  let notebook;
+  let source;
+
+  beforeEach(async () => {
+    user = await User.create({ name: 'Queue User', email: 'queue@example.com', password: 'password123' });
+    notebook = await Notebook.create({
+      userId: user._id,
+      aiSessionId: 'session-1',
+      sources: [{ type: 'text', name: 'Notes', content: 'Photosynthesis turns light into sugar.', uploadedBy: user._id }]
+    });
+    source = notebook.sources[0];
+    jest.spyOn(notificationService, 'notifyDocumentProcessed').mockResolvedValue(null);
+  });
+
+  const enqueue = () => sourceQueue.enqueue({ notebookId: notebook._id, sourceId: source._id, userId: user._id });
+
+  const sourceState = async () => (await Notebook.findById(notebook._id)).sources.id(source._id);
+
+  describe('enqueue', () => {
+
+    it('should return the open job instead of queueing a duplicate', async () => {
+      const first = await enqueue();
+      const second = await enqueue();
+
+      expect(second._id.toString()).toBe(first._id.toString());
+      expect(await SourceJob.countDocuments()).toBe(1);
+      expect(emitSourceEvent).toHaveBeenCalledWith(notebook._id, 'source:job', expect.objectContaining({ status: 'queued' }));
+    });
+
+    it('should queue concurrent requests for a source once', async () => {
+      await SourceJob.syncIndexes();
+
+      const jobs = await Promise.all([enqueue(), enqueue(), enqueue()]);
+
+      expect(new Set(jobs.map(job => job._id.toString())).size).toBe(1);
+      expect(await SourceJob.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('process', () => {
+
+    it('should ingest the source and complete the job', async () => {
+      const ingest = jest.spyOn(sourceIngestion, 'ingest').mockResolvedValue({ skipped: false });
+      const notification = { type: 'document_processed', title: 'Document Ready' };
+      notificationService.notifyDocumentProcessed.mockResolvedValue(notification);
+      await enqueue();
+
+      const job = await sourceQueue.claimNext();
+      await sourceQueue.process(job);
+
+      expect(ingest).toHaveBeenCalledWith(
+        expect.objectContaining({ aiSessionId: 'session-1' }),
+        expect.objectContaining({ name: 'Notes' }),
+        expect.objectContaining({ authToken: expect.any(String) })
+      );
+      expect((await SourceJob.findById(job._id)).status).toBe('completed');
+      expect((await sourceState()).ragStatus).toBe('completed');
+      // Only the changed fields are broadcast
+      expect(emitSourceEvent).toHaveBeenCalledWith(notebook._id, 'source:update', {
+        action: 'updated',
+        source: { _id: source._id.toString(), ragStatus: 'completed', ragError: null }
+      });
+      // The worker has no sockets, so the notification is relayed
+      expect(notificationService.notifyDocumentProcessed).toHaveBeenCalledWith(user._id, 'Notes', { emit: false });
+      expect(emitSourceNotification).toHaveBeenCalledWith(user._id, notification);
+    });
+
+    it('should requeue a failed job with backoff', async () => {
+      jest.spyOn(sourceIngestion, 'ingest').mockRejectedValue(new Error('engine offline'));
+      await enqueue();
+
+      const before = Date.now();
+      await sourceQueue.process(await sourceQueue.claimNext());
+
+      const job = await SourceJob.findOne();
+      expect(job.status).toBe('queued');
+      expect(job.attempts).toBe(1);
+      expect(job.runAt.getTime()).toBeGreaterThanOrEqual(before + sourceQueue.backoffDelay(1));
+      expect(job.failures[0].message).toBe('engine offline');
+
+      const saved = await sourceState();
+      expect(saved.ragStatus).toBe('pending');
+      expect(saved.ragError).toBe('engine offline');
+
+      // Not due yet
+      expect(await sourceQueue.claimNext()).toBeNull();
+    });
+
+    it('should keep the upload task for the next attempt unless the engine failed it', async () => {
+      jest.spyOn(sourceIngestion, 'ingest').mockImplementation(async (nb, src, { onTask }) => {
+        await onTask('task-1');
+        throw new Error('still processing');
+      });
+      await enqueue();
+      await sourceQueue.process(await sourceQueue.claimNext());
+
+      expect((await SourceJob.findOne()).aiTaskId).toBe('task-1');
+    });
+
+    it('should move the job to the dead-letter list after the last attempt', async () => {
+      jest.spyOn(sourceIngestion, 'ingest').mockRejectedValue(new Error('bad content'));
+      const queued = await enqueue();
+      await SourceJob.updateOne({ _id: queued._id }, { maxAttempts: 1 });
+
+      await sourceQueue.process(await sourceQueue.claimNext());
+
+      const job = await SourceJob.findById(queued._id);
+      expect(job.status).toBe('dead');
+      expect((await sourceState()).ragStatus).toBe('failed');
+
+      const { jobs, total } = await sourceQueue.listDeadLetters();
+      expect(total).toBe(1);
+      expect(jobs[0]._id.toString()).toBe(queued._id.toString());
+    });
+
+    it('should dead-letter permanent errors straight away', async () => {
+      jest.spyOn(sourceIngestion, 'ingest').mockRejectedValue(Object.assign(new Error('forbidden'), { permanent: true }));
+      await enqueue();
+
+      await sourceQueue.process(await sourceQueue.claimNext());
+
+      expect((await SourceJob.findOne()).status).toBe('dead');
+    });
+
+    it('should drop the result when another worker reclaimed the job', async () => {
+      jest.spyOn(sourceIngestion, 'ingest').mockImplementation(async () => {
+        // The lock expired mid-run and another worker took the job over
+        await SourceJob.updateOne({}, { lockedBy: 'other-worker', $inc: { attempts: 1 } });
+      });
+      await enqueue();
+
+      await sourceQueue.process(await sourceQueue.claimNext());
+
+      const job = await SourceJob.findOne();
+      expect(job).toMatchObject({ status: 'active', lockedBy: 'other-worker', attempts: 2 });
+      expect(emitSourceEvent).not.toHaveBeenCalledWith(notebook._id, 'source:job', expect.objectContaining({ status: 'completed' }));
+    });
+
+    it('should finish quietly when the source was removed', async () => {
+      const ingest = jest.spyOn(sourceIngestion, 'ingest');
+      await enqueue();
+      await Notebook.updateOne({ _id: notebook._id }, { $pull: { sources: { _id: source._id } } });
+
+      await sourceQueue.process(await sourceQueue.claimNext());
+
+      expect(ingest).not.toHaveBeenCalled();
+      expect((await SourceJob.findOne()).status).toBe('completed');
+    });
+  });
+
+  describe('claimNext', () => {
+
+    it('should reclaim an active job whose lock expired', async () => {
+      const queued = await enqueue();
+      await SourceJob.updateOne(
+        { _id: queued._id },
+        { status: 'active', attempts: 1, lockedBy: 'dead-worker', lockedUntil: new Date(Date.now() - 1000) }
+      );
+
+      const job = await sourceQueue.claimNext();
+
+      expect(job._id.toString()).toBe(queued._id.toString());
+      expect(job.attempts).toBe(2);
+      expect(job.lockedBy).toBe(sourceQueue.workerId);
+    });
+
+    it('should not claim an active job that is still locked', async () => {
+      await enqueue();
+      await sourceQueue.claimNext();
+
+      expect(await sourceQueue.claimNext()).toBeNull();
+    });
+  });
+
+  describe('retryDeadLetter', () => {
+
+    it('should requeue the job with fresh attempts', async () => {
+      const queued = await enqueue();
+      await SourceJob.updateOne({ _id: queued._id }, { status: 'dead', attempts: 5, deadAt: new Date() });
+
+      const job = await sourceQueue.retryDeadLetter(queued._id);
+
+      expect(job.status).toBe('queued');
+      expect(job.attempts).toBe(0);
+      expect((await sourceState()).ragStatus).toBe('pending');
+    });
+
+    it('should reject jobs that are not dead', async () => {
+      const queued = await enqueue();
+
+      await expect(sourceQueue.retryDeadLetter(queued._id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('reprocess', () => {
+
+    it('should refuse while the source is being processed', async () => {
+      await enqueue();
+      await sourceQueue.claimNext();
+
+      await expect(sourceQueue.reprocess(notebook, source, user._id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should queue a job that replaces the existing index', async () => {
+      await Notebook.updateOne(
+        { _id: notebook._id, 'sources._id': source._id },
+        { $set: { 'sources.$.ragStatus': 'failed', 'sources.$.ragError': 'old error' } }
+      );
+
+      const job = await sourceQueue.reprocess(notebook, source, user._id);
+
+      expect(job.reason).toBe('reprocess');
+      expect(job.replaceExisting).toBe(true);
+      const saved = await sourceState();
+      expect(saved.ragStatus).toBe('pending');
+      expect(saved.ragError).toBeUndefined();
+    });
+  });
+
+  describe('recoverStuckSources', () => {
+
+    it('should queue sources left processing without a job', async () => {
+      await Notebook.updateOne(
+        { _id: notebook._id, 'sources._id': source._id },
+        { $set: { 'sources.$.ragStatus': 'processing' } }
+      );
+
+      expect(await sourceQueue.recoverStuckSources()).toBe(1);
+      expect(await sourceQueue.recoverStuckSources()).toBe(0);
+
+      const job = await SourceJob.findOne();
+      expect(job.reason).toBe('recovery');
+      expect(job.userId.toString()).toBe(user._id.toString());
+    });
+  });
+
+  describe('backoffDelay', () => {
+
+    it('should double per attempt up to the cap', () => {
+      expect(sourceQueue.backoffDelay(1)).toBe(30 * 1000);
+      expect(sourceQueue.backoffDelay(2)).toBe(60 * 1000);
+      expect(sourceQueue.backoffDelay(20)).toBe(30 * 60 * 1000);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Spaced Repetition Scheduler Test Suite
+ *
+ * Tests for the SM-2 scheduling functions used by flashcard reviews.
+ */
+
+const {
+  scheduleReview,
+  isRecalled,
+  isMature,
+  endOfToday,
+  SM2_DEFAULTS
+} = require('../../src/services/spacedRepetition');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+
+const newCard = () => ({ easeFactor: 2.5, interval: 0, repetitions: 0, lapses: 0 });
+
+describe('Spaced Repetition (SM-2)', () => {
+
+  describe('scheduleReview', () => {
+
+    it('should reject unknown grades', () => {
+      expect(() => scheduleReview(newCard(), 'perfect', NOW)).toThrow('Invalid grade');
+    });
+
+    it('should schedule a new card for tomorrow on "good"', () => {
+      const next = scheduleReview(newCard(), 'good', NOW);
+
+      expect(next.interval).toBe(1);
+      expect(next.repetitions).toBe(1);
+      expect(next.state).toBe('learning');
+      expect(next.dueDate.getTime()).toBe(NOW.getTime() + DAY_MS);
+    });
+
+    it('should use the second SM-2 interval after two successful reviews', () => {
+      const first = scheduleReview(newCard(), 'good', NOW);
+      const second = scheduleReview(first, 'good', NOW);
+
+      expect(second.interval).toBe(SM2_DEFAULTS.secondInterval);
+      expect(second.repetitions).toBe(2);
+      expect(second.state).toBe('review');
+    });
+
+    it('should grow the interval by the ease factor on later reviews', () => {
+      const card = { easeFactor: 2.5, interval: 6, repetitions: 2, lapses: 0 };
+      const next = scheduleReview(card, 'good', NOW);
+
+      expect(next.easeFactor).toBe(2.5);
+      expect(next.interval).toBe(15);
+    });
+
+    it('should grow "hard" intervals slower and lower the ease factor', () => {
+      const card = { easeFactor: 2.5, interval: 10, repetitions: 3, lapses: 0 };
+      const next = scheduleReview(card, 'hard', NOW);
+
+      expect(next.interval).toBe(12);
+      expect(next.easeFactor).toBeLessThan(2.5);
+    });
+
+    it('should give "easy" a longer interval than "good"', () => {
+      const card = { easeFactor: 2.5, interval: 10, repetitions: 3, lapses: 0 };
+
+      const good = scheduleReview(card, 'good', NOW);
+      const easy = scheduleReview(card, 'easy', NOW);
+
+      expect(easy.interval).toBeGreaterThan(good.interval);
+      expect(easy.easeFactor).toBeGreaterThan(good.easeFactor);
+    });
+
+    it('should reset repetitions and count a lapse on "again"', () => {
+      const card = { easeFactor: 2.5, interval: 30, repetitions: 5, lapses: 1 };
+      const next = scheduleReview(card, 'again', NOW);
+
+      expect(next.repetitions).toBe(0);
+      expect(next.interval).toBe(1);
+      expect(next.lapses).toBe(2);
+      expect(next.state).toBe('learning');
+    });
+
+    it('should not count a lapse when a new card is failed', () => {
+      const next = scheduleReview(newCard(), 'again', NOW);
+
+      expect(next.lapses).toBe(0);
+    });
+
+    it('should never drop the ease factor below the SM-2 minimum', () => {
+      let card = newCard();
+      for (let i = 0; i < 10; i++) {
+        card = scheduleReview(card, 'again', NOW);
+      }
+
+      expect(card.easeFactor).toBe(SM2_DEFAULTS.minEaseFactor);
+    });
+  });
+
+  describe('helpers', () => {
+
+    it('should treat every grade except "again" as recalled', () => {
+      expect(isRecalled('again')).toBe(false);
+      expect(isRecalled('hard')).toBe(true);
+      expect(isRecalled('good')).toBe(true);
+      expect(isRecalled('easy')).toBe(true);
+    });
+
+    it('should mark cards mature at the mature interval', () => {
+      expect(isMature({ interval: SM2_DEFAULTS.matureInterval - 1 })).toBe(false);
+      expect(isMature({ interval: SM2_DEFAULTS.matureInterval })).toBe(true);
+    });
+
+    it('should return the start of the next UTC day', () => {
+      expect(endOfToday(NOW).toISOString()).toBe('2026-03-11T00:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Storage Drivers Test Suite
+ *
+ * Tests the local disk driver and its signed URLs. The S3 driver runs the
+ * same checks against MinIO when MINIO_ENDPOINT is set, e.g.
+ *   docker run -p 9000:9000 minio/minio server /data
+ *   MINIO_ENDPOINT=http://localhost:9000 MINIO_BUCKET=collabry-test npx jest tests/services/storage.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { CreateBucketCommand } = require('@aws-sdk/client-s3');
+const { LocalStorageDriver, S3StorageDriver, createDriver } = require('../../src/services/storage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+/**
+ * Behaviour every driver must share
+ */
+function describeDriverContract(getDriver) {
+  it('should store, stat and read back an object', async () => {
+    const driver = getDriver();
+    const stored = await driver.put('sources/nb1/notes.txt', Buffer.from('0123456789'), { contentType: 'text/plain' });
+
+    expect(stored).toEqual({ key: 'sources/nb1/notes.txt', size: 10 });
+    expect((await driver.stat('sources/nb1/notes.txt')).size).toBe(10);
+    expect(await readAll(await driver.createReadStream('sources/nb1/notes.txt'))).toBe('0123456789');
+  });
+
+  it('should store streams with a known length', async () => {
+    const driver = getDriver();
+    await driver.put('sources/nb1/stream.txt', Readable.from([Buffer.from('abc'), Buffer.from('def')]), { contentLength: 6 });
+
+    expect(await readAll(await driver.createReadStream('sources/nb1/stream.txt'))).toBe('abcdef');
+  });
+
+  it('should read inclusive byte ranges', async () => {
+    const driver = getDriver();
+    await driver.put('sources/nb1/range.txt', Buffer.from('0123456789'));
+
+    expect(await readAll(await driver.createReadStream('sources/nb1/range.txt', { start: 2, end: 4 }))).toBe('234');
+  });
+
+  it('should treat missing objects as absent', async () => {
+    const driver = getDriver();
+
+    expect(await driver.stat('sources/nb1/missing.txt')).toBeNull();
+    await expect(driver.delete('sources/nb1/missing.txt')).resolves.toBeUndefined();
+  });
+
+  it('should delete objects', async () => {
+    const driver = getDriver();
+    await driver.put('sources/nb1/gone.txt', Buffer.from('x'));
+    await driver.delete('sources/nb1/gone.txt');
+
+    expect(await driver.stat('sources/nb1/gone.txt')).toBeNull();
+  });
+
+  it('should reject keys that leave the storage root', async () => {
+    const driver = getDriver();
+
+    await expect(driver.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(driver.put('/etc/escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+}
+
+describe('Storage Drivers', () => {
+
+  describe('LocalStorageDriver', () => {
+    let root;
+    let driver;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+      driver = new LocalStorageDriver({ root, signingSecret: 'test-signing-secret' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    describeDriverContract(() => driver);
+
+    it('should map keys to paths under the root', () => {
+      expect(driver.localPath('invoices/invoice-1.pdf')).toBe(path.join(root, 'invoices', 'invoice-1.pdf'));
+    });
+
+    it('should not leave temp files behind', async () => {
+      await driver.put('sources/nb1/clean.txt', Buffer.from('x'));
+
+      expect(fs.readdirSync(path.join(root, 'sources/nb1'))).toEqual(['clean.txt']);
+    });
+
+    describe('signed URLs', () => {
+
+      it('should round-trip the key, name and type', async () => {
+        const url = await driver.getSignedUrl('invoices/invoice-1.pdf', { fileName: 'invoice.pdf', contentType: 'application/pdf' });
+        const token = url.replace('/api/files/', '');
+
+        expect(url.startsWith('/api/files/')).toBe(true);
+        expect(driver.verifyToken(token)).toEqual({
+          key: 'invoices/invoice-1.pdf',
+          fileName: 'invoice.pdf',
+          contentType: 'application/pdf'
+        });
+      });
+
+      it('should prefix the public URL when configured', async () => {
+        const publicDriver = new LocalStorageDriver({ root, signingSecret: 's', publicUrl: 'https://api.collabry.app/' });
+
+        expect(await publicDriver.getSignedUrl('a.txt')).toMatch(/^https:\/\/api\.collabry\.app\/api\/files\/[\w-]+\.[\w-]+$/);
+      });
+
+      it('should reject expired tokens', async () => {
+        const url = await driver.getSignedUrl('a.txt', { expiresIn: -1 });
+
+        expect(driver.verifyToken(url.replace('/api/files/', ''))).toBeNull();
+      });
+
+      it('should reject tampered tokens', async () => {
+        const [encoded, signature] = (await driver.getSignedUrl('a.txt')).replace('/api/files/', '').split('.');
+        const forged = Buffer.from(JSON.stringify({ k: 'other.txt', e: Date.now() })).toString('base64url');
+
+        expect(driver.verifyToken(`${forged}.${signature}`)).toBeNull();
+        expect(driver.verifyToken(`${encoded}.AAAA`)).toBeNull();
+        expect(driver.verifyToken('garbage')).toBeNull();
+      });
+
+      it('should reject tokens signed with another secret', async () => {
+        const other = new LocalStorageDriver({ root, signingSecret: 'another-secret' });
+        const url = await other.getSignedUrl('a.txt');
+
+        expect(driver.verifyToken(url.replace('/api/files/', ''))).toBeNull();
+      });
+    });
+  });
+
+  describe('createDriver', () => {
+
+    it('should build the configured driver', () => {
+      const driver = createDriver({ driver: 'local', signingSecret: 's', local: { root: os.tmpdir() } });
+
+      expect(driver).toBeInstanceOf(LocalStorageDriver);
+    });
+
+    it('should reject unknown drivers', () => {
+      expect(() => createDriver({ driver: 'ftp' })).toThrow('Unknown storage driver');
+    });
+  });
+
+  const describeMinio = process.env.MINIO_ENDPOINT ? describe : describe.skip;
+
+  describeMinio('S3StorageDriver (MinIO)', () => {
+    let driver;
+
+    beforeAll(async () => {
+      driver = new S3StorageDriver({
+        bucket: process.env.MINIO_BUCKET || 'collabry-test',
+        endpoint: process.env.MINIO_ENDPOINT,
+        accessKeyId: process.env.MINIO_ACCESS_KEY || 'minioadmin',
+        secretAccessKey: process.env.MINIO_SECRET_KEY || 'minioadmin',
+        forcePathStyle: true,
+        prefix: `test-${Date.now()}`
+      });
+      await driver.client.send(new CreateBucketCommand({ Bucket: driver.bucket })).catch((err) => {
+        if (!['BucketAlreadyOwnedByYou', 'BucketAlreadyExists'].includes(err.name)) throw err;
+      });
+    });
+
+    describeDriverContract(() => driver);
+
+    it('should not have a local path', () => {
+      expect(driver.localPath('a.txt')).toBeNull();
+    });
+
+    it('should presign a download with the file name', async () => {
+      await driver.put('invoices/invoice-1.pdf', Buffer.from('%PDF-1.4'), { contentType: 'application/pdf' });
+      const url = await driver.getSignedUrl('invoices/invoice-1.pdf', { expiresIn: 60, fileName: 'invoice.pdf' });
+
+      const res = await fetch(url);
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-disposition')).toContain('filename="invoice.pdf"');
+      expect(await res.text()).toBe('%PDF-1.4');
+    });
+  });
+});
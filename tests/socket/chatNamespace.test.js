@@ -0,0 +1,188 @@
+/**
+ * Chat Namespace Test Suite
+ *
+ * Tests for the /chat Socket.IO namespace: JWT authentication, membership
+ * checks on conversation joins and eviction when access is revoked.
+ */
+
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const Group = require('../../src/models/Group');
+const Friendship = require('../../src/models/Friendship');
+const User = require('../../src/models/User');
+const groupService = require('../../src/services/group.service');
+const friendService = require('../../src/services/friend.service');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { initializeChatNamespace } = require('../../src/socket/chatNamespace');
+
+describe('Chat Namespace', () => {
+  let httpServer;
+  let ioServer;
+  let url;
+  let clients;
+  let alice;
+  let bob;
+  let mallory;
+
+  beforeAll(async () => {
+    httpServer = http.createServer();
+    ioServer = new Server(httpServer);
+    initializeChatNamespace(ioServer);
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    url = `http://localhost:${httpServer.address().port}/chat`;
+  });
+
+  afterAll(async () => {
+    ioServer.close();
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    clients = [];
+    [alice, bob, mallory] = await User.create([
+      { name: 'Alice', email: 'alice@example.com', password: 'password123' },
+      { name: 'Bob', email: 'bob@example.com', password: 'password123' },
+      { name: 'Mallory', email: 'mallory@example.com', password: 'password123' }
+    ]);
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.disconnect());
+  });
+
+  const tokenFor = (user) => signAccessToken({ id: user._id, email: user.email, role: user.role });
+
+  const openClient = (auth) => {
+    const client = connect(url, { auth, transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(client);
+    return client;
+  };
+
+  const connectAs = (user) => new Promise((resolve, reject) => {
+    const client = openClient({ token: tokenFor(user) });
+    client.once('connect', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+
+  const connectError = (auth) => new Promise((resolve) => {
+    openClient(auth).once('connect_error', err => resolve(err.message));
+  });
+
+  const join = (client, conversationType, conversationId) => new Promise((resolve) => {
+    client.emit('join:conversation', { conversationType, conversationId: conversationId.toString() }, resolve);
+  });
+
+  const socketsIn = async (room) => (await ioServer.of('/chat').in(room).fetchSockets()).map(s => s.id);
+
+  const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+  const createGroup = () => Group.create({
+    name: 'Study group',
+    creator: alice._id,
+    admins: [alice._id],
+    members: [{ user: alice._id, role: 'admin' }, { user: bob._id }]
+  });
+
+  const befriend = (user1, user2) => {
+    const [a, b] = [user1._id, user2._id].sort((x, y) => x.toString().localeCompare(y.toString()));
+    return Friendship.create({ user1: a, user2: b });
+  };
+
+  describe('authentication', () => {
+    it('should reject connections without a token', async () => {
+      expect(await connectError({})).toBe('Authentication required');
+    });
+
+    it('should reject connections with an invalid token', async () => {
+      expect(await connectError({ token: 'not-a-jwt' })).toBe('Invalid token');
+    });
+
+    it('should not trust a userId passed in the handshake', async () => {
+      expect(await connectError({ userId: alice._id.toString(), userEmail: alice.email })).toBe('Authentication required');
+    });
+  });
+
+  describe('join:conversation', () => {
+    it('should let group members join the group room', async () => {
+      const group = await createGroup();
+      const client = await connectAs(bob);
+
+      expect(await join(client, 'group', group._id)).toEqual({ success: true, room: `group:${group._id}` });
+      expect(await socketsIn(`group:${group._id}`)).toEqual([client.id]);
+    });
+
+    it('should refuse group rooms to non-members', async () => {
+      const group = await createGroup();
+      const client = await connectAs(mallory);
+
+      expect(await join(client, 'group', group._id)).toEqual({ error: 'Not a member of this group' });
+      expect(await socketsIn(`group:${group._id}`)).toEqual([]);
+    });
+
+    it('should refuse direct rooms between users who are not friends', async () => {
+      const client = await connectAs(mallory);
+
+      expect(await join(client, 'direct', alice._id)).toEqual({ error: 'Can only view messages with friends' });
+    });
+
+    it('should refuse direct rooms of other users', async () => {
+      await befriend(alice, bob);
+      const client = await connectAs(mallory);
+
+      expect(await join(client, 'direct', `${alice._id}:${bob._id}`)).toEqual({ error: 'Invalid conversation ID' });
+    });
+
+    it('should refuse direct rooms once the friend is blocked', async () => {
+      const friendship = await befriend(alice, bob);
+      friendship.status = 'blocked';
+      friendship.blockedBy = alice._id;
+      await friendship.save();
+      const client = await connectAs(bob);
+
+      expect(await join(client, 'direct', alice._id)).toEqual({ error: 'Can only view messages with friends' });
+    });
+
+    it('should not relay typing to rooms the socket has not joined', async () => {
+      const group = await createGroup();
+      const member = await connectAs(bob);
+      const outsider = await connectAs(mallory);
+      await join(member, 'group', group._id);
+
+      const typing = jest.fn();
+      member.on('user:typing', typing);
+      outsider.emit('typing:start', { conversationType: 'group', conversationId: group._id.toString() });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(typing).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('eviction', () => {
+    it('should remove a member\'s sockets from the group room', async () => {
+      const group = await createGroup();
+      const client = await connectAs(bob);
+      await join(client, 'group', group._id);
+
+      const removed = nextEvent(client, 'conversation:removed');
+      await groupService.removeMember(group._id, alice._id, bob._id);
+
+      expect(await removed).toEqual({ conversationType: 'group', conversationId: group._id.toString() });
+      expect(await socketsIn(`group:${group._id}`)).toEqual([]);
+    });
+
+    it('should remove both friends from the direct room when one blocks the other', async () => {
+      const friendship = await befriend(alice, bob);
+      const aliceClient = await connectAs(alice);
+      const bobClient = await connectAs(bob);
+      await join(aliceClient, 'direct', bob._id);
+      const { room } = await join(bobClient, 'direct', alice._id);
+
+      const removed = nextEvent(bobClient, 'conversation:removed');
+      await friendService.blockFriend(friendship._id, alice._id);
+
+      expect(await removed).toEqual({ conversationType: 'direct', conversationId: alice._id.toString() });
+      expect(await socketsIn(room)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Notebook Collaboration Namespace Test Suite
+ *
+ * Tests for the notebook AI chat relay: canChat checks, persisted turns
+ * with cited sources and catching up collaborators who join mid-answer.
+ */
+
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const Notebook = require('../../src/models/Notebook');
+const NotebookChatMessage = require('../../src/models/NotebookChatMessage');
+const User = require('../../src/models/User');
+const notebookChatService = require('../../src/services/notebookChat.service');
+const { signAccessToken } = require('../../src/utils/jwt');
+const initializeNotebookCollab = require('../../src/socket/notebookCollabNamespace');
+
+describe('Notebook Collaboration Namespace', () => {
+  let httpServer;
+  let ioServer;
+  let url;
+  let clients;
+  let owner;
+  let editor;
+  let viewer;
+  let notebook;
+
+  beforeAll(async () => {
+    httpServer = http.createServer();
+    ioServer = new Server(httpServer);
+    initializeNotebookCollab(ioServer);
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    url = `http://localhost:${httpServer.address().port}/notebook-collab`;
+  });
+
+  afterAll(async () => {
+    ioServer.close();
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    clients = [];
+    notebookChatService.streams.clear();
+    [owner, editor, viewer] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'password123' },
+      { name: 'Editor', email: 'editor@example.com', password: 'password123' },
+      { name: 'Viewer', email: 'viewer@example.com', password: 'password123' }
+    ]);
+    notebook = await Notebook.create({
+      userId: owner._id,
+      title: 'Biology',
+      sources: [{ type: 'text', name: 'Chapter 3', content: 'Mitosis has four phases.', uploadedBy: owner._id }],
+      collaborators: [
+        { userId: editor._id, role: 'editor', status: 'accepted' },
+        { userId: viewer._id, role: 'viewer', status: 'accepted', permissions: { canChat: false } }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.disconnect());
+  });
+
+  const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+  const connectAs = async (user) => {
+    const client = connect(url, {
+      auth: { token: signAccessToken({ id: user._id, email: user.email, role: user.role }) },
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false
+    });
+    clients.push(client);
+    await nextEvent(client, 'connect');
+    return client;
+  };
+
+  // Resolves with the chat:history sent once the join is done
+  const join = (client) => {
+    const history = nextEvent(client, 'chat:history');
+    client.emit('notebook:join', { notebookId: notebook._id.toString() });
+    return history;
+  };
+
+  const joinAs = async (user) => {
+    const client = await connectAs(user);
+    await join(client);
+    return client;
+  };
+
+  const notebookId = () => notebook._id.toString();
+
+  it('should store questions and answers with their author and cited sources', async () => {
+    const asker = await joinAs(editor);
+    const sourceId = notebook.sources[0]._id.toString();
+
+    const question = nextEvent(asker, 'chat:message');
+    asker.emit('chat:message', { notebookId: notebookId(), message: { id: 'q1', role: 'user', content: 'What is mitosis?' } });
+    expect(await question).toMatchObject({ id: 'q1', authorName: 'Editor' });
+
+    const complete = nextEvent(asker, 'ai:complete');
+    asker.emit('ai:token', { notebookId: notebookId(), token: 'Cell ', messageId: 'a1' });
+    asker.emit('ai:token', { notebookId: notebookId(), token: 'division.', messageId: 'a1' });
+    asker.emit('ai:complete', {
+      notebookId: notebookId(),
+      messageId: 'a1',
+      message: { sources: [{ source_id: sourceId, chunk_id: 'c-7', text: 'four phases' }, { sourceId: '000000000000000000000000' }] }
+    });
+    await complete;
+
+    const turns = await NotebookChatMessage.find({ notebookId: notebook._id }).sort({ createdAt: 1 });
+    expect(turns.map(t => [t.role, t.content, t.author.toString(), t.relayed])).toEqual([
+      ['user', 'What is mitosis?', editor._id.toString(), false],
+      ['assistant', 'Cell division.', editor._id.toString(), true]
+    ]);
+    expect(turns[1].sources.map(s => [s.sourceId.toString(), s.name, s.chunkId, s.start, s.end])).toEqual([[sourceId, 'Chapter 3', 'c-7', 12, 23]]);
+  });
+
+  it('should replay history and the answer in progress to late joiners', async () => {
+    const asker = await joinAs(editor);
+    const sent = nextEvent(asker, 'chat:message');
+    asker.emit('chat:message', { notebookId: notebookId(), message: { id: 'q1', content: 'Explain mitosis' } });
+    await sent;
+    const streamed = nextEvent(asker, 'ai:token');
+    asker.emit('ai:token', { notebookId: notebookId(), token: 'Mitosis is', messageId: 'a1' });
+    await streamed;
+
+    const client = await connectAs(owner);
+    const replay = nextEvent(client, 'ai:replay');
+    const history = await join(client);
+
+    expect(history.messages.map(m => m.content)).toEqual(['Explain mitosis']);
+    expect(await replay).toEqual({ messageId: 'a1', content: 'Mitosis is', author: editor._id.toString() });
+  });
+
+  it('should reject chat events from users without canChat', async () => {
+    const member = await joinAs(owner);
+    const mallory = await joinAs(viewer);
+
+    const cleared = jest.fn();
+    const tokens = jest.fn();
+    member.on('chat:clear', cleared);
+    member.on('ai:token', tokens);
+
+    const errors = [];
+    mallory.on('error', err => errors.push(err));
+    mallory.emit('chat:clear', { notebookId: notebookId() });
+    mallory.emit('ai:token', { notebookId: notebookId(), token: 'spoof', messageId: 'x' });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    expect(cleared).not.toHaveBeenCalled();
+    expect(tokens).not.toHaveBeenCalled();
+    expect(errors.map(e => e.event)).toEqual(['chat:clear', 'ai:token']);
+  });
+
+  it('should only let the owner and editors clear the chat', async () => {
+    notebook.collaborators[1].permissions.canChat = true;
+    await notebook.save();
+    const member = await joinAs(editor);
+    const commenter = await joinAs(viewer);
+
+    const denied = nextEvent(commenter, 'error');
+    commenter.emit('chat:clear', { notebookId: notebookId() });
+    expect(await denied).toMatchObject({ event: 'chat:clear' });
+
+    const cleared = nextEvent(commenter, 'chat:clear');
+    member.emit('chat:clear', { notebookId: notebookId() });
+    expect(await cleared).toEqual({ clearedBy: editor._id.toString() });
+  });
+
+  it('should not let another client write into someone else\'s stream', async () => {
+    const asker = await joinAs(editor);
+    const other = await joinAs(owner);
+    const started = nextEvent(other, 'ai:token');
+    asker.emit('ai:token', { notebookId: notebookId(), token: 'Real', messageId: 'a1' });
+    await started;
+
+    const error = nextEvent(other, 'error');
+    other.emit('ai:token', { notebookId: notebookId(), token: ' fake', messageId: 'a1' });
+
+    expect(await error).toMatchObject({ event: 'ai:token' });
+    expect(notebookChatService.getStream(notebook._id, 'a1').content).toBe('Real');
+  });
+
+  it('should cap the answers one connection streams at once', async () => {
+    const asker = await joinAs(editor);
+    const errors = [];
+    asker.on('error', err => errors.push(err));
+
+    const done = nextEvent(asker, 'ai:complete');
+    ['a1', 'a2', 'a3', 'a4'].forEach(messageId => asker.emit('ai:token', { notebookId: notebookId(), token: 'x', messageId }));
+    asker.emit('ai:complete', { notebookId: notebookId(), messageId: 'a1' });
+    await done;
+
+    expect(errors).toEqual([{ message: 'Too many answers streaming from this connection', event: 'ai:token' }]);
+    expect(notebookChatService.getActiveStreams(notebook._id).map(s => s.messageId)).toEqual(['a2', 'a3']);
+
+    // Finishing an answer makes room for the next one
+    const started = nextEvent(asker, 'ai:token');
+    asker.emit('ai:token', { notebookId: notebookId(), token: 'y', messageId: 'a5' });
+    await started;
+    expect(notebookChatService.getStream(notebook._id, 'a5')).not.toBeNull();
+  });
+
+  it('should keep a partial answer when the streaming client leaves', async () => {
+    const asker = await joinAs(editor);
+    const watcher = await joinAs(owner);
+    const started = nextEvent(watcher, 'ai:token');
+    asker.emit('ai:token', { notebookId: notebookId(), token: 'Half an', messageId: 'a1' });
+    await started;
+
+    const interrupted = nextEvent(watcher, 'ai:interrupted');
+    asker.disconnect();
+
+    expect(await interrupted).toEqual({ messageId: 'a1' });
+    const saved = await NotebookChatMessage.findOne({ notebookId: notebook._id, messageId: 'a1' });
+    expect(saved).toMatchObject({ content: 'Half an', interrupted: true });
+  });
+});
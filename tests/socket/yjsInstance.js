@@ -0,0 +1,46 @@
+/**
+ * One API instance for the Yjs replication tests, run as a child process.
+ *
+ * Serves /yjs/* on a random port against the test database and replicates
+ * docs through the parent process, which relays each instance's
+ * publications to the others in place of Redis.
+ *
+ * Parent -> child: { type: 'message', channel, data }  (data is base64)
+ * Child -> parent: { type: 'ready', port } | { type: 'publish', channel, data }
+ */
+
+const http = require('http');
+const mongoose = require('mongoose');
+const { attachYjsWebSocket } = require('../../src/socket/yjsServer');
+const { startYjsReplication } = require('../../src/socket/yjsReplication');
+
+const listeners = new Map();
+
+const ipcTransport = {
+  publish: (channel, message) => {
+    process.send({ type: 'publish', channel, data: message.toString('base64') });
+  },
+  subscribe: (channel, listener) => {
+    listeners.set(channel, listener);
+  },
+  unsubscribe: (channel) => {
+    listeners.delete(channel);
+  }
+};
+
+process.on('message', ({ type, channel, data }) => {
+  if (type === 'message' && listeners.has(channel)) {
+    listeners.get(channel)(Buffer.from(data, 'base64'));
+  }
+});
+
+process.on('disconnect', () => process.exit(0));
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await startYjsReplication(ipcTransport);
+
+  const server = http.createServer();
+  attachYjsWebSocket(server);
+  server.listen(0, () => process.send({ type: 'ready', port: server.address().port }));
+})();
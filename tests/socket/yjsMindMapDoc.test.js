@@ -0,0 +1,99 @@
+/**
+ * Mind Map Yjs Doc Test Suite
+ *
+ * Tests for mapping mind maps to and from collaborative Yjs documents.
+ */
+
+const Y = require('yjs');
+const { seedDoc, docToGraph, replaceGraph, mindMapDocName, isMindMapDoc } = require('../../src/socket/yjsMindMapDoc');
+
+const mindMap = {
+  nodes: [
+    { id: 'root', label: 'Chemistry', type: 'root', position: { x: 0, y: 0 } },
+    { id: 'acids', label: 'Acids', type: 'branch', position: { x: 200, y: 0 } },
+  ],
+  edges: [{ id: 'e1', from: 'root', to: 'acids' }],
+};
+
+/**
+ * Two replicas of the same doc, synced both ways
+ */
+const replicate = (doc) => {
+  const copy = new Y.Doc();
+  Y.applyUpdate(copy, Y.encodeStateAsUpdate(doc));
+  return copy;
+};
+const sync = (a, b) => {
+  Y.applyUpdate(b, Y.encodeStateAsUpdate(a, Y.encodeStateVector(b)));
+  Y.applyUpdate(a, Y.encodeStateAsUpdate(b, Y.encodeStateVector(a)));
+};
+
+describe('Mind Map Yjs Doc', () => {
+
+  it('should name mind map docs separately from boards', () => {
+    expect(mindMapDocName('abc')).toBe('mindmap:abc');
+    expect(isMindMapDoc('mindmap:abc')).toBe(true);
+    expect(isMindMapDoc('65a1b2c3d4e5f6a7b8c9d0e1')).toBe(false);
+  });
+
+  it('should round-trip nodes and edges', () => {
+    const doc = new Y.Doc();
+    seedDoc(doc, mindMap);
+
+    expect(docToGraph(doc)).toEqual(mindMap);
+  });
+
+  it('should merge concurrent edits to different fields of a node', () => {
+    const alice = new Y.Doc();
+    seedDoc(alice, mindMap);
+    const bob = replicate(alice);
+
+    alice.getMap('nodes').get('acids').set('label', 'Acids & Bases');
+    bob.getMap('nodes').get('acids').set('position', { x: 250, y: 40 });
+    sync(alice, bob);
+
+    const acids = docToGraph(bob).nodes.find(node => node.id === 'acids');
+    expect(acids).toMatchObject({ label: 'Acids & Bases', position: { x: 250, y: 40 } });
+  });
+
+  it('should drop unlabeled nodes and dangling edges', () => {
+    const doc = new Y.Doc();
+    seedDoc(doc, mindMap);
+
+    doc.transact(() => {
+      const blank = new Y.Map();
+      blank.set('label', '  ');
+      doc.getMap('nodes').set('blank', blank);
+
+      const dangling = new Y.Map();
+      dangling.set('from', 'root');
+      dangling.set('to', 'missing');
+      doc.getMap('edges').set('e2', dangling);
+
+      doc.getMap('nodes').get('acids').set('type', 'unknown');
+    });
+
+    const graph = docToGraph(doc);
+    expect(graph.nodes.map(node => [node.id, node.type])).toEqual([['root', 'root'], ['acids', 'concept']]);
+    expect(graph.edges.map(edge => edge.id)).toEqual(['e1']);
+  });
+
+  it('should apply a whole-graph edit without losing concurrent changes', () => {
+    const server = new Y.Doc();
+    seedDoc(server, mindMap);
+    const client = replicate(server);
+
+    // A live client moves a node while a REST edit relabels it and drops the edge
+    client.getMap('nodes').get('acids').set('position', { x: 300, y: 80 });
+    replaceGraph(server, {
+      nodes: [mindMap.nodes[0], { ...mindMap.nodes[1], label: 'Acids & Bases' }, { id: 'salts', label: 'Salts', type: 'leaf' }],
+      edges: [],
+    });
+    sync(server, client);
+
+    const graph = docToGraph(client);
+    expect(graph.nodes.map(node => node.id)).toEqual(['root', 'acids', 'salts']);
+    expect(graph.nodes[1]).toMatchObject({ label: 'Acids & Bases', position: { x: 300, y: 80 } });
+    expect(graph.edges).toEqual([]);
+  });
+});
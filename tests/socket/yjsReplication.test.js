@@ -0,0 +1,223 @@
+/**
+ * Yjs Replication Test Suite
+ *
+ * Runs two API instances (child processes, see yjsInstance.js) against one
+ * board: edits reach clients on the other instance, an instance opening the
+ * board catches up on edits not yet persisted, role changes reach
+ * connections on both, and both append to the board's update log, which
+ * compaction folds into yjsState.
+ */
+
+const path = require('path');
+const { fork } = require('child_process');
+const WebSocket = require('ws');
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const Board = require('../../src/models/Board');
+const BoardUpdate = require('../../src/models/BoardUpdate');
+const User = require('../../src/models/User');
+const boardService = require('../../src/services/board.service');
+const { loadBoardDoc, compactBoardDoc } = require('../../src/socket/yjsBoardDoc');
+const { startYjsReplication, stopYjsReplication } = require('../../src/socket/yjsReplication');
+const { CLOSE_ACCESS_REVOKED } = require('../../src/socket/yjsServer');
+const { signAccessToken } = require('../../src/utils/jwt');
+
+const messageSync = 0;
+
+describe('Yjs Replication', () => {
+  let instances;
+  let clients;
+  let owner;
+  let editor;
+  let board;
+
+  // Fork an instance; the parent relays its publications to the other instances
+  const startInstance = () => new Promise((resolve, reject) => {
+    const child = fork(path.join(__dirname, 'yjsInstance.js'), { env: process.env, stdio: 'ignore' });
+    const instance = { child, port: null };
+    child.on('message', (message) => {
+      if (message.type === 'ready') {
+        instance.port = message.port;
+        resolve(instance);
+      } else if (message.type === 'publish') {
+        instances
+          .filter(other => other !== instance)
+          .forEach(other => other.child.send({ type: 'message', channel: message.channel, data: message.data }));
+      }
+    });
+    child.once('error', reject);
+    instances.push(instance);
+  });
+
+  beforeAll(async () => {
+    instances = [];
+    await Promise.all([startInstance(), startInstance()]);
+    // Board service calls made by the tests publish to both instances
+    await startYjsReplication({
+      publish: (channel, message) => instances.forEach(({ child }) => child.send({ type: 'message', channel, data: message.toString('base64') })),
+      subscribe: () => {},
+      unsubscribe: () => {}
+    });
+  });
+
+  afterAll(async () => {
+    await stopYjsReplication();
+    instances.forEach(({ child }) => child.kill());
+  });
+
+  beforeEach(async () => {
+    clients = [];
+    [owner, editor] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'password123' },
+      { name: 'Editor', email: 'editor@example.com', password: 'password123' }
+    ]);
+    board = await Board.create({
+      title: 'Chemistry',
+      owner: owner._id,
+      members: [{ userId: editor._id, role: 'editor' }]
+    });
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.terminate());
+  });
+
+  // Resolves once the instance's sync step 1 arrives
+  const connect = (instance, user) => new Promise((resolve, reject) => {
+    const token = signAccessToken({ id: user._id, email: user.email, role: user.role });
+    const client = new WebSocket(`ws://localhost:${instance.port}/yjs/${board._id}?token=${token}`);
+    clients.push(client);
+    client.once('message', () => resolve(client));
+    client.once('error', reject);
+  });
+
+  const addShape = (client, id) => {
+    const doc = new Y.Doc();
+    doc.getMap('tldraw').set(id, { id, typeName: 'shape', type: 'geo' });
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageSync);
+    syncProtocol.writeUpdate(encoder, Y.encodeStateAsUpdate(doc));
+    client.send(encoding.toUint8Array(encoder));
+  };
+
+  // Shape ids on the instance's copy of the board
+  const shapesOn = (client) => new Promise((resolve) => {
+    client.on('message', function onMessage(data) {
+      const decoder = decoding.createDecoder(new Uint8Array(data));
+      if (decoding.readVarUint(decoder) !== messageSync) return;
+      if (decoding.readVarUint(decoder) !== syncProtocol.messageYjsSyncStep2) return;
+      client.off('message', onMessage);
+      const doc = new Y.Doc();
+      Y.applyUpdate(doc, decoding.readVarUint8Array(decoder));
+      resolve([...doc.getMap('tldraw').keys()].sort());
+    });
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageSync);
+    syncProtocol.writeSyncStep1(encoder, new Y.Doc());
+    client.send(encoding.toUint8Array(encoder));
+  });
+
+  const waitFor = async (check, timeout = 5000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (await check()) return;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Timed out');
+  };
+
+  it('should relay edits to clients connected to the other instance', async () => {
+    const [a, b] = instances;
+    const ownerClient = await connect(a, owner);
+    const editorClient = await connect(b, editor);
+
+    addShape(ownerClient, 'shape:a');
+    addShape(editorClient, 'shape:b');
+
+    await waitFor(async () => (await shapesOn(editorClient)).length === 2);
+    expect(await shapesOn(ownerClient)).toEqual(['shape:a', 'shape:b']);
+  });
+
+  it('should catch up an instance that opens the board before edits are persisted', async () => {
+    const [a, b] = instances;
+    const ownerClient = await connect(a, owner);
+    addShape(ownerClient, 'shape:a');
+    await waitFor(async () => (await shapesOn(ownerClient)).length === 1);
+
+    // Well within the 2s persist debounce, so the edit is only in instance A's memory
+    const editorClient = await connect(b, editor);
+
+    await waitFor(async () => (await shapesOn(editorClient)).length === 1);
+    expect(await BoardUpdate.countDocuments({ boardId: board._id })).toBe(0);
+  });
+
+  it('should apply role changes to connections on every instance', async () => {
+    const [a, b] = instances;
+    const ownerClient = await connect(a, owner);
+    const editorClient = await connect(b, editor);
+
+    await boardService.updateMemberRole(board._id, owner._id, editor._id, 'viewer');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    addShape(editorClient, 'shape:a');
+    addShape(ownerClient, 'shape:b');
+    await waitFor(async () => (await shapesOn(editorClient)).length === 1);
+    expect(await shapesOn(ownerClient)).toEqual(['shape:b']);
+
+    const closed = new Promise(resolve => editorClient.once('close', code => resolve(code)));
+    await boardService.removeMember(board._id, owner._id, editor._id);
+
+    expect(await closed).toBe(CLOSE_ACCESS_REVOKED);
+    expect(ownerClient.readyState).toBe(WebSocket.OPEN);
+  });
+
+  it('should log each instance\'s edits instead of overwriting the board state', async () => {
+    const [a, b] = instances;
+    addShape(await connect(a, owner), 'shape:a');
+    addShape(await connect(b, editor), 'shape:b');
+
+    await waitFor(async () => await BoardUpdate.countDocuments({ boardId: board._id }) >= 2);
+
+    const stored = await loadBoardDoc(board._id.toString());
+    expect([...stored.getMap('tldraw').keys()].sort()).toEqual(['shape:a', 'shape:b']);
+    expect((await Board.findById(board._id)).yjsState).toBeNull();
+  });
+
+  it('should fold the update log into yjsState on compaction', async () => {
+    for (const id of ['shape:a', 'shape:b', 'shape:c']) {
+      const doc = new Y.Doc();
+      doc.getMap('tldraw').set(id, { id, typeName: 'shape' });
+      await BoardUpdate.create({ boardId: board._id, update: Buffer.from(Y.encodeStateAsUpdate(doc)) });
+    }
+
+    expect(await compactBoardDoc(board._id)).toBe(true);
+
+    const compacted = await Board.findById(board._id);
+    expect(compacted.shapeCount).toBe(3);
+    expect(await BoardUpdate.countDocuments({ boardId: board._id })).toBe(0);
+    const stored = await loadBoardDoc(board._id.toString());
+    expect([...stored.getMap('tldraw').keys()].sort()).toEqual(['shape:a', 'shape:b', 'shape:c']);
+    expect(await compactBoardDoc(board._id)).toBe(false);
+  });
+
+  it('should load a board compacted while its update log is read', async () => {
+    for (const id of ['shape:a', 'shape:b']) {
+      const doc = new Y.Doc();
+      doc.getMap('tldraw').set(id, { id, typeName: 'shape' });
+      await BoardUpdate.create({ boardId: board._id, update: Buffer.from(Y.encodeStateAsUpdate(doc)) });
+    }
+
+    // Compact after the state is read, just before the log is
+    const find = BoardUpdate.find.bind(BoardUpdate);
+    jest.spyOn(BoardUpdate, 'find').mockImplementationOnce((...args) => {
+      const query = find(...args);
+      const lean = query.lean.bind(query);
+      query.lean = () => compactBoardDoc(board._id).then(() => lean());
+      return query;
+    });
+
+    const stored = await loadBoardDoc(board._id.toString());
+    expect([...stored.getMap('tldraw').keys()].sort()).toEqual(['shape:a', 'shape:b']);
+  });
+});
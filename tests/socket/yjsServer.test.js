@@ -0,0 +1,180 @@
+/**
+ * Yjs Board Server Test Suite
+ *
+ * Tests for role-aware board sync: viewers receive the canvas but can't
+ * change it, and role changes, removals, making a board private and deleting
+ * it apply to open connections.
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const Board = require('../../src/models/Board');
+const User = require('../../src/models/User');
+const boardService = require('../../src/services/board.service');
+const { docs } = require('../../src/socket/yjsPersistence');
+const { attachYjsWebSocket, CLOSE_ACCESS_REVOKED } = require('../../src/socket/yjsServer');
+const { signAccessToken } = require('../../src/utils/jwt');
+
+const messageSync = 0;
+
+describe('Yjs Board Server', () => {
+  let httpServer;
+  let port;
+  let clients;
+  let owner;
+  let editor;
+  let viewer;
+  let board;
+
+  beforeAll(async () => {
+    httpServer = http.createServer();
+    attachYjsWebSocket(httpServer);
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    port = httpServer.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    clients = [];
+    docs.clear();
+    [owner, editor, viewer] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'password123' },
+      { name: 'Editor', email: 'editor@example.com', password: 'password123' },
+      { name: 'Viewer', email: 'viewer@example.com', password: 'password123' }
+    ]);
+    board = await Board.create({
+      title: 'Physics',
+      owner: owner._id,
+      members: [
+        { userId: editor._id, role: 'editor' },
+        { userId: viewer._id, role: 'viewer' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.terminate());
+  });
+
+  /**
+   * Connect a user to the board; resolves once the server's sync step 1 arrives
+   */
+  const connectAs = (user) => new Promise((resolve, reject) => {
+    const token = signAccessToken({ id: user._id, email: user.email, role: user.role });
+    const client = new WebSocket(`ws://localhost:${port}/yjs/${board._id}?token=${token}`);
+    clients.push(client);
+    client.once('message', () => resolve(client));
+    client.once('error', reject);
+  });
+
+  const sendUpdate = (client, update) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageSync);
+    syncProtocol.writeUpdate(encoder, update);
+    client.send(encoding.toUint8Array(encoder));
+  };
+
+  const shapeUpdate = (id) => {
+    const doc = new Y.Doc();
+    doc.getMap('tldraw').set(id, { id, typeName: 'shape', type: 'geo' });
+    return Y.encodeStateAsUpdate(doc);
+  };
+
+  // Replies to a sync step 1 carry the server's state
+  const fetchState = (client) => new Promise((resolve) => {
+    client.on('message', function onMessage(data) {
+      const decoder = decoding.createDecoder(new Uint8Array(data));
+      if (decoding.readVarUint(decoder) !== messageSync) return;
+      if (decoding.readVarUint(decoder) !== syncProtocol.messageYjsSyncStep2) return;
+      client.off('message', onMessage);
+      const doc = new Y.Doc();
+      Y.applyUpdate(doc, decoding.readVarUint8Array(decoder));
+      resolve(doc.getMap('tldraw'));
+    });
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageSync);
+    syncProtocol.writeSyncStep1(encoder, new Y.Doc());
+    client.send(encoding.toUint8Array(encoder));
+  });
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+  it('should apply edits from editors and drop them from viewers', async () => {
+    const editorClient = await connectAs(editor);
+    const viewerClient = await connectAs(viewer);
+
+    sendUpdate(editorClient, shapeUpdate('shape:a'));
+    sendUpdate(viewerClient, shapeUpdate('shape:b'));
+    await settle();
+
+    const store = await fetchState(viewerClient);
+    expect([...store.keys()]).toEqual(['shape:a']);
+  });
+
+  it('should let a viewer edit once promoted to editor', async () => {
+    const viewerClient = await connectAs(viewer);
+
+    await boardService.updateMemberRole(board._id, owner._id, viewer._id, 'editor');
+    sendUpdate(viewerClient, shapeUpdate('shape:c'));
+    await settle();
+
+    expect([...(await fetchState(viewerClient)).keys()]).toEqual(['shape:c']);
+  });
+
+  it('should make an editor read-only once demoted to viewer', async () => {
+    const editorClient = await connectAs(editor);
+
+    await boardService.updateMemberRole(board._id, owner._id, editor._id, 'viewer');
+    sendUpdate(editorClient, shapeUpdate('shape:d'));
+    await settle();
+
+    expect([...(await fetchState(editorClient)).keys()]).toEqual([]);
+  });
+
+  it('should disconnect removed members', async () => {
+    const editorClient = await connectAs(editor);
+    const ownerClient = await connectAs(owner);
+    const closed = new Promise(resolve => editorClient.once('close', code => resolve(code)));
+
+    await boardService.removeMember(board._id, owner._id, editor._id);
+
+    expect(await closed).toBe(CLOSE_ACCESS_REVOKED);
+    expect(ownerClient.readyState).toBe(WebSocket.OPEN);
+  });
+
+  it('should disconnect non-members once a public board is made private', async () => {
+    const stranger = await User.create({ name: 'Stranger', email: 'stranger@example.com', password: 'password123' });
+    await Board.updateOne({ _id: board._id }, { isPublic: true });
+    const strangerClient = await connectAs(stranger);
+    const viewerClient = await connectAs(viewer);
+    const closed = new Promise(resolve => strangerClient.once('close', code => resolve(code)));
+
+    await boardService.updateBoard(board._id, owner._id, { isPublic: false });
+
+    expect(await closed).toBe(CLOSE_ACCESS_REVOKED);
+    expect(viewerClient.readyState).toBe(WebSocket.OPEN);
+  });
+
+  it('should disconnect everyone from a deleted board', async () => {
+    const clientsClosed = await Promise.all([owner, editor].map(connectAs))
+      .then(open => open.map(client => new Promise(resolve => client.once('close', code => resolve(code)))));
+
+    await boardService.deleteBoard(board._id, owner._id);
+
+    expect(await Promise.all(clientsClosed)).toEqual([CLOSE_ACCESS_REVOKED, CLOSE_ACCESS_REVOKED]);
+    await expect(connectAs(editor)).rejects.toThrow(/403/);
+  });
+
+  it('should refuse users without access to a private board', async () => {
+    const stranger = await User.create({ name: 'Stranger', email: 'stranger@example.com', password: 'password123' });
+
+    await expect(connectAs(stranger)).rejects.toThrow(/403/);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Attachment Previews Test Suite
+ *
+ * Tests for chat attachment thumbnails.
+ */
+
+const sharp = require('sharp');
+const { THUMBNAIL_SIZE, createImageThumbnail, createPreview, renderPdfFirstPage } = require('../../src/utils/attachmentPreviews');
+
+describe('Attachment Previews', () => {
+  const image = (width, height) =>
+    sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).png().toBuffer();
+
+  it('should shrink images into a WebP thumbnail and report the original size', async () => {
+    const thumbnail = await createImageThumbnail(await image(1600, 800));
+
+    expect(thumbnail.contentType).toBe('image/webp');
+    expect([thumbnail.width, thumbnail.height]).toEqual([THUMBNAIL_SIZE, THUMBNAIL_SIZE / 2]);
+    expect(thumbnail.original).toEqual({ width: 1600, height: 800 });
+    expect((await sharp(thumbnail.buffer).metadata()).format).toBe('webp');
+  });
+
+  it('should not enlarge small images', async () => {
+    const thumbnail = await createImageThumbnail(await image(40, 30));
+
+    expect([thumbnail.width, thumbnail.height]).toEqual([40, 30]);
+  });
+
+  it('should return null for undecodable images', async () => {
+    const thumbnail = await createImageThumbnail(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+
+    expect(thumbnail).toBeNull();
+  });
+
+  it('should skip PDF previews when pdftoppm is missing', async () => {
+    const page = await renderPdfFirstPage(Buffer.from('%PDF-1.4\n'), { pdftoppmPath: '/nonexistent/pdftoppm' });
+
+    expect(page).toBeNull();
+  });
+
+  it('should not preview other types', async () => {
+    expect(await createPreview(Buffer.from('ID3'), 'audio/mpeg')).toBeNull();
+  });
+});
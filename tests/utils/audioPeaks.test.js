@@ -0,0 +1,124 @@
+/**
+ * Audio Peaks Test Suite
+ *
+ * Tests for WAV decoding and waveform peak generation.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PeakAccumulator, decodeWav, downsamplePeaks, requestBins, generatePeaks } = require('../../src/utils/audioPeaks');
+
+/**
+ * Build a 16-bit PCM WAV file from per-channel sample arrays (-1..1)
+ */
+function buildWav(channels, sampleRate = 8000) {
+  const frames = channels[0].length;
+  const blockAlign = channels.length * 2;
+  const data = Buffer.alloc(frames * blockAlign);
+  for (let i = 0; i < frames; i++) {
+    channels.forEach((samples, c) => data.writeInt16LE(Math.round(samples[i] * 32767), i * blockAlign + c * 2));
+  }
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels.length, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+describe('Audio Peaks', () => {
+
+  describe('PeakAccumulator', () => {
+
+    it('should reduce samples to the loudest value per bin', () => {
+      const accumulator = new PeakAccumulator(2);
+      [0.1, 0.2, 0.9, 0.3, 0.4, 0.5, 0.05, 0.6].forEach(value => accumulator.add(value));
+
+      expect(accumulator.bins(2)).toEqual([0.9, 0.6]);
+    });
+
+    it('should not return more bins than it has blocks', () => {
+      const accumulator = new PeakAccumulator(4);
+      [0.5, 0.25, 0.1].forEach(value => accumulator.add(value));
+
+      expect(accumulator.bins(800)).toEqual([0.5]);
+    });
+  });
+
+  describe('downsamplePeaks', () => {
+
+    it('should keep the loudest peak of each group', () => {
+      expect(downsamplePeaks([0.1, 0.9, 0.3, 0.2, 0.5, 0.4], 3)).toEqual([0.9, 0.3, 0.5]);
+      expect(downsamplePeaks([0.1, 0.2], 800)).toEqual([0.1, 0.2]);
+    });
+  });
+
+  describe('requestBins', () => {
+
+    it('should snap requests to an allowed resolution', () => {
+      expect(requestBins('300')).toBe(200);
+      expect(requestBins(5000)).toBe(800);
+      expect(requestBins('1')).toBe(100);
+      expect(requestBins('abc')).toBe(800);
+    });
+  });
+
+  describe('decodeWav', () => {
+
+    it('should use the loudest channel of each frame', () => {
+      const accumulator = new PeakAccumulator(1);
+      const result = decodeWav(buildWav([[0.5, -0.25], [-0.75, 0.1]]), accumulator);
+
+      expect(result).toEqual({ sampleRate: 8000, frames: 2 });
+      expect(accumulator.bins(2)).toEqual([0.75, 0.25]);
+    });
+
+    it('should return null for files that are not WAV', () => {
+      expect(decodeWav(Buffer.from('ID3 not a wav file at all'), new PeakAccumulator())).toBeNull();
+    });
+  });
+
+  describe('generatePeaks', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peaks-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should generate peaks and duration for a WAV file', async () => {
+      // One second of silence followed by one second at half volume
+      const samples = Array.from({ length: 16000 }, (_, i) => (i < 8000 ? 0 : (i % 2 ? 0.5 : -0.5)));
+      const filePath = path.join(dir, 'lecture.wav');
+      fs.writeFileSync(filePath, buildWav([samples]));
+
+      const waveform = await generatePeaks(filePath, { bins: 4 });
+
+      expect(waveform.bins).toBe(4);
+      expect(waveform.duration).toBe(2);
+      expect(waveform.peaks[0]).toBe(0);
+      expect(waveform.peaks[3]).toBeCloseTo(0.5, 2);
+    });
+
+    it('should return null when the file cannot be decoded', async () => {
+      const filePath = path.join(dir, 'broken.mp3');
+      fs.writeFileSync(filePath, Buffer.from('not audio'));
+
+      expect(await generatePeaks(filePath, { ffmpegPath: path.join(dir, 'missing-ffmpeg') })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Audio Transcode Test Suite
+ *
+ * Tests for deciding which audio sources get an AAC playback copy.
+ */
+
+const os = require('os');
+const path = require('path');
+const { needsPlaybackCopy, playbackKey, transcodeToAac } = require('../../src/utils/audioTranscode');
+
+describe('Audio Transcode', () => {
+
+  it('should only copy formats Safari cannot play', () => {
+    expect(needsPlaybackCopy('notebooks/1/memo.OGG')).toBe(true);
+    expect(needsPlaybackCopy('notebooks/1/memo.webm')).toBe(true);
+    expect(needsPlaybackCopy('notebooks/1/memo.mp3')).toBe(false);
+    expect(needsPlaybackCopy('notebooks/1/memo.m4a')).toBe(false);
+    expect(needsPlaybackCopy(undefined)).toBe(false);
+  });
+
+  it('should keep the copy next to the original', () => {
+    expect(playbackKey('notebooks/1/memo.ogg')).toBe('notebooks/1/memo.ogg.m4a');
+  });
+
+  it('should give up without ffmpeg', async () => {
+    const output = path.join(os.tmpdir(), 'collabry-missing.m4a');
+
+    await expect(transcodeToAac('memo.ogg', output, { ffmpegPath: '/nonexistent/ffmpeg' })).resolves.toBe(false);
+  });
+});
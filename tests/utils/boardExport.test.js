@@ -0,0 +1,122 @@
+/**
+ * Board Export Test Suite
+ *
+ * Tests for laying out tldraw records and rendering them to SVG and PDF.
+ */
+
+const { shapeText, wrapText, listPages, buildScene, toSvg, toPdf } = require('../../src/utils/boardExport');
+
+const shape = (id, type, props, extra = {}) => ({
+  id, typeName: 'shape', type, parentId: 'page:one', index: 'a1', x: 0, y: 0, rotation: 0, opacity: 1, props, ...extra
+});
+
+const recordsOf = (...records) => new Map(records.map(record => [record.id, record]));
+
+describe('Board Export', () => {
+  describe('shapeText', () => {
+    it('should read plain and rich text', () => {
+      expect(shapeText({ text: 'Plain' })).toBe('Plain');
+      expect(shapeText({
+        richText: {
+          type: 'doc',
+          content: [
+            { type: 'paragraph', content: [{ type: 'text', text: 'First' }, { type: 'hardBreak' }, { type: 'text', text: 'line' }] },
+            { type: 'paragraph', content: [{ type: 'text', text: 'Second' }] }
+          ]
+        }
+      })).toBe('First\nline\nSecond');
+      expect(shapeText({})).toBe('');
+    });
+  });
+
+  describe('wrapText', () => {
+    it('should wrap words to the width and keep paragraphs', () => {
+      expect(wrapText('one two three\nfour', 10, 50)).toEqual(['one two', 'three', 'four']);
+      expect(wrapText('one two three', 10)).toEqual(['one two three']);
+    });
+  });
+
+  describe('listPages', () => {
+    it('should order pages and include pages without a record', () => {
+      const records = recordsOf(
+        { id: 'page:two', typeName: 'page', name: 'Two', index: 'a2' },
+        { id: 'page:one', typeName: 'page', name: 'One', index: 'a1' },
+        shape('shape:legacy', 'geo', {}, { parentId: 'page:page' })
+      );
+
+      expect(listPages(records).map(page => page.id)).toEqual(['page:one', 'page:two', 'page:page']);
+    });
+  });
+
+  describe('buildScene', () => {
+    it('should draw shapes in z-order with children above their frame', () => {
+      const records = recordsOf(
+        shape('shape:top', 'geo', { geo: 'ellipse', w: 10, h: 10 }, { index: 'a3' }),
+        shape('shape:frame', 'frame', { w: 100, h: 100 }, { index: 'a2', x: 100, y: 100 }),
+        shape('shape:inside', 'geo', { geo: 'rectangle', w: 10, h: 10 }, { parentId: 'shape:frame', x: 5, y: 5 }),
+        shape('shape:bottom', 'draw', { segments: [{ type: 'free', points: [{ x: 0, y: 0 }, { x: 20, y: 20 }] }] }),
+        shape('shape:other-page', 'geo', { w: 10, h: 10 }, { parentId: 'page:two' }),
+        shape('shape:image', 'image', { w: 10, h: 10 })
+      );
+
+      const scene = buildScene(records, 'page:one');
+
+      // The frame itself and the image are not drawn
+      expect(scene.elements).toHaveLength(3);
+      expect(scene.elements[0].d).toBe('M0 0 L20 20');
+      // Frame children are placed in page coordinates through the frame
+      expect(scene.elements[1].matrix.slice(4)).toEqual([105, 105]);
+      expect(scene.elements[2].d).toMatch(/^M0 5 A5 5/);
+    });
+
+    it('should stop bound arrows at the edges of their shapes', () => {
+      const records = recordsOf(
+        shape('shape:a', 'geo', { w: 100, h: 100 }),
+        shape('shape:b', 'geo', { w: 100, h: 100 }, { x: 300 }),
+        shape('shape:arrow', 'arrow', { start: { x: 0, y: 0 }, end: { x: 0, y: 0 }, bend: 0, arrowheadEnd: 'arrow' }, { index: 'a2' }),
+        { id: 'binding:1', typeName: 'binding', type: 'arrow', fromId: 'shape:arrow', toId: 'shape:a', props: { terminal: 'start', normalizedAnchor: { x: 0.5, y: 0.5 }, isPrecise: false } },
+        { id: 'binding:2', typeName: 'binding', type: 'arrow', fromId: 'shape:arrow', toId: 'shape:b', props: { terminal: 'end', normalizedAnchor: { x: 0, y: 0 }, isPrecise: true } }
+      );
+
+      const [line, head] = buildScene(records, 'page:one').elements.slice(2);
+
+      // From A's centre towards B's corner, leaving A's right edge
+      expect(line.d).toBe('M100 40 L300 0');
+      expect(head.d).toContain('L300 0');
+    });
+
+    it('should pad the page area around the shapes', () => {
+      const scene = buildScene(recordsOf(shape('shape:a', 'geo', { w: 100, h: 50, size: 's' }, { x: 10, y: 20 })), 'page:one');
+
+      expect(scene).toMatchObject({ x: -23, y: -13, width: 166, height: 116 });
+    });
+  });
+
+  describe('toSvg', () => {
+    it('should render shapes and escape their text', () => {
+      const records = recordsOf(
+        shape('shape:a', 'geo', { geo: 'rectangle', w: 200, h: 100, color: 'blue', fill: 'solid', dash: 'dashed', text: 'A & <B>' }),
+        shape('shape:b', 'note', { color: 'yellow', text: 'Note' }, { x: 300, opacity: 0.5 })
+      );
+
+      const svg = toSvg(buildScene(records, 'page:one'), { title: 'Board "1"' });
+
+      expect(svg).toContain('<title>Board &quot;1&quot;</title>');
+      expect(svg).toContain('fill="#dce1f8" stroke="#4465e9" stroke-width="3.5"');
+      expect(svg).toContain('stroke-dasharray="7 7"');
+      expect(svg).toContain('>A &amp; &lt;B&gt;</tspan>');
+      expect(svg).toMatch(/<path d="M0 0 L200 0 L200 200 L0 200 Z" fill="#fed49a" transform="matrix\(1 0 0 1 300 0\)" opacity="0.5"\/>/);
+    });
+  });
+
+  describe('toPdf', () => {
+    it('should render a one-page PDF', async () => {
+      const records = recordsOf(shape('shape:a', 'geo', { geo: 'star', w: 100, h: 100, dash: 'dotted', text: 'Star' }));
+
+      const pdf = await toPdf(buildScene(records, 'page:one'), { title: 'Stars' });
+
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(pdf.toString('latin1').match(/\/Type \/Page\b/g)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Chat Export Test Suite
+ *
+ * Tests for streaming conversations as JSON, plain text and HTML.
+ */
+
+const { exportConversation } = require('../../src/utils/chatExport');
+
+describe('Chat Export', () => {
+  const conversation = { type: 'group', id: 'g1', title: 'Biology <Fall>' };
+  const messages = [
+    {
+      _id: 'm1',
+      createdAt: new Date('2026-03-14T09:05:00Z'),
+      sender: { _id: 'u1', name: 'Ada Admin' },
+      content: 'Quiz on <b>Friday</b>\nBring notes',
+      attachments: [{ name: 'notes.pdf', type: 'file', mimeType: 'application/pdf', size: 1536, storageKey: 'chat/x' }],
+      reactions: [{ emoji: '👍' }, { emoji: '👍' }],
+      pinnedAt: new Date()
+    },
+    {
+      _id: 'm2',
+      createdAt: new Date('2026-03-14T09:07:00Z'),
+      sender: null,
+      content: 'Thanks',
+      threadId: 'm1',
+      isEdited: true
+    }
+  ];
+
+  const read = async (format, items = messages) => {
+    let output = '';
+    for await (const chunk of exportConversation(conversation, items, format)) {
+      output += chunk;
+    }
+    return output;
+  };
+
+  it('should export valid JSON without storage internals', async () => {
+    const data = JSON.parse(await read('json'));
+
+    expect(data.conversation).toEqual(conversation);
+    expect(data.messages).toHaveLength(2);
+    expect(data.messages[0]).toMatchObject({
+      id: 'm1',
+      sentAt: '2026-03-14T09:05:00.000Z',
+      pinned: true,
+      reactions: { '👍': 2 },
+      attachments: [{ name: 'notes.pdf', type: 'file', mimeType: 'application/pdf', size: 1536 }]
+    });
+    expect(data.messages[0].attachments[0].storageKey).toBeUndefined();
+    expect(data.messages[1]).toMatchObject({ sender: { id: null, name: 'Unknown user' }, threadId: 'm1', edited: true });
+  });
+
+  it('should export valid JSON for an empty conversation', async () => {
+    expect(JSON.parse(await read('json', [])).messages).toEqual([]);
+  });
+
+  it('should export readable text with indented thread replies', async () => {
+    const text = await read('txt');
+
+    expect(text).toContain('[2026-03-14 09:05] Ada Admin: Quiz on <b>Friday</b>\n  Bring notes (pinned)');
+    expect(text).toContain('  [attachment] notes.pdf (2 KB)');
+    expect(text).toContain('    [2026-03-14 09:07] Unknown user: Thanks (edited)');
+  });
+
+  it('should escape HTML', async () => {
+    const html = await read('html');
+
+    expect(html).toContain('<title>Biology &lt;Fall&gt;</title>');
+    expect(html).toContain('Quiz on &lt;b&gt;Friday&lt;/b&gt;');
+    expect(html).toContain('<article class="message reply" id="m-m2">');
+    expect(html).not.toContain('<b>Friday</b>');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Chat Mentions Test Suite
+ *
+ * Tests for extracting @handles from chat messages and resolving them
+ * to group members.
+ */
+
+const { extractHandles, parseMentions } = require('../../src/utils/chatMentions');
+
+describe('Chat Mentions', () => {
+  const members = [
+    { _id: 'u1', name: 'Jane Doe', email: 'jane.doe@example.com' },
+    { _id: 'u2', name: 'Jane Smith', email: 'jsmith@example.com' },
+    { _id: 'u3', name: 'Ravi Kumar', email: 'ravi@example.com' }
+  ];
+
+  describe('extractHandles', () => {
+
+    it('should find handles and drop trailing punctuation', () => {
+      expect(extractHandles('Thanks @Ravi. Ask @jane.doe, and @JaneSmith!')).toEqual(['ravi', 'jane.doe', 'janesmith']);
+    });
+
+    it('should ignore email addresses', () => {
+      expect(extractHandles('Mail ravi@example.com for notes')).toEqual([]);
+    });
+  });
+
+  describe('parseMentions', () => {
+
+    it('should resolve email local parts and names without spaces', () => {
+      expect(parseMentions('@jane.doe and @janesmith', members)).toEqual(['u1', 'u2']);
+    });
+
+    it('should resolve a first name only when it is unique', () => {
+      expect(parseMentions('@ravi can you share?', members)).toEqual(['u3']);
+      expect(parseMentions('@jane can you share?', members)).toEqual([]);
+    });
+
+    it('should mention each member once', () => {
+      expect(parseMentions('@Ravi @ravi @RaviKumar', members)).toEqual(['u3']);
+    });
+
+    it('should return nothing without candidates', () => {
+      expect(parseMentions('@ravi', [])).toEqual([]);
+    });
+  });
+});
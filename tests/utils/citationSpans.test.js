@@ -0,0 +1,90 @@
+/**
+ * Citation Spans Test Suite
+ *
+ * Tests for locating cited chunks in source text and mapping them to
+ * pages, sections, audio timestamps and highlighted excerpts.
+ */
+
+const { locateChunk, sectionsAt, timestampAt, excerpt } = require('../../src/utils/citationSpans');
+
+describe('Citation Spans', () => {
+  const text = 'Mitosis has four phases.\n\nProphase comes first.  Then metaphase.\n\nMitosis ends with cytokinesis.';
+
+  describe('locateChunk', () => {
+    it('should trust a start offset that matches the chunk', () => {
+      expect(locateChunk(text, 'Prophase comes first.', { start: 26 })).toEqual({ start: 26, end: 47 });
+    });
+
+    it('should search for the chunk when the offset is wrong', () => {
+      expect(locateChunk(text, 'Then metaphase.', { start: 3 })).toEqual({ start: 49, end: 64 });
+    });
+
+    it('should pick the occurrence closest to the offset', () => {
+      expect(locateChunk(text, 'Mitosis', { start: 60 })).toEqual({ start: 66, end: 73 });
+      expect(locateChunk(text, 'Mitosis')).toEqual({ start: 0, end: 7 });
+    });
+
+    it('should match chunks whose whitespace was re-flowed', () => {
+      const range = locateChunk(text, 'four phases. Prophase comes first. Then');
+      expect(text.slice(range.start, range.end)).toBe('four phases.\n\nProphase comes first.  Then');
+    });
+
+    it('should fall back to the offsets when no text is given', () => {
+      expect(locateChunk(text, undefined, { start: 5, end: 10 })).toEqual({ start: 5, end: 10 });
+      expect(locateChunk(text, '', {})).toBeNull();
+    });
+
+    it('should return null for chunks that are not in the text', () => {
+      expect(locateChunk(text, 'Meiosis has two divisions.')).toBeNull();
+      expect(locateChunk('', 'Mitosis')).toBeNull();
+    });
+  });
+
+  describe('sectionsAt', () => {
+    const sections = [
+      { kind: 'page', title: 'Page 1', number: 1, start: 0, end: 24 },
+      { kind: 'page', title: 'Page 2', number: 2, start: 26, end: 97 },
+      { kind: 'heading', title: 'Phases', start: 26, end: 97 },
+      { kind: 'heading', title: 'Metaphase', number: 2, start: 49, end: 64 }
+    ];
+
+    it('should find the page and innermost section', () => {
+      expect(sectionsAt(sections, 50)).toEqual({ page: 2, section: { kind: 'heading', title: 'Metaphase', number: 2 } });
+      expect(sectionsAt(sections, 30)).toEqual({ page: 2, section: { kind: 'heading', title: 'Phases' } });
+    });
+
+    it('should return nulls outside any section', () => {
+      expect(sectionsAt(sections, 25)).toEqual({ page: null, section: null });
+      expect(sectionsAt(undefined, 0)).toEqual({ page: null, section: null });
+    });
+  });
+
+  describe('timestampAt', () => {
+    const spans = [
+      { from: 0, to: 20, start: 0, end: 4.5 },
+      { from: 21, to: 40, start: 4.5, end: 9 },
+      { from: 41, to: 60, start: 9, end: 12.25 }
+    ];
+
+    it('should cover every segment the range touches', () => {
+      expect(timestampAt(spans, 25, 45)).toEqual({ start: 4.5, end: 12.25 });
+      expect(timestampAt(spans, 5, 10)).toEqual({ start: 0, end: 4.5 });
+    });
+
+    it('should return null past the transcript', () => {
+      expect(timestampAt(spans, 70, 80)).toBeNull();
+    });
+  });
+
+  describe('excerpt', () => {
+    it('should highlight the range with escaped context', () => {
+      const result = excerpt('a <b> & c', 2, 5, { context: 2 });
+      expect(result).toEqual({
+        text: '<b>',
+        before: 'a ',
+        after: ' &',
+        highlighted: 'a <mark>&lt;b&gt;</mark> &amp;…'
+      });
+    });
+  });
+});
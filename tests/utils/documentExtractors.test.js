@@ -0,0 +1,182 @@
+/**
+ * Document Extractors Test Suite
+ *
+ * Tests for DOCX, PPTX, EPUB, Markdown and CSV text extraction with
+ * structure markers.
+ */
+
+const JSZip = require('jszip');
+const { extractDocument, documentTypeForFile, parseCsv } = require('../../src/utils/documentExtractors');
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const P = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" ' +
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const zipOf = (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const docxParagraph = (text, style) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+
+const shape = (text, placeholder) =>
+  `<p:sp><p:nvSpPr><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr>` +
+  `<p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+
+const slide = (...shapes) => `<p:sld ${P}><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+const rels = (entries) =>
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  entries.map(([id, type, target]) =>
+    `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`
+  ).join('') +
+  '</Relationships>';
+
+// Rewrite the uncompressed size a zip's central directory declares for an entry
+const declareSize = (buffer, name, size) => {
+  for (let at = buffer.lastIndexOf(Buffer.from('PK\x01\x02', 'latin1')); at >= 0; at = buffer.lastIndexOf(Buffer.from('PK\x01\x02', 'latin1'), at - 1)) {
+    if (buffer.toString('utf8', at + 46, at + 46 + buffer.readUInt16LE(at + 28)) === name) {
+      buffer.writeUInt32LE(size, at + 24);
+      return buffer;
+    }
+  }
+  throw new Error(`${name} not in zip`);
+};
+
+describe('Document Extractors', () => {
+
+  describe('docx', () => {
+
+    it('should keep headings and tables', async () => {
+      const buffer = await zipOf({
+        'word/document.xml': `<w:document ${W}><w:body>` +
+          docxParagraph('Photosynthesis', 'Title') +
+          docxParagraph('Plants make sugar.') +
+          docxParagraph('Light reactions', 'Heading2') +
+          '<w:tbl><w:tr><w:tc>' + docxParagraph('Input') + '</w:tc><w:tc>' + docxParagraph('Output') + '</w:tc></w:tr></w:tbl>' +
+          '</w:body></w:document>',
+      });
+
+      const { text, sections } = await extractDocument(buffer, 'docx');
+
+      expect(text).toBe('# Photosynthesis\nPlants make sugar.\n## Light reactions\n| Input | Output |');
+      expect(sections.map(s => [s.kind, s.title, s.level])).toEqual([
+        ['heading', 'Photosynthesis', 1],
+        ['heading', 'Light reactions', 2],
+      ]);
+      expect(text.slice(sections[1].start, sections[1].end)).toBe('## Light reactions\n| Input | Output |');
+    });
+  });
+
+  describe('pptx', () => {
+
+    it('should follow presentation order and include speaker notes', async () => {
+      const buffer = await zipOf({
+        'ppt/presentation.xml': `<p:presentation ${P}><p:sldIdLst>` +
+          '<p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId1"/></p:sldIdLst></p:presentation>',
+        'ppt/_rels/presentation.xml.rels': rels([['rId1', 'slide', 'slides/slide1.xml'], ['rId2', 'slide', 'slides/slide2.xml']]),
+        'ppt/slides/slide1.xml': slide(shape('Second', 'title'), shape('Details')),
+        'ppt/slides/slide2.xml': slide(shape('First', 'ctrTitle'), shape('Intro'), shape('7', 'sldNum')),
+        'ppt/slides/_rels/slide2.xml.rels': rels([['rId1', 'notesSlide', '../notesSlides/notesSlide1.xml']]),
+        'ppt/notesSlides/notesSlide1.xml': `<p:notes ${P}><p:cSld><p:spTree>` +
+          shape('', 'sldImg') + shape('Say hello first', 'body') + shape('1', 'sldNum') +
+          '</p:spTree></p:cSld></p:notes>',
+      });
+
+      const { text, sections } = await extractDocument(buffer, 'pptx');
+
+      expect(text).toBe(
+        '## Slide 1: First\nIntro\n\nSpeaker notes:\nSay hello first\n\n## Slide 2: Second\nDetails'
+      );
+      expect(sections.map(s => [s.kind, s.number, s.title])).toEqual([['slide', 1, 'First'], ['slide', 2, 'Second']]);
+    });
+  });
+
+  describe('epub', () => {
+
+    it('should read chapters in spine order with titles from the table of contents', async () => {
+      const chapter = (body) => `<html xmlns="http://www.w3.org/1999/xhtml"><body>${body}</body></html>`;
+      const buffer = await zipOf({
+        'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+        'OEBPS/content.opf': '<package xmlns:dc="http://purl.org/dc/elements/1.1/"><metadata><dc:title>Cell Biology</dc:title></metadata>' +
+          '<manifest><item id="nav" href="nav.xhtml" properties="nav"/><item id="c1" href="text/one.xhtml"/><item id="c2" href="text/two.xhtml"/></manifest>' +
+          '<spine><itemref idref="c1"/><itemref idref="c2"/></spine></package>',
+        'OEBPS/nav.xhtml': chapter('<nav><ol><li><a href="text/one.xhtml">The Cell</a></li><li><a href="text/two.xhtml#start">Membranes</a></li></ol></nav>'),
+        'OEBPS/text/one.xhtml': chapter('<h1>The Cell</h1><p>Cells are small.</p>'),
+        'OEBPS/text/two.xhtml': chapter('<h2>Lipids</h2><p>Bilayers.</p>'),
+      });
+
+      const { text, sections } = await extractDocument(buffer, 'epub');
+
+      expect(text).toBe(
+        '# Cell Biology\n\n## Chapter 1: The Cell\nCells are small.\n\n## Chapter 2: Membranes\n#### Lipids\nBilayers.'
+      );
+      expect(sections.map(s => [s.kind, s.number, s.title])).toEqual([['chapter', 1, 'The Cell'], ['chapter', 2, 'Membranes']]);
+    });
+  });
+
+  describe('zip limits', () => {
+
+    const bomb = () => {
+      const zip = new JSZip();
+      zip.file('word/document.xml', `<w:document ${W}><w:body>${docxParagraph('x'.repeat(1024 * 1024))}</w:body></w:document>`);
+      return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    };
+
+    it('should refuse parts declaring more than the size limit', async () => {
+      const buffer = declareSize(await bomb(), 'word/document.xml', 0xFFFFFFF0);
+
+      await expect(extractDocument(buffer, 'docx')).rejects.toThrow(/word\/document\.xml is too large/);
+    });
+
+    it('should stop a part that inflates past its declared size', async () => {
+      const buffer = declareSize(await bomb(), 'word/document.xml', 1024);
+
+      await expect(extractDocument(buffer, 'docx')).rejects.toThrow(/larger than it declares/);
+    });
+
+    it('should refuse presentations with too many slides', async () => {
+      const files = {};
+      for (let i = 1; i <= 1001; i++) files[`ppt/slides/slide${i}.xml`] = slide();
+
+      await expect(extractDocument(await zipOf(files), 'pptx')).rejects.toThrow(/too many slides/);
+    });
+  });
+
+  describe('markdown', () => {
+
+    it('should mark headings outside code fences', async () => {
+      const { sections } = await extractDocument(Buffer.from('# Intro\ntext\n```\n# not a heading\n```\n## Usage\n'), 'markdown');
+
+      expect(sections.map(s => [s.title, s.level])).toEqual([['Intro', 1], ['Usage', 2]]);
+    });
+  });
+
+  describe('csv', () => {
+
+    it('should parse quoted fields', () => {
+      expect(parseCsv('a,b\n"x, y","say ""hi"""\n')).toEqual([['a', 'b'], ['x, y', 'say "hi"']]);
+    });
+
+    it('should turn rows into self-describing lines', async () => {
+      const { text, sections } = await extractDocument(Buffer.from('name;score\nAda;91\nAlan;88\n'), 'csv', { name: 'grades.csv' });
+
+      expect(text).toBe(
+        '## Table: grades.csv (2 rows)\nColumns: name, score\n\nRow 1: name: Ada; score: 91\nRow 2: name: Alan; score: 88'
+      );
+      expect(sections[0]).toMatchObject({ kind: 'table', rows: 2, columns: ['name', 'score'] });
+    });
+  });
+
+  describe('documentTypeForFile', () => {
+
+    it('should map extensions to source types', () => {
+      expect(documentTypeForFile('Lecture 3.PPTX')).toBe('pptx');
+      expect(documentTypeForFile('notes.md')).toBe('markdown');
+      expect(documentTypeForFile('paper.pdf')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * File Streaming Test Suite
+ *
+ * Tests for range (206/416) and conditional (ETag/304) file responses.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { sendFileWithRanges } = require('../../src/utils/fileStreaming');
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('File Streaming', () => {
+  let dir;
+  let app;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-'));
+    fs.writeFileSync(path.join(dir, 'audio.mp3'), Buffer.from('0123456789'));
+
+    app = express();
+    app.get('/audio', (req, res, next) => {
+      sendFileWithRanges(req, res, path.join(dir, 'audio.mp3'), { contentType: 'audio/mpeg' }).catch(next);
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const get = () => request(app).get('/audio').buffer(true).parse(binaryParser);
+
+  it('should send the whole file with validators', async () => {
+    const res = await get();
+
+    expect(res.status).toBe(200);
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers['content-type']).toBe('audio/mpeg');
+    expect(res.headers.etag).toMatch(/^"[0-9a-f]+-[0-9a-f]+"$/);
+    expect(res.body.toString()).toBe('0123456789');
+  });
+
+  it('should send a byte range with 206', async () => {
+    const res = await get().set('Range', 'bytes=2-4');
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe('bytes 2-4/10');
+    expect(res.headers['content-length']).toBe('3');
+    expect(res.body.toString()).toBe('234');
+  });
+
+  it('should send suffix and open-ended ranges', async () => {
+    expect((await get().set('Range', 'bytes=-3')).body.toString()).toBe('789');
+    expect((await get().set('Range', 'bytes=8-')).body.toString()).toBe('89');
+  });
+
+  it('should answer unsatisfiable ranges with 416', async () => {
+    const res = await get().set('Range', 'bytes=20-30');
+
+    expect(res.status).toBe(416);
+    expect(res.headers['content-range']).toBe('bytes */10');
+  });
+
+  it('should answer a matching If-None-Match with 304', async () => {
+    const { headers } = await get();
+    const res = await get().set('If-None-Match', headers.etag);
+
+    expect(res.status).toBe(304);
+  });
+
+  it('should ignore the range when If-Range no longer matches', async () => {
+    const { headers } = await get();
+
+    expect((await get().set('Range', 'bytes=2-4').set('If-Range', headers.etag)).status).toBe(206);
+    expect((await get().set('Range', 'bytes=2-4').set('If-Range', '"stale"')).status).toBe(200);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * MIME Sniffing Test Suite
+ *
+ * Tests for typing chat attachments from their content rather than the
+ * name or MIME type sent by the client.
+ */
+
+const { sniffMime } = require('../../src/utils/mimeSniff');
+
+describe('MIME Sniffing', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+  const zip = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0, 0, 0]);
+
+  it('should type files by signature regardless of their name', () => {
+    expect(sniffMime(png, 'photo.pdf')).toEqual({ mime: 'image/png', kind: 'image', ext: '.png' });
+    expect(sniffMime(Buffer.from('%PDF-1.7\n...'), 'notes')).toEqual({ mime: 'application/pdf', kind: 'file', ext: '.pdf' });
+    expect(sniffMime(Buffer.from('ID3\x04\x00'), 'song.bin').kind).toBe('audio');
+  });
+
+  it('should tell RIFF containers and ftyp brands apart', () => {
+    const riff = (type) => Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from(type)]);
+    const ftyp = (brand) => Buffer.concat([Buffer.alloc(4), Buffer.from('ftyp'), Buffer.from(brand)]);
+
+    expect(sniffMime(riff('WEBP')).mime).toBe('image/webp');
+    expect(sniffMime(riff('WAVE')).mime).toBe('audio/wav');
+    expect(sniffMime(ftyp('M4A ')).mime).toBe('audio/mp4');
+    expect(sniffMime(ftyp('isom')).mime).toBe('video/mp4');
+  });
+
+  it('should use the extension only to name zip containers', () => {
+    expect(sniffMime(zip, 'essay.docx').mime).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(sniffMime(zip, 'archive.exe').mime).toBe('application/zip');
+  });
+
+  it('should accept text only with a text extension', () => {
+    expect(sniffMime(Buffer.from('a,b\n1,2\n'), 'grades.csv')).toEqual({ mime: 'text/csv', kind: 'file', ext: '.csv' });
+    expect(sniffMime(Buffer.from('<script>alert(1)</script>'), 'page.html')).toBeNull();
+    expect(sniffMime(Buffer.from([0x41, 0x00, 0x42]), 'notes.txt')).toBeNull();
+  });
+
+  it('should reject unknown and empty files', () => {
+    expect(sniffMime(Buffer.from('MZ\x90\x00'), 'setup.exe')).toBeNull();
+    expect(sniffMime(Buffer.alloc(0), 'empty.png')).toBeNull();
+  });
+});
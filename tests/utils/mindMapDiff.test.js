@@ -0,0 +1,76 @@
+/**
+ * Mind Map Diff Test Suite
+ *
+ * Tests for comparing two mind map versions.
+ */
+
+const { diffMindMaps } = require('../../src/utils/mindMapDiff');
+
+const before = {
+  nodes: [
+    { id: 'root', label: 'Physics', type: 'root', position: { x: 0, y: 0 } },
+    { id: 'a', label: 'Mechanics', position: { x: 200, y: 0 } },
+    { id: 'b', label: 'Optics', position: { x: 200, y: 100 } },
+    { id: 'c', label: 'Lenses', position: { x: 400, y: 100 } },
+  ],
+  edges: [
+    { id: 'e1', from: 'root', to: 'a' },
+    { id: 'e2', from: 'root', to: 'b' },
+    { id: 'e3', from: 'b', to: 'c', relation: 'includes' },
+  ],
+};
+
+describe('Mind Map Diff', () => {
+
+  it('should report no changes for identical versions', () => {
+    const diff = diffMindMaps(before, before);
+
+    expect(diff.summary.unchanged).toBe(true);
+  });
+
+  it('should detect added, removed, relabeled and moved nodes', () => {
+    const after = {
+      nodes: [
+        { id: 'root', label: 'Physics', type: 'root', position: { x: 0, y: 0 } },
+        { id: 'a', label: 'Classical Mechanics', position: { x: 200, y: 0.4 } },
+        { id: 'c', label: 'Lenses', position: { x: 400, y: 0 } },
+        { id: 'd', label: 'Thermodynamics', position: { x: 200, y: 200 } },
+      ],
+      edges: [
+        { id: 'e1', from: 'root', to: 'a' },
+        { id: 'e3', from: 'a', to: 'c', relation: 'includes' },
+        { id: 'e4', from: 'root', to: 'd' },
+      ],
+    };
+
+    const { nodes } = diffMindMaps(before, after);
+
+    expect(nodes.added).toEqual([{ id: 'd', label: 'Thermodynamics', type: undefined }]);
+    expect(nodes.removed.map(n => n.id)).toEqual(['b']);
+    expect(nodes.relabeled).toEqual([{ id: 'a', from: 'Mechanics', to: 'Classical Mechanics' }]);
+    expect(nodes.moved).toEqual([{
+      id: 'c',
+      label: 'Lenses',
+      parent: { from: 'b', to: 'a' },
+      position: { from: { x: 400, y: 100 }, to: { x: 400, y: 0 } },
+    }]);
+  });
+
+  it('should match edges by endpoints when ids were regenerated', () => {
+    const after = {
+      nodes: before.nodes,
+      edges: [
+        { id: 'x1', from: 'root', to: 'a' },
+        { id: 'x2', from: 'root', to: 'b' },
+        { id: 'e3', from: 'a', to: 'c', relation: 'explains' },
+      ],
+    };
+
+    const { edges } = diffMindMaps(before, after);
+
+    expect(edges.added).toEqual([]);
+    expect(edges.removed).toEqual([]);
+    expect(edges.relabeled).toEqual([{ id: 'e3', from: 'includes', to: 'explains' }]);
+    expect(edges.moved).toEqual([{ id: 'e3', from: { from: 'b', to: 'c' }, to: { from: 'a', to: 'c' } }]);
+  });
+});
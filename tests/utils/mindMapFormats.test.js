@@ -0,0 +1,115 @@
+/**
+ * Mind Map Formats Test Suite
+ *
+ * Tests for outline export (Markdown, OPML, FreeMind, Mermaid) and import.
+ */
+
+const {
+  buildTree,
+  exportMindMap,
+  parseMarkdownOutline,
+  importOutline,
+  detectImportFormat
+} = require('../../src/utils/mindMapFormats');
+
+const mindMap = {
+  title: 'Biology',
+  nodes: [
+    { id: 'cell', label: 'Cell', type: 'root' },
+    { id: 'nucleus', label: 'Nucleus', type: 'branch' },
+    { id: 'dna', label: 'DNA', type: 'leaf' },
+    { id: 'mito', label: 'Mitochondria & "ATP"', type: 'leaf' },
+  ],
+  edges: [
+    { id: 'e1', from: 'cell', to: 'nucleus' },
+    { id: 'e2', from: 'nucleus', to: 'dna' },
+    { id: 'e3', from: 'cell', to: 'mito' },
+    { id: 'e4', from: 'dna', to: 'cell' }, // cycle back to the root
+  ],
+};
+
+describe('Mind Map Formats', () => {
+
+  describe('buildTree', () => {
+
+    it('should start at the root and ignore cycles', () => {
+      const [root, ...rest] = buildTree(mindMap);
+
+      expect(rest).toEqual([]);
+      expect(root.label).toBe('Cell');
+      expect(root.children.map(c => c.label)).toEqual(['Nucleus', 'Mitochondria & "ATP"']);
+      expect(root.children[0].children[0].children).toEqual([]);
+    });
+
+    it('should keep unreachable nodes as extra roots', () => {
+      const roots = buildTree({ nodes: [...mindMap.nodes, { id: 'x', label: 'Orphan' }], edges: mindMap.edges });
+
+      expect(roots.map(r => r.label)).toEqual(['Cell', 'Orphan']);
+    });
+  });
+
+  describe('exportMindMap', () => {
+
+    it('should export a nested Markdown outline', () => {
+      expect(exportMindMap(mindMap, 'markdown')).toBe(
+        '# Cell\n\n- Nucleus\n  - DNA\n- Mitochondria & "ATP"\n'
+      );
+    });
+
+    it('should escape labels in OPML and FreeMind', () => {
+      expect(exportMindMap(mindMap, 'opml')).toContain('<outline text="Mitochondria &amp; &quot;ATP&quot;"/>');
+      expect(exportMindMap(mindMap, 'freemind')).toMatch(/<node ID="ID_2" TEXT="Nucleus" POSITION="right">/);
+    });
+
+    it('should quote Mermaid labels that are not plain text', () => {
+      const mermaid = exportMindMap(mindMap, 'mermaid').split('\n');
+
+      expect(mermaid.slice(0, 4)).toEqual(['mindmap', '  root(("Cell"))', '    Nucleus', '      DNA']);
+      expect(mermaid[4]).toBe('    n1["Mitochondria & #quot;ATP#quot;"]');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => exportMindMap(mindMap, 'pdf')).toThrow(/Unsupported/);
+    });
+  });
+
+  describe('import', () => {
+
+    it('should nest list items under headings', () => {
+      const { roots } = parseMarkdownOutline('# A\n## B\n- x\n  - y\n- z\n## C\n1. q\n');
+
+      expect(roots).toEqual([{
+        label: 'A',
+        children: [
+          { label: 'B', children: [{ label: 'x', children: [{ label: 'y', children: [] }] }, { label: 'z', children: [] }] },
+          { label: 'C', children: [{ label: 'q', children: [] }] },
+        ],
+      }]);
+    });
+
+    it('should round-trip through OPML', () => {
+      const graph = importOutline(exportMindMap(mindMap, 'opml'), 'opml');
+
+      expect(graph.title).toBe('Biology');
+      expect(graph.nodes.map(n => [n.label, n.type])).toEqual([
+        ['Cell', 'root'], ['Nucleus', 'branch'], ['DNA', 'leaf'], ['Mitochondria & "ATP"', 'leaf'],
+      ]);
+      expect(graph.edges.map(e => [e.from, e.to])).toEqual([
+        ['node-1', 'node-2'], ['node-2', 'node-3'], ['node-1', 'node-4'],
+      ]);
+    });
+
+    it('should add a root when the outline has several top-level items', () => {
+      const graph = importOutline('- one\n- two\n', 'markdown', 'My Map');
+
+      expect(graph.rootLabel).toBe('My Map');
+      expect(graph.nodes).toHaveLength(3);
+    });
+
+    it('should detect the format from the file name or content', () => {
+      expect(detectImportFormat('', 'map.opml')).toBe('opml');
+      expect(detectImportFormat('<?xml version="1.0"?><opml/>')).toBe('opml');
+      expect(detectImportFormat('# Title')).toBe('markdown');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Quiz Question Types Test Suite
+ *
+ * Tests for per-type grading, partial credit and answer-key stripping.
+ */
+
+const {
+  gradeAnswer,
+  validateQuestion,
+  isBlankAnswer,
+  sanitizeQuestion,
+  normalizeGeneratedQuestion
+} = require('../../src/utils/quizQuestionTypes');
+
+describe('Quiz Question Types', () => {
+
+  describe('multiple_choice', () => {
+    const question = { question: 'Capital of France?', options: ['Paris', 'Rome'], correctAnswer: 'Paris' };
+
+    it('should grade legacy questions without a type', () => {
+      expect(gradeAnswer(question, ' paris ')).toEqual({ isCorrect: true, credit: 1 });
+      expect(gradeAnswer(question, 'Rome')).toEqual({ isCorrect: false, credit: 0 });
+    });
+
+    it('should reject a correct answer that is not an option', () => {
+      expect(validateQuestion({ ...question, correctAnswer: 'Berlin' })).toMatch(/one of the options/);
+    });
+  });
+
+  describe('multi_select', () => {
+    const question = {
+      type: 'multi_select',
+      options: ['2', '3', '4', '5'],
+      correctAnswers: ['2', '3', '5'],
+      partialCredit: true
+    };
+
+    it('should give full credit for the exact selection', () => {
+      expect(gradeAnswer(question, ['5', '2', '3'])).toEqual({ isCorrect: true, credit: 1 });
+    });
+
+    it('should give partial credit and subtract wrong picks', () => {
+      expect(gradeAnswer(question, ['2', '3']).credit).toBeCloseTo(0.667);
+      expect(gradeAnswer(question, ['2', '3', '4']).credit).toBeCloseTo(0.333);
+      expect(gradeAnswer(question, ['4']).credit).toBe(0);
+    });
+
+    it('should be all-or-nothing when partial credit is off', () => {
+      expect(gradeAnswer({ ...question, partialCredit: false }, ['2', '3']).credit).toBe(0);
+    });
+  });
+
+  describe('true_false', () => {
+    const question = { type: 'true_false', options: ['True', 'False'], correctAnswer: 'false' };
+
+    it('should accept booleans and strings', () => {
+      expect(gradeAnswer(question, false).isCorrect).toBe(true);
+      expect(gradeAnswer(question, 'False').isCorrect).toBe(true);
+      expect(gradeAnswer(question, 'true').isCorrect).toBe(false);
+      expect(gradeAnswer(question, 'maybe').isCorrect).toBe(false);
+    });
+  });
+
+  describe('numeric', () => {
+    const question = { type: 'numeric', correctAnswer: '9.81', tolerance: 0.05 };
+
+    it('should accept answers within the tolerance', () => {
+      expect(gradeAnswer(question, 9.8).isCorrect).toBe(true);
+      expect(gradeAnswer(question, '9.86').isCorrect).toBe(true);
+      expect(gradeAnswer(question, 9.9).isCorrect).toBe(false);
+      expect(gradeAnswer(question, 'nine').isCorrect).toBe(false);
+    });
+
+    it('should require a numeric correct answer', () => {
+      expect(validateQuestion({ type: 'numeric', correctAnswer: 'abc' })).toMatch(/number/);
+    });
+  });
+
+  describe('fill_blank', () => {
+    const question = {
+      type: 'fill_blank',
+      correctAnswer: 'mitochondria',
+      acceptedAnswers: ['mitochondrion'],
+      caseSensitive: false
+    };
+
+    it('should accept the answer and its alternatives', () => {
+      expect(gradeAnswer(question, 'Mitochondria').isCorrect).toBe(true);
+      expect(gradeAnswer(question, ' mitochondrion ').isCorrect).toBe(true);
+      expect(gradeAnswer(question, 'ribosome').isCorrect).toBe(false);
+    });
+
+    it('should respect case sensitivity', () => {
+      expect(gradeAnswer({ ...question, caseSensitive: true }, 'Mitochondria').isCorrect).toBe(false);
+    });
+  });
+
+  describe('ordering', () => {
+    const question = {
+      type: 'ordering',
+      options: ['Mercury', 'Venus', 'Earth', 'Mars'],
+      correctOrder: ['Mercury', 'Venus', 'Earth', 'Mars'],
+      partialCredit: true
+    };
+
+    it('should give credit per item in the right position', () => {
+      expect(gradeAnswer(question, ['Mercury', 'Venus', 'Earth', 'Mars'])).toEqual({ isCorrect: true, credit: 1 });
+      expect(gradeAnswer(question, ['Mercury', 'Venus', 'Mars', 'Earth']).credit).toBe(0.5);
+    });
+
+    it('should not reveal the order to quiz takers', () => {
+      const sanitized = sanitizeQuestion(question);
+
+      expect(sanitized.correctOrder).toBeUndefined();
+      expect([...sanitized.options].sort()).toEqual([...question.correctOrder].sort());
+    });
+  });
+
+  describe('sanitizeQuestion', () => {
+
+    it('should strip every answer key', () => {
+      const sanitized = sanitizeQuestion({
+        _id: 'q1',
+        type: 'multi_select',
+        question: 'Pick primes',
+        options: ['2', '4'],
+        correctAnswer: '2',
+        correctAnswers: ['2'],
+        explanation: '2 is prime'
+      });
+
+      expect(sanitized).toEqual({
+        _id: 'q1',
+        type: 'multi_select',
+        question: 'Pick primes',
+        options: ['2', '4'],
+        difficulty: undefined,
+        points: undefined,
+        order: undefined
+      });
+    });
+  });
+
+  describe('isBlankAnswer', () => {
+
+    it('should treat empty strings and arrays as blank', () => {
+      expect(isBlankAnswer('')).toBe(true);
+      expect(isBlankAnswer('  ')).toBe(true);
+      expect(isBlankAnswer([])).toBe(true);
+      expect(isBlankAnswer(0)).toBe(false);
+      expect(isBlankAnswer(false)).toBe(false);
+    });
+  });
+
+  describe('normalizeGeneratedQuestion', () => {
+
+    it('should map AI engine numeric questions', () => {
+      const question = normalizeGeneratedQuestion(
+        { type: 'numeric', question: 'g?', answer: 9.81, tolerance: '0.1' },
+        { difficulty: 'hard' }
+      );
+
+      expect(question).toMatchObject({ type: 'numeric', correctAnswer: '9.81', tolerance: 0.1, difficulty: 'hard' });
+      expect(validateQuestion(question)).toBeNull();
+    });
+
+    it('should drop true/false questions without a readable answer', () => {
+      expect(normalizeGeneratedQuestion({ type: 'true_false', question: 'Sky is blue?', answer: 'False' }))
+        .toMatchObject({ options: ['True', 'False'], correctAnswer: 'false' });
+      expect(normalizeGeneratedQuestion({ type: 'true_false', question: 'Sky is blue?', answer: 'maybe' })).toBeNull();
+      expect(normalizeGeneratedQuestion({ type: 'true_false', question: 'Sky is blue?' })).toBeNull();
+    });
+
+    it('should return null for unknown types', () => {
+      expect(normalizeGeneratedQuestion({ type: 'essay', question: 'Discuss' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Text Search Test Suite
+ *
+ * Tests for query parsing, accent-insensitive prefix matching, ranking
+ * and highlighted snippets used by notebook search.
+ */
+
+const { foldText, parseQuery, findMatches, scoreMatches, buildSnippets } = require('../../src/utils/textSearch');
+
+describe('Text Search', () => {
+
+  describe('foldText', () => {
+
+    it('should lowercase and strip accents without changing length', () => {
+      const folded = foldText('Résumé ÉCOLE');
+
+      expect(folded).toBe('resume ecole');
+      expect(folded.length).toBe('Résumé ÉCOLE'.length);
+    });
+  });
+
+  describe('parseQuery', () => {
+
+    it('should split terms and quoted phrases', () => {
+      expect(parseQuery('Photo "Light  Reactions" a')).toEqual({
+        terms: ['photo', 'light', 'reactions'],
+        phrases: ['light reactions']
+      });
+    });
+
+    it('should return no terms for punctuation or single letters', () => {
+      expect(parseQuery('? a !').terms).toEqual([]);
+    });
+  });
+
+  describe('findMatches', () => {
+
+    it('should match word prefixes with offsets into the original text', () => {
+      const text = 'The résumé of PHOTOSYNTHESIS';
+      const matches = findMatches(text, parseQuery('resume photo'));
+
+      expect(matches.map(m => text.slice(m.start, m.end))).toEqual(['résumé', 'PHOTOSYNTHESIS']);
+    });
+
+    it('should not match inside words', () => {
+      expect(findMatches('autophoto', parseQuery('photo'))).toEqual([]);
+    });
+
+    it('should prefer a phrase match over its separate words', () => {
+      const matches = findMatches('light  reactions and light', parseQuery('"light reactions"'));
+
+      expect(matches).toEqual([
+        { start: 0, end: 16, term: 'light reactions' },
+        { start: 21, end: 26, term: 'light' }
+      ]);
+    });
+  });
+
+  describe('scoreMatches', () => {
+
+    it('should rank full query coverage above repeated single terms', () => {
+      const query = parseQuery('chlorophyll light');
+      const both = scoreMatches(findMatches('chlorophyll absorbs light', query), query);
+      const repeated = scoreMatches(findMatches('light light light light', query), query);
+
+      expect(both).toBeGreaterThan(repeated);
+      expect(scoreMatches([], query)).toBe(0);
+    });
+  });
+
+  describe('buildSnippets', () => {
+
+    it('should highlight matches in escaped HTML', () => {
+      const text = 'Use <b>light</b> & water';
+      const [snippet] = buildSnippets(text, findMatches(text, parseQuery('light')));
+
+      expect(snippet.highlighted).toBe('Use &lt;b&gt;<mark>light</mark>&lt;/b&gt; &amp; water');
+      expect(snippet.offset).toBe(7);
+      expect(snippet.length).toBe(5);
+    });
+
+    it('should trim long text around the match with ellipses', () => {
+      const text = `${'filler '.repeat(50)}the light reactions${' filler'.repeat(50)}`;
+      const [snippet] = buildSnippets(text, findMatches(text, parseQuery('light')), { radius: 20 });
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      const [{ start, end }] = snippet.highlights;
+      expect(snippet.text.slice(start, end)).toBe('light');
+    });
+
+    it('should put the snippet covering most terms first', () => {
+      const text = `light only here.${' filler'.repeat(60)} light and chlorophyll together`;
+      const snippets = buildSnippets(text, findMatches(text, parseQuery('light chlorophyll')), { radius: 20 });
+
+      expect(snippets).toHaveLength(2);
+      expect(snippets[0].text).toContain('chlorophyll');
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Zip Directory Test Suite
+ *
+ * Tests for reading entry sizes from a zip's central directory.
+ */
+
+const JSZip = require('jszip');
+const { readZipDirectory } = require('../../src/utils/zipDirectory');
+
+describe('Zip Directory', () => {
+
+  it('should list entries with their declared sizes without inflating them', async () => {
+    const zip = new JSZip();
+    zip.file('manifest.json', '{}');
+    zip.file('sources/1/original.bin', Buffer.alloc(1024 * 1024));
+    zip.file('notes/résumé.txt', 'héllo');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', comment: 'Exported notebook' });
+
+    const entries = readZipDirectory(buffer);
+
+    expect([...entries.keys()]).toEqual(['manifest.json', 'sources/', 'sources/1/', 'sources/1/original.bin', 'notes/', 'notes/résumé.txt']);
+    expect(entries.get('sources/1/original.bin').uncompressedSize).toBe(1024 * 1024);
+    expect(entries.get('sources/1/original.bin').compressedSize).toBeLessThan(10 * 1024);
+    expect(entries.get('notes/résumé.txt').uncompressedSize).toBe(Buffer.byteLength('héllo'));
+  });
+
+  it('should reject data that is not a zip', () => {
+    expect(() => readZipDirectory(Buffer.from('not a zip at all, just some text'))).toThrow(/central directory/);
+  });
+});